@@ -35,7 +35,8 @@ module.exports = {
     autorestart: true,
 
     // 进程管理
-    kill_timeout: 5000,
+    // 需大于 SHUTDOWN_DRAIN_DELAY_SECS + SHUTDOWN_TIMEOUT_SECS，留出优雅关闭的时间
+    kill_timeout: 30000,
     listen_timeout: 3000,
     shutdown_with_message: true,
 
@@ -0,0 +1,116 @@
+/**
+ * 会话亲和性
+ * 将同一会话的请求固定到同一账号，账号不可用时自动迁移
+ */
+
+import crypto from 'crypto';
+
+// 会话表的最大条目数，超过时清理过期条目
+const MAX_SESSIONS = 10000;
+
+function extractText(content) {
+  if (!content) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(block => (typeof block === 'string' ? block : block?.text || ''))
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * 计算请求的会话键
+ * 优先级：自定义请求头 > metadata.user_id > system prompt 与首条用户消息的哈希
+ * @param {object} req - Express 请求
+ * @param {object} anthropicReq - Anthropic 格式请求体
+ * @param {object} affinityConfig - config.affinity
+ * @returns {string|null}
+ */
+export function getAffinityKey(req, anthropicReq, affinityConfig) {
+  const headerValue = affinityConfig.header ? req.headers[affinityConfig.header.toLowerCase()] : null;
+  if (headerValue) {
+    return `header:${headerValue}`;
+  }
+
+  const userId = anthropicReq?.metadata?.user_id;
+  if (userId) {
+    return `user:${userId}`;
+  }
+
+  const firstUser = (anthropicReq?.messages || []).find(m => m.role === 'user');
+  if (!firstUser) return null;
+
+  const hash = crypto.createHash('sha256')
+    .update(extractText(anthropicReq.system))
+    .update('\u0000')
+    .update(extractText(firstUser.content))
+    .digest('hex')
+    .slice(0, 32);
+  return `hash:${hash}`;
+}
+
+export class SessionAffinity {
+  /**
+   * @param {object} options
+   * @param {number} options.ttlMs - 会话绑定的有效期（每次命中后续期）
+   */
+  constructor({ ttlMs }) {
+    this.ttlMs = ttlMs;
+    this.sessions = new Map(); // key -> { accountId, expiresAt }
+  }
+
+  get size() {
+    return this.sessions.size;
+  }
+
+  /**
+   * 获取会话绑定的账号 ID，过期时返回 null
+   */
+  get(key) {
+    const entry = this.sessions.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+      return null;
+    }
+    return entry.accountId;
+  }
+
+  /**
+   * 绑定（或续期）会话到账号
+   */
+  set(key, accountId) {
+    if (this.sessions.size >= MAX_SESSIONS && !this.sessions.has(key)) {
+      this.prune();
+    }
+    this.sessions.set(key, { accountId, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  /**
+   * 解除某个账号的全部会话绑定（账号删除时调用）
+   */
+  releaseAccount(accountId) {
+    for (const [key, entry] of this.sessions) {
+      if (entry.accountId === accountId) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 清理过期条目，仍然超限时淘汰最早写入的条目
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.sessions) {
+      if (entry.expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    }
+    while (this.sessions.size >= MAX_SESSIONS) {
+      const oldest = this.sessions.keys().next().value;
+      this.sessions.delete(oldest);
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import express from 'express';
+import cors from 'cors';
+import { SettingsManager } from './settings.js';
+import { AccountPool } from './pool.js';
+import { DatabaseManager } from './db.js';
+import { EventBus } from './events.js';
+import { LogArchiver } from './log-archive.js';
+import { CaptureManager } from './capture.js';
+import { Metrics } from './metrics.js';
+import { Lifecycle } from './lifecycle.js';
+import { migrateFromJson } from './migrations/001_init.js';
+import { migrateAccounts } from './migrations/002_accounts.js';
+import { migrateSettings } from './migrations/003_settings.js';
+import { migrateModels } from './migrations/004_models.js';
+import { createApiRouter } from './routes/api.js';
+import { createUiRouter } from './routes/ui.js';
+import { createAdminRouter } from './routes/admin.js';
+import { createStatsRouter } from './routes/stats.js';
+import { createMetricsRouter } from './routes/metrics.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * 初始化数据库、设置与账号池，并组装 Express 应用（不监听端口）
+ * @param {object} config - 由 loadConfig 生成的配置
+ * @returns {Promise<{app: import('express').Express, state: object}>}
+ */
+export async function createApp(config) {
+  const app = express();
+  app.use(cors());
+  app.use(express.json({ limit: '50mb' }));
+
+  // 初始化数据库
+  const dbManager = new DatabaseManager(config);
+  await dbManager.init();
+  console.log('✓ 数据库初始化完成');
+
+  // 数据迁移：请求日志
+  const logMigrationResult = await migrateFromJson(dbManager, config.dataDir);
+  if (!logMigrationResult.skipped) {
+    console.log(`✓ 请求日志迁移完成: ${logMigrationResult.migrated} 条记录`);
+  }
+
+  // 数据迁移：账号数据
+  const accountMigrationResult = await migrateAccounts(dbManager, config.dataDir);
+  if (!accountMigrationResult.skipped) {
+    console.log(`✓ 账号迁移完成: ${accountMigrationResult.migrated} 个账号`);
+  }
+
+  // 数据迁移：设置数据
+  const settingsMigrationResult = await migrateSettings(dbManager, config.dataDir);
+  if (!settingsMigrationResult.skipped) {
+    console.log(`✓ 设置迁移完成`);
+  }
+
+  // 数据迁移：模型数据
+  const modelMigrationResult = await migrateModels(dbManager, config.dataDir);
+  if (!modelMigrationResult.skipped) {
+    console.log(`✓ 模型数据迁移完成`);
+  }
+
+  // 初始化设置管理器（传入数据库管理器）
+  const settingsManager = new SettingsManager(config.dataDir, dbManager);
+  await settingsManager.init(config.adminKey, config.apiKey);
+  console.log('✓ 设置管理器初始化完成');
+
+  // 管理面板实时事件
+  const eventBus = new EventBus({ bufferSize: config.events.bufferSize });
+
+  // Prometheus 指标
+  const metrics = new Metrics();
+
+  // 初始化账号池（传入数据库管理器、事件总线与指标）
+  const accountPool = new AccountPool(config, dbManager, eventBus, metrics);
+  await accountPool.load();
+  console.log('✓ 账号池初始化完成');
+
+  // 共享状态
+  const state = {
+    config,
+    settingsManager,
+    accountPool,
+    dbManager,
+    eventBus,
+    metrics,
+    logArchiver: new LogArchiver(config, dbManager),
+    captureManager: new CaptureManager(config, dbManager, eventBus),
+    lifecycle: new Lifecycle(),
+    startTime: Date.now()
+  };
+
+  // 静态文件
+  const publicPath = path.join(__dirname, 'public');
+  console.log('静态文件目录:', publicPath);
+  app.use(express.static(publicPath));
+
+  // API 路由 (需要 API Key 认证)
+  app.use('/v1', createApiRouter(state));
+
+  // 管理 API 路由 (需要 Admin Key 认证)
+  app.use('/api', createAdminRouter(state));
+
+  // 统计 API 路由 (需要 Admin Key 认证)
+  app.use('/api/stats', createStatsRouter(state));
+
+  // Prometheus 指标（可选 Bearer 认证）
+  app.use('/metrics', createMetricsRouter(state));
+
+  // UI 路由
+  app.use('/', createUiRouter(state));
+
+  return { app, state };
+}
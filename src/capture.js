@@ -0,0 +1,298 @@
+/**
+ * 请求抓包（调试用）
+ * 按配置对部分请求记录完整的往返数据：客户端请求、转换后的 Kiro 请求、上游解码后的事件序列与返回给客户端的响应
+ * 抓包数据以 request_id 关联 request_logs，到期后自动删除；认证相关请求头会被脱敏
+ */
+
+import { EventStreamDecoder, parseKiroEvent } from './event-parser.js';
+
+// 需要脱敏的请求头（小写）
+const REDACTED_HEADERS = new Set([
+  'authorization',
+  'proxy-authorization',
+  'x-api-key',
+  'cookie',
+  'set-cookie',
+  'x-amz-security-token'
+]);
+
+// 过期抓包的清理间隔
+const CLEANUP_INTERVAL_MS = 10 * 60 * 1000;
+
+/**
+ * 复制请求头并脱敏认证信息
+ */
+export function redactHeaders(headers = {}) {
+  const out = {};
+  for (const [name, value] of Object.entries(headers)) {
+    out[name] = REDACTED_HEADERS.has(name.toLowerCase()) ? '[REDACTED]' : value;
+  }
+  return out;
+}
+
+/**
+ * 序列化后超过 maxBytes 的值替换为截断预览
+ */
+function limitValue(value, maxBytes) {
+  if (value === undefined) return null;
+  const json = JSON.stringify(value);
+  const size = Buffer.byteLength(json);
+  if (size <= maxBytes) return value;
+  return { _truncated: true, originalBytes: size, preview: json.slice(0, maxBytes) };
+}
+
+/**
+ * 单个请求的抓包记录器
+ * 由 CaptureManager.begin 创建，响应结束（res 'close'）时自动保存
+ */
+class CaptureRecorder {
+  constructor(manager, req, res, settings) {
+    this.manager = manager;
+    this.req = req;
+    this.maxBodyBytes = settings.maxBodyBytes;
+    this.startedAt = new Date();
+    this.attempts = [];
+    this.anthropicRequest = null;
+    this.kiroRequest = null;
+    this.kiroHeaders = null;
+    this.accountId = null;
+    this.upstreamEvents = [];
+    this.upstreamEventBytes = 0;
+    this.omittedEvents = 0;
+    this.responseChunks = [];
+    this.responseBytes = 0;
+    this.responseTruncated = false;
+
+    this._hookResponse(res);
+    res.once('close', () => this.manager.save(this, res));
+  }
+
+  // 包装 res.write / res.end，记录写给客户端的内容（超过上限的部分只计数）
+  _hookResponse(res) {
+    const originalWrite = res.write;
+    const originalEnd = res.end;
+    const recorder = this;
+    res.write = function (chunk, ...args) {
+      recorder._recordResponse(chunk, args[0]);
+      return originalWrite.call(this, chunk, ...args);
+    };
+    res.end = function (chunk, ...args) {
+      if (chunk && typeof chunk !== 'function') {
+        recorder._recordResponse(chunk, args[0]);
+      }
+      return originalEnd.call(this, chunk, ...args);
+    };
+  }
+
+  _recordResponse(chunk, encoding) {
+    const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk), typeof encoding === 'string' ? encoding : 'utf8');
+    const remaining = this.maxBodyBytes - this.responseBytes;
+    if (remaining <= 0) {
+      this.responseTruncated = true;
+      return;
+    }
+    if (buf.length > remaining) this.responseTruncated = true;
+    const kept = buf.subarray(0, remaining);
+    this.responseChunks.push(kept);
+    this.responseBytes += kept.length;
+  }
+
+  /**
+   * 记录一次上游调用（失败切换账号时每次尝试调用一次）
+   */
+  recordAttempt({ attempt, account, upstreamModel, anthropicRequest, kiroRequest, headers }) {
+    this.attempts.push({
+      attempt,
+      accountId: account.id,
+      accountName: account.name,
+      upstreamModel,
+      startedAt: new Date().toISOString(),
+      error: null
+    });
+    this.accountId = account.id;
+    this.anthropicRequest = anthropicRequest;
+    this.kiroRequest = kiroRequest;
+    this.kiroHeaders = redactHeaders(headers);
+  }
+
+  recordAttemptError(error) {
+    const last = this.attempts[this.attempts.length - 1];
+    if (last) last.error = error?.message || String(error);
+  }
+
+  /**
+   * 包装上游响应，在处理器读取响应体的同时解码并记录事件
+   * 各响应处理器只读取 response.body，因此返回只带 body 的对象即可
+   */
+  tapUpstream(response) {
+    const recorder = this;
+    const decoder = new EventStreamDecoder();
+    async function* tee() {
+      for await (const chunk of response.body) {
+        decoder.feed(chunk);
+        for (const frame of decoder.decode()) {
+          recorder._recordEvent(parseKiroEvent(frame));
+        }
+        yield chunk;
+      }
+    }
+    return { body: tee() };
+  }
+
+  _recordEvent(event) {
+    const size = Buffer.byteLength(JSON.stringify(event));
+    if (this.upstreamEventBytes + size > this.maxBodyBytes) {
+      this.omittedEvents++;
+      return;
+    }
+    this.upstreamEvents.push(event);
+    this.upstreamEventBytes += size;
+  }
+
+  /**
+   * 组装保存的数据
+   */
+  toJSON(res) {
+    const max = this.maxBodyBytes;
+    const clientBody = this.req.body;
+    return {
+      request: {
+        method: this.req.method,
+        path: this.req.originalUrl,
+        headers: redactHeaders(this.req.headers),
+        body: limitValue(clientBody, max)
+      },
+      // OpenAI 格式请求转换后的 Anthropic 请求（Anthropic 格式请求与 request.body 相同，不重复保存）
+      anthropicRequest: this.anthropicRequest && this.anthropicRequest !== clientBody
+        ? limitValue(this.anthropicRequest, max)
+        : null,
+      attempts: this.attempts,
+      kiroRequest: {
+        headers: this.kiroHeaders,
+        body: limitValue(this.kiroRequest, max)
+      },
+      upstreamEvents: this.upstreamEvents,
+      omittedUpstreamEvents: this.omittedEvents,
+      response: {
+        status: res.statusCode,
+        headers: redactHeaders(res.getHeaders()),
+        body: Buffer.concat(this.responseChunks).toString('utf8'),
+        truncated: this.responseTruncated,
+        completed: res.writableFinished
+      },
+      durationMs: Date.now() - this.startedAt.getTime()
+    };
+  }
+}
+
+export class CaptureManager {
+  /**
+   * @param {object} config - config.capture 为默认抓包配置
+   * @param {import('./db.js').DatabaseManager} [db] - 保存抓包数据与配置
+   * @param {import('./events.js').EventBus} [events] - 保存后发布 capture.saved 事件
+   */
+  constructor(config, db = null, events = null) {
+    this.db = db;
+    this.events = events;
+    this.settings = CaptureManager.normalize({
+      enabled: false,
+      apiKeys: [],
+      accountIds: [],
+      ...config.capture,
+      ...(db?.getCaptureConfig() || {})
+    });
+    this.lastCleanup = 0;
+  }
+
+  /**
+   * 校验并规范化抓包配置
+   */
+  static normalize(settings) {
+    const sampleRate = Number(settings.sampleRate);
+    return {
+      enabled: settings.enabled === true,
+      apiKeys: Array.isArray(settings.apiKeys) ? settings.apiKeys.filter(k => typeof k === 'string' && k) : [],
+      accountIds: Array.isArray(settings.accountIds) ? settings.accountIds.filter(id => typeof id === 'string' && id) : [],
+      sampleRate: Number.isFinite(sampleRate) ? Math.min(1, Math.max(0, sampleRate)) : 1,
+      maxBodyBytes: Math.max(1024, parseInt(settings.maxBodyBytes) || 256 * 1024),
+      ttlHours: Math.max(1, parseInt(settings.ttlHours) || 24)
+    };
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  updateSettings(partial) {
+    this.settings = CaptureManager.normalize({ ...this.settings, ...partial });
+    this.db?.updateCaptureConfig(this.settings);
+    return this.getSettings();
+  }
+
+  /**
+   * 判断请求是否在抓包范围内
+   * 未限定 API 密钥与账号时抓取全部请求，否则命中任一列表即可
+   */
+  matchesScope({ apiKey, accountId }) {
+    const { apiKeys, accountIds } = this.settings;
+    if (apiKeys.length === 0 && accountIds.length === 0) return true;
+    return apiKeys.includes(apiKey) || (accountId != null && accountIds.includes(accountId));
+  }
+
+  /**
+   * 开始记录一个请求，未启用、按 API 密钥排除或未被采样时返回 null
+   * 账号范围在保存时根据最终使用的账号判断
+   * @returns {CaptureRecorder|null}
+   */
+  begin(req, res) {
+    const settings = this.settings;
+    if (!settings.enabled) return null;
+    // 只限定了 API 密钥时，可以提前排除
+    if (settings.accountIds.length === 0 && !this.matchesScope({ apiKey: req.apiKey })) return null;
+    if (Math.random() >= settings.sampleRate) return null;
+    return new CaptureRecorder(this, req, res, settings);
+  }
+
+  /**
+   * 保存记录器中的数据（响应结束时由记录器调用）
+   */
+  save(recorder, res) {
+    const requestId = recorder.req.requestId;
+    if (!this.db || !requestId) return;
+    if (!this.matchesScope({ apiKey: recorder.req.apiKey, accountId: recorder.accountId })) return;
+
+    try {
+      const createdAt = recorder.startedAt;
+      const expiresAt = new Date(createdAt.getTime() + this.settings.ttlHours * 60 * 60 * 1000);
+      this.db.insertCapture({
+        requestId,
+        createdAt: createdAt.toISOString(),
+        expiresAt: expiresAt.toISOString(),
+        data: recorder.toJSON(res)
+      });
+      this.events?.publish('capture.saved', { requestId });
+      this.cleanupExpired();
+    } catch (e) {
+      console.error('保存抓包数据失败:', e.message);
+    }
+  }
+
+  /**
+   * 删除过期的抓包数据，距上次清理不足 CLEANUP_INTERVAL_MS 时跳过（force 为 true 时立即执行）
+   * @returns {number} 删除的条数
+   */
+  cleanupExpired(force = false) {
+    const now = Date.now();
+    if (!this.db || (!force && now - this.lastCleanup < CLEANUP_INTERVAL_MS)) return 0;
+    this.lastCleanup = now;
+    return this.db.deleteExpiredCaptures(new Date(now).toISOString());
+  }
+
+  getCapture(requestId) {
+    return this.db?.getCapture(requestId) || null;
+  }
+
+  deleteCapture(requestId) {
+    return this.db?.deleteCapture(requestId) || false;
+  }
+}
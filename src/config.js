@@ -0,0 +1,102 @@
+/**
+ * 从环境变量构建运行配置
+ */
+
+// 去掉末尾的斜杠，未设置时返回 null（使用按 region 推导的默认地址）
+function normalizeBaseUrl(value) {
+  if (!value) return null;
+  return value.replace(/\/+$/, '');
+}
+
+export function loadConfig(env = process.env) {
+  return {
+    port: parseInt(env.PORT) || 8080,
+    apiKey: env.API_KEY || 'sk-default-key',
+    adminKey: env.ADMIN_KEY || 'admin-default-key',
+    dataDir: env.DATA_DIR || './data',
+    region: env.REGION || 'us-east-1',
+    kiroVersion: env.KIRO_VERSION || '0.8.0',
+    proxyUrl: env.PROXY_URL || null,
+    maxImageBytes: parseInt(env.MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+    // 允许下载指向本机或内网地址的图片 URL（仅在可信网络中开启）
+    allowPrivateImageUrls: ['1', 'true', 'yes'].includes(String(env.IMAGE_URL_ALLOW_PRIVATE || '').toLowerCase()),
+    // 把 contextUsageEvent 百分比换算为输入 token 数时使用的上下文长度
+    modelContextLength: parseInt(env.MODEL_CONTEXT_LENGTH) || 200000,
+    // 请求文本超过该字符数时不用 tokenizer 完整编码（同步执行会阻塞事件循环），改为按字符数粗略估算输入 token；0 表示总是完整编码
+    tokenEstimateMaxChars: env.TOKEN_ESTIMATE_MAX_CHARS !== undefined ? (parseInt(env.TOKEN_ESTIMATE_MAX_CHARS) || 0) : 200000,
+    // 上游失败时的跨账号重试策略
+    // 账号自身的问题（限流、额度用尽、封禁、Token 无效）与网络错误总是换账号重试，
+    // retryableStatuses 只决定其他上游错误是否重试
+    retry: {
+      maxAttempts: parseInt(env.RETRY_MAX_ATTEMPTS) || 3,
+      retryableStatuses: (env.RETRY_ON_STATUS || '408,500,502,503,504')
+        .split(',')
+        .map(s => parseInt(s.trim()))
+        .filter(Number.isFinite),
+      backoffMs: parseInt(env.RETRY_BACKOFF_MS) || 0
+    },
+    // 账号限流冷却：首次 baseMs，连续限流按 multiplier 指数退避，不超过 maxMs；上游 Retry-After 优先
+    cooldown: {
+      baseMs: (parseInt(env.COOLDOWN_BASE_SECS) || 300) * 1000,
+      maxMs: (parseInt(env.COOLDOWN_MAX_SECS) || 3600) * 1000,
+      multiplier: parseFloat(env.COOLDOWN_BACKOFF_MULTIPLIER) || 2
+    },
+    // 流式响应：每隔 pingIntervalMs 发送 ping，避免长时间无输出时被代理断开（0 关闭）
+    stream: {
+      pingIntervalMs: (env.STREAM_PING_INTERVAL_SECS !== undefined ? (parseInt(env.STREAM_PING_INTERVAL_SECS) || 0) : 15) * 1000
+    },
+    // 代码引用：把 Kiro codeReferenceEvent（生成代码的许可证来源）记录到请求日志，不写入响应内容
+    citations: {
+      codeReferences: ['1', 'true', 'yes'].includes(String(env.CODE_REFERENCE_CITATIONS || '').toLowerCase())
+    },
+    // 会话亲和性：同一会话固定使用同一账号
+    affinity: {
+      enabled: ['1', 'true', 'yes'].includes(String(env.SESSION_AFFINITY || '').toLowerCase()),
+      header: env.SESSION_AFFINITY_HEADER || 'x-session-id',
+      ttlMs: (parseInt(env.SESSION_AFFINITY_TTL) || 3600) * 1000
+    },
+    // 请求日志保留策略（每天 hour 点执行，删除前归档到 DATA_DIR/archives）
+    logRetention: {
+      maxAgeDays: parseInt(env.LOG_RETENTION_DAYS) || 0,
+      maxRows: env.LOG_RETENTION_MAX_ROWS !== undefined ? (parseInt(env.LOG_RETENTION_MAX_ROWS) || 0) : 100000,
+      archive: !['0', 'false', 'no'].includes(String(env.LOG_ARCHIVE || '').toLowerCase()),
+      hour: env.LOG_RETENTION_HOUR !== undefined ? (parseInt(env.LOG_RETENTION_HOUR) || 0) : 3
+    },
+    // 请求抓包（调试用）默认配置，管理面板中修改后保存到数据库
+    capture: {
+      enabled: ['1', 'true', 'yes'].includes(String(env.CAPTURE_ENABLED || '').toLowerCase()),
+      sampleRate: env.CAPTURE_SAMPLE_RATE !== undefined ? (parseFloat(env.CAPTURE_SAMPLE_RATE) || 0) : 1,
+      maxBodyBytes: parseInt(env.CAPTURE_MAX_BODY_BYTES) || 256 * 1024,
+      ttlHours: parseInt(env.CAPTURE_TTL_HOURS) || 24
+    },
+    // 就绪检查（/health/ready）阈值
+    health: {
+      minActiveAccounts: env.HEALTH_MIN_ACTIVE_ACCOUNTS !== undefined ? (parseInt(env.HEALTH_MIN_ACTIVE_ACCOUNTS) || 0) : 1,
+      windowSecs: parseInt(env.HEALTH_WINDOW_SECS) || 300,
+      minSuccessRatio: env.HEALTH_MIN_SUCCESS_RATIO !== undefined ? (parseFloat(env.HEALTH_MIN_SUCCESS_RATIO) || 0) : 0.5,
+      minSamples: parseInt(env.HEALTH_MIN_SAMPLES) || 10
+    },
+    // 优雅关闭：就绪检查失败后等待 drainDelayMs 再停止接受请求，进行中的请求最多等待 timeoutMs
+    // 两者之和需小于进程管理器的强制结束时间（PM2 kill_timeout / docker stop_grace_period，默认均为 30 秒）
+    shutdown: {
+      timeoutMs: (parseInt(env.SHUTDOWN_TIMEOUT_SECS) || 20) * 1000,
+      drainDelayMs: (env.SHUTDOWN_DRAIN_DELAY_SECS !== undefined ? (parseInt(env.SHUTDOWN_DRAIN_DELAY_SECS) || 0) : 5) * 1000
+    },
+    // Prometheus 指标（/metrics），设置 token 后需 Bearer 认证
+    metrics: {
+      token: env.METRICS_TOKEN || ''
+    },
+    // 管理面板实时事件（/api/events）
+    events: {
+      heartbeatMs: (parseInt(env.EVENTS_HEARTBEAT_SECS) || 15) * 1000,
+      bufferSize: parseInt(env.EVENTS_BUFFER_SIZE) || 500
+    },
+    // 上游地址（用于测试或自建转发），留空时使用官方地址
+    upstream: {
+      apiBaseUrl: normalizeBaseUrl(env.KIRO_API_BASE_URL),
+      socialAuthBaseUrl: normalizeBaseUrl(env.KIRO_AUTH_BASE_URL),
+      idcAuthBaseUrl: normalizeBaseUrl(env.KIRO_OIDC_BASE_URL),
+      usageBaseUrl: normalizeBaseUrl(env.KIRO_USAGE_BASE_URL)
+    }
+  };
+}
@@ -0,0 +1,46 @@
+/**
+ * 账号限流冷却时长
+ * 连续触发限流时按指数退避延长冷却（成功请求后重置），
+ * 上游返回 Retry-After 时以其为准，两者都不超过 maxMs
+ */
+
+const DEFAULT_POLICY = {
+  baseMs: 5 * 60 * 1000,
+  maxMs: 60 * 60 * 1000,
+  multiplier: 2
+};
+
+/**
+ * 解析 Retry-After 响应头（秒数或 HTTP 日期）
+ * @param {string|null} value
+ * @param {number} [now]
+ * @returns {number|null} 毫秒，无法解析时为 null
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * 1000);
+  }
+
+  const date = Date.parse(text);
+  if (Number.isNaN(date)) return null;
+  return Math.max(0, date - now);
+}
+
+/**
+ * 计算本次冷却时长
+ * @param {number} level - 此前连续进入冷却的次数（首次为 0）
+ * @param {number|null} retryAfterMs - 上游建议的等待时间
+ * @param {{baseMs: number, maxMs: number, multiplier: number}} [policy]
+ * @returns {number} 毫秒
+ */
+export function computeCooldownMs(level, retryAfterMs, policy = DEFAULT_POLICY) {
+  const { baseMs, maxMs, multiplier } = { ...DEFAULT_POLICY, ...policy };
+  if (typeof retryAfterMs === 'number' && retryAfterMs > 0) {
+    return Math.min(maxMs, retryAfterMs);
+  }
+  return Math.min(maxMs, baseMs * Math.pow(multiplier, Math.max(0, level)));
+}
@@ -2,6 +2,23 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
 
+// API 密钥用量的统计周期：本地时间的自然日（YYYY-MM-DD）与自然月（YYYY-MM）
+function usagePeriods(date = new Date()) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return { day: `${y}-${m}-${d}`, month: `${y}-${m}` };
+}
+
+/**
+ * 代码引用以 JSON 字符串保存在 request_logs.code_references，没有引用时为 null
+ * @param {Array} [references]
+ * @returns {string|null}
+ */
+export function serializeCodeReferences(references) {
+  return Array.isArray(references) && references.length > 0 ? JSON.stringify(references) : null;
+}
+
 export class DatabaseManager {
   constructor(config) {
     this.config = config;
@@ -47,8 +64,19 @@ export class DatabaseManager {
       )
     `);
 
+    // 请求抓包表（调试用，按 request_id 关联 request_logs，到期自动删除）
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS captures (
+        request_id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      )
+    `);
+
     // 创建索引以优化查询性能
     this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_captures_expires_at ON captures(expires_at);
       CREATE INDEX IF NOT EXISTS idx_timestamp ON request_logs(timestamp);
       CREATE INDEX IF NOT EXISTS idx_account_id ON request_logs(account_id);
       CREATE INDEX IF NOT EXISTS idx_model ON request_logs(model);
@@ -196,11 +224,19 @@ export class DatabaseManager {
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_api_keys_name ON api_keys(name);
       CREATE INDEX IF NOT EXISTS idx_request_logs_api_key ON request_logs(api_key);
+      CREATE INDEX IF NOT EXISTS idx_request_logs_api_key_timestamp ON request_logs(api_key, timestamp);
+      CREATE INDEX IF NOT EXISTS idx_request_logs_timestamp_id ON request_logs(timestamp, id);
+      CREATE INDEX IF NOT EXISTS idx_request_logs_request_id ON request_logs(request_id);
     `);
 
     console.log('✓ 数据库表结构创建完成');
   }
 
+  // 检查表是否存在
+  _tableExists(table) {
+    return Boolean(this.db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table));
+  }
+
   // 检查表中是否存在指定列
   _columnExists(table, column) {
     const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
@@ -229,6 +265,119 @@ export class DatabaseManager {
       this.db.exec(`ALTER TABLE request_logs ADD COLUMN upstream_model TEXT`);
     }
 
+    // 为 request_logs 表添加 attempt 字段（故障转移时的尝试序号，从 1 开始）
+    if (!this._columnExists('request_logs', 'attempt')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN attempt INTEGER DEFAULT 1`);
+    }
+
+    // 为 request_logs 表添加 request_id 字段（同一请求的多次尝试共用，关联抓包数据）
+    if (!this._columnExists('request_logs', 'request_id')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN request_id TEXT`);
+    }
+
+    // 为 request_logs 表添加 error_category 字段（失败请求的错误分类）
+    if (!this._columnExists('request_logs', 'error_category')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN error_category TEXT`);
+    }
+
+    // 为 request_logs 表添加 credits 字段（Kiro meteringEvent 返回的计量）
+    if (!this._columnExists('request_logs', 'credits')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN credits REAL`);
+    }
+
+    // 为 request_logs 表添加输入 token 的本地估算值与上游换算值（input_tokens 为两者取较大值）
+    if (!this._columnExists('request_logs', 'input_tokens_estimated')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN input_tokens_estimated INTEGER`);
+    }
+    if (!this._columnExists('request_logs', 'input_tokens_upstream')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN input_tokens_upstream INTEGER`);
+    }
+
+    // 为 request_logs 表添加 code_references 字段（生成代码的许可证引用，JSON 数组）
+    if (!this._columnExists('request_logs', 'code_references')) {
+      this.db.exec(`ALTER TABLE request_logs ADD COLUMN code_references TEXT`);
+    }
+
+    // 为 accounts 表添加 status_reason 字段（失效/禁用原因）
+    if (!this._columnExists('accounts', 'status_reason')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN status_reason TEXT`);
+    }
+
+    // 为 accounts 表添加调度权重与优先级字段
+    if (!this._columnExists('accounts', 'weight')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN weight INTEGER DEFAULT 1`);
+    }
+    if (!this._columnExists('accounts', 'priority')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN priority INTEGER DEFAULT 0`);
+    }
+
+    // 为 accounts 表添加冷却结束时间与连续冷却次数（限流退避，重启后恢复）
+    if (!this._columnExists('accounts', 'cooldown_until')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN cooldown_until TEXT`);
+    }
+    if (!this._columnExists('accounts', 'cooldown_level')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN cooldown_level INTEGER DEFAULT 0`);
+    }
+
+    // 为 accounts 表添加最近一次错误（JSON：category、message）与时间
+    if (!this._columnExists('accounts', 'last_error')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN last_error TEXT`);
+    }
+    if (!this._columnExists('accounts', 'last_error_at')) {
+      this.db.exec(`ALTER TABLE accounts ADD COLUMN last_error_at TEXT`);
+    }
+
+    // 为 settings 表添加账号选择策略字段
+    if (!this._columnExists('settings', 'strategy')) {
+      this.db.exec(`ALTER TABLE settings ADD COLUMN strategy TEXT`);
+    }
+
+    // 为 settings 表添加抓包配置字段（JSON）
+    if (!this._columnExists('settings', 'capture_config')) {
+      this.db.exec(`ALTER TABLE settings ADD COLUMN capture_config TEXT`);
+    }
+
+    // 为 api_keys 表添加配额相关字段
+    const apiKeyColumns = {
+      enabled: 'INTEGER DEFAULT 1',
+      rpm_limit: 'INTEGER',
+      daily_token_limit: 'INTEGER',
+      monthly_token_limit: 'INTEGER',
+      allowed_models: 'TEXT',
+      expires_at: 'TEXT'
+    };
+    for (const [column, type] of Object.entries(apiKeyColumns)) {
+      if (!this._columnExists('api_keys', column)) {
+        this.db.exec(`ALTER TABLE api_keys ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    // API 密钥用量计数表：按统计周期累计 token，配额检查只需按主键读取；
+    // 日志保留策略只清理 request_logs，不影响已累计的用量
+    if (!this._tableExists('api_key_usage')) {
+      this.db.exec(`
+        CREATE TABLE api_key_usage (
+          api_key TEXT NOT NULL,
+          period TEXT NOT NULL,
+          tokens INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (api_key, period)
+        )
+      `);
+
+      // 从现有日志回填本日与本月用量
+      const now = new Date();
+      const { day, month } = usagePeriods(now);
+      const backfill = this.db.prepare(`
+        INSERT INTO api_key_usage (api_key, period, tokens)
+        SELECT api_key, ?, SUM(input_tokens + output_tokens)
+        FROM request_logs
+        WHERE api_key IS NOT NULL AND timestamp >= ?
+        GROUP BY api_key
+      `);
+      backfill.run(day, new Date(now.getFullYear(), now.getMonth(), now.getDate()).toISOString());
+      backfill.run(month, new Date(now.getFullYear(), now.getMonth(), 1).toISOString());
+    }
+
     // 兼容旧字段：如果存在 downstream_model，迁移到 upstream_model
     if (this._columnExists('request_logs', 'downstream_model')) {
       try {
@@ -239,16 +388,28 @@ export class DatabaseManager {
     }
   }
 
-  // 插入请求日志
+  // 插入请求日志，同时累计 API 密钥用量
   insertLog(log) {
+    return this.db.transaction(() => {
+      const id = this._insertLogRow(log);
+      const tokens = (log.inputTokens || 0) + (log.outputTokens || 0);
+      if (log.apiKey && tokens > 0) {
+        this.addApiKeyUsage(log.apiKey, tokens, new Date(log.timestamp));
+      }
+      return id;
+    })();
+  }
+
+  _insertLogRow(log) {
     const stmt = this.db.prepare(`
       INSERT INTO request_logs (
         timestamp, account_id, account_name, model,
-        input_tokens, output_tokens, duration_ms, success, error_message, api_key, stream, upstream_model
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        input_tokens, output_tokens, duration_ms, success, error_message, api_key, stream, upstream_model,
+        attempt, request_id, error_category, credits, input_tokens_estimated, input_tokens_upstream, code_references
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(
+    const result = stmt.run(
       log.timestamp,
       log.accountId,
       log.accountName,
@@ -260,8 +421,48 @@ export class DatabaseManager {
       log.errorMessage || null,
       log.apiKey || null,
       log.stream !== undefined ? (log.stream ? 1 : 0) : null,
-      log.upstreamModel || null
+      log.upstreamModel || null,
+      log.attempt || 1,
+      log.requestId || null,
+      log.errorCategory || null,
+      typeof log.credits === 'number' ? log.credits : null,
+      Number.isInteger(log.inputTokensEstimated) ? log.inputTokensEstimated : null,
+      Number.isInteger(log.inputTokensUpstream) ? log.inputTokensUpstream : null,
+      serializeCodeReferences(log.codeReferences)
     );
+    return Number(result.lastInsertRowid);
+  }
+
+  // 按 ID 获取单条日志（字段与 getRecentLogs 一致）
+  getLogById(id) {
+    const stmt = this.db.prepare(`
+      SELECT
+        rl.id,
+        rl.timestamp,
+        rl.account_id as accountId,
+        rl.account_name as accountName,
+        rl.model,
+        rl.upstream_model as upstreamModel,
+        rl.input_tokens as inputTokens,
+        rl.input_tokens_estimated as inputTokensEstimated,
+        rl.input_tokens_upstream as inputTokensUpstream,
+        rl.output_tokens as outputTokens,
+        rl.duration_ms as durationMs,
+        rl.success,
+        rl.error_message as errorMessage,
+        rl.error_category as errorCategory,
+        rl.credits,
+        rl.code_references as codeReferences,
+        rl.stream,
+        rl.attempt,
+        rl.request_id as requestId,
+        EXISTS (SELECT 1 FROM captures c WHERE c.request_id = rl.request_id) as hasCapture,
+        ak.name as apiKeyName
+      FROM request_logs rl
+      LEFT JOIN api_keys ak ON rl.api_key = ak.key
+      WHERE rl.id = ?
+    `);
+    return stmt.get(id) || null;
   }
 
   // 获取最近的日志（分页）
@@ -275,12 +476,20 @@ export class DatabaseManager {
         rl.model,
         rl.upstream_model as upstreamModel,
         rl.input_tokens as inputTokens,
+        rl.input_tokens_estimated as inputTokensEstimated,
+        rl.input_tokens_upstream as inputTokensUpstream,
         rl.output_tokens as outputTokens,
         rl.duration_ms as durationMs,
         rl.success,
         rl.error_message as errorMessage,
+        rl.error_category as errorCategory,
+        rl.credits,
+        rl.code_references as codeReferences,
         rl.stream,
-        COALESCE(ak.name, NULL) as apiKeyName
+        rl.attempt,
+        rl.request_id as requestId,
+        EXISTS (SELECT 1 FROM captures c WHERE c.request_id = rl.request_id) as hasCapture,
+        ak.name as apiKeyName
       FROM request_logs rl
       LEFT JOIN api_keys ak ON rl.api_key = ak.key
       ORDER BY rl.timestamp DESC
@@ -290,8 +499,147 @@ export class DatabaseManager {
     return stmt.all(limit, offset);
   }
 
-  // 获取日志统计信息
-  getLogStats() {
+  /**
+   * 将日志筛选条件转换为 WHERE 子句
+   * @param {object} filters
+   * @param {string} [filters.from] - 起始时间（ISO，含）
+   * @param {string} [filters.to] - 结束时间（ISO，不含）
+   * @param {string} [filters.accountId]
+   * @param {string} [filters.model] - 客户端请求的模型
+   * @param {string} [filters.upstreamModel]
+   * @param {string} [filters.apiKey]
+   * @param {string} [filters.apiKeyName] - 按密钥名称筛选（便于分享链接时不暴露密钥）
+   * @param {boolean} [filters.success]
+   * @param {boolean} [filters.stream]
+   * @param {number} [filters.minDurationMs]
+   * @param {string} [filters.q] - 错误信息包含的文本
+   * @param {string[]} [filters.failureCategories] - 只保留成功请求与这些错误类别的失败请求
+   * @param {boolean} [filters.finalAttemptOnly] - 排除已切换账号重试的中间尝试，每个请求只保留最后一次尝试
+   */
+  _buildLogFilter(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.from) {
+      conditions.push('rl.timestamp >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('rl.timestamp < ?');
+      params.push(filters.to);
+    }
+    for (const [field, column] of [
+      ['accountId', 'account_id'],
+      ['model', 'model'],
+      ['upstreamModel', 'upstream_model'],
+      ['apiKey', 'api_key']
+    ]) {
+      if (filters[field]) {
+        conditions.push(`rl.${column} = ?`);
+        params.push(filters[field]);
+      }
+    }
+    if (filters.apiKeyName) {
+      conditions.push('rl.api_key IN (SELECT key FROM api_keys WHERE name = ?)');
+      params.push(filters.apiKeyName);
+    }
+    if (filters.success !== undefined) {
+      conditions.push('rl.success = ?');
+      params.push(filters.success ? 1 : 0);
+    }
+    if (filters.stream !== undefined) {
+      conditions.push('rl.stream = ?');
+      params.push(filters.stream ? 1 : 0);
+    }
+    if (filters.minDurationMs !== undefined) {
+      conditions.push('rl.duration_ms >= ?');
+      params.push(filters.minDurationMs);
+    }
+    if (filters.q) {
+      conditions.push("rl.error_message LIKE ? ESCAPE '\\'");
+      params.push(`%${filters.q.replace(/[\\%_]/g, c => '\\' + c)}%`);
+    }
+    if (Array.isArray(filters.failureCategories)) {
+      conditions.push(`(rl.success = 1 OR rl.error_category IN (${filters.failureCategories.map(() => '?').join(', ')}))`);
+      params.push(...filters.failureCategories);
+    }
+    if (filters.finalAttemptOnly) {
+      conditions.push('NOT EXISTS (SELECT 1 FROM request_logs later WHERE later.request_id = rl.request_id AND later.attempt > rl.attempt)');
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * 按条件查询日志，按时间排序（同一时间按 ID）
+   * 提供 cursor 时从游标位置继续（适合深分页），否则使用 offset
+   * @param {object} filters - 见 _buildLogFilter
+   * @param {object} options
+   * @param {number} [options.limit=20]
+   * @param {number} [options.offset=0]
+   * @param {string} [options.cursor] - 上一页返回的 nextCursor
+   * @param {'asc'|'desc'} [options.order='desc']
+   * @returns {{data: Array, nextCursor: string|null}}
+   */
+  queryLogs(filters = {}, { limit = 20, offset = 0, cursor = null, order = 'desc' } = {}) {
+    const { where, params } = this._buildLogFilter(filters);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const conditions = where ? [where.slice('WHERE '.length)] : [];
+
+    if (cursor) {
+      const comparator = direction === 'ASC' ? '>' : '<';
+      conditions.push(`(rl.timestamp ${comparator} ? OR (rl.timestamp = ? AND rl.id ${comparator} ?))`);
+      params.push(cursor.timestamp, cursor.timestamp, cursor.id);
+    }
+
+    const stmt = this.db.prepare(`
+      SELECT
+        rl.id,
+        rl.timestamp,
+        rl.account_id as accountId,
+        rl.account_name as accountName,
+        rl.model,
+        rl.upstream_model as upstreamModel,
+        rl.input_tokens as inputTokens,
+        rl.input_tokens_estimated as inputTokensEstimated,
+        rl.input_tokens_upstream as inputTokensUpstream,
+        rl.output_tokens as outputTokens,
+        rl.duration_ms as durationMs,
+        rl.success,
+        rl.error_message as errorMessage,
+        rl.error_category as errorCategory,
+        rl.credits,
+        rl.code_references as codeReferences,
+        rl.stream,
+        rl.attempt,
+        rl.request_id as requestId,
+        EXISTS (SELECT 1 FROM captures c WHERE c.request_id = rl.request_id) as hasCapture,
+        ak.name as apiKeyName
+      FROM request_logs rl
+      LEFT JOIN api_keys ak ON rl.api_key = ak.key
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY rl.timestamp ${direction}, rl.id ${direction}
+      LIMIT ? OFFSET ?
+    `);
+
+    // 多取一条用于判断是否还有下一页
+    const rows = stmt.all(...params, limit + 1, cursor ? 0 : offset);
+    const hasMore = rows.length > limit;
+    const data = hasMore ? rows.slice(0, limit) : rows;
+    const last = data[data.length - 1];
+
+    return {
+      data,
+      nextCursor: hasMore ? { timestamp: last.timestamp, id: last.id } : null
+    };
+  }
+
+  // 获取日志统计信息（可按条件筛选，条件见 _buildLogFilter）
+  getLogStats(filters = {}) {
+    const { where, params } = this._buildLogFilter(filters);
     const stmt = this.db.prepare(`
       SELECT 
         COUNT(*) as totalLogs,
@@ -299,10 +647,31 @@ export class DatabaseManager {
         SUM(output_tokens) as totalOutputTokens,
         SUM(CASE WHEN success = 1 THEN 1 ELSE 0 END) as successCount,
         SUM(CASE WHEN success = 0 THEN 1 ELSE 0 END) as failureCount
-      FROM request_logs
+      FROM request_logs rl
+      ${where}
     `);
 
-    return stmt.get();
+    return stmt.get(...params);
+  }
+
+  /**
+   * 检查数据库是否可写：短暂获取写锁后立即回滚
+   * 临时缩短 busy_timeout，数据库被锁时尽快失败，避免长时间阻塞事件循环
+   * @returns {{ok: boolean, error?: string}}
+   */
+  checkWritable(timeoutMs = 200) {
+    const previous = this.db.pragma('busy_timeout', { simple: true });
+    try {
+      this.db.pragma(`busy_timeout = ${timeoutMs}`);
+      this.db.exec('BEGIN IMMEDIATE');
+      this.db.exec('ROLLBACK');
+      return { ok: true };
+    } catch (e) {
+      if (this.db.inTransaction) this.db.exec('ROLLBACK');
+      return { ok: false, error: e.message };
+    } finally {
+      this.db.pragma(`busy_timeout = ${previous}`);
+    }
   }
 
   // 清空所有日志
@@ -311,6 +680,63 @@ export class DatabaseManager {
     this.db.exec('VACUUM'); // 回收空间
   }
 
+  /**
+   * 计算日志保留策略对应的删除条件（在开始归档时固定下来，归档期间新写入的日志不受影响）
+   * @param {object} policy
+   * @param {string} [policy.cutoff] - 早于该时间（ISO）的日志过期
+   * @param {number} [policy.maxRows] - 只保留最新的 N 条
+   * @returns {{where: string, params: Array}|null} 没有需要删除的日志时返回 null
+   */
+  getLogRetentionCondition({ cutoff = null, maxRows = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (cutoff) {
+      conditions.push('timestamp < ?');
+      params.push(cutoff);
+    }
+
+    if (maxRows > 0) {
+      // 第 maxRows 条最新日志之前的日志都超出保留数量
+      const boundary = this.db.prepare(`
+        SELECT timestamp, id FROM request_logs
+        ORDER BY timestamp DESC, id DESC
+        LIMIT 1 OFFSET ?
+      `).get(maxRows - 1);
+      if (boundary) {
+        conditions.push('(timestamp < ? OR (timestamp = ? AND id < ?))');
+        params.push(boundary.timestamp, boundary.timestamp, boundary.id);
+      }
+    }
+
+    if (conditions.length === 0) return null;
+    return { where: conditions.join(' OR '), params };
+  }
+
+  // 按 ID 顺序分批读取待归档的日志（完整字段）
+  getLogsForArchive(condition, afterId = 0, limit = 1000) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM request_logs
+      WHERE (${condition.where}) AND id > ?
+      ORDER BY id
+      LIMIT ?
+    `);
+    return stmt.all(...condition.params, afterId, limit);
+  }
+
+  // 删除已归档的日志（ID 不超过 maxId 且满足保留条件）
+  deleteArchivedLogs(condition, maxId) {
+    const stmt = this.db.prepare(`
+      DELETE FROM request_logs
+      WHERE (${condition.where}) AND id <= ?
+    `);
+    const result = stmt.run(...condition.params, maxId);
+    if (result.changes > 0) {
+      this.db.exec('VACUUM');
+    }
+    return result.changes;
+  }
+
   // 自动清理旧日志（保留最近 N 条）
   cleanupOldLogs(keepCount = 100000) {
     const stmt = this.db.prepare(`
@@ -515,6 +941,13 @@ export class DatabaseManager {
         error_count as errorCount,
         created_at as createdAt,
         last_used_at as lastUsedAt,
+        status_reason as statusReason,
+        weight,
+        priority,
+        cooldown_until as cooldownUntil,
+        cooldown_level as cooldownLevel,
+        last_error as lastError,
+        last_error_at as lastErrorAt,
         usage
       FROM accounts
       ORDER BY created_at DESC
@@ -534,6 +967,13 @@ export class DatabaseManager {
         error_count as errorCount,
         created_at as createdAt,
         last_used_at as lastUsedAt,
+        status_reason as statusReason,
+        weight,
+        priority,
+        cooldown_until as cooldownUntil,
+        cooldown_level as cooldownLevel,
+        last_error as lastError,
+        last_error_at as lastErrorAt,
         usage
       FROM accounts
       WHERE id = ?
@@ -546,8 +986,8 @@ export class DatabaseManager {
     const stmt = this.db.prepare(`
       INSERT INTO accounts (
         id, name, credentials, status, request_count, error_count,
-        created_at, last_used_at, usage
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        created_at, last_used_at, usage, weight, priority
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -559,7 +999,9 @@ export class DatabaseManager {
       account.errorCount || 0,
       account.createdAt,
       account.lastUsedAt || null,
-      account.usage ? JSON.stringify(account.usage) : null
+      account.usage ? JSON.stringify(account.usage) : null,
+      account.weight ?? 1,
+      account.priority ?? 0
     );
   }
 
@@ -588,6 +1030,38 @@ export class DatabaseManager {
       fields.push('usage = ?');
       values.push(updates.usage ? JSON.stringify(updates.usage) : null);
     }
+    if (updates.credentials !== undefined) {
+      fields.push('credentials = ?');
+      values.push(JSON.stringify(updates.credentials));
+    }
+    if (updates.statusReason !== undefined) {
+      fields.push('status_reason = ?');
+      values.push(updates.statusReason);
+    }
+    if (updates.weight !== undefined) {
+      fields.push('weight = ?');
+      values.push(updates.weight);
+    }
+    if (updates.priority !== undefined) {
+      fields.push('priority = ?');
+      values.push(updates.priority);
+    }
+    if (updates.cooldownUntil !== undefined) {
+      fields.push('cooldown_until = ?');
+      values.push(updates.cooldownUntil);
+    }
+    if (updates.cooldownLevel !== undefined) {
+      fields.push('cooldown_level = ?');
+      values.push(updates.cooldownLevel);
+    }
+    if (updates.lastError !== undefined) {
+      fields.push('last_error = ?');
+      values.push(updates.lastError ? JSON.stringify(updates.lastError) : null);
+    }
+    if (updates.lastErrorAt !== undefined) {
+      fields.push('last_error_at = ?');
+      values.push(updates.lastErrorAt);
+    }
 
     if (fields.length === 0) return;
 
@@ -630,7 +1104,7 @@ export class DatabaseManager {
 
   // 获取设置
   getSettings() {
-    const stmt = this.db.prepare('SELECT admin_key as adminKey FROM settings WHERE id = 1');
+    const stmt = this.db.prepare('SELECT admin_key as adminKey, strategy FROM settings WHERE id = 1');
     const row = stmt.get();
 
     const keysStmt = this.db.prepare('SELECT key FROM api_keys ORDER BY created_at');
@@ -638,10 +1112,59 @@ export class DatabaseManager {
 
     return {
       adminKey: row?.adminKey || null,
-      apiKeys: keysRows.map(r => r.key)
+      apiKeys: keysRows.map(r => r.key),
+      strategy: row?.strategy || null
     };
   }
 
+  // 更新账号选择策略
+  updateStrategy(strategy) {
+    const stmt = this.db.prepare('UPDATE settings SET strategy = ? WHERE id = 1');
+    stmt.run(strategy);
+  }
+
+  // 获取抓包配置（未设置时返回 null）
+  getCaptureConfig() {
+    const row = this.db.prepare('SELECT capture_config as captureConfig FROM settings WHERE id = 1').get();
+    return row?.captureConfig ? JSON.parse(row.captureConfig) : null;
+  }
+
+  // 更新抓包配置
+  updateCaptureConfig(captureConfig) {
+    const stmt = this.db.prepare('UPDATE settings SET capture_config = ? WHERE id = 1');
+    stmt.run(JSON.stringify(captureConfig));
+  }
+
+  // ==================== 请求抓包 ====================
+
+  insertCapture({ requestId, createdAt, expiresAt, data }) {
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO captures (request_id, created_at, expires_at, data)
+      VALUES (?, ?, ?, ?)
+    `);
+    stmt.run(requestId, createdAt, expiresAt, JSON.stringify(data));
+  }
+
+  // 获取未过期的抓包数据
+  getCapture(requestId, nowIso = new Date().toISOString()) {
+    const row = this.db.prepare(`
+      SELECT request_id as requestId, created_at as createdAt, expires_at as expiresAt, data
+      FROM captures
+      WHERE request_id = ? AND expires_at > ?
+    `).get(requestId, nowIso);
+    if (!row) return null;
+    return { ...row, data: JSON.parse(row.data) };
+  }
+
+  deleteCapture(requestId) {
+    return this.db.prepare('DELETE FROM captures WHERE request_id = ?').run(requestId).changes > 0;
+  }
+
+  // 删除过期的抓包数据
+  deleteExpiredCaptures(nowIso = new Date().toISOString()) {
+    return this.db.prepare('DELETE FROM captures WHERE expires_at <= ?').run(nowIso).changes;
+  }
+
   // 更新管理员密钥
   updateAdminKey(adminKey) {
     const stmt = this.db.prepare(`
@@ -666,10 +1189,51 @@ export class DatabaseManager {
     return result.changes > 0;
   }
 
+  // 更新 API 密钥配额
+  updateApiKeyLimits(key, limits) {
+    const fields = [];
+    const values = [];
+
+    if (limits.enabled !== undefined) {
+      fields.push('enabled = ?');
+      values.push(limits.enabled ? 1 : 0);
+    }
+    if (limits.rpmLimit !== undefined) {
+      fields.push('rpm_limit = ?');
+      values.push(limits.rpmLimit);
+    }
+    if (limits.dailyTokenLimit !== undefined) {
+      fields.push('daily_token_limit = ?');
+      values.push(limits.dailyTokenLimit);
+    }
+    if (limits.monthlyTokenLimit !== undefined) {
+      fields.push('monthly_token_limit = ?');
+      values.push(limits.monthlyTokenLimit);
+    }
+    if (limits.allowedModels !== undefined) {
+      fields.push('allowed_models = ?');
+      values.push(limits.allowedModels && limits.allowedModels.length > 0 ? JSON.stringify(limits.allowedModels) : null);
+    }
+    if (limits.expiresAt !== undefined) {
+      fields.push('expires_at = ?');
+      values.push(limits.expiresAt);
+    }
+
+    if (fields.length === 0) return false;
+
+    values.push(key);
+    const stmt = this.db.prepare(`UPDATE api_keys SET ${fields.join(', ')} WHERE key = ?`);
+    const result = stmt.run(...values);
+    return result.changes > 0;
+  }
+
   // 删除 API 密钥
   removeApiKey(key) {
     const stmt = this.db.prepare('DELETE FROM api_keys WHERE key = ?');
     const result = stmt.run(key);
+    if (result.changes > 0) {
+      this.db.prepare('DELETE FROM api_key_usage WHERE api_key = ?').run(key);
+    }
     return result.changes > 0;
   }
 
@@ -688,8 +1252,59 @@ export class DatabaseManager {
 
   // 列出所有 API 密钥（含详细信息）
   listApiKeysWithDetails() {
-    const stmt = this.db.prepare('SELECT key, name, created_at as createdAt FROM api_keys ORDER BY created_at DESC');
-    return stmt.all();
+    const stmt = this.db.prepare(`
+      SELECT
+        key,
+        name,
+        created_at as createdAt,
+        enabled,
+        rpm_limit as rpmLimit,
+        daily_token_limit as dailyTokenLimit,
+        monthly_token_limit as monthlyTokenLimit,
+        allowed_models as allowedModels,
+        expires_at as expiresAt
+      FROM api_keys
+      ORDER BY created_at DESC
+    `);
+    return stmt.all().map(row => this._parseApiKeyRow(row));
+  }
+
+  // 解析 API 密钥行
+  _parseApiKeyRow(row) {
+    let allowedModels = [];
+    if (row.allowedModels) {
+      try {
+        allowedModels = JSON.parse(row.allowedModels);
+      } catch (e) {
+        allowedModels = [];
+      }
+    }
+    return {
+      ...row,
+      enabled: row.enabled !== 0,
+      allowedModels
+    };
+  }
+
+  // 累计 API 密钥在 date 所在自然日与自然月的 token 用量
+  addApiKeyUsage(key, tokens, date = new Date()) {
+    const stmt = this.db.prepare(`
+      INSERT INTO api_key_usage (api_key, period, tokens) VALUES (?, ?, ?)
+      ON CONFLICT(api_key, period) DO UPDATE SET tokens = tokens + excluded.tokens
+    `);
+    const { day, month } = usagePeriods(date);
+    stmt.run(key, day, tokens);
+    stmt.run(key, month, tokens);
+  }
+
+  /**
+   * API 密钥在当前自然日或自然月消耗的 token 数
+   * @param {string} key
+   * @param {'day'|'month'} period
+   */
+  getApiKeyTokenUsage(key, period) {
+    const stmt = this.db.prepare('SELECT tokens FROM api_key_usage WHERE api_key = ? AND period = ?');
+    return stmt.get(key, usagePeriods()[period])?.tokens || 0;
   }
 
   // 按 API 密钥统计
@@ -1038,9 +1653,14 @@ export class DatabaseManager {
     return null;
   }
 
+  // 数据库连接是否仍可用（close 之后为 false）
+  isOpen() {
+    return Boolean(this.db?.open);
+  }
+
   // 关闭数据库连接
   close() {
-    if (this.db) {
+    if (this.isOpen()) {
       this.db.close();
       console.log('✓ 数据库连接已关闭');
     }
@@ -0,0 +1,140 @@
+/**
+ * 上游错误分类
+ * 根据 Kiro 响应状态码与响应体（__type / reason / message）判断错误类别，
+ * 类别决定对账号的处理、是否换账号重试以及返回给客户端的状态码
+ */
+
+import { KiroApiError, InvalidRequestError } from './kiro-client.js';
+import { TokenRefreshError } from './token.js';
+
+// 错误类别 -> { action: 对账号的处理, status: 返回客户端的状态码, label }
+// 账号侧的错误（限流、额度、封禁、Token）不透传上游的 401/403，避免客户端误以为自己的 API 密钥无效
+//   cooldown   进入限流冷却（指数退避 / Retry-After）
+//   exhaust    标记额度用尽，到 usage.nextReset 自动恢复
+//   invalidate 标记账号失效
+//   refresh    丢弃当前 access token，下次使用前重新刷新
+//   count      只累计错误数
+//   none       客户端请求错误或客户端主动断开，不计入账号
+export const ERROR_CATEGORIES = {
+  throttled: { action: 'cooldown', status: 429, label: '上游限流' },
+  quota_exhausted: { action: 'exhaust', status: 429, label: '额度用尽' },
+  account_suspended: { action: 'invalidate', status: 502, label: '账号被封禁' },
+  invalid_token: { action: 'refresh', status: 502, label: 'Token 无效' },
+  bad_request: { action: 'none', status: 400, label: '请求错误' },
+  cancelled: { action: 'none', status: 499, label: '客户端断开' },
+  upstream_error: { action: 'count', status: 502, label: '上游错误' },
+  network_error: { action: 'count', status: 502, label: '网络错误' },
+  unknown: { action: 'count', status: 500, label: '未知错误' }
+};
+
+const SUSPENDED_PATTERN = /suspend|TEMPORARILY_SUSPENDED|banned|account.{0,20}(locked|blocked|disabled)/i;
+// 只匹配 Kiro 明确的额度标记：额度用尽会让账号停用到 usage.nextReset，普通限流或输入过长的提示不能误判
+const QUOTA_PATTERN = /MONTHLY_REQUEST_COUNT|ServiceQuotaExceeded|OVERAGE/;
+const THROTTLING_PATTERN = /ThrottlingException|TooManyRequests|too many requests|rate.?exceeded|rate.?limit/i;
+const INVALID_TOKEN_PATTERN = /bearer token|ExpiredToken|InvalidToken|UnrecognizedClient|invalid.?(access.?)?token|token.{0,20}expired/i;
+const BAD_REQUEST_PATTERN = /ValidationException|Improperly formed|CONTENT_LENGTH_EXCEEDS|Input is too long|SerializationException/i;
+
+// 透传上游状态码的类别
+const PASSTHROUGH_STATUS_CATEGORIES = ['bad_request', 'upstream_error'];
+
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// 本地参数校验抛出的普通 Error
+const LOCAL_BAD_REQUEST_PATTERN = /不支持的模型|消息数组不能为空/;
+
+/**
+ * 对错误分类
+ * @param {Error} error
+ * @returns {{category: string, action: string, status: number, retryAfterMs: number|null, upstreamStatus: number|null}}
+ */
+export function classifyError(error) {
+  const category = detectCategory(error);
+  const upstreamStatus = error instanceof KiroApiError ? error.status : null;
+  return {
+    category,
+    action: ERROR_CATEGORIES[category].action,
+        // 只有请求错误与上游自身错误透传上游状态码，其余按类别映射
+    status: (upstreamStatus && PASSTHROUGH_STATUS_CATEGORIES.includes(category))
+      ? upstreamStatus
+      : ERROR_CATEGORIES[category].status,
+    retryAfterMs: error?.retryAfterMs ?? null,
+    upstreamStatus
+  };
+}
+
+function detectCategory(error) {
+  // 客户端断开后由 AbortController 中止上游请求
+  if (error?.name === 'AbortError') return 'cancelled';
+  if (error instanceof InvalidRequestError) return 'bad_request';
+  if (error instanceof KiroApiError) return classifyKiroResponse(error.status, error.responseText);
+  if (error instanceof TokenRefreshError) return 'invalid_token';
+
+  const msg = String(error?.message || '');
+  if (LOCAL_BAD_REQUEST_PATTERN.test(msg)) return 'bad_request';
+
+  const code = error?.code || error?.cause?.code || '';
+  if (NETWORK_ERROR_CODES.includes(code) || error?.name === 'FetchError' ||
+      /ECONN|ETIMEDOUT|socket hang up|Premature close/.test(msg)) {
+    return 'network_error';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * 按状态码与响应体判断 Kiro 错误类别
+ * 响应体中的明确特征优先于状态码（例如额度用尽可能以 429 或 402 返回）
+ * @param {number} status
+ * @param {string} responseText
+ */
+export function classifyKiroResponse(status, responseText = '') {
+  const text = describeResponse(responseText);
+
+  if (SUSPENDED_PATTERN.test(text)) return 'account_suspended';
+  if (status === 402 || QUOTA_PATTERN.test(text)) return 'quota_exhausted';
+  if (status === 429 || THROTTLING_PATTERN.test(text)) return 'throttled';
+  if (status === 401 || INVALID_TOKEN_PATTERN.test(text)) return 'invalid_token';
+  if (status === 400 || status === 413 || status === 422 || BAD_REQUEST_PATTERN.test(text)) return 'bad_request';
+  // 其他 403 多为 access token 失效（AccessDeniedException）
+  if (status === 403) return 'invalid_token';
+  if (status >= 500) return 'upstream_error';
+  return 'unknown';
+}
+
+// 把 JSON 响应体中的 __type / reason / message 拼在一起匹配，非 JSON 时使用原文
+function describeResponse(responseText) {
+  const raw = String(responseText || '');
+  try {
+    const data = JSON.parse(raw);
+    if (data && typeof data === 'object') {
+      return [data.__type, data.reason, data.code, data.message, data.Message].filter(Boolean).join(' ') || raw;
+    }
+  } catch {
+    // 非 JSON
+  }
+  return raw;
+}
+
+/**
+ * 状态码对应的 Anthropic 错误类型
+ * @param {number} status
+ */
+export function inferAnthropicErrorType(status) {
+  if (status === 401) return 'authentication_error';
+  if (status === 429) return 'rate_limit_error';
+  if (status === 503) return 'overloaded_error';
+  if (status >= 400 && status < 500) return 'invalid_request_error';
+  return 'api_error';
+}
+
+/**
+ * 状态码对应的 OpenAI 错误类型
+ * @param {number} status
+ */
+export function inferOpenAIErrorType(status) {
+  if (status === 401) return 'authentication_error';
+  if (status === 403) return 'permission_error';
+  if (status === 429) return 'rate_limit_error';
+  if (status >= 400 && status < 500) return 'invalid_request_error';
+  return 'server_error';
+}
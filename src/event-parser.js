@@ -177,8 +177,15 @@ function parseHeaders(buffer) {
  * 事件流解码器
  */
 export class EventStreamDecoder {
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.onError] - 解码失败时调用（每次重新同步调用一次）
+   */
+  constructor({ onError } = {}) {
+    this.onError = onError;
     this.buffer = Buffer.alloc(0);
+    // 解码失败后逐字节跳过直到重新对齐，期间只计一次失败
+    this.resyncing = false;
   }
 
   /**
@@ -199,6 +206,7 @@ export class EventStreamDecoder {
 
         // 移除已处理的数据
         this.buffer = this.buffer.slice(frame.consumed);
+        this.resyncing = false;
 
         // 处理嵌套帧
         if (frame.nested) {
@@ -208,6 +216,10 @@ export class EventStreamDecoder {
         }
       } catch (e) {
         // 解析错误，跳过一个字节继续
+        if (!this.resyncing) {
+          this.resyncing = true;
+          this.onError?.();
+        }
         this.buffer = this.buffer.slice(1);
       }
     }
@@ -216,18 +228,39 @@ export class EventStreamDecoder {
 
 /**
  * 解析 Kiro 事件
+ * 普通事件返回 { type: ':event-type', data }，常见类型：
+ *   assistantResponseEvent / thinkingEvent / toolUseEvent  响应内容
+ *   contextUsageEvent      上下文使用百分比
+ *   meteringEvent          本次请求的计量（{ unit, usage }）
+ *   codeReferenceEvent     生成代码的许可证引用（{ references }）
+ *   followupPromptEvent    后续提问建议
+ *   invalidStateEvent      会话状态无效（{ reason, message }）
+ * :message-type 为 exception / error 的帧统一返回 { type: 'exception', data: { exceptionType, message, ... } }
  */
 export function parseKiroEvent(frame) {
-  const eventType = frame.headers[':event-type'];
-  
-  if (!frame.payload || frame.payload.length === 0) {
-    return { type: eventType, data: null };
+  const messageType = frame.headers[':message-type'];
+  const data = parsePayload(frame.payload);
+
+  if (messageType === 'exception' || messageType === 'error') {
+    const fields = data && typeof data === 'object' ? data : {};
+    return {
+      type: 'exception',
+      data: {
+        ...fields,
+        exceptionType: frame.headers[':exception-type'] || frame.headers[':error-code'] || fields.__type || 'UnknownException',
+        message: fields.message || fields.Message || frame.headers[':error-message'] || (typeof data === 'string' ? data : '')
+      }
+    };
   }
 
+  return { type: frame.headers[':event-type'], data };
+}
+
+function parsePayload(payload) {
+  if (!payload || payload.length === 0) return null;
   try {
-    const data = JSON.parse(frame.payload.toString('utf8'));
-    return { type: eventType, data };
+    return JSON.parse(payload.toString('utf8'));
   } catch (e) {
-    return { type: eventType, data: frame.payload.toString('utf8') };
+    return payload.toString('utf8');
   }
 }
@@ -0,0 +1,69 @@
+/**
+ * 管理面板实时事件总线
+ * 账号池、请求处理与管理操作发布事件，/api/events 通过 SSE 推送给面板
+ * 保留最近的事件，客户端断线重连时可凭 Last-Event-ID 补发错过的事件
+ */
+
+import { EventEmitter } from 'events';
+
+export class EventBus extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.bufferSize=500] - 保留用于补发的事件数量
+   */
+  constructor({ bufferSize = 500 } = {}) {
+    super();
+    this.setMaxListeners(0);
+    this.bufferSize = bufferSize;
+    this.buffer = [];
+    this.seq = 0;
+    // 每次启动的标识，服务重启后旧的事件 ID 不会被误认为仍可补发
+    this.bootId = Date.now().toString(36);
+  }
+
+  /**
+   * 发布事件
+   * @param {string} type - 事件类型，如 request.finished、account.status
+   * @param {object} [data] - 事件数据
+   * @returns {{id: string, data: object}}
+   */
+  publish(type, data = {}) {
+    this.seq++;
+    const event = {
+      id: `${this.bootId}-${this.seq}`,
+      seq: this.seq,
+      data: { type, timestamp: new Date().toISOString(), ...data }
+    };
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * 获取指定事件 ID 之后的事件
+   * @param {string} lastEventId - 客户端收到的最后一个事件 ID
+   * @returns {Array|null} 无法补发（ID 无效、来自上次启动或已超出缓冲区）时返回 null
+   */
+  since(lastEventId) {
+    const [bootId, seqStr] = String(lastEventId || '').split('-');
+    const seq = parseInt(seqStr);
+    if (bootId !== this.bootId || !Number.isInteger(seq) || seq > this.seq) {
+      return null;
+    }
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.seq + 1;
+    if (seq < oldest - 1) {
+      return null;
+    }
+    return this.buffer.filter(e => e.seq > seq);
+  }
+}
+
+/**
+ * 将事件格式化为 SSE 消息
+ */
+export function formatSSE(event) {
+  return `id: ${event.id}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
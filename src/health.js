@@ -0,0 +1,75 @@
+/**
+ * 健康检查
+ * 存活检查只说明进程在运行；就绪检查逐项检查数据库可写、可用账号数量、
+ * 最近的上游成功率与 tokenizer，任一项不满足或服务正在关闭时整体为 degraded
+ */
+
+import { isTokenizerAvailable } from './tokenizer.js';
+import { ERROR_CATEGORIES } from './error-classifier.js';
+
+// 计入上游成功率的失败类别：上游或账号导致的错误（不含客户端请求错误与客户端断开）
+const UPSTREAM_FAILURE_CATEGORIES = Object.keys(ERROR_CATEGORIES)
+  .filter(category => ERROR_CATEGORIES[category].action !== 'none');
+
+/**
+ * 执行就绪检查
+ * @param {object} state - 共享状态
+ * @returns {{status: 'ok'|'degraded', checks: object}}
+ */
+export function checkReadiness(state) {
+  const { health } = state.config;
+  const checks = {};
+
+  // 优雅关闭开始后立即失败，让负载均衡器先摘除本实例
+  if (state.lifecycle?.shuttingDown) {
+    checks.shutdown = { ok: false, inFlight: state.lifecycle.inFlight };
+  }
+
+  checks.database = state.dbManager.checkWritable();
+
+  const stats = state.accountPool.getStats();
+  checks.accounts = {
+    ok: stats.active >= health.minActiveAccounts,
+    active: stats.active,
+    cooldown: stats.cooldown,
+    exhausted: stats.exhausted,
+    invalid: stats.invalid,
+    disabled: stats.disabled,
+    required: health.minActiveAccounts
+  };
+
+  checks.upstream = checkUpstream(state);
+
+  checks.tokenizer = { ok: isTokenizerAvailable() };
+
+  const ok = Object.values(checks).every(c => c.ok);
+  return { status: ok ? 'ok' : 'degraded', checks };
+}
+
+/**
+ * 最近一段时间内上游请求的成功率，样本不足时不判定为失败
+ * 每个请求只统计最后一次尝试，失败只统计上游或账号导致的错误
+ */
+function checkUpstream(state) {
+  const { windowSecs, minSuccessRatio, minSamples } = state.config.health;
+  const since = new Date(Date.now() - windowSecs * 1000).toISOString();
+  try {
+    const { totalLogs, successCount } = state.dbManager.getLogStats({
+      from: since,
+      failureCategories: UPSTREAM_FAILURE_CATEGORIES,
+      finalAttemptOnly: true
+    });
+    const total = totalLogs || 0;
+    const successRatio = total > 0 ? (successCount || 0) / total : null;
+    return {
+      ok: total < minSamples || successRatio >= minSuccessRatio,
+      successRatio,
+      samples: total,
+      windowSecs,
+      minSuccessRatio,
+      minSamples
+    };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * URL 图片下载
+ * 请求中 URL 类型的图片在调用上游前下载为 base64，一个请求只下载一次（跨账号重试时复用）。
+ * 图片 URL 由客户端提供，默认拒绝指向本机、内网与链路本地地址的 URL（包括重定向后的地址），
+ * 避免代理被用来访问内部服务
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import fetch from 'node-fetch';
+import { InvalidRequestError, DEFAULT_MAX_IMAGE_BYTES, createProxyAgent } from './kiro-client.js';
+
+const MAX_REDIRECTS = 5;
+
+// 不允许访问的地址段（BlockList 对 IPv4 映射的 IPv6 地址同样按 IPv4 规则匹配）
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ['0.0.0.0', 8],        // 本网络
+  ['10.0.0.0', 8],       // RFC1918
+  ['100.64.0.0', 10],    // 运营商级 NAT
+  ['127.0.0.0', 8],      // 回环
+  ['169.254.0.0', 16],   // 链路本地（含云厂商元数据服务 169.254.169.254）
+  ['172.16.0.0', 12],    // RFC1918
+  ['192.0.0.0', 24],     // IETF 协议分配
+  ['192.168.0.0', 16],   // RFC1918
+  ['198.18.0.0', 15],    // 基准测试
+  ['224.0.0.0', 3]       // 组播与保留地址
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [
+  ['::', 127],           // 未指定地址与回环 ::1
+  ['64:ff9b::', 96],     // NAT64
+  ['fc00::', 7],         // 唯一本地地址
+  ['fe80::', 10],        // 链路本地
+  ['ff00::', 8]          // 组播
+]) {
+  BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+/**
+ * 是否为本机、内网、链路本地等不允许访问的地址
+ * @param {string} address - IP 地址
+ * @returns {boolean}
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// 校验解析结果的 DNS lookup，连接时使用，避免检查后 DNS 结果变化（DNS rebinding）
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} 解析到内网地址`), { code: 'EPRIVATEADDRESS' }));
+    }
+    if (options?.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const safeHttpAgent = new http.Agent({ lookup: safeLookup });
+const safeHttpsAgent = new https.Agent({ lookup: safeLookup });
+
+// 每一跳请求前检查目标主机（IP 字面量不经过 DNS lookup）
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.promises.lookup(host, { all: true }).catch(() => [])).map(a => a.address);
+  if (addresses.length === 0) {
+    throw new InvalidRequestError(`下载图片失败: 无法解析主机 ${host}`);
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new InvalidRequestError('图片 URL 指向本机或内网地址，已拒绝');
+  }
+}
+
+/**
+ * 下载单张 URL 图片，返回 base64 source
+ * @param {string} url
+ * @param {object} config - 服务配置（maxImageBytes、allowPrivateImageUrls、proxyUrl）
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal]
+ */
+export async function fetchImageSource(url, config, { signal } = {}) {
+  const dataUrlMatch = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  if (dataUrlMatch) {
+    return { type: 'base64', media_type: dataUrlMatch[1], data: dataUrlMatch[2] };
+  }
+
+  const maxBytes = Number(config.maxImageBytes) || DEFAULT_MAX_IMAGE_BYTES;
+  const allowPrivate = config.allowPrivateImageUrls === true;
+  const proxyAgent = await createProxyAgent(config);
+
+  let current = parseImageUrl(url);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    if (!allowPrivate) await assertPublicHost(current.hostname);
+
+    // 经代理访问时由代理解析目标地址，只能依赖上面的检查
+    const agent = proxyAgent || (allowPrivate ? undefined : (current.protocol === 'https:' ? safeHttpsAgent : safeHttpAgent));
+    try {
+      response = await fetch(current.href, { agent, size: maxBytes + 1, redirect: 'manual', signal });
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      throw new InvalidRequestError(e.code === 'EPRIVATEADDRESS' || e.cause?.code === 'EPRIVATEADDRESS'
+        ? '图片 URL 指向本机或内网地址，已拒绝'
+        : `下载图片失败: ${e.code || e.type || '网络错误'}`);
+    }
+
+    // 逐跳跟随重定向，每一跳重新检查目标地址
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) break;
+    response.body?.resume?.();
+    if (redirects >= MAX_REDIRECTS) {
+      throw new InvalidRequestError('下载图片失败: 重定向次数过多');
+    }
+    current = parseImageUrl(new URL(location, current).href);
+  }
+
+  if (!response.ok) {
+    throw new InvalidRequestError(`下载图片失败: 上游返回 ${response.status}`);
+  }
+
+  const mediaType = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+  let buffer;
+  try {
+    buffer = Buffer.from(await response.arrayBuffer());
+  } catch (e) {
+    if (e.name === 'AbortError') throw e;
+    throw new InvalidRequestError(`图片大小超过上限 ${maxBytes} 字节`);
+  }
+
+  return { type: 'base64', media_type: mediaType, data: buffer.toString('base64') };
+}
+
+// 只接受 http(s) URL
+function parseImageUrl(url) {
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    // 无效 URL
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new InvalidRequestError(`无效的图片 URL: ${String(url).slice(0, 100)}`);
+  }
+  return parsed;
+}
+
+/**
+ * 将请求中 URL 类型的图片下载并替换为 base64（包括 tool_result 内的图片）
+ * 返回新的请求对象，不修改原请求；没有 URL 图片时返回原请求
+ * @param {object} anthropicReq
+ * @param {object} config
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 客户端断开时中止下载
+ * @returns {Promise<object>}
+ */
+export async function resolveImageUrls(anthropicReq, config, { signal } = {}) {
+  const hasUrlImage = (blocks) => Array.isArray(blocks) && blocks.some(b =>
+    (b?.type === 'image' && b.source?.type === 'url') ||
+    (b?.type === 'tool_result' && hasUrlImage(b.content))
+  );
+
+  // messages 格式错误时原样返回，由后续的请求校验返回 400
+  const messages = anthropicReq.messages;
+  if (!Array.isArray(messages) || !messages.some(m => m.role === 'user' && hasUrlImage(m.content))) {
+    return anthropicReq;
+  }
+
+  const resolveBlocks = async (blocks) => {
+    const resolved = [];
+    for (const block of blocks) {
+      if (block?.type === 'image' && block.source?.type === 'url') {
+        resolved.push({ ...block, source: await fetchImageSource(block.source.url, config, { signal }) });
+      } else if (block?.type === 'tool_result' && hasUrlImage(block.content)) {
+        resolved.push({ ...block, content: await resolveBlocks(block.content) });
+      } else {
+        resolved.push(block);
+      }
+    }
+    return resolved;
+  };
+
+  const resolvedMessages = [];
+  for (const msg of messages) {
+    if (msg.role === 'user' && hasUrlImage(msg.content)) {
+      resolvedMessages.push({ ...msg, content: await resolveBlocks(msg.content) });
+    } else {
+      resolvedMessages.push(msg);
+    }
+  }
+
+  return { ...anthropicReq, messages: resolvedMessages };
+}
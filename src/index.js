@@ -1,21 +1,7 @@
 import 'dotenv/config';
-import express from 'express';
-import cors from 'cors';
-import { SettingsManager } from './settings.js';
-import { AccountPool } from './pool.js';
-import { DatabaseManager } from './db.js';
-import { migrateFromJson } from './migrations/001_init.js';
-import { migrateAccounts } from './migrations/002_accounts.js';
-import { migrateSettings } from './migrations/003_settings.js';
-import { migrateModels } from './migrations/004_models.js';
-import { createApiRouter } from './routes/api.js';
-import { createUiRouter } from './routes/ui.js';
-import { createAdminRouter } from './routes/admin.js';
-import { createStatsRouter } from './routes/stats.js';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
+import { loadConfig } from './config.js';
+import { createApp } from './app.js';
+import { gracefulShutdown } from './lifecycle.js';
 
 async function startServer() {
   try {
@@ -25,106 +11,34 @@ async function startServer() {
     console.log('环境变量 PORT:', process.env.PORT);
     console.log('环境变量 NODE_ENV:', process.env.NODE_ENV);
     
-    const app = express();
-    app.use(cors());
-    app.use(express.json({ limit: '50mb' }));
-
     // 配置
-    const config = {
-      port: parseInt(process.env.PORT) || 8080,
-      apiKey: process.env.API_KEY || 'sk-default-key',
-      adminKey: process.env.ADMIN_KEY || 'admin-default-key',
-      dataDir: process.env.DATA_DIR || './data',
-      region: process.env.REGION || 'us-east-1',
-      kiroVersion: process.env.KIRO_VERSION || '0.8.0',
-      proxyUrl: process.env.PROXY_URL || null
-    };
+    const config = loadConfig();
 
     console.log('配置端口:', config.port);
     console.log('正在初始化服务...');
 
-    // 初始化数据库
-    const dbManager = new DatabaseManager(config);
-    await dbManager.init();
-    console.log('✓ 数据库初始化完成');
-
-    // 数据迁移：请求日志
-    const logMigrationResult = await migrateFromJson(dbManager, config.dataDir);
-    if (!logMigrationResult.skipped) {
-      console.log(`✓ 请求日志迁移完成: ${logMigrationResult.migrated} 条记录`);
-    }
-
-    // 数据迁移：账号数据
-    const accountMigrationResult = await migrateAccounts(dbManager, config.dataDir);
-    if (!accountMigrationResult.skipped) {
-      console.log(`✓ 账号迁移完成: ${accountMigrationResult.migrated} 个账号`);
-    }
-
-    // 数据迁移：设置数据
-    const settingsMigrationResult = await migrateSettings(dbManager, config.dataDir);
-    if (!settingsMigrationResult.skipped) {
-      console.log(`✓ 设置迁移完成`);
-    }
-
-    // 数据迁移：模型数据
-    const modelMigrationResult = await migrateModels(dbManager, config.dataDir);
-    if (!modelMigrationResult.skipped) {
-      console.log(`✓ 模型数据迁移完成`);
-    }
-
-    // 初始化设置管理器（传入数据库管理器）
-    const settingsManager = new SettingsManager(config.dataDir, dbManager);
-    await settingsManager.init(config.adminKey, config.apiKey);
-    console.log('✓ 设置管理器初始化完成');
-
-    // 初始化账号池（传入数据库管理器）
-    const accountPool = new AccountPool(config, dbManager);
-    await accountPool.load();
-    console.log('✓ 账号池初始化完成');
-
-    // 启动时间
-    const startTime = Date.now();
-
-    // 共享状态
-    const state = {
-      config,
-      settingsManager,
-      accountPool,
-      dbManager,
-      startTime
-    };
-
-    // 静态文件
-    const publicPath = path.join(__dirname, 'public');
-    console.log('静态文件目录:', publicPath);
-    app.use(express.static(publicPath));
-
-    // API 路由 (需要 API Key 认证)
-    app.use('/v1', createApiRouter(state));
-
-    // 管理 API 路由 (需要 Admin Key 认证)
-    app.use('/api', createAdminRouter(state));
-
-    // 统计 API 路由 (需要 Admin Key 认证)
-    app.use('/api/stats', createStatsRouter(state));
-
-    // UI 路由
-    app.use('/', createUiRouter(state));
+    const { app, state } = await createApp(config);
+    const { logArchiver } = state;
 
-    // 定时清理旧日志（每天凌晨 3 点执行）
+    // 按保留策略归档并清理旧日志（默认每天凌晨 3 点执行）
+    let logCleanupTimer = null;
     const scheduleLogCleanup = () => {
       const now = new Date();
-      const next3AM = new Date(now);
-      next3AM.setHours(3, 0, 0, 0);
-      if (next3AM <= now) {
-        next3AM.setDate(next3AM.getDate() + 1);
+      const nextRun = new Date(now);
+      nextRun.setHours(config.logRetention.hour, 0, 0, 0);
+      if (nextRun <= now) {
+        nextRun.setDate(nextRun.getDate() + 1);
       }
-      const msUntil3AM = next3AM - now;
-      
-      setTimeout(() => {
-        dbManager.cleanupOldLogs(100000); // 保留最近 10 万条
+      const msUntilNextRun = nextRun - now;
+
+      logCleanupTimer = setTimeout(async () => {
+        try {
+          await logArchiver.run();
+        } catch (e) {
+          console.error('日志归档失败，本次未删除任何日志:', e);
+        }
         scheduleLogCleanup(); // 递归调度下一次
-      }, msUntil3AM);
+      }, msUntilNextRun);
     };
     scheduleLogCleanup();
 
@@ -138,7 +52,10 @@ async function startServer() {
       console.log(`   API 端点:`);
       console.log(`     GET  /v1/models`);
       console.log(`     POST /v1/messages`);
+      console.log(`     POST /v1/messages/count_tokens`);
+      console.log(`     POST /v1/chat/completions`);
       console.log(`     GET  /health`);
+      console.log(`     GET  /health/ready`);
       console.log('========================================');
     });
 
@@ -147,6 +64,30 @@ async function startServer() {
       process.exit(1);
     });
 
+    // 优雅关闭：pm2 reload / 容器停止时等待进行中的请求结束后再退出，再次收到信号时立即退出
+    let shuttingDown = false;
+    const shutdown = async (reason) => {
+      if (shuttingDown) {
+        console.warn(`再次收到 ${reason}，立即退出`);
+        process.exit(1);
+      }
+      shuttingDown = true;
+      clearTimeout(logCleanupTimer);
+      try {
+        await gracefulShutdown(server, state, { reason });
+        process.exit(0);
+      } catch (error) {
+        console.error('❌ 优雅关闭失败:', error);
+        process.exit(1);
+      }
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    // pm2 在 shutdown_with_message 模式下发送消息而不是信号
+    process.on('message', (message) => {
+      if (message === 'shutdown') shutdown('pm2 shutdown');
+    });
+
   } catch (error) {
     console.error('❌ 服务启动失败:', error);
     console.error('错误堆栈:', error.stack);
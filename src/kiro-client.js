@@ -1,14 +1,82 @@
 import fetch from 'node-fetch';
 import crypto from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import { parseRetryAfter } from './cooldown.js';
+import { buildThinkingPrefix, formatHistoryThinking } from './thinking.js';
 
 export class KiroApiError extends Error {
-  constructor(status, responseText, requestDebug) {
+  constructor(status, responseText, requestDebug, retryAfterMs = null) {
     super(`Kiro API 错误: ${status} - ${responseText}`);
     this.name = 'KiroApiError';
     this.status = status;
     this.responseText = responseText;
     this.requestDebug = requestDebug;
+    this.retryAfterMs = retryAfterMs; // 上游 Retry-After 响应头（毫秒）
+  }
+}
+
+// 响应流中异常类型对应的状态码（HTTP 响应本身为 200）
+const STREAM_EXCEPTION_STATUS = {
+  ThrottlingException: 429,
+  ServiceQuotaExceededException: 429,
+  ValidationException: 400,
+  InvalidStateException: 400,
+  AccessDeniedException: 403,
+  ResourceNotFoundException: 404,
+  ServiceUnavailableException: 503
+};
+
+/**
+ * 响应流中途收到的异常帧或 invalidStateEvent
+ * 按异常类型映射状态码，响应体与 HTTP 错误格式一致，以便按同样的规则分类
+ */
+export class KiroStreamError extends KiroApiError {
+  constructor(exceptionType, message, data = {}) {
+    const status = STREAM_EXCEPTION_STATUS[exceptionType] || 500;
+    super(status, JSON.stringify({ ...data, __type: exceptionType, message }), null);
+    this.name = 'KiroStreamError';
+    this.exceptionType = exceptionType;
+  }
+}
+
+/**
+ * 客户端请求参数错误（映射为 400 invalid_request_error）
+ */
+export class InvalidRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRequestError';
+    this.status = 400;
+  }
+}
+
+// 支持的图片格式：media type -> Kiro format
+const IMAGE_FORMATS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+// 标准 base64（不含 data URL 前缀与换行）
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// 单张图片默认大小上限（字节）
+export const DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * 创建代理 agent（未配置或模块未安装时返回 undefined）
+ * @param {object} config - 服务配置（proxyUrl）
+ */
+export async function createProxyAgent(config) {
+  if (!config.proxyUrl) return undefined;
+  try {
+    const { HttpsProxyAgent } = await import('https-proxy-agent');
+    return new HttpsProxyAgent(config.proxyUrl);
+  } catch (e) {
+    // 代理模块未安装，忽略
+    return undefined;
   }
 }
 
@@ -147,15 +215,18 @@ export class KiroClient {
   convertRequest(anthropicReq) {
     const modelId = this.mapModel(anthropicReq.model);
     if (!modelId) {
-      throw new Error(`不支持的模型: ${anthropicReq.model}`);
+      throw new InvalidRequestError(`不支持的模型: ${anthropicReq.model}`);
     }
 
     const toolNameMap = new Map();
     const usedToolNames = new Set();
 
     const messages = anthropicReq.messages || [];
+    if (!Array.isArray(messages)) {
+      throw new InvalidRequestError('messages 必须是数组');
+    }
     if (messages.length === 0) {
-      throw new Error('消息数组不能为空');
+      throw new InvalidRequestError('消息数组不能为空');
     }
 
     const conversationId = uuidv4();
@@ -174,11 +245,7 @@ export class KiroClient {
                               messages[messages.length - 1].role === 'assistant';
 
     // 生成 thinking 前缀
-    let thinkingPrefix = null;
-    if (anthropicReq.thinking && anthropicReq.thinking.type === 'enabled') {
-      const budgetTokens = anthropicReq.thinking.budget_tokens || 10000;
-      thinkingPrefix = `<thinking_mode>enabled</thinking_mode><max_thinking_length>${budgetTokens}</max_thinking_length>`;
-    }
+    const thinkingPrefix = buildThinkingPrefix(anthropicReq);
 
     // 构建历史消息
     const history = [];
@@ -259,17 +326,19 @@ export class KiroClient {
     // 处理末尾的 user 消息组作为 current_message
     let currentText = '';
     let allToolResults = [];
+    const currentImages = [];
     
     if (endsWithAssistant) {
       currentText = 'continue';
     } else {
       const textParts = [];
       for (const msg of currentUserMessages) {
-        const { text, toolResults } = this.extractUserContent(msg.content);
+        const { text, toolResults, images } = this.extractUserContent(msg.content);
         if (text) {
           textParts.push(text);
         }
         allToolResults.push(...toolResults);
+        currentImages.push(...images);
       }
       currentText = textParts.join('\n') || 'continue';
     }
@@ -305,6 +374,9 @@ export class KiroClient {
       }
     }
 
+    // Kiro 请求没有 temperature / top_p / top_k / max_tokens / stop_sequences 等采样参数字段，
+    // max_tokens 与 stop_sequences 由 OutputLimiter 在本地对输出执行
+
     // 构建 Kiro 请求 - 注意字段顺序要与 Rust 版本一致
     const kiroRequest = {
       conversationState: {
@@ -323,6 +395,10 @@ export class KiroClient {
       }
     };
 
+    if (currentImages.length > 0) {
+      kiroRequest.conversationState.currentMessage.userInputMessage.images = currentImages;
+    }
+
     if (Object.keys(userInputMessageContext).length > 0) {
       kiroRequest.conversationState.currentMessage.userInputMessage.userInputMessageContext = userInputMessageContext;
     }
@@ -357,25 +433,68 @@ export class KiroClient {
     return '';
   }
 
+  /**
+   * 将 Anthropic image block 转换为 Kiro 图片格式
+   * URL 图片需先通过 image-source.js 的 resolveImageUrls 下载为 base64
+   */
+  convertImageBlock(block) {
+    const source = block.source || {};
+    if (source.type !== 'base64') {
+      throw new InvalidRequestError(`不支持的图片来源类型: ${source.type || 'unknown'}`);
+    }
+
+    const mediaType = String(source.media_type || '').toLowerCase();
+    const format = IMAGE_FORMATS[mediaType];
+    if (!format) {
+      throw new InvalidRequestError(`不支持的图片格式: ${source.media_type || 'unknown'}，仅支持 png、jpeg、gif、webp`);
+    }
+
+    const data = String(source.data || '');
+    if (!data) {
+      throw new InvalidRequestError('图片数据不能为空');
+    }
+    if (!BASE64_PATTERN.test(data)) {
+      throw new InvalidRequestError('图片数据不是有效的 base64');
+    }
+
+    const maxBytes = Number(this.config.maxImageBytes) || DEFAULT_MAX_IMAGE_BYTES;
+    const size = Buffer.byteLength(data, 'base64');
+    if (size > maxBytes) {
+      throw new InvalidRequestError(`图片大小 ${size} 字节超过上限 ${maxBytes} 字节`);
+    }
+
+    return { format, source: { bytes: data } };
+  }
+
   /**
    * 提取用户消息内容
    */
   extractUserContent(content) {
-    if (!content) return { text: '', toolResults: [] };
-    if (typeof content === 'string') return { text: content, toolResults: [] };
+    if (!content) return { text: '', toolResults: [], images: [] };
+    if (typeof content === 'string') return { text: content, toolResults: [], images: [] };
     
     const textParts = [];
     const toolResults = [];
+    const images = [];
     
     for (const block of content) {
       if (block.type === 'text') {
         textParts.push(block.text);
+      } else if (block.type === 'image') {
+        images.push(this.convertImageBlock(block));
       } else if (block.type === 'tool_result') {
-        const resultContent = typeof block.content === 'string' 
-          ? block.content 
-          : (Array.isArray(block.content) 
-              ? block.content.map(c => c.text || '').join('\n')
-              : '');
+        let resultContent = '';
+        if (typeof block.content === 'string') {
+          resultContent = block.content;
+        } else if (Array.isArray(block.content)) {
+          // tool_result 中的图片随当前消息一起发送
+          for (const c of block.content) {
+            if (c.type === 'image') {
+              images.push(this.convertImageBlock(c));
+            }
+          }
+          resultContent = block.content.map(c => c.text || '').join('\n');
+        }
         
         toolResults.push({
           toolUseId: block.tool_use_id,
@@ -387,7 +506,7 @@ export class KiroClient {
       }
     }
     
-    return { text: textParts.join('\n'), toolResults };
+    return { text: textParts.join('\n'), toolResults, images };
   }
 
   /**
@@ -396,13 +515,13 @@ export class KiroClient {
   extractAssistantContent(content, toolNameMap = new Map(), usedToolNames = new Set()) {
     if (typeof content === 'string') return { text: content, toolUses: [] };
     
-    let thinkingContent = '';
+    const thinkingBlocks = [];
     const textParts = [];
     const toolUses = [];
     
     for (const block of content || []) {
-      if (block.type === 'thinking') {
-        thinkingContent += block.thinking || '';
+      if (block.type === 'thinking' || block.type === 'redacted_thinking') {
+        thinkingBlocks.push(block);
       } else if (block.type === 'text') {
         textParts.push(block.text);
       } else if (block.type === 'tool_use') {
@@ -415,13 +534,11 @@ export class KiroClient {
       }
     }
     
+    // thinking / redacted_thinking 块按原顺序还原为标签，放在正文之前
     let finalText = '';
-    if (thinkingContent) {
-      if (textParts.length > 0) {
-        finalText = `<thinking>${thinkingContent}</thinking>\n\n${textParts.join('\n')}`;
-      } else {
-        finalText = `<thinking>${thinkingContent}</thinking>`;
-      }
+    if (thinkingBlocks.length > 0) {
+      const thinkingText = formatHistoryThinking(thinkingBlocks);
+      finalText = textParts.length > 0 ? `${thinkingText}\n\n${textParts.join('\n')}` : thinkingText;
     } else {
       finalText = textParts.join('\n');
     }
@@ -439,21 +556,27 @@ export class KiroClient {
   mergeUserMessages(messages, modelId) {
     const contentParts = [];
     const allToolResults = [];
+    const allImages = [];
     
     for (const msg of messages) {
-      const { text, toolResults } = this.extractUserContent(msg.content);
+      const { text, toolResults, images } = this.extractUserContent(msg.content);
       if (text) {
         contentParts.push(text);
       }
       allToolResults.push(...toolResults);
+      allImages.push(...images);
     }
     
-    const content = contentParts.join('\n') || (allToolResults.length > 0 ? 'continue' : '');
+    const content = contentParts.join('\n') || (allToolResults.length > 0 || allImages.length > 0 ? 'continue' : '');
     const userMsg = {
       content,
       modelId,
       origin: 'AI_EDITOR'
     };
+
+    if (allImages.length > 0) {
+      userMsg.images = allImages;
+    }
     
     if (allToolResults.length > 0) {
       userMsg.userInputMessageContext = {
@@ -464,39 +587,44 @@ export class KiroClient {
     return userMsg;
   }
 
+  /**
+   * 获取代理 agent（未配置或模块未安装时返回 undefined）
+   */
+  async getProxyAgent() {
+    return createProxyAgent(this.config);
+  }
+
   /**
    * 发送 API 请求（流式）
+   * @param {object} anthropicReq - URL 图片需先经 resolveImageUrls 下载为 base64
+   * @param {object} [options]
+   * @param {Function} [options.onRequest] - 发送前以 { kiroRequest, headers } 回调，用于抓包
+   * @param {AbortSignal} [options.signal] - 中止后取消请求并停止读取响应体（客户端断开时）
    */
-  async callApiStream(anthropicReq) {
+  async callApiStream(anthropicReq, { onRequest, signal } = {}) {
     const token = await this.tokenManager.ensureValidToken();
     const region = this.config.region || 'us-east-1';
-    const url = `https://q.${region}.amazonaws.com/generateAssistantResponse`;
+    const baseUrl = this.config.upstream?.apiBaseUrl || `https://q.${region}.amazonaws.com`;
+    const url = `${baseUrl}/generateAssistantResponse`;
     
     const { kiroRequest: kiroReq, toolNameMap } = this.convertRequest(anthropicReq);
     const headers = this.buildHeaders(token);
     const requestDebug = this.summarizeForDebug(kiroReq);
+    onRequest?.({ kiroRequest: kiroReq, headers });
 
     const fetchOptions = {
       method: 'POST',
       headers,
-      body: JSON.stringify(kiroReq)
+      body: JSON.stringify(kiroReq),
+      agent: await this.getProxyAgent(),
+      signal
     };
 
-    // 代理支持
-    if (this.config.proxyUrl) {
-      try {
-        const { HttpsProxyAgent } = await import('https-proxy-agent');
-        fetchOptions.agent = new HttpsProxyAgent(this.config.proxyUrl);
-      } catch (e) {
-        // 代理模块未安装，忽略
-      }
-    }
-
     const response = await fetch(url, fetchOptions);
     
     if (!response.ok) {
       const error = await response.text();
-      throw new KiroApiError(response.status, error, requestDebug);
+      throw new KiroApiError(response.status, error, requestDebug, parseRetryAfter(response.headers.get('retry-after')));
     }
 
     return { response, toolNameMap };
@@ -0,0 +1,103 @@
+/**
+ * 进程生命周期与优雅关闭
+ * 收到 SIGTERM / SIGINT（或 pm2 的 shutdown 消息）后：
+ *   1. 就绪检查立即返回 503，负载均衡器据此摘除实例
+ *   2. 等待 drainDelayMs 后停止接受新的 /v1 请求（返回 503）并停止监听端口
+ *   3. 等待进行中的请求（含流式响应）结束，最长 timeoutMs，超时后强制断开
+ *   4. 写入尚未落库的账号计数，等待进行中的日志归档，关闭 SQLite
+ */
+
+export class Lifecycle {
+  constructor() {
+    this.shuttingDown = false; // 为 true 时就绪检查失败
+    this.accepting = true;     // 为 false 时 /v1 拒绝新请求
+    this.inFlight = 0;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * 统计一个进行中的请求，响应连接关闭时计数减一
+   * @param {import('express').Response} res
+   */
+  track(res) {
+    this.inFlight++;
+    res.once('close', () => {
+      this.inFlight--;
+      if (this.inFlight === 0) {
+        const waiters = this.idleWaiters;
+        this.idleWaiters = [];
+        waiters.forEach(resolve => resolve(true));
+      }
+    });
+  }
+
+  /**
+   * 等待所有进行中的请求结束
+   * @param {number} timeoutMs
+   * @returns {Promise<boolean>} 超时返回 false
+   */
+  waitForIdle(timeoutMs) {
+    if (this.inFlight === 0) return Promise.resolve(true);
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.idleWaiters = this.idleWaiters.filter(w => w !== done);
+        resolve(false);
+      }, timeoutMs);
+      const done = (value) => {
+        clearTimeout(timer);
+        resolve(value);
+      };
+      this.idleWaiters.push(done);
+    });
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 优雅关闭服务（不退出进程，由调用方在返回后退出）
+ * @param {import('http').Server} server - app.listen 返回的 HTTP 服务
+ * @param {object} state - 共享状态
+ * @param {object} [options]
+ * @param {string} [options.reason] - 触发原因，仅用于日志
+ * @returns {Promise<{drained: boolean, aborted: number}>} drained 为 false 时有 aborted 个请求被强制断开
+ */
+export async function gracefulShutdown(server, state, { reason = 'shutdown' } = {}) {
+  const { lifecycle, config } = state;
+  const { timeoutMs, drainDelayMs } = config.shutdown;
+
+  console.log(`收到 ${reason}，开始优雅关闭（进行中的请求: ${lifecycle.inFlight}）`);
+  lifecycle.shuttingDown = true;
+
+  if (drainDelayMs > 0) {
+    console.log(`就绪检查已置为不可用，${drainDelayMs / 1000} 秒后停止接受新请求`);
+    await sleep(drainDelayMs);
+  }
+
+  lifecycle.accepting = false;
+  const closed = new Promise(resolve => server.close(resolve));
+  // 空闲的 keep-alive 连接不会再有请求，直接关闭；进行中的请求结束后连接随之关闭
+  server.closeIdleConnections?.();
+
+  const drained = await lifecycle.waitForIdle(timeoutMs);
+  const aborted = drained ? 0 : lifecycle.inFlight;
+  if (!drained) {
+    console.warn(`等待超时（${timeoutMs / 1000} 秒），强制断开 ${aborted} 个进行中的请求`);
+  }
+  // 管理面板的实时事件等长连接不计入进行中的请求，在此一并断开
+  server.closeAllConnections?.();
+  await closed;
+
+  state.accountPool.flushCounters();
+  if (state.logArchiver?.running) {
+    try {
+      await state.logArchiver.running;
+    } catch (e) {
+      console.error('日志归档失败:', e);
+    }
+  }
+  state.dbManager.close();
+
+  console.log('✓ 服务已关闭');
+  return { drained, aborted };
+}
@@ -0,0 +1,147 @@
+/**
+ * 请求日志保留策略与归档
+ * 按保留天数或最大条数清理 request_logs，删除前先把日志写入 DATA_DIR/archives 下的 gzip 压缩 JSONL 文件
+ */
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { once } from 'events';
+
+// 归档文件名格式，下载时据此校验，防止路径穿越
+const ARCHIVE_NAME_PATTERN = /^request_logs_[0-9TZ-]+\.jsonl\.gz$/;
+
+// 每批读取的日志条数
+const ARCHIVE_BATCH_SIZE = 1000;
+
+export class LogArchiver {
+  /**
+   * @param {object} config - config.dataDir 与 config.logRetention
+   * @param {import('./db.js').DatabaseManager} dbManager
+   */
+  constructor(config, dbManager) {
+    this.policy = config.logRetention;
+    this.db = dbManager;
+    this.archiveDir = path.join(config.dataDir, 'archives');
+    this.running = null;
+  }
+
+  /**
+   * 执行一次保留策略：先归档再删除
+   * 同一时间只会执行一次，重复调用返回同一个 Promise
+   * @returns {Promise<{archived: number, deleted: number, file: string|null}>}
+   */
+  run(now = new Date()) {
+    if (!this.running) {
+      this.running = this._run(now).finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  async _run(now) {
+    const { maxAgeDays, maxRows, archive } = this.policy;
+    const cutoff = maxAgeDays > 0
+      ? new Date(now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    const condition = this.db.getLogRetentionCondition({ cutoff, maxRows });
+    if (!condition) {
+      return { archived: 0, deleted: 0, file: null };
+    }
+
+    let archived = 0;
+    let maxId = 0;
+    let file = null;
+
+    if (archive) {
+      ({ archived, maxId, file } = await this._writeArchive(condition, now));
+    } else {
+      // 不归档时直接删除满足条件的全部日志
+      maxId = Number.MAX_SAFE_INTEGER;
+    }
+
+    const deleted = maxId > 0 ? this.db.deleteArchivedLogs(condition, maxId) : 0;
+    if (deleted > 0) {
+      console.log(`✓ 日志保留策略：归档 ${archived} 条，删除 ${deleted} 条${file ? `（${file}）` : ''}`);
+    }
+    return { archived, deleted, file };
+  }
+
+  /**
+   * 将满足条件的日志写入归档文件，写入完成后才返回（之后才会删除数据库中的日志）
+   */
+  async _writeArchive(condition, now) {
+    await fsp.mkdir(this.archiveDir, { recursive: true });
+    const name = `request_logs_${now.toISOString().replace(/[:.]/g, '-')}.jsonl.gz`;
+    const filePath = path.join(this.archiveDir, name);
+    const tmpPath = `${filePath}.tmp`;
+
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(tmpPath);
+    gzip.pipe(output);
+
+    let archived = 0;
+    let maxId = 0;
+    try {
+      for (;;) {
+        const rows = this.db.getLogsForArchive(condition, maxId, ARCHIVE_BATCH_SIZE);
+        if (rows.length === 0) break;
+        for (const row of rows) {
+          if (!gzip.write(JSON.stringify(row) + '\n')) {
+            await once(gzip, 'drain');
+          }
+        }
+        archived += rows.length;
+        maxId = rows[rows.length - 1].id;
+      }
+      gzip.end();
+      await once(output, 'finish');
+    } catch (e) {
+      gzip.destroy();
+      output.destroy();
+      await fsp.rm(tmpPath, { force: true });
+      throw e;
+    }
+
+    if (archived === 0) {
+      await fsp.rm(tmpPath, { force: true });
+      return { archived, maxId, file: null };
+    }
+
+    await fsp.rename(tmpPath, filePath);
+    return { archived, maxId, file: name };
+  }
+
+  /**
+   * 列出归档文件（最新的在前）
+   */
+  async listArchives() {
+    let names;
+    try {
+      names = await fsp.readdir(this.archiveDir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+
+    const archives = [];
+    for (const name of names) {
+      if (!ARCHIVE_NAME_PATTERN.test(name)) continue;
+      const stat = await fsp.stat(path.join(this.archiveDir, name));
+      archives.push({ name, size: stat.size, createdAt: stat.mtime.toISOString() });
+    }
+    return archives.sort((a, b) => b.name.localeCompare(a.name));
+  }
+
+  /**
+   * 获取归档文件的完整路径，文件名不合法或文件不存在时返回 null
+   */
+  getArchivePath(name) {
+    if (!ARCHIVE_NAME_PATTERN.test(name)) return null;
+    const filePath = path.join(this.archiveDir, name);
+    return fs.existsSync(filePath) ? filePath : null;
+  }
+}
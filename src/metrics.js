@@ -0,0 +1,227 @@
+/**
+ * Prometheus 指标
+ * 请求、Token、首 Token 延迟等在发生时累计，账号池与额度等状态在抓取时从账号池读取
+ * 输出 Prometheus 文本格式（text/plain; version=0.0.4），由 GET /metrics 提供
+ */
+
+// 请求耗时分桶（秒）
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+// 首 Token 延迟分桶（秒）
+const TTFT_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 3, 5, 10, 20, 30, 60];
+
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * 带标签的单值指标（counter / gauge）
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // JSON 序列化的标签值 -> 数值
+  }
+
+  _key(labels) {
+    return JSON.stringify(this.labelNames.map(n => labels[n] ?? ''));
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  set(labels = {}, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [key, value] of this.values) {
+      lines.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${formatValue(value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames, buckets) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map(); // JSON 序列化的标签值 -> { counts, sum, count }
+  }
+
+  observe(labels, value) {
+    const key = JSON.stringify(this.labelNames.map(n => labels[n] ?? ''));
+    let series = this.series.get(key);
+    if (!series) {
+      series = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const [key, series] of this.series) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((le, i) => {
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${le}"`)} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export class Metrics {
+  constructor() {
+    const requestLabels = ['model', 'upstream_model', 'account', 'api_key', 'status'];
+
+    this.requests = new Metric('counter', 'kiro_requests_total',
+      '上游请求次数（每次尝试计一次，status 为 success 或 error）', requestLabels);
+    this.requestDuration = new Histogram('kiro_request_duration_seconds',
+      '上游请求耗时（秒）', requestLabels, DURATION_BUCKETS);
+    this.timeToFirstToken = new Histogram('kiro_time_to_first_token_seconds',
+      '从发起上游请求到输出首个内容（正文、思考或工具调用）的耗时（秒）', ['model', 'upstream_model', 'account'], TTFT_BUCKETS);
+    this.tokens = new Metric('counter', 'kiro_tokens_total',
+      'Token 数（type 为 input 或 output）', ['type', 'model', 'upstream_model', 'account', 'api_key']);
+    this.streamsInFlight = new Metric('gauge', 'kiro_streams_in_flight',
+      '正在进行中的上游流');
+    this.tokenRefreshes = new Metric('counter', 'kiro_token_refresh_total',
+      '账号 Token 刷新次数（result 为 success 或 failure）', ['account', 'result']);
+    this.accounts = new Metric('gauge', 'kiro_accounts',
+      '各状态的账号数量', ['status']);
+    this.accountQuotaRemaining = new Metric('gauge', 'kiro_account_quota_remaining',
+      '账号剩余额度（最近一次刷新额度时的 usage.available）', ['account_id', 'account']);
+    this.decodeErrors = new Metric('counter', 'kiro_event_stream_decode_errors_total',
+      '上游事件流解码失败次数（每次重新同步计一次）');
+    this.uptime = new Metric('gauge', 'kiro_uptime_seconds', '服务运行时长（秒）');
+
+    this.streamsInFlight.set({}, 0);
+    this.decodeErrors.inc({}, 0);
+    this.startTime = Date.now();
+  }
+
+  /**
+   * 记录一次请求（由 AccountPool.addLog 调用）
+   * @param {object} log - 请求日志
+   * @param {string} [apiKeyName] - API 密钥名称，未命名时只使用密钥前缀，不以密钥原文作为标签
+   */
+  recordRequest(log, apiKeyName) {
+    const labels = {
+      model: log.model,
+      upstream_model: log.upstreamModel,
+      account: log.accountName,
+      api_key: apiKeyName || (log.apiKey ? `${log.apiKey.slice(0, 7)}...` : '')
+    };
+    const status = log.success ? 'success' : 'error';
+    this.requests.inc({ ...labels, status });
+    this.requestDuration.observe({ ...labels, status }, (log.durationMs || 0) / 1000);
+    if (log.inputTokens) this.tokens.inc({ ...labels, type: 'input' }, log.inputTokens);
+    if (log.outputTokens) this.tokens.inc({ ...labels, type: 'output' }, log.outputTokens);
+  }
+
+  recordTokenRefresh(accountName, success) {
+    this.tokenRefreshes.inc({ account: accountName, result: success ? 'success' : 'failure' });
+  }
+
+  recordDecodeError() {
+    this.decodeErrors.inc();
+  }
+
+  /**
+   * 包装上游响应体：统计进行中的流
+   * 各响应处理器只读取 response.body，因此返回只带 body 的对象即可；
+   * onFirstContent 由 ResponseAssembler 在输出首个内容块时调用，记录首 Token 延迟
+   * （响应头、ping 与计量等事件不算首 Token）
+   * @param {object} response - 上游响应（或已被抓包包装的响应）
+   * @param {object} labels - { model, upstream_model, account }
+   * @param {number} startTime - 发起本次上游请求的时间
+   * @returns {{body: AsyncIterable<Buffer>, onFirstContent: Function}}
+   */
+  trackStream(response, labels, startTime) {
+    const metrics = this;
+    async function* track() {
+      metrics.streamsInFlight.inc();
+      try {
+        yield* response.body;
+      } finally {
+        metrics.streamsInFlight.dec();
+      }
+    }
+    let recorded = false;
+    const onFirstContent = () => {
+      if (recorded) return;
+      recorded = true;
+      metrics.timeToFirstToken.observe(labels, (Date.now() - startTime) / 1000);
+    };
+    return { body: track(), onFirstContent };
+  }
+
+  /**
+   * 输出 Prometheus 文本格式，账号池相关指标在此时读取
+   * @param {import('./pool.js').AccountPool} accountPool
+   */
+  render(accountPool) {
+    const stats = accountPool.getStats();
+    this.accounts.reset();
+    for (const status of ['active', 'cooldown', 'exhausted', 'invalid', 'disabled']) {
+      this.accounts.set({ status }, stats[status] || 0);
+    }
+
+    this.accountQuotaRemaining.reset();
+    for (const account of accountPool.listAccounts()) {
+      if (typeof account.usage?.available === 'number') {
+        this.accountQuotaRemaining.set({ account_id: account.id, account: account.name }, account.usage.available);
+      }
+    }
+
+    this.uptime.set({}, Math.floor((Date.now() - this.startTime) / 1000));
+
+    return [
+      this.requests,
+      this.requestDuration,
+      this.timeToFirstToken,
+      this.tokens,
+      this.streamsInFlight,
+      this.tokenRefreshes,
+      this.accounts,
+      this.accountQuotaRemaining,
+      this.decodeErrors,
+      this.uptime
+    ].map(m => m.render()).join('\n') + '\n';
+  }
+}
@@ -0,0 +1,200 @@
+/**
+ * OpenAI Chat Completions 格式转换
+ * 将 OpenAI 请求转换为 Anthropic 请求，复用 KiroClient.convertRequest 的转换逻辑
+ */
+
+import { InvalidRequestError } from './kiro-client.js';
+
+/**
+ * 提取 OpenAI 消息中的纯文本内容
+ */
+function extractOpenAIText(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .filter(p => p && (p.type === 'text' || p.type === 'input_text'))
+      .map(p => p.text || '')
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * 转换 image_url part 为 Anthropic image block
+ * data URL 直接转为 base64 source，其余 URL 交由 KiroClient 下载
+ */
+function convertImageUrlPart(part) {
+  const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url || '';
+  const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+  if (match) {
+    return {
+      type: 'image',
+      source: { type: 'base64', media_type: match[1], data: match[2] }
+    };
+  }
+  return { type: 'image', source: { type: 'url', url } };
+}
+
+/**
+ * 转换 user 消息内容为 Anthropic content blocks
+ */
+function convertUserContent(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+
+  const blocks = [];
+  for (const part of content) {
+    if (!part) continue;
+    if (part.type === 'text' || part.type === 'input_text') {
+      blocks.push({ type: 'text', text: part.text || '' });
+    } else if (part.type === 'image_url') {
+      blocks.push(convertImageUrlPart(part));
+    }
+  }
+  return blocks;
+}
+
+/**
+ * 解析工具调用参数（OpenAI 中为 JSON 字符串）
+ */
+function parseToolArguments(args) {
+  if (args == null || args === '') return {};
+  if (typeof args === 'object') return args;
+  try {
+    const parsed = JSON.parse(args);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * 转换 tool_choice
+ */
+function convertToolChoice(toolChoice) {
+  if (!toolChoice) return undefined;
+  if (toolChoice === 'auto') return { type: 'auto' };
+  if (toolChoice === 'required') return { type: 'any' };
+  if (typeof toolChoice === 'object' && toolChoice.type === 'function' && toolChoice.function?.name) {
+    return { type: 'tool', name: toolChoice.function.name };
+  }
+  return undefined;
+}
+
+/**
+ * 将 OpenAI Chat Completions 请求转换为 Anthropic Messages 请求
+ * @param {object} body - OpenAI 格式请求体
+ * @returns {object} Anthropic 格式请求体
+ */
+export function convertOpenAIRequest(body) {
+  const systemParts = [];
+  const messages = [];
+
+  // 向 messages 追加内容，相同角色的连续消息合并为一条
+  const pushMessage = (role, blocks) => {
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      if (typeof last.content === 'string') {
+        last.content = last.content ? [{ type: 'text', text: last.content }] : [];
+      }
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: blocks });
+    }
+  };
+
+  if (body.messages !== undefined && !Array.isArray(body.messages)) {
+    throw new InvalidRequestError('messages 必须是数组');
+  }
+
+  for (const msg of body.messages || []) {
+    if (!msg || !msg.role) continue;
+
+    if (msg.role === 'system' || msg.role === 'developer') {
+      const text = extractOpenAIText(msg.content);
+      if (text) systemParts.push(text);
+    } else if (msg.role === 'user') {
+      const content = convertUserContent(msg.content);
+      const blocks = typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+      pushMessage('user', blocks);
+    } else if (msg.role === 'assistant') {
+      const blocks = [];
+      // 上一轮响应返回的 reasoning_content 作为 thinking 块带回
+      if (typeof msg.reasoning_content === 'string' && msg.reasoning_content) {
+        blocks.push({ type: 'thinking', thinking: msg.reasoning_content });
+      }
+      const text = extractOpenAIText(msg.content);
+      if (text) {
+        blocks.push({ type: 'text', text });
+      }
+      for (const call of msg.tool_calls || []) {
+        if (call.type && call.type !== 'function') continue;
+        blocks.push({
+          type: 'tool_use',
+          id: call.id,
+          name: call.function?.name,
+          input: parseToolArguments(call.function?.arguments)
+        });
+      }
+      pushMessage('assistant', blocks);
+    } else if (msg.role === 'tool' || msg.role === 'function') {
+      pushMessage('user', [{
+        type: 'tool_result',
+        tool_use_id: msg.tool_call_id || msg.name,
+        content: extractOpenAIText(msg.content)
+      }]);
+    }
+  }
+
+  const anthropicReq = {
+    model: body.model,
+    messages,
+    stream: body.stream === true
+  };
+
+  // 未指定时不限制输出长度（OpenAI 语义）
+  const maxTokens = body.max_completion_tokens || body.max_tokens;
+  if (maxTokens) anthropicReq.max_tokens = maxTokens;
+
+  if (systemParts.length > 0) {
+    anthropicReq.system = systemParts.join('\n');
+  }
+
+  if (body.temperature !== undefined) anthropicReq.temperature = body.temperature;
+  if (body.top_p !== undefined) anthropicReq.top_p = body.top_p;
+  if (body.stop) {
+    anthropicReq.stop_sequences = Array.isArray(body.stop) ? body.stop : [body.stop];
+  }
+
+  // tool_choice 为 none 时不向上游传递工具定义
+  if (Array.isArray(body.tools) && body.tools.length > 0 && body.tool_choice !== 'none') {
+    anthropicReq.tools = body.tools
+      .filter(t => t && (t.type === 'function' || !t.type) && t.function?.name)
+      .map(t => ({
+        name: t.function.name,
+        description: t.function.description || '',
+        input_schema: t.function.parameters || { type: 'object', properties: {} }
+      }));
+
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice) anthropicReq.tool_choice = toolChoice;
+  }
+
+  return anthropicReq;
+}
+
+/**
+ * Anthropic stop_reason -> OpenAI finish_reason
+ */
+export function toOpenAIFinishReason(stopReason) {
+  switch (stopReason) {
+    case 'tool_use':
+      return 'tool_calls';
+    case 'max_tokens':
+      return 'length';
+    default:
+      return 'stop';
+  }
+}
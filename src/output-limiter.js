@@ -0,0 +1,114 @@
+/**
+ * 输出限制器
+ * Kiro 上游不支持 max_tokens 与 stop_sequences，由代理在本地对输出进行截断
+ */
+
+import { countTokens, truncateToTokens } from './tokenizer.js';
+
+export class OutputLimiter {
+  /**
+   * @param {object} options
+   * @param {number} [options.maxTokens] - 最大输出 token 数（包含 thinking 与工具调用）
+   * @param {string[]} [options.stopSequences] - 停止序列
+   */
+  constructor({ maxTokens, stopSequences } = {}) {
+    this.maxTokens = Number.isInteger(maxTokens) && maxTokens > 0 ? maxTokens : null;
+    this.stopSequences = (Array.isArray(stopSequences) ? stopSequences : [])
+      .filter(s => typeof s === 'string' && s.length > 0);
+    // 为匹配跨 chunk 的停止序列而暂存的最大字符数
+    this.holdLength = this.stopSequences.reduce((max, s) => Math.max(max, s.length - 1), 0);
+
+    this.usedTokens = 0;
+    this.pendingText = '';
+    this.stopReason = null;
+    this.stopSequence = null;
+  }
+
+  /**
+   * 从 Anthropic 请求创建
+   */
+  static fromRequest(anthropicReq) {
+    return new OutputLimiter({
+      maxTokens: anthropicReq?.max_tokens,
+      stopSequences: anthropicReq?.stop_sequences
+    });
+  }
+
+  get stopped() {
+    return this.stopReason !== null;
+  }
+
+  /**
+   * 消耗 token 预算，返回预算内可以输出的部分
+   */
+  consume(text) {
+    if (!text || this.stopped) return '';
+    if (!this.maxTokens) return text;
+
+    const tokens = countTokens(text);
+    if (this.usedTokens + tokens <= this.maxTokens) {
+      this.usedTokens += tokens;
+      return text;
+    }
+
+    const truncated = truncateToTokens(text, this.maxTokens - this.usedTokens);
+    this.usedTokens = this.maxTokens;
+    this.stopReason = 'max_tokens';
+    return truncated;
+  }
+
+  /**
+   * 推入文本增量，返回可以立即输出的文本
+   * 末尾可能是停止序列前缀的部分会被暂存，直到后续内容确认不匹配
+   */
+  pushText(text) {
+    if (this.stopped) return '';
+    if (this.stopSequences.length === 0) return this.consume(text);
+
+    this.pendingText += text || '';
+
+    // 取最早出现的停止序列
+    let matchIndex = -1;
+    let matched = null;
+    for (const seq of this.stopSequences) {
+      const idx = this.pendingText.indexOf(seq);
+      if (idx !== -1 && (matchIndex === -1 || idx < matchIndex)) {
+        matchIndex = idx;
+        matched = seq;
+      }
+    }
+
+    if (matchIndex !== -1) {
+      const before = this.pendingText.substring(0, matchIndex);
+      this.pendingText = '';
+      const output = this.consume(before);
+      if (!this.stopped) {
+        this.stopReason = 'stop_sequence';
+        this.stopSequence = matched;
+      }
+      return output;
+    }
+
+    const safeLen = this.pendingText.length - this.holdLength;
+    if (safeLen <= 0) return '';
+    const safeText = this.pendingText.substring(0, safeLen);
+    this.pendingText = this.pendingText.substring(safeLen);
+    return this.consume(safeText);
+  }
+
+  /**
+   * 取出暂存的文本（文本块结束或响应结束时调用）
+   */
+  flushText() {
+    const text = this.pendingText;
+    this.pendingText = '';
+    return this.consume(text);
+  }
+
+  /**
+   * 最终的 stop_reason，未被截断时使用 fallback
+   */
+  resolveStopReason(fallback) {
+    return this.stopReason || fallback;
+  }
+}
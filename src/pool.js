@@ -3,17 +3,79 @@ import path from 'path';
 import { v4 as uuidv4 } from 'uuid';
 import { TokenManager } from './token.js';
 import { checkUsageLimits } from './usage.js';
+import { SessionAffinity } from './affinity.js';
+import { computeCooldownMs } from './cooldown.js';
+import { serializeCodeReferences } from './db.js';
 
 const ACCOUNTS_FILE = 'accounts.json';
 
+// 到达 cooldownUntil 后自动恢复为 active 的状态
+const TIMED_STATUSES = ['cooldown', 'exhausted'];
+
+// 支持的账号选择策略
+export const ACCOUNT_STRATEGIES = [
+  'round-robin',          // 轮询
+  'random',               // 随机
+  'least-used',           // 累计请求数最少
+  'least-recently-used',  // 最久未使用（lastUsedAt）
+  'most-remaining-quota', // 剩余额度最多（缓存的 usage.available）
+  'weighted',             // 按权重随机
+  'priority',             // 优先级最高的账号之间轮询
+  'fill-first'            // 用尽一个账号后再切换下一个
+];
+
 export class AccountPool {
-  constructor(config, db = null) {
+  /**
+   * @param {object} config
+   * @param {object} [db] - 数据库管理器
+   * @param {import('./events.js').EventBus} [events] - 事件总线，用于向管理面板推送实时变化
+   * @param {import('./metrics.js').Metrics} [metrics] - Prometheus 指标
+   */
+  constructor(config, db = null, events = null, metrics = null) {
     this.config = config;
     this.accounts = new Map();
     this.tokenManagers = new Map();
     this.strategy = 'round-robin';
     this.roundRobinIndex = 0;
+    this.fillFirstId = null; // fill-first 策略当前使用的账号
+    // 会话亲和性（未启用时为 null）
+    this.affinity = config.affinity?.enabled ? new SessionAffinity({ ttlMs: config.affinity.ttlMs }) : null;
     this.db = db; // 数据库管理器（可选）
+    this.events = events;
+    this.metrics = metrics;
+    this.pendingCounters = new Set(); // 请求计数尚未写入数据库的账号 ID
+    this.cooldownTimers = new Map(); // 账号 ID -> 冷却结束定时器
+  }
+
+  /**
+   * 发布事件，附带最新的账号池统计
+   */
+  publishEvent(type, data = {}) {
+    if (!this.events) return;
+    this.events.publish(type, { ...data, stats: this.getStats() });
+  }
+
+  /**
+   * 账号对外展示的字段（不含凭证）
+   */
+  toPublicAccount(a) {
+    return {
+      id: a.id,
+      name: a.name,
+      status: a.status,
+      requestCount: a.requestCount,
+      errorCount: a.errorCount,
+      createdAt: a.createdAt,
+      lastUsedAt: a.lastUsedAt,
+      statusReason: a.statusReason || null,
+      cooldownUntil: a.cooldownUntil || null,
+      cooldownLevel: a.cooldownLevel || 0,
+      lastError: a.lastError || null,
+      lastErrorAt: a.lastErrorAt || null,
+      weight: a.weight ?? 1,
+      priority: a.priority ?? 0,
+      usage: a.usage || null
+    };
   }
 
   async load() {
@@ -22,6 +84,11 @@ export class AccountPool {
 
       // 从数据库加载账号
       if (this.db) {
+        const { strategy } = this.db.getSettings();
+        if (strategy && ACCOUNT_STRATEGIES.includes(strategy)) {
+          this.strategy = strategy;
+        }
+
         const accounts = this.db.getAllAccounts();
         for (const acc of accounts) {
           // 解析 JSON 字段
@@ -31,6 +98,9 @@ export class AccountPool {
           const usage = acc.usage && typeof acc.usage === 'string'
             ? JSON.parse(acc.usage)
             : acc.usage;
+          const lastError = acc.lastError && typeof acc.lastError === 'string'
+            ? JSON.parse(acc.lastError)
+            : acc.lastError;
 
           const account = {
             id: acc.id,
@@ -41,11 +111,23 @@ export class AccountPool {
             errorCount: acc.errorCount,
             createdAt: acc.createdAt,
             lastUsedAt: acc.lastUsedAt,
+            statusReason: acc.statusReason || null,
+            weight: acc.weight ?? 1,
+            priority: acc.priority ?? 0,
+            cooldownUntil: acc.cooldownUntil || null,
+            cooldownLevel: acc.cooldownLevel || 0,
+            lastError: lastError || null,
+            lastErrorAt: acc.lastErrorAt || null,
             usage
           };
 
           this.accounts.set(acc.id, account);
-          this.tokenManagers.set(acc.id, new TokenManager(this.config, credentials));
+          this.tokenManagers.set(acc.id, this.createTokenManager(acc.id, credentials));
+
+          // 重启前处于冷却或额度用尽的账号：按保存的结束时间恢复调度，已过期（或旧版本没有结束时间）的立即恢复
+          if (TIMED_STATUSES.includes(account.status)) {
+            this.scheduleCooldownExit(account);
+          }
         }
         console.log(`✓ 从数据库加载了 ${accounts.length} 个账号`);
       }
@@ -58,6 +140,31 @@ export class AccountPool {
     // 保留空实现以向后兼容，实际数据操作直接写入数据库
   }
 
+  /**
+   * 创建账号的 TokenManager，刷新后的凭证回写数据库，永久性认证失败时标记账号失效
+   */
+  createTokenManager(id, credentials) {
+    return new TokenManager(this.config, credentials, {
+      onCredentialsUpdate: (updated) => {
+        const account = this.accounts.get(id);
+        if (account) {
+          account.credentials = updated;
+        }
+        this.metrics?.recordTokenRefresh(account?.name || id, true);
+        if (this.db) {
+          this.db.updateAccount(id, { credentials: updated });
+        }
+      },
+      onRefreshError: (error) => {
+        this.metrics?.recordTokenRefresh(this.accounts.get(id)?.name || id, false);
+        if (error.permanent) {
+          console.error(`账号 ${id} Token 刷新永久失败，标记为失效: ${error.message}`);
+          this.markInvalid(id, error.message);
+        }
+      }
+    });
+  }
+
   async addAccount(account, skipValidation = false) {
     const id = account.id || uuidv4();
     const newAccount = {
@@ -68,10 +175,12 @@ export class AccountPool {
       requestCount: 0,
       errorCount: 0,
       createdAt: new Date().toISOString(),
-      lastUsedAt: null
+      lastUsedAt: null,
+      weight: account.weight ?? 1,
+      priority: account.priority ?? 0
     };
 
-    // 验证凭证（可跳过）
+    // 验证凭证（可跳过），刷新得到的 accessToken 会写入 credentials 一并保存
     if (!skipValidation) {
       const tm = new TokenManager(this.config, newAccount.credentials);
       await tm.ensureValidToken(); // 会抛出错误如果无效
@@ -83,30 +192,42 @@ export class AccountPool {
     }
 
     this.accounts.set(id, newAccount);
-    this.tokenManagers.set(id, new TokenManager(this.config, newAccount.credentials));
+    this.tokenManagers.set(id, this.createTokenManager(id, newAccount.credentials));
+    this.publishEvent('account.added', { account: this.toPublicAccount(newAccount) });
     return id;
   }
 
   async removeAccount(id) {
     const removed = this.accounts.delete(id);
     this.tokenManagers.delete(id);
+    this.clearCooldownTimer(id);
+    this.affinity?.releaseAccount(id);
     if (removed && this.db) {
       this.db.deleteAccount(id);
     }
+    if (removed) {
+      this.publishEvent('account.removed', { ids: [id] });
+    }
     return removed;
   }
 
   listAccounts() {
-    return Array.from(this.accounts.values()).map(a => ({
-      id: a.id,
-      name: a.name,
-      status: a.status,
-      requestCount: a.requestCount,
-      errorCount: a.errorCount,
-      createdAt: a.createdAt,
-      lastUsedAt: a.lastUsedAt,
-      usage: a.usage || null
-    }));
+    return Array.from(this.accounts.values()).map(a => this.toPublicAccount(a));
+  }
+
+  /**
+   * 按 ID 获取账号（结构与 selectAccount 的返回值相同），不经过选择策略，也不计入使用次数
+   * 用于管理面板指定账号重放请求
+   */
+  getAccountHandle(id) {
+    const account = this.accounts.get(id);
+    if (!account) return null;
+    return {
+      id: account.id,
+      name: account.name,
+      tokenManager: this.tokenManagers.get(id),
+      account: this.toPublicAccount(account)
+    };
   }
 
   async refreshAccountUsage(id) {
@@ -133,6 +254,7 @@ export class AccountPool {
         this.db.updateAccount(id, { usage: account.usage });
       }
 
+      this.publishEvent('account.usage', { account: this.toPublicAccount(account) });
       return account.usage;
     } catch (e) {
       console.error(`刷新账号 ${id} 额度失败:`, e.message);
@@ -151,23 +273,25 @@ export class AccountPool {
     return results;
   }
 
-  async selectAccount() {
+  /**
+   * 选择一个可用账号
+   * @param {object} options
+   * @param {Set<string>} [options.exclude] - 需要排除的账号 ID（如故障转移时已尝试过的账号）
+   * @param {string} [options.affinityKey] - 会话键，启用会话亲和性时优先使用该会话绑定的账号
+   */
+  async selectAccount(options = {}) {
+    const exclude = options.exclude || new Set();
     const available = Array.from(this.accounts.values())
-      .filter(a => a.status === 'active');
+      .filter(a => a.status === 'active' && !exclude.has(a.id));
 
     if (available.length === 0) return null;
 
-    let selected;
-    switch (this.strategy) {
-      case 'random':
-        selected = available[Math.floor(Math.random() * available.length)];
-        break;
-      case 'least-used':
-        selected = available.reduce((a, b) => a.requestCount < b.requestCount ? a : b);
-        break;
-      default: // round-robin
-        selected = available[this.roundRobinIndex % available.length];
-        this.roundRobinIndex++;
+    // 会话绑定的账号仍可用时继续使用，否则（冷却、失效、被排除）按策略重新选择并迁移绑定
+    const affinityKey = this.affinity ? options.affinityKey : null;
+    const boundId = affinityKey ? this.affinity.get(affinityKey) : null;
+    const selected = available.find(a => a.id === boundId) || this.pickAccount(available);
+    if (affinityKey) {
+      this.affinity.set(affinityKey, selected.id);
     }
 
     selected.requestCount++;
@@ -175,64 +299,282 @@ export class AccountPool {
 
     // 异步写入数据库，不阻塞请求
     if (this.db) {
-      setImmediate(() => {
-        this.db.updateAccount(selected.id, {
-          requestCount: selected.requestCount,
-          lastUsedAt: selected.lastUsedAt
-        });
-      });
+      if (this.pendingCounters.size === 0) {
+        setImmediate(() => this.flushCounters());
+      }
+      this.pendingCounters.add(selected.id);
     }
 
     return {
       id: selected.id,
       name: selected.name,
-      tokenManager: this.tokenManagers.get(selected.id)
+      tokenManager: this.tokenManagers.get(selected.id),
+      account: this.toPublicAccount(selected)
     };
   }
 
-  async recordError(id, isRateLimit) {
+  /**
+   * 把尚未落库的请求计数与最近使用时间写入数据库（关闭前同步调用一次）
+   */
+  flushCounters() {
+    if (!this.db) return;
+    for (const id of this.pendingCounters) {
+      const account = this.accounts.get(id);
+      if (account) {
+        this.db.updateAccount(id, {
+          requestCount: account.requestCount,
+          lastUsedAt: account.lastUsedAt
+        });
+      }
+    }
+    this.pendingCounters.clear();
+  }
+
+  /**
+   * 按当前策略从可用账号中挑选一个
+   * @param {Array} available - 非空的可用账号列表
+   */
+  pickAccount(available) {
+    switch (this.strategy) {
+      case 'random':
+        return available[Math.floor(Math.random() * available.length)];
+
+      case 'least-used':
+        return available.reduce((a, b) => a.requestCount < b.requestCount ? a : b);
+
+      case 'least-recently-used':
+        // 从未使用过的账号优先
+        return available.reduce((a, b) => {
+          const aTime = a.lastUsedAt ? Date.parse(a.lastUsedAt) : 0;
+          const bTime = b.lastUsedAt ? Date.parse(b.lastUsedAt) : 0;
+          return aTime <= bTime ? a : b;
+        });
+
+      case 'most-remaining-quota': {
+        // 未查询过额度的账号排在有额度的账号之后，同等情况下选请求数少的
+        const remaining = a => (typeof a.usage?.available === 'number' ? a.usage.available : -1);
+        return available.reduce((a, b) => {
+          const diff = remaining(a) - remaining(b);
+          if (diff !== 0) return diff > 0 ? a : b;
+          return a.requestCount <= b.requestCount ? a : b;
+        });
+      }
+
+      case 'weighted': {
+        const totalWeight = available.reduce((sum, a) => sum + Math.max(0, a.weight ?? 1), 0);
+        if (totalWeight <= 0) {
+          return available[Math.floor(Math.random() * available.length)];
+        }
+        let r = Math.random() * totalWeight;
+        for (const account of available) {
+          r -= Math.max(0, account.weight ?? 1);
+          if (r < 0) return account;
+        }
+        return available[available.length - 1];
+      }
+
+      case 'priority': {
+        const top = Math.max(...available.map(a => a.priority ?? 0));
+        const candidates = available.filter(a => (a.priority ?? 0) === top);
+        const account = candidates[this.roundRobinIndex % candidates.length];
+        this.roundRobinIndex++;
+        return account;
+      }
+
+      case 'fill-first': {
+        // 当前账号仍可用且未耗尽额度时继续使用，否则按优先级切换到下一个
+        const current = available.find(a => a.id === this.fillFirstId);
+        if (current && !(current.usage && current.usage.available <= 0)) {
+          return current;
+        }
+        const ordered = [...available].sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+        const next = ordered.find(a => !(a.usage && a.usage.available <= 0)) || ordered[0];
+        this.fillFirstId = next.id;
+        return next;
+      }
+
+      default: { // round-robin
+        const account = available[this.roundRobinIndex % available.length];
+        this.roundRobinIndex++;
+        return account;
+      }
+    }
+  }
+
+  /**
+   * 按错误分类处理账号：限流冷却、额度用尽、失效、刷新 Token，客户端请求错误不计入账号
+   * @param {string} id
+   * @param {{category: string, action: string, retryAfterMs?: number|null}} classified - classifyError 的结果
+   * @param {string} [message] - 错误信息，保存为账号的 lastError
+   */
+  async recordError(id, classified, message = '') {
     const account = this.accounts.get(id);
-    if (!account) return;
+    if (!account || classified.action === 'none') return;
 
     account.errorCount++;
-    if (isRateLimit) {
-      account.status = 'cooldown';
-      setTimeout(() => {
-        if (account.status === 'cooldown') {
-          account.status = 'active';
-          if (this.db) {
-            this.db.updateAccount(id, { status: 'active' });
-          }
+    account.lastError = { category: classified.category, message: String(message).slice(0, 500) };
+    account.lastErrorAt = new Date().toISOString();
+
+    const previousStatus = account.status;
+    switch (classified.action) {
+      case 'cooldown':
+        this.enterCooldown(account, classified.retryAfterMs);
+        break;
+      case 'exhaust':
+        if (account.status !== 'exhausted') {
+          account.status = 'exhausted';
+          account.statusReason = message || null;
+          account.cooldownUntil = this.getQuotaResetTime(account);
+          this.scheduleCooldownExit(account);
         }
-      }, 5 * 60 * 1000); // 5分钟冷却
+        break;
+      case 'invalidate':
+        console.error(`账号 ${account.name} 被上游拒绝（${classified.category}），标记为失效: ${message}`);
+        account.status = 'invalid';
+        account.statusReason = message || null;
+        account.cooldownUntil = null;
+        this.clearCooldownTimer(id);
+        break;
+      case 'refresh':
+        // access token 被上游拒绝：下次使用前重新刷新，刷新永久失败时由 onRefreshError 标记失效
+        this.tokenManagers.get(id)?.invalidateAccessToken();
+        break;
     }
 
-    // 写入数据库
-    if (this.db) {
+    // 写入数据库（优雅关闭超时后数据库可能已关闭）
+    if (this.db?.isOpen()) {
       this.db.updateAccount(id, {
         errorCount: account.errorCount,
-        status: account.status
+        status: account.status,
+        statusReason: account.statusReason || null,
+        cooldownUntil: account.cooldownUntil || null,
+        cooldownLevel: account.cooldownLevel || 0,
+        lastError: account.lastError,
+        lastErrorAt: account.lastErrorAt
       });
     }
+
+    let eventType = 'account.updated';
+    if (account.status !== previousStatus) {
+      eventType = account.status === 'cooldown' ? 'account.cooldown.entered' : 'account.status';
+    }
+    this.publishEvent(eventType, { account: this.toPublicAccount(account), previousStatus });
+  }
+
+  /**
+   * 进入限流冷却
+   * 连续限流时按 cooldownLevel 指数退避（成功请求后重置）；
+   * 已在冷却中（并发请求同时被限流）时不再升级退避，只在上游要求更久时延长
+   */
+  enterCooldown(account, retryAfterMs) {
+    if (account.status !== 'cooldown') {
+      const cooldownMs = computeCooldownMs(account.cooldownLevel || 0, retryAfterMs, this.config.cooldown);
+      account.status = 'cooldown';
+      account.cooldownUntil = new Date(Date.now() + cooldownMs).toISOString();
+      account.cooldownLevel = (account.cooldownLevel || 0) + 1;
+      this.scheduleCooldownExit(account);
+    } else if (retryAfterMs) {
+      const until = Date.now() + computeCooldownMs(0, retryAfterMs, this.config.cooldown);
+      if (until > Date.parse(account.cooldownUntil || 0)) {
+        account.cooldownUntil = new Date(until).toISOString();
+        this.scheduleCooldownExit(account);
+      }
+    }
+  }
+
+  /**
+   * 额度重置时间：优先使用最近一次刷新额度得到的 usage.nextReset，未知或已过期时取下个月 1 日（UTC）
+   */
+  getQuotaResetTime(account) {
+    const nextReset = Date.parse(account.usage?.nextReset || '');
+    if (nextReset > Date.now()) {
+      return new Date(nextReset).toISOString();
+    }
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+  }
+
+  /**
+   * 在 cooldownUntil 到达时恢复冷却中或额度用尽的账号，已到期时立即恢复
+   */
+  scheduleCooldownExit(account) {
+    this.clearCooldownTimer(account.id);
+    const remaining = Date.parse(account.cooldownUntil || 0) - Date.now();
+    if (!(remaining > 0)) {
+      this.exitCooldown(account.id);
+      return;
+    }
+    // setTimeout 的上限约为 24.8 天，超出时分段等待
+    const delay = Math.min(remaining, 2 ** 31 - 1);
+    const timer = setTimeout(() => {
+      this.cooldownTimers.delete(account.id);
+      if (this.accounts.get(account.id) === account && TIMED_STATUSES.includes(account.status)) {
+        this.scheduleCooldownExit(account);
+      }
+    }, delay);
+    timer.unref(); // 不阻止进程退出
+    this.cooldownTimers.set(account.id, timer);
+  }
+
+  clearCooldownTimer(id) {
+    const timer = this.cooldownTimers.get(id);
+    if (timer) {
+      clearTimeout(timer);
+      this.cooldownTimers.delete(id);
+    }
   }
 
-  async markInvalid(id) {
+  /**
+   * 结束冷却或额度用尽状态，恢复为 active（保留 cooldownLevel，直到成功请求后重置）
+   */
+  exitCooldown(id) {
+    const account = this.accounts.get(id);
+    if (!account || !TIMED_STATUSES.includes(account.status)) return;
+    this.clearCooldownTimer(id);
+    const previousStatus = account.status;
+    account.status = 'active';
+    account.cooldownUntil = null;
+    if (previousStatus === 'exhausted') {
+      account.statusReason = null;
+    }
+    if (this.db?.isOpen()) {
+      this.db.updateAccount(id, { status: 'active', cooldownUntil: null, statusReason: account.statusReason || null });
+    }
+    if (previousStatus === 'cooldown') {
+      this.publishEvent('account.cooldown.exited', { account: this.toPublicAccount(account) });
+    } else {
+      this.publishEvent('account.status', { account: this.toPublicAccount(account), previousStatus });
+    }
+  }
+
+  async markInvalid(id, reason = null) {
     const account = this.accounts.get(id);
     if (account) {
+      const previousStatus = account.status;
       account.status = 'invalid';
+      account.statusReason = reason;
+      account.cooldownUntil = null;
+      this.clearCooldownTimer(id);
       if (this.db) {
-        this.db.updateAccount(id, { status: 'invalid' });
+        this.db.updateAccount(id, { status: 'invalid', statusReason: reason, cooldownUntil: null });
       }
+      this.publishEvent('account.status', { account: this.toPublicAccount(account), previousStatus });
     }
   }
 
   async enableAccount(id) {
     const account = this.accounts.get(id);
     if (account) {
+      const previousStatus = account.status;
       account.status = 'active';
+      account.statusReason = null;
+      account.cooldownUntil = null;
+      account.cooldownLevel = 0;
+      this.clearCooldownTimer(id);
       if (this.db) {
-        this.db.updateAccount(id, { status: 'active' });
+        this.db.updateAccount(id, { status: 'active', statusReason: null, cooldownUntil: null, cooldownLevel: 0 });
       }
+      this.publishEvent('account.status', { account: this.toPublicAccount(account), previousStatus });
       return true;
     }
     return false;
@@ -241,10 +583,14 @@ export class AccountPool {
   async disableAccount(id) {
     const account = this.accounts.get(id);
     if (account) {
+      const previousStatus = account.status;
       account.status = 'disabled';
+      account.cooldownUntil = null;
+      this.clearCooldownTimer(id);
       if (this.db) {
-        this.db.updateAccount(id, { status: 'disabled' });
+        this.db.updateAccount(id, { status: 'disabled', cooldownUntil: null });
       }
+      this.publishEvent('account.status', { account: this.toPublicAccount(account), previousStatus });
       return true;
     }
     return false;
@@ -252,6 +598,26 @@ export class AccountPool {
 
   setStrategy(strategy) {
     this.strategy = strategy;
+    this.fillFirstId = null;
+    if (this.db) {
+      this.db.updateStrategy(strategy);
+    }
+    this.publishEvent('strategy.changed', { strategy });
+  }
+
+  /**
+   * 更新账号调度参数（weighted / priority / fill-first 策略使用）
+   */
+  async updateScheduling(id, { weight, priority }) {
+    const account = this.accounts.get(id);
+    if (!account) return false;
+    if (weight !== undefined) account.weight = weight;
+    if (priority !== undefined) account.priority = priority;
+    if (this.db) {
+      this.db.updateAccount(id, { weight, priority });
+    }
+    this.publishEvent('account.updated', { account: this.toPublicAccount(account) });
+    return true;
   }
 
   getStrategy() {
@@ -264,30 +630,82 @@ export class AccountPool {
       total: accounts.length,
       active: accounts.filter(a => a.status === 'active').length,
       cooldown: accounts.filter(a => a.status === 'cooldown').length,
+      exhausted: accounts.filter(a => a.status === 'exhausted').length,
       invalid: accounts.filter(a => a.status === 'invalid').length,
       disabled: accounts.filter(a => a.status === 'disabled').length,
       totalRequests: accounts.reduce((sum, a) => sum + a.requestCount, 0),
-      totalErrors: accounts.reduce((sum, a) => sum + a.errorCount, 0)
+      totalErrors: accounts.reduce((sum, a) => sum + a.errorCount, 0),
+      affinitySessions: this.affinity ? this.affinity.size : null
     };
   }
 
+  /**
+   * 记录请求日志，并以 request.finished 事件推送给管理面板
+   */
   addLog(log) {
-    if (this.db) {
-      this.db.insertLog({
-        timestamp: log.timestamp || new Date().toISOString(),
+    const timestamp = log.timestamp || new Date().toISOString();
+    let logId = null;
+    // 优雅关闭超时后被强制断开的请求可能在数据库关闭后才结束，此时不再写入
+    if (this.db?.isOpen()) {
+      logId = this.db.insertLog({
+        timestamp,
         accountId: log.accountId,
         accountName: log.accountName,
         model: log.model,
         inputTokens: log.inputTokens,
+        inputTokensEstimated: log.inputTokensEstimated,
+        inputTokensUpstream: log.inputTokensUpstream,
         outputTokens: log.outputTokens,
         durationMs: log.durationMs,
         success: log.success,
         errorMessage: log.errorMessage,
         apiKey: log.apiKey,
         stream: log.stream,
-        upstreamModel: log.upstreamModel
+        upstreamModel: log.upstreamModel,
+        attempt: log.attempt,
+        requestId: log.requestId,
+        errorCategory: log.errorCategory,
+        credits: log.credits,
+        codeReferences: log.codeReferences
       });
     }
+
+    // 成功请求后重置限流退避
+    const account = log.success ? this.accounts.get(log.accountId) : null;
+    if (account?.cooldownLevel) {
+      account.cooldownLevel = 0;
+      if (this.db?.isOpen()) {
+        this.db.updateAccount(account.id, { cooldownLevel: 0 });
+      }
+    }
+
+    // 事件与指标直接使用写入的字段（与 getLogById 的结构一致），不再回查数据库
+    // 抓包在响应结束后才保存，此时 hasCapture 总为 0，保存后由 capture.saved 事件更新
+    const entry = {
+      id: logId,
+      timestamp,
+      accountId: log.accountId,
+      accountName: log.accountName,
+      model: log.model,
+      upstreamModel: log.upstreamModel || null,
+      inputTokens: log.inputTokens || 0,
+      inputTokensEstimated: Number.isInteger(log.inputTokensEstimated) ? log.inputTokensEstimated : null,
+      inputTokensUpstream: Number.isInteger(log.inputTokensUpstream) ? log.inputTokensUpstream : null,
+      outputTokens: log.outputTokens || 0,
+      durationMs: log.durationMs || 0,
+      success: log.success ? 1 : 0,
+      errorMessage: log.errorMessage || null,
+      errorCategory: log.errorCategory || null,
+      credits: typeof log.credits === 'number' ? log.credits : null,
+      codeReferences: serializeCodeReferences(log.codeReferences),
+      stream: log.stream !== undefined ? (log.stream ? 1 : 0) : null,
+      attempt: log.attempt || 1,
+      requestId: log.requestId || null,
+      hasCapture: 0,
+      apiKeyName: log.apiKeyName || null
+    };
+    this.metrics?.recordRequest(log, entry.apiKeyName);
+    this.publishEvent('request.finished', { requestId: entry.requestId, log: entry });
   }
 
   getRecentLogs(limit = 100, offset = 0) {
@@ -297,23 +715,38 @@ export class AccountPool {
     return [];
   }
 
+  /**
+   * 按条件查询日志（筛选条件与分页参数见 DatabaseManager.queryLogs）
+   */
+  queryLogs(filters = {}, options = {}) {
+    if (this.db) {
+      return this.db.queryLogs(filters, options);
+    }
+    return { data: [], nextCursor: null };
+  }
+
   async removeAccounts(ids) {
     let removed = 0;
     for (const id of ids) {
       if (this.accounts.delete(id)) {
         this.tokenManagers.delete(id);
+        this.clearCooldownTimer(id);
+        this.affinity?.releaseAccount(id);
         removed++;
       }
     }
     if (removed > 0 && this.db) {
       this.db.deleteAccounts(ids);
     }
+    if (removed > 0) {
+      this.publishEvent('account.removed', { ids });
+    }
     return { total: ids.length, removed };
   }
 
-  getLogStats() {
+  getLogStats(filters = {}) {
     if (this.db) {
-      return this.db.getLogStats();
+      return this.db.getLogStats(filters);
     }
     return {
       totalLogs: 0,
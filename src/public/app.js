@@ -33,27 +33,85 @@ const { useState, useEffect, useRef } = React;
         window.adminKey = localStorage.getItem('kiro_admin_key') || '';
         let adminKey = window.adminKey;
         let selectedAccounts = new Set();
-        let autoRefreshInterval = null;
         let serverStartTime = null;
         let uptimeInterval = null;
 
+        // 实时更新开启时，新的请求记录通过 /api/events 推送到第一页
         function toggleAutoRefresh() {
             autoRefreshEnabled = !autoRefreshEnabled;
+            localStorage.setItem('kiro_auto_refresh', autoRefreshEnabled ? '1' : '0');
             if (autoRefreshEnabled) {
-                autoRefreshInterval = setInterval(() => {
-                    loadLogs();
-                }, 5000);
-                showToast('已开启自动刷新', 'success');
+                loadLogs();
+                showToast('已开启实时更新', 'success');
             } else {
-                if (autoRefreshInterval) {
-                    clearInterval(autoRefreshInterval);
-                    autoRefreshInterval = null;
-                }
-                showToast('已关闭自动刷新', 'info');
+                showToast('已关闭实时更新', 'info');
             }
             renderLogsToolbar();
         }
 
+        // 处理 /api/events 推送的实时事件
+        function handleServerEvent(e) {
+            const event = e.detail;
+            switch (event.type) {
+                case 'init':
+                    currentStrategy = event.strategy || currentStrategy;
+                    renderAccountsToolbar();
+                    renderAccountsTable(event.accounts);
+                    if (currentActiveTab === 'logs' && autoRefreshEnabled) loadLogs();
+                    break;
+                case 'account.added':
+                case 'account.updated':
+                case 'account.status':
+                case 'account.usage':
+                case 'account.cooldown.entered':
+                case 'account.cooldown.exited':
+                case 'request.started':
+                    upsertAccountRow(event.account);
+                    break;
+                case 'account.removed':
+                    event.ids.forEach(id => selectedAccounts.delete(id));
+                    renderAccountsToolbar();
+                    renderAccountsTable(currentAccountsData.filter(a => !event.ids.includes(a.id)));
+                    break;
+                case 'request.finished':
+                    prependLogRow(event.log);
+                    break;
+                case 'capture.saved':
+                    // 抓包在响应结束后保存，晚于 request.finished 到达
+                    if (currentLogsData.some(l => l.requestId === event.requestId)) {
+                        renderLogsTable(currentLogsData.map(l => l.requestId === event.requestId ? { ...l, hasCapture: 1 } : l));
+                    }
+                    break;
+                case 'strategy.changed':
+                    currentStrategy = event.strategy;
+                    renderAccountsToolbar();
+                    break;
+                case 'apikey.created':
+                case 'apikey.deleted':
+                    if (currentActiveTab === 'settings') loadApiKeys();
+                    break;
+            }
+        }
+
+        function upsertAccountRow(account) {
+            if (!account) return;
+            const exists = currentAccountsData.some(a => a.id === account.id);
+            renderAccountsTable(exists
+                ? currentAccountsData.map(a => a.id === account.id ? account : a)
+                : [...currentAccountsData, account]);
+        }
+
+        function prependLogRow(log) {
+            if (!log || !logMatchesFilters(log, currentLogFilters)) return;
+            totalRecords++;
+            totalPages = Math.max(1, Math.ceil(totalRecords / currentPageSize));
+            // 只在查看第一页且开启实时更新时插入新记录，避免翻页时内容跳动
+            if (currentActiveTab === 'logs' && currentPage === 1 && autoRefreshEnabled) {
+                renderLogsTable([log, ...currentLogsData].slice(0, currentPageSize));
+            }
+            updatePaginationUI();
+        }
+
         function startUptimeCounter() {
             if (uptimeInterval) {
                 clearInterval(uptimeInterval);
@@ -70,10 +128,7 @@ const { useState, useEffect, useRef } = React;
         }
 
         function logout() {
-            if (autoRefreshInterval) {
-                clearInterval(autoRefreshInterval);
-                autoRefreshInterval = null;
-            }
+            window.eventsService.disconnect();
             if (uptimeInterval) {
                 clearInterval(uptimeInterval);
                 uptimeInterval = null;
@@ -88,15 +143,18 @@ const { useState, useEffect, useRef } = React;
         let currentActiveTab = 'accounts';
         let currentStrategy = 'round-robin';
         let currentSettingsTab = 'general';
-        let autoRefreshEnabled = false;
+        // 默认关闭，记住用户的选择
+        let autoRefreshEnabled = localStorage.getItem('kiro_auto_refresh') === '1';
         let accountsTableRoot = null;
         let logsTableRoot = null;
         let currentAccountsData = [];
+        let currentLogsData = [];
         let topNavRoot = null;
         let mainTabsRoot = null;
         let accountsToolbarRoot = null;
         let logsToolbarRoot = null;
         let settingsPanelRoot = null;
+        let currentCaptureSettings = null;
 
         window.showMainPanel = function showMainPanel() {
             const mainPanel = document.getElementById('mainPanel');
@@ -139,6 +197,16 @@ const { useState, useEffect, useRef } = React;
             renderSettingsPanel();
 
             refresh();
+
+            // 从分享链接打开时直接进入请求记录
+            if (new URLSearchParams(location.search).get('tab') === 'logs') {
+                switchTab('logs');
+            }
+
+            // 订阅实时事件（账号、统计与请求记录）
+            window.removeEventListener('kiro-event', handleServerEvent);
+            window.addEventListener('kiro-event', handleServerEvent);
+            window.eventsService.connect();
         }
 
         function renderMainTabs() {
@@ -184,8 +252,17 @@ const { useState, useEffect, useRef } = React;
                     pageSize={currentPageSize}
                     totalPages={totalPages}
                     totalRecords={totalRecords}
+                    hasNextPage={Boolean(nextLogCursor)}
                     onPageChange={changePage}
                     onPageSizeChange={changePageSize}
+                    filters={currentLogFilters}
+                    accounts={currentAccountsData}
+                    apiKeyNames={logApiKeyNames}
+                    summary={currentLogSummary}
+                    onApplyFilters={applyLogFilters}
+                    onResetFilters={() => applyLogFilters({})}
+                    onCopyLink={copyLogsLink}
+                    onExport={exportLogs}
                 />);
             }
         }
@@ -209,6 +286,10 @@ const { useState, useEffect, useRef } = React;
                     onAddMapping={() => showModal('addMappingModal')}
                     onResetMappings={resetMappings}
                     onLoadMappings={loadMappings}
+                    captureSettings={currentCaptureSettings}
+                    apiKeys={apiKeysCache}
+                    accounts={currentAccountsData}
+                    onSaveCapture={saveCaptureSettings}
                 />);
             }
         }
@@ -229,17 +310,19 @@ const { useState, useEffect, useRef } = React;
                     onEnable={enableAccount}
                     onDisable={disableAccount}
                     onRemove={removeAccount}
+                    onEditScheduling={editScheduling}
                 />);
             }
         }
 
         function renderLogsTable(logs) {
+            currentLogsData = logs;
             const tableRoot = document.getElementById('logs-table');
             if (tableRoot) {
                 if (!logsTableRoot) {
                     logsTableRoot = ReactDOM.createRoot(tableRoot);
                 }
-                logsTableRoot.render(<LogsTable logs={logs} />);
+                logsTableRoot.render(<LogsTable logs={logs} onViewCapture={viewCapture} />);
             }
         }
 
@@ -295,11 +378,102 @@ const { useState, useEffect, useRef } = React;
             } catch (e) { showToast('批量删除失败: ' + e.message, 'error'); }
         }
 
-        // 分页状态
+        // 分页状态（游标分页：logCursors[i] 为第 i+1 页的起始游标）
         let currentPage = 1;
         let currentPageSize = 20;
         let totalPages = 1;
         let totalRecords = 0;
+        let logCursors = [null];
+        let nextLogCursor = null;
+
+        // 筛选状态，与地址栏查询参数同步以便分享
+        const LOG_FILTER_FIELDS = ['from', 'to', 'accountId', 'model', 'upstreamModel', 'apiKeyName', 'success', 'stream', 'minDurationMs', 'q'];
+        let currentLogFilters = readLogFiltersFromUrl();
+        let currentLogSummary = null;
+        let logApiKeyNames = [];
+
+        function readLogFiltersFromUrl() {
+            const params = new URLSearchParams(location.search);
+            const filters = {};
+            LOG_FILTER_FIELDS.forEach(field => {
+                if (params.get(field)) filters[field] = params.get(field);
+            });
+            return filters;
+        }
+
+        function buildLogsUrl() {
+            const params = new URLSearchParams();
+            if (currentActiveTab === 'logs') {
+                params.set('tab', 'logs');
+                LOG_FILTER_FIELDS.forEach(field => {
+                    if (currentLogFilters[field]) params.set(field, currentLogFilters[field]);
+                });
+            }
+            const query = params.toString();
+            return location.pathname + (query ? `?${query}` : '');
+        }
+
+        function syncLogsUrl() {
+            history.replaceState(null, '', buildLogsUrl());
+        }
+
+        function copyLogsLink() {
+            copyText(location.origin + buildLogsUrl());
+        }
+
+        function applyLogFilters(filters) {
+            currentLogFilters = {};
+            LOG_FILTER_FIELDS.forEach(field => {
+                const value = filters[field];
+                if (value !== undefined && value !== null && String(value).trim() !== '') {
+                    currentLogFilters[field] = String(value).trim();
+                }
+            });
+            currentPage = 1;
+            logCursors = [null];
+            syncLogsUrl();
+            loadLogs();
+        }
+
+        // 判断实时推送的日志是否符合当前筛选条件
+        function logMatchesFilters(log, filters) {
+            if (filters.from && log.timestamp < filters.from) return false;
+            if (filters.to && log.timestamp >= filters.to) return false;
+            if (filters.accountId && log.accountId !== filters.accountId) return false;
+            if (filters.model && log.model !== filters.model) return false;
+            if (filters.upstreamModel && log.upstreamModel !== filters.upstreamModel) return false;
+            if (filters.apiKeyName && log.apiKeyName !== filters.apiKeyName) return false;
+            if (filters.success && Boolean(log.success) !== (filters.success === 'true')) return false;
+            if (filters.stream && Boolean(log.stream) !== (filters.stream === 'true')) return false;
+            if (filters.minDurationMs && log.durationMs < Number(filters.minDurationMs)) return false;
+            if (filters.q && !(log.errorMessage || '').includes(filters.q)) return false;
+            return true;
+        }
+
+        // 按当前筛选条件导出日志（需要携带管理密钥，因此通过 fetch 下载后保存）
+        async function exportLogs(format) {
+            try {
+                showToast('正在导出...', 'info');
+                const params = new URLSearchParams({ ...currentLogFilters, format });
+                const res = await fetch(`/api/logs/export?${params}`, { headers: { 'Authorization': 'Bearer ' + adminKey } });
+                if (!res.ok) throw new Error(await res.text() || res.statusText);
+                const blob = await res.blob();
+                const match = /filename="([^"]+)"/.exec(res.headers.get('Content-Disposition') || '');
+                const link = document.createElement('a');
+                link.href = URL.createObjectURL(blob);
+                link.download = match ? match[1] : `request_logs.${format}`;
+                link.click();
+                URL.revokeObjectURL(link.href);
+            } catch (e) { showToast('导出失败: ' + e.message, 'error'); }
+        }
+
+        async function loadLogApiKeyNames() {
+            try {
+                const keys = await fetchApi('/api/settings/api-keys');
+                logApiKeyNames = [...new Set(keys.map(k => k.name).filter(Boolean))];
+                renderLogsToolbar();
+            } catch (e) { console.error(e); }
+        }
 
         async function refreshUsage(id) {
             try { await fetchApi(`/api/accounts/${id}/refresh-usage`, { method: 'POST' }); loadAccounts(); showToast('刷新成功', 'success'); }
@@ -313,13 +487,19 @@ const { useState, useEffect, useRef } = React;
 
         async function loadLogs() {
             try {
-                const response = await fetchApi(`/api/logs?page=${currentPage}&pageSize=${currentPageSize}`);
+                const params = new URLSearchParams({ ...currentLogFilters, pageSize: currentPageSize });
+                const cursor = logCursors[currentPage - 1];
+                if (cursor) params.set('cursor', cursor);
+
+                const response = await fetchApi(`/api/logs?${params}`);
                 const logs = response.data || [];
                 const pagination = response.pagination || {};
-                
+
                 totalPages = pagination.totalPages || 1;
                 totalRecords = pagination.total || 0;
-                
+                nextLogCursor = pagination.nextCursor || null;
+                currentLogSummary = response.summary || null;
+
                 renderLogsTable(logs);
                 updatePaginationUI();
             } catch (e) { showToast('加载失败: ' + e.message, 'error'); }
@@ -330,18 +510,56 @@ const { useState, useEffect, useRef } = React;
         }
 
         function changePage(delta) {
-            const newPage = currentPage + delta;
-            if (newPage < 1 || newPage > totalPages) return;
-            currentPage = newPage;
+            if (delta > 0) {
+                if (!nextLogCursor) return;
+                logCursors[currentPage] = nextLogCursor;
+                currentPage++;
+            } else {
+                if (currentPage <= 1) return;
+                currentPage--;
+            }
+            logCursors = logCursors.slice(0, currentPage);
             loadLogs();
         }
 
         function changePageSize(size) {
             currentPageSize = size;
             currentPage = 1;
+            logCursors = [null];
             loadLogs();
         }
 
+        let currentSchedulingId = null;
+
+        function editScheduling(account) {
+            currentSchedulingId = account.id;
+            document.getElementById('scheduling-weight').value = account.weight ?? 1;
+            document.getElementById('scheduling-priority').value = account.priority ?? 0;
+            showModal('editSchedulingModal');
+        }
+
+        async function confirmEditScheduling() {
+            if (!currentSchedulingId) return;
+            const weight = parseInt(document.getElementById('scheduling-weight').value);
+            const priority = parseInt(document.getElementById('scheduling-priority').value);
+
+            try {
+                await fetchApi(`/api/accounts/${currentSchedulingId}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify({
+                        weight: Number.isNaN(weight) ? 1 : weight,
+                        priority: Number.isNaN(priority) ? 0 : priority
+                    })
+                });
+                hideModal('editSchedulingModal');
+                currentSchedulingId = null;
+                loadAccounts();
+                showToast('调度参数已更新', 'success');
+            } catch (e) {
+                showToast('更新失败: ' + e.message, 'error');
+            }
+        }
+
         async function loadStrategy() {
             try { 
                 const data = await fetchApi('/api/strategy'); 
@@ -367,16 +585,9 @@ const { useState, useEffect, useRef } = React;
             document.getElementById('tab-' + tab).classList.remove('hidden');
             if (tab === 'logs') {
                 loadLogs();
-                const toggle = document.getElementById('autoRefreshToggle');
-                if (toggle && toggle.checked && !autoRefreshInterval) {
-                    autoRefreshInterval = setInterval(() => { loadLogs(); }, 5000);
-                }
-            } else {
-                if (autoRefreshInterval) {
-                    clearInterval(autoRefreshInterval);
-                    autoRefreshInterval = null;
-                }
+                loadLogApiKeyNames();
             }
+            syncLogsUrl();
             if (tab === 'analytics') {
                 // 渲染React图表组件
                 const dashboardRoot = document.getElementById('analytics-dashboard');
@@ -455,12 +666,15 @@ const { useState, useEffect, useRef } = React;
                     container.innerHTML = '<div class="text-gray-500 text-sm">暂无 API 密钥</div>'; 
                     return; 
                 }
+                apiKeysCache = keys;
                 container.innerHTML = `
                     <table class="w-full">
                         <thead>
                             <tr class="bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                 <th class="px-4 py-3 rounded-tl-lg">名称</th>
                                 <th class="px-4 py-3">密钥</th>
+                                <th class="px-4 py-3">状态</th>
+                                <th class="px-4 py-3">用量</th>
                                 <th class="px-4 py-3">创建时间</th>
                                 <th class="px-4 py-3 rounded-tr-lg text-right">操作</th>
                             </tr>
@@ -470,15 +684,23 @@ const { useState, useEffect, useRef } = React;
                                 <tr class="hover:bg-gray-50 transition">
                                     <td class="px-4 py-3">
                                         <span class="font-medium text-gray-900">${item.name || '(未命名)'}</span>
+                                        ${item.allowedModels && item.allowedModels.length > 0 ? `<div class="text-xs text-gray-400 mt-1">模型: ${item.allowedModels.join(', ')}</div>` : ''}
                                     </td>
                                     <td class="px-4 py-3">
                                         <span class="font-mono text-sm text-gray-600">${maskKey(item.key)}</span>
                                     </td>
+                                    <td class="px-4 py-3">${renderApiKeyStatus(item)}</td>
+                                    <td class="px-4 py-3 text-xs text-gray-600 space-y-0.5">
+                                        <div>RPM: ${formatKeyUsage(item.usage?.requestsLastMinute, item.rpmLimit)}</div>
+                                        <div>今日: ${formatKeyUsage(item.usage?.tokensToday, item.dailyTokenLimit)}</div>
+                                        <div>本月: ${formatKeyUsage(item.usage?.tokensThisMonth, item.monthlyTokenLimit)}</div>
+                                    </td>
                                     <td class="px-4 py-3">
                                         <span class="text-sm text-gray-500">${new Date(item.createdAt).toLocaleString('zh-CN')}</span>
                                     </td>
                                     <td class="px-4 py-3 text-right">
                                         <button onclick="editKeyName('${item.key}')" class="text-blue-500 hover:text-blue-700 text-sm font-medium mr-2">编辑</button>
+                                        <button onclick="editApiKeyLimits('${item.key}')" class="text-purple-500 hover:text-purple-700 text-sm font-medium mr-2">限额</button>
                                         <button onclick="copyText('${item.key}')" class="text-green-500 hover:text-green-700 text-sm font-medium mr-2">复制</button>
                                         <button onclick="removeApiKey('${item.key}')" class="text-red-500 hover:text-red-700 text-sm font-medium">删除</button>
                                     </td>
@@ -490,6 +712,75 @@ const { useState, useEffect, useRef } = React;
             } catch (e) { console.error(e); }
         }
 
+        let apiKeysCache = [];
+
+        function renderApiKeyStatus(item) {
+            if (!item.enabled) {
+                return '<span class="px-2 py-1 bg-gray-100 text-gray-600 rounded text-xs font-medium">已禁用</span>';
+            }
+            if (item.expiresAt && new Date(item.expiresAt) <= new Date()) {
+                return '<span class="px-2 py-1 bg-red-100 text-red-700 rounded text-xs font-medium">已过期</span>';
+            }
+            const expires = item.expiresAt
+                ? `<div class="text-xs text-gray-400 mt-1">至 ${new Date(item.expiresAt).toLocaleString('zh-CN')}</div>`
+                : '';
+            return `<span class="px-2 py-1 bg-green-100 text-green-700 rounded text-xs font-medium">启用</span>${expires}`;
+        }
+
+        function formatKeyUsage(used, limit) {
+            const value = (used || 0).toLocaleString();
+            return limit ? `${value} / ${limit.toLocaleString()}` : `${value} <span class="text-gray-400">/ 不限</span>`;
+        }
+
+        // 转换为 datetime-local 输入框所需的本地时间格式
+        function toLocalDateTimeInput(iso) {
+            if (!iso) return '';
+            const d = new Date(iso);
+            const pad = n => String(n).padStart(2, '0');
+            return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+        }
+
+        let currentLimitsKey = null;
+
+        function editApiKeyLimits(key) {
+            const item = apiKeysCache.find(k => k.key === key);
+            if (!item) return;
+            currentLimitsKey = key;
+            document.getElementById('limit-enabled').checked = item.enabled !== false;
+            document.getElementById('limit-rpm').value = item.rpmLimit || '';
+            document.getElementById('limit-daily-tokens').value = item.dailyTokenLimit || '';
+            document.getElementById('limit-monthly-tokens').value = item.monthlyTokenLimit || '';
+            document.getElementById('limit-allowed-models').value = (item.allowedModels || []).join(', ');
+            document.getElementById('limit-expires-at').value = toLocalDateTimeInput(item.expiresAt);
+            showModal('editApiKeyLimitsModal');
+        }
+
+        async function confirmEditApiKeyLimits() {
+            if (!currentLimitsKey) return;
+            const expiresAt = document.getElementById('limit-expires-at').value;
+            const body = {
+                enabled: document.getElementById('limit-enabled').checked,
+                rpmLimit: document.getElementById('limit-rpm').value || null,
+                dailyTokenLimit: document.getElementById('limit-daily-tokens').value || null,
+                monthlyTokenLimit: document.getElementById('limit-monthly-tokens').value || null,
+                allowedModels: document.getElementById('limit-allowed-models').value,
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null
+            };
+
+            try {
+                await fetchApi(`/api/settings/api-keys/${encodeURIComponent(currentLimitsKey)}`, {
+                    method: 'PATCH',
+                    body: JSON.stringify(body)
+                });
+                showToast('限额已更新', 'success');
+                hideModal('editApiKeyLimitsModal');
+                loadApiKeys();
+                currentLimitsKey = null;
+            } catch (e) {
+                showToast('更新失败: ' + e.message, 'error');
+            }
+        }
+
         async function createApiKey() {
             const name = document.getElementById('api-key-name').value.trim();
             const createBtn = document.getElementById('create-key-btn');
@@ -966,6 +1257,202 @@ const { useState, useEffect, useRef } = React;
                 loadModels();
             } else if (tab === 'mappings') {
                 loadMappings();
+            } else if (tab === 'capture') {
+                loadCaptureSettings();
+            }
+        }
+
+        // ============ 请求抓包 ============
+        async function loadCaptureSettings() {
+            try {
+                const [settings, keys] = await Promise.all([
+                    fetchApi('/api/capture'),
+                    fetchApi('/api/settings/api-keys')
+                ]);
+                currentCaptureSettings = settings;
+                apiKeysCache = keys || [];
+                renderSettingsPanel();
+            } catch (e) {
+                showToast('加载抓包设置失败: ' + e.message, 'error');
+            }
+        }
+
+        async function saveCaptureSettings(draft) {
+            try {
+                currentCaptureSettings = await fetchApi('/api/capture', {
+                    method: 'PUT',
+                    body: JSON.stringify({
+                        enabled: draft.enabled,
+                        apiKeys: draft.apiKeys,
+                        accountIds: draft.accountIds,
+                        sampleRate: Number(draft.sampleRate),
+                        maxBodyBytes: Number(draft.maxBodyBytes),
+                        ttlHours: Number(draft.ttlHours)
+                    })
+                });
+                renderSettingsPanel();
+                showToast('抓包设置已保存', 'success');
+            } catch (e) {
+                showToast('保存失败: ' + e.message, 'error');
+            }
+        }
+
+        let currentCaptureId = null;
+
+        async function viewCapture(requestId) {
+            try {
+                const capture = await fetchApi(`/api/captures/${encodeURIComponent(requestId)}`);
+                const { data } = capture;
+                currentCaptureId = requestId;
+                const format = (value) => value == null ? '(无)' : JSON.stringify(value, null, 2);
+
+                document.getElementById('capture-meta').textContent =
+                    `${requestId} · ${new Date(capture.createdAt).toLocaleString()} · 过期于 ${new Date(capture.expiresAt).toLocaleString()}`;
+                document.getElementById('capture-attempts').textContent = (data.attempts || [])
+                    .map(a => `第 ${a.attempt} 次尝试：${a.accountName} → ${a.upstreamModel}${a.error ? `（失败：${a.error}）` : ''}`)
+                    .join('\n');
+                document.getElementById('capture-request').textContent = format(data.request);
+                document.getElementById('capture-anthropic').textContent = format(data.anthropicRequest);
+                document.getElementById('capture-anthropic-section').classList.toggle('hidden', !data.anthropicRequest);
+                document.getElementById('capture-kiro').textContent = format(data.kiroRequest);
+                document.getElementById('capture-events').textContent = (data.upstreamEvents || [])
+                    .map(e => JSON.stringify(e)).join('\n')
+                    + (data.omittedUpstreamEvents ? `\n... 另有 ${data.omittedUpstreamEvents} 个事件超出大小限制未保存` : '');
+                document.getElementById('capture-response').textContent =
+                    `HTTP ${data.response.status}${data.response.truncated ? '（已截断）' : ''}${data.response.completed ? '' : '（客户端提前断开）'}\n\n${data.response.body}`;
+                await resetReplayPanel(data);
+                showModal('captureViewerModal');
+            } catch (e) {
+                showToast('加载抓包失败: ' + e.message, 'error');
+            }
+        }
+
+        let replayController = null;
+
+        // 填充重放使用的账号与模型，默认选中原请求使用的账号与模型
+        async function resetReplayPanel(data) {
+            replayController?.abort();
+            const requestModel = data.anthropicRequest?.model || data.request?.body?.model || '';
+            const lastAttempt = (data.attempts || [])[data.attempts.length - 1];
+
+            const accountSelect = document.getElementById('replay-account');
+            accountSelect.innerHTML = '';
+            currentAccountsData.forEach(a => accountSelect.add(new Option(a.name, a.id)));
+            if (lastAttempt) accountSelect.value = lastAttempt.accountId;
+
+            const modelSelect = document.getElementById('replay-model');
+            modelSelect.innerHTML = '';
+            let modelIds = [];
+            try {
+                modelIds = (await fetchApi('/api/models')).filter(m => m.enabled).map(m => m.id);
+            } catch (e) { console.error(e); }
+            if (requestModel && !modelIds.includes(requestModel)) modelIds.unshift(requestModel);
+            modelIds.forEach(id => modelSelect.add(new Option(id, id)));
+            modelSelect.value = requestModel;
+
+            ['replay-status', 'replay-original', 'replay-result', 'replay-diff'].forEach(id => {
+                document.getElementById(id).textContent = '';
+            });
+            document.getElementById('replay-btn').disabled = false;
+        }
+
+        // 重放当前抓包的请求，流式显示结果，完成后与原始响应逐行对比
+        async function replayCurrentCapture() {
+            if (!currentCaptureId) return;
+            const status = document.getElementById('replay-status');
+            const original = document.getElementById('replay-original');
+            const result = document.getElementById('replay-result');
+            const diff = document.getElementById('replay-diff');
+            const button = document.getElementById('replay-btn');
+
+            replayController?.abort();
+            const controller = new AbortController();
+            replayController = controller;
+            button.disabled = true;
+            status.textContent = '重放中...';
+            result.textContent = '';
+            diff.textContent = '';
+
+            let originalText = '';
+            const handle = (event) => {
+                if (event.type === 'start') {
+                    originalText = event.original.text;
+                    status.textContent = `重放中：${event.account.name} → ${event.upstreamModel || event.model}`;
+                    original.textContent = event.original.text
+                        + (event.original.omittedEvents ? `\n... 另有 ${event.original.omittedEvents} 个事件未保存` : '');
+                } else if (event.type === 'delta') {
+                    result.textContent += event.text;
+                    result.scrollTop = result.scrollHeight;
+                } else if (event.type === 'done') {
+                    status.textContent = `重放完成，耗时 ${event.durationMs}ms`;
+                    renderReplayDiff(diff, originalText, event.text);
+                } else if (event.type === 'error') {
+                    status.textContent = `重放失败：${event.message}`;
+                }
+            };
+
+            try {
+                const res = await fetch(`/api/captures/${encodeURIComponent(currentCaptureId)}/replay`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + adminKey },
+                    body: JSON.stringify({
+                        accountId: document.getElementById('replay-account').value,
+                        model: document.getElementById('replay-model').value
+                    }),
+                    signal: controller.signal
+                });
+                if (!res.ok) {
+                    const body = await res.json().catch(() => ({}));
+                    throw new Error(body.error || res.statusText);
+                }
+
+                const reader = res.body.getReader();
+                const decoder = new TextDecoder();
+                let buffer = '';
+                while (true) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+                    buffer += decoder.decode(value, { stream: true });
+                    let index;
+                    while ((index = buffer.indexOf('\n\n')) !== -1) {
+                        const block = buffer.slice(0, index);
+                        buffer = buffer.slice(index + 2);
+                        if (block.startsWith('data: ')) handle(JSON.parse(block.slice(6)));
+                    }
+                }
+            } catch (e) {
+                if (!controller.signal.aborted) status.textContent = `重放失败：${e.message}`;
+            } finally {
+                if (replayController === controller) {
+                    replayController = null;
+                    button.disabled = false;
+                }
+            }
+        }
+
+        function renderReplayDiff(container, before, after) {
+            container.textContent = '';
+            const styles = { same: 'text-gray-500', removed: 'bg-red-50 text-red-700', added: 'bg-green-50 text-green-700' };
+            const prefixes = { same: '  ', removed: '- ', added: '+ ' };
+            for (const line of diffLines(before, after)) {
+                const row = document.createElement('div');
+                row.className = styles[line.type];
+                row.textContent = prefixes[line.type] + line.text;
+                container.appendChild(row);
+            }
+        }
+
+        async function deleteCurrentCapture() {
+            if (!currentCaptureId || !confirm('确定删除该抓包数据？')) return;
+            try {
+                await fetchApi(`/api/captures/${encodeURIComponent(currentCaptureId)}`, { method: 'DELETE' });
+                const requestId = currentCaptureId;
+                currentCaptureId = null;
+                hideModal('captureViewerModal');
+                renderLogsTable(currentLogsData.map(l => l.requestId === requestId ? { ...l, hasCapture: 0 } : l));
+                showToast('抓包已删除', 'success');
+            } catch (e) {
+                showToast('删除失败: ' + e.message, 'error');
             }
         }
 
@@ -1284,12 +1771,4 @@ const { useState, useEffect, useRef } = React;
                 showToast('重置失败: ' + e.message, 'error');
             }
         }
-
-        // 自动刷新定时器
-        setInterval(() => {
-            if (adminKey && !document.getElementById('mainPanel')?.classList.contains('hidden')) {
-                loadStatus();
-                loadAccounts();
-            }
-        }, 5000);
     
@@ -1,3 +1,20 @@
+// 冷却剩余时间，每秒刷新；到期后由 account.cooldown.exited 事件更新状态
+window.CooldownCountdown = function(props) {
+    const [now, setNow] = React.useState(Date.now());
+
+    React.useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const remaining = Math.ceil((new Date(props.until).getTime() - now) / 1000);
+    return (
+        <div className="text-xs text-yellow-600 mt-1" title={`冷却至 ${new Date(props.until).toLocaleString()}${props.level > 1 ? `，连续第 ${props.level} 次` : ''}`}>
+            {remaining > 0 ? `${formatUptime(remaining)} 后恢复` : '即将恢复'}
+        </div>
+    );
+};
+
 window.AccountsTable = function(props) {
     if (!props.accounts || props.accounts.length === 0) {
         return <div className="text-center py-12 text-gray-500">暂无账号，点击上方按钮添加</div>;
@@ -20,6 +37,7 @@ window.AccountsTable = function(props) {
                     <th className="px-4 py-3">额度</th>
                     <th className="px-4 py-3">请求</th>
                     <th className="px-4 py-3">错误</th>
+                    <th className="px-4 py-3">权重 / 优先级</th>
                     <th className="px-4 py-3 rounded-tr-lg">操作</th>
                 </tr>
             </thead>
@@ -39,10 +57,21 @@ window.AccountsTable = function(props) {
                             <div className="font-medium text-gray-900">{a.name}</div>
                             {a.usage?.userEmail && <div className="text-xs text-gray-500">{a.usage.userEmail}</div>}
                         </td>
-                        <td className="px-4 py-4" dangerouslySetInnerHTML={{ __html: formatStatus(a.status) }}></td>
+                        <td className="px-4 py-4" title={a.statusReason || ''}>
+                            <span dangerouslySetInnerHTML={{ __html: formatStatus(a.status) }}></span>
+                            {(a.status === 'cooldown' || a.status === 'exhausted') && a.cooldownUntil && <CooldownCountdown until={a.cooldownUntil} level={a.status === 'cooldown' ? a.cooldownLevel : 0} />}
+                        </td>
                         <td className="px-4 py-4" dangerouslySetInnerHTML={{ __html: formatUsage(a.usage) }}></td>
                         <td className="px-4 py-4 text-gray-600">{a.requestCount}</td>
-                        <td className="px-4 py-4 text-gray-600">{a.errorCount}</td>
+                        <td className="px-4 py-4 text-gray-600" title={a.lastError ? `${formatErrorCategory(a.lastError.category)}（${new Date(a.lastErrorAt).toLocaleString()}）\n${a.lastError.message}` : ''}>
+                            {a.errorCount}
+                            {a.lastError && <div className="text-xs text-red-500">{formatErrorCategory(a.lastError.category)}</div>}
+                        </td>
+                        <td className="px-4 py-4">
+                            <button onClick={() => props.onEditScheduling(a)} className="text-gray-600 hover:text-blue-600 text-sm" title="编辑调度参数">
+                                {a.weight ?? 1} / {a.priority ?? 0}
+                            </button>
+                        </td>
                         <td className="px-4 py-4">
                             <div className="flex items-center gap-2">
                                 <button onClick={() => props.onRefreshUsage(a.id)} className="text-blue-500 hover:text-blue-700 text-sm" title="刷新额度">🔄</button>
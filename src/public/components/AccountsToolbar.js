@@ -36,6 +36,11 @@ window.AccountsToolbar = function(props) {
                 <option value="round-robin">轮询策略</option>
                 <option value="random">随机策略</option>
                 <option value="least-used">最少使用</option>
+                <option value="least-recently-used">最久未使用</option>
+                <option value="most-remaining-quota">剩余额度最多</option>
+                <option value="weighted">按权重</option>
+                <option value="priority">按优先级</option>
+                <option value="fill-first">用尽再切换</option>
             </select>
             <button onClick={props.onRefresh} className="border border-gray-200 hover:bg-gray-50 px-4 py-2 rounded-lg text-sm font-medium text-gray-600 transition">刷新</button>
         </div>
@@ -15,7 +15,8 @@ window.LogsTable = function(props) {
                     <th className="px-4 py-3">输入</th>
                     <th className="px-4 py-3">输出</th>
                     <th className="px-4 py-3">耗时</th>
-                    <th className="px-4 py-3 rounded-tr-lg">状态</th>
+                    <th className="px-4 py-3">状态</th>
+                    <th className="px-4 py-3 rounded-tr-lg text-right">操作</th>
                 </tr>
             </thead>
             <tbody className="divide-y divide-gray-100">
@@ -33,15 +34,34 @@ window.LogsTable = function(props) {
                             <td className="px-4 py-3">{streamTag}</td>
                             <td className="px-4 py-3 text-xs text-gray-500" dangerouslySetInnerHTML={{ __html: formatModelDisplay(l.model, l.upstreamModel) }}></td>
                             <td className="px-4 py-3 text-xs text-gray-600">{l.apiKeyName || <span className="text-gray-400">--</span>}</td>
-                            <td className="px-4 py-3 text-sm text-gray-600">{l.inputTokens || 0}</td>
-                            <td className="px-4 py-3 text-sm text-gray-600">{l.outputTokens || 0}</td>
+                            <td className="px-4 py-3 text-sm text-gray-600"
+                                title={l.inputTokensEstimated != null ? `本地估算 ${l.inputTokensEstimated} / 上游 ${l.inputTokensUpstream ?? '--'}` : undefined}>
+                                {l.inputTokens || 0}
+                            </td>
+                            <td className="px-4 py-3 text-sm text-gray-600">
+                                {l.outputTokens || 0}
+                                {l.credits != null && (
+                                    <div className="text-xs text-gray-400" title="Kiro 计量">{Number(l.credits.toFixed(4))} credits</div>
+                                )}
+                            </td>
                             <td className="px-4 py-3 text-sm text-gray-600">{l.durationMs}ms</td>
                             <td className="px-4 py-3">
                                 {l.success ? (
                                     <span className="px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">成功</span>
                                 ) : (
-                                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700">失败</span>
+                                    <span className="px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-700" title={l.errorMessage || ''}>{l.errorCategory ? formatErrorCategory(l.errorCategory) : '失败'}</span>
                                 )}
+                                {l.attempt > 1 && (
+                                    <span className="ml-1 px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-700" title="故障转移后的重试">第 {l.attempt} 次尝试</span>
+                                )}
+                                {l.codeReferences && (
+                                    <span className="ml-1 px-2 py-1 rounded-full text-xs font-medium bg-purple-100 text-purple-700" title={formatCodeReferences(l.codeReferences)}>代码引用</span>
+                                )}
+                            </td>
+                            <td className="px-4 py-3 text-right">
+                                {l.hasCapture ? (
+                                    <button onClick={() => props.onViewCapture(l.requestId)} className="text-blue-500 hover:text-blue-700 text-sm font-medium">抓包</button>
+                                ) : null}
                             </td>
                         </tr>
                     );
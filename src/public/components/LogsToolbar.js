@@ -1,31 +1,135 @@
+// 请求记录筛选栏
+function LogsFilterBar(props) {
+    const [draft, setDraft] = React.useState(props.filters || {});
+
+    // 外部筛选条件变化（如重置、从链接恢复）时同步到输入框
+    React.useEffect(() => {
+        setDraft(props.filters || {});
+    }, [props.filters]);
+
+    const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+    const apply = () => props.onApply(draft);
+    const onKeyDown = (e) => { if (e.key === 'Enter') apply(); };
+
+    const inputClass = 'border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="flex flex-wrap items-end gap-3 mb-4 p-4 bg-gray-50 rounded-lg">
+            <label className="flex flex-col text-xs text-gray-500">
+                开始时间
+                <input type="datetime-local" className={inputClass}
+                    value={toLocalDateTimeInput(draft.from)}
+                    onChange={(e) => update('from', e.target.value ? new Date(e.target.value).toISOString() : '')} />
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                结束时间
+                <input type="datetime-local" className={inputClass}
+                    value={toLocalDateTimeInput(draft.to)}
+                    onChange={(e) => update('to', e.target.value ? new Date(e.target.value).toISOString() : '')} />
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                账号
+                <select className={inputClass} value={draft.accountId || ''} onChange={(e) => update('accountId', e.target.value)}>
+                    <option value="">全部</option>
+                    {(props.accounts || []).map(a => <option key={a.id} value={a.id}>{a.name}</option>)}
+                </select>
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                模型
+                <input type="text" className={inputClass} placeholder="请求模型" value={draft.model || ''}
+                    onChange={(e) => update('model', e.target.value)} onKeyDown={onKeyDown} />
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                上游模型
+                <input type="text" className={inputClass} placeholder="上游模型" value={draft.upstreamModel || ''}
+                    onChange={(e) => update('upstreamModel', e.target.value)} onKeyDown={onKeyDown} />
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                密钥
+                <select className={inputClass} value={draft.apiKeyName || ''} onChange={(e) => update('apiKeyName', e.target.value)}>
+                    <option value="">全部</option>
+                    {(props.apiKeyNames || []).map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                状态
+                <select className={inputClass} value={draft.success ?? ''} onChange={(e) => update('success', e.target.value)}>
+                    <option value="">全部</option>
+                    <option value="true">成功</option>
+                    <option value="false">失败</option>
+                </select>
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                类型
+                <select className={inputClass} value={draft.stream ?? ''} onChange={(e) => update('stream', e.target.value)}>
+                    <option value="">全部</option>
+                    <option value="true">流式</option>
+                    <option value="false">非流式</option>
+                </select>
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                最小耗时 (ms)
+                <input type="number" min="0" className={`${inputClass} w-28`} value={draft.minDurationMs || ''}
+                    onChange={(e) => update('minDurationMs', e.target.value)} onKeyDown={onKeyDown} />
+            </label>
+            <label className="flex flex-col text-xs text-gray-500">
+                错误信息
+                <input type="text" className={inputClass} placeholder="包含文本" value={draft.q || ''}
+                    onChange={(e) => update('q', e.target.value)} onKeyDown={onKeyDown} />
+            </label>
+            <button onClick={apply} className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-1.5 rounded text-sm font-medium transition">筛选</button>
+            <button onClick={props.onReset} className="border border-gray-300 hover:bg-white px-4 py-1.5 rounded text-sm font-medium text-gray-600 transition">重置</button>
+            <button onClick={props.onCopyLink} className="border border-gray-300 hover:bg-white px-4 py-1.5 rounded text-sm font-medium text-gray-600 transition">复制链接</button>
+        </div>
+    );
+}
+
 window.LogsToolbar = function(props) {
     return (
         <>
             <div className="flex justify-between items-center mb-6">
                 <h2 className="text-xl font-semibold text-gray-900">请求记录</h2>
                 <div className="flex gap-3 items-center">
+                    <button onClick={() => props.onExport('csv')} className="border border-gray-200 hover:bg-gray-50 px-4 py-2 rounded-lg text-sm font-medium text-gray-600 transition">导出 CSV</button>
+                    <button onClick={() => props.onExport('jsonl')} className="border border-gray-200 hover:bg-gray-50 px-4 py-2 rounded-lg text-sm font-medium text-gray-600 transition">导出 JSONL</button>
                     <button onClick={props.onRefresh} className="border border-gray-200 hover:bg-gray-50 px-4 py-2 rounded-lg text-sm font-medium text-gray-600 transition">刷新</button>
                     <label className="flex items-center cursor-pointer">
-                        <input 
-                            type="checkbox" 
+                        <input
+                            type="checkbox"
                             checked={props.autoRefresh}
                             onChange={props.onToggleAutoRefresh}
                             className="sr-only peer"
                         />
                         <div className="relative w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-blue-600"></div>
-                        <span className="ml-3 text-sm font-medium text-gray-700">自动刷新</span>
+                        <span className="ml-3 text-sm font-medium text-gray-700">实时更新</span>
                     </label>
                 </div>
             </div>
+            <LogsFilterBar
+                filters={props.filters}
+                accounts={props.accounts}
+                apiKeyNames={props.apiKeyNames}
+                onApply={props.onApplyFilters}
+                onReset={props.onResetFilters}
+                onCopyLink={props.onCopyLink}
+            />
+            {props.summary && (
+                <div className="flex flex-wrap gap-4 mb-4 text-sm text-gray-600">
+                    <span>成功 <span className="font-medium text-green-600">{props.summary.successCount || 0}</span></span>
+                    <span>失败 <span className="font-medium text-red-600">{props.summary.failureCount || 0}</span></span>
+                    <span>输入 Tokens <span className="font-medium text-blue-600">{formatNumber(props.summary.totalInputTokens || 0)}</span></span>
+                    <span>输出 Tokens <span className="font-medium text-green-600">{formatNumber(props.summary.totalOutputTokens || 0)}</span></span>
+                </div>
+            )}
             <div id="logs-table" className="overflow-x-auto"></div>
-            
+
             {/* 分页器 */}
             <div className="flex justify-between items-center mt-4 pt-4 border-t border-gray-200">
                 <div className="flex items-center gap-4">
                     <span className="text-sm text-gray-600">共 {props.totalRecords} 条记录</span>
                     <div className="flex items-center gap-2">
                         <span className="text-sm text-gray-600">每页显示：</span>
-                        <select 
+                        <select
                             value={props.pageSize}
                             onChange={(e) => props.onPageSizeChange(Number(e.target.value))}
                             className="border border-gray-300 rounded px-2 py-1 text-sm"
@@ -33,11 +137,12 @@ window.LogsToolbar = function(props) {
                             <option value="20">20</option>
                             <option value="50">50</option>
                             <option value="100">100</option>
+                            <option value="200">200</option>
                         </select>
                     </div>
                 </div>
                 <div className="flex items-center gap-2">
-                    <button 
+                    <button
                         onClick={() => props.onPageChange(-1)}
                         disabled={props.currentPage <= 1}
                         className="px-3 py-1 border border-gray-300 rounded text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
@@ -45,9 +150,9 @@ window.LogsToolbar = function(props) {
                         上一页
                     </button>
                     <span className="text-sm text-gray-600">第 {props.currentPage} 页 / 共 {props.totalPages} 页</span>
-                    <button 
+                    <button
                         onClick={() => props.onPageChange(1)}
-                        disabled={props.currentPage >= props.totalPages}
+                        disabled={!props.hasNextPage}
                         className="px-3 py-1 border border-gray-300 rounded text-sm hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
                     >
                         下一页
@@ -1,8 +1,89 @@
+// 请求抓包设置
+function CaptureSettings(props) {
+    const [draft, setDraft] = React.useState(props.settings);
+
+    React.useEffect(() => {
+        setDraft(props.settings);
+    }, [props.settings]);
+
+    if (!draft) {
+        return <div className="text-gray-500 text-sm">加载中...</div>;
+    }
+
+    const update = (field, value) => setDraft(prev => ({ ...prev, [field]: value }));
+    const toggleInList = (field, value, checked) => update(field, checked
+        ? [...draft[field], value]
+        : draft[field].filter(v => v !== value));
+    const inputClass = 'w-40 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+    return (
+        <div className="max-w-2xl space-y-6">
+            <div>
+                <h3 className="text-lg font-semibold text-gray-900 mb-2">请求抓包</h3>
+                <p className="text-sm text-gray-500">记录完整的客户端请求、Kiro 请求、上游事件与响应，用于排查问题。认证相关请求头会被脱敏，抓包数据到期后自动删除。</p>
+            </div>
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input type="checkbox" checked={draft.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+                启用抓包
+            </label>
+            <div className="grid grid-cols-3 gap-4">
+                <label className="flex flex-col text-sm text-gray-700 gap-1">
+                    采样率 (0-1)
+                    <input type="number" min="0" max="1" step="0.05" className={inputClass} value={draft.sampleRate}
+                        onChange={(e) => update('sampleRate', e.target.value)} />
+                </label>
+                <label className="flex flex-col text-sm text-gray-700 gap-1">
+                    单项最大字节数
+                    <input type="number" min="1024" className={inputClass} value={draft.maxBodyBytes}
+                        onChange={(e) => update('maxBodyBytes', e.target.value)} />
+                </label>
+                <label className="flex flex-col text-sm text-gray-700 gap-1">
+                    保留时长 (小时)
+                    <input type="number" min="1" className={inputClass} value={draft.ttlHours}
+                        onChange={(e) => update('ttlHours', e.target.value)} />
+                </label>
+            </div>
+            <div>
+                <p className="text-sm font-medium text-gray-700 mb-1">限定范围</p>
+                <p className="text-xs text-gray-400 mb-3">都不勾选时抓取全部请求；勾选后只抓取使用所选密钥或由所选账号处理的请求</p>
+                <div className="grid grid-cols-2 gap-6">
+                    <div>
+                        <p className="text-xs text-gray-500 mb-2">API 密钥</p>
+                        <div className="space-y-1 max-h-48 overflow-y-auto">
+                            {(props.apiKeys || []).map(k => (
+                                <label key={k.key} className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input type="checkbox" checked={draft.apiKeys.includes(k.key)}
+                                        onChange={(e) => toggleInList('apiKeys', k.key, e.target.checked)} />
+                                    {k.name || maskKey(k.key)}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <p className="text-xs text-gray-500 mb-2">账号</p>
+                        <div className="space-y-1 max-h-48 overflow-y-auto">
+                            {(props.accounts || []).map(a => (
+                                <label key={a.id} className="flex items-center gap-2 text-sm text-gray-700">
+                                    <input type="checkbox" checked={draft.accountIds.includes(a.id)}
+                                        onChange={(e) => toggleInList('accountIds', a.id, e.target.checked)} />
+                                    {a.name}
+                                </label>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <button onClick={() => props.onSave(draft)} className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg text-sm font-medium transition">保存</button>
+        </div>
+    );
+}
+
 window.SettingsPanel = function(props) {
     const subTabs = [
         { id: 'general', label: '常规设置' },
         { id: 'models', label: '模型管理' },
-        { id: 'mappings', label: '模型映射' }
+        { id: 'mappings', label: '模型映射' },
+        { id: 'capture', label: '请求抓包' }
     ];
 
     return (
@@ -45,6 +126,21 @@ window.SettingsPanel = function(props) {
                                     <span className="text-gray-700">/v1/messages</span>
                                     <button onClick={() => copyText(location.origin + '/v1/messages')} className="text-blue-500 hover:text-blue-700 text-xs">复制</button>
                                 </div>
+                                <div className="flex items-center gap-2">
+                                    <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs font-medium">POST</span>
+                                    <span className="text-gray-700">/v1/messages/count_tokens</span>
+                                    <button onClick={() => copyText(location.origin + '/v1/messages/count_tokens')} className="text-blue-500 hover:text-blue-700 text-xs">复制</button>
+                                </div>
+                            </div>
+                        </div>
+                        <div className="mb-4">
+                            <p className="text-xs text-gray-500 mb-2 font-medium">OpenAI 格式</p>
+                            <div className="space-y-2 font-mono text-sm">
+                                <div className="flex items-center gap-2">
+                                    <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded text-xs font-medium">POST</span>
+                                    <span className="text-gray-700">/v1/chat/completions</span>
+                                    <button onClick={() => copyText(location.origin + '/v1/chat/completions')} className="text-blue-500 hover:text-blue-700 text-xs">复制</button>
+                                </div>
                             </div>
                         </div>
                         <p className="text-xs text-gray-500 mt-3">Base URL: <span className="text-gray-700">{props.baseUrl}</span></p>
@@ -96,6 +192,16 @@ window.SettingsPanel = function(props) {
                 </div>
                 <div id="mappings-table" className="bg-white rounded-lg shadow overflow-hidden"></div>
             </div>
+
+            {/* 请求抓包 */}
+            <div className={`settings-content ${props.activeSubTab !== 'capture' ? 'hidden' : ''}`}>
+                <CaptureSettings
+                    settings={props.captureSettings}
+                    apiKeys={props.apiKeys}
+                    accounts={props.accounts}
+                    onSave={props.onSaveCapture}
+                />
+            </div>
         </>
     );
 };
@@ -15,11 +15,18 @@ function StatsGrid() {
         cooldown: '-',
         invalid: '-',
         requests: '-',
-        input: '-',
-        output: '-',
+        input: null,
+        output: null,
         uptime: '-'
     });
 
+    const applyPoolStats = (pool) => ({
+        active: pool.active,
+        cooldown: pool.cooldown,
+        invalid: pool.invalid,
+        requests: pool.totalRequests
+    });
+
     const loadStatsData = async () => {
         try {
             const data = await fetchApi('/api/status');
@@ -28,12 +35,9 @@ function StatsGrid() {
             serverStartTime = Date.now() - (data.uptimeSecs * 1000);
 
             setStats({
-                active: data.pool.active,
-                cooldown: data.pool.cooldown,
-                invalid: data.pool.invalid,
-                requests: formatNumber(data.pool.totalRequests),
-                input: formatNumber(logStats.totalInputTokens || 0),
-                output: formatNumber(logStats.totalOutputTokens || 0),
+                ...applyPoolStats(data.pool),
+                input: logStats.totalInputTokens || 0,
+                output: logStats.totalOutputTokens || 0,
                 uptime: formatUptime(data.uptimeSecs)
             });
         } catch (e) {
@@ -41,11 +45,35 @@ function StatsGrid() {
         }
     };
 
-    // 每5秒刷新数据
+    // 首次加载后由实时事件更新
     React.useEffect(() => {
         loadStatsData();
-        const interval = setInterval(loadStatsData, 5000);
-        return () => clearInterval(interval);
+
+        const onEvent = (e) => {
+            const event = e.detail;
+            if (event.type === 'init') {
+                setStats(prev => ({
+                    ...prev,
+                    ...applyPoolStats(event.stats),
+                    input: event.logStats.totalInputTokens || 0,
+                    output: event.logStats.totalOutputTokens || 0
+                }));
+                return;
+            }
+            setStats(prev => {
+                const next = event.stats ? { ...prev, ...applyPoolStats(event.stats) } : prev;
+                if (event.type === 'request.finished' && event.log) {
+                    return {
+                        ...next,
+                        input: (prev.input || 0) + (event.log.inputTokens || 0),
+                        output: (prev.output || 0) + (event.log.outputTokens || 0)
+                    };
+                }
+                return next;
+            });
+        };
+        window.addEventListener('kiro-event', onEvent);
+        return () => window.removeEventListener('kiro-event', onEvent);
     }, []);
 
     // 每秒更新uptime显示
@@ -64,9 +92,9 @@ function StatsGrid() {
             <StatCard value={stats.active} label="活跃账号" colorClass="text-gray-900" />
             <StatCard value={stats.cooldown} label="冷却中" colorClass="text-yellow-500" />
             <StatCard value={stats.invalid} label="已失效" colorClass="text-red-500" />
-            <StatCard value={stats.requests} label="总请求" colorClass="text-gray-900" />
-            <StatCard value={stats.input} label="输入Tokens" colorClass="text-blue-500" />
-            <StatCard value={stats.output} label="输出Tokens" colorClass="text-green-500" />
+            <StatCard value={stats.requests === '-' ? '-' : formatNumber(stats.requests)} label="总请求" colorClass="text-gray-900" />
+            <StatCard value={stats.input === null ? '-' : formatNumber(stats.input)} label="输入Tokens" colorClass="text-blue-500" />
+            <StatCard value={stats.output === null ? '-' : formatNumber(stats.output)} label="输出Tokens" colorClass="text-green-500" />
             <StatCard value={stats.uptime} label="运行时间" colorClass="text-purple-500" />
         </div>
     );
@@ -0,0 +1,72 @@
+window.CaptureViewerModal = function CaptureViewerModal() {
+    const sections = [
+        { id: 'capture-request', label: '客户端请求' },
+        { id: 'capture-anthropic', label: '转换后的 Anthropic 请求' },
+        { id: 'capture-kiro', label: 'Kiro 请求' },
+        { id: 'capture-events', label: '上游事件' },
+        { id: 'capture-response', label: '返回客户端的响应' }
+    ];
+
+    return (
+        <div id="captureViewerModal" className="hidden fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-5xl mx-4 max-h-[90vh] flex flex-col animate-scaleIn">
+                <div className="flex items-center justify-between p-6 border-b border-gray-100">
+                    <div>
+                        <h3 className="text-lg font-semibold text-gray-900">请求抓包</h3>
+                        <p id="capture-meta" className="text-xs text-gray-500 mt-1 font-mono"></p>
+                    </div>
+                    <button onClick={() => hideModal('captureViewerModal')} className="text-gray-400 hover:text-gray-600">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div className="p-6 space-y-4 overflow-y-auto">
+                    <div id="capture-attempts" className="text-sm text-gray-600 whitespace-pre-line"></div>
+                    {sections.map(section => (
+                        <details key={section.id} id={`${section.id}-section`} className="border border-gray-200 rounded-lg">
+                            <summary className="px-4 py-2 cursor-pointer text-sm font-medium text-gray-700 bg-gray-50 rounded-lg flex justify-between">
+                                <span>{section.label}</span>
+                                <button onClick={(e) => { e.preventDefault(); copyText(document.getElementById(section.id).textContent); }} className="text-blue-500 hover:text-blue-700 text-xs">复制</button>
+                            </summary>
+                            <pre id={section.id} className="p-4 text-xs text-gray-800 overflow-x-auto whitespace-pre-wrap break-all max-h-96"></pre>
+                        </details>
+                    ))}
+
+                    {/* 重放 */}
+                    <div className="border border-gray-200 rounded-lg p-4 space-y-3">
+                        <div className="flex flex-wrap items-end gap-3">
+                            <h4 className="text-sm font-semibold text-gray-900 mr-auto">重放请求</h4>
+                            <label className="flex flex-col text-xs text-gray-500">
+                                账号
+                                <select id="replay-account" className="border border-gray-300 rounded px-2 py-1 text-sm"></select>
+                            </label>
+                            <label className="flex flex-col text-xs text-gray-500">
+                                模型
+                                <select id="replay-model" className="border border-gray-300 rounded px-2 py-1 text-sm"></select>
+                            </label>
+                            <button id="replay-btn" onClick={() => replayCurrentCapture()} className="bg-blue-500 hover:bg-blue-600 text-white px-4 py-1.5 rounded text-sm font-medium transition disabled:opacity-50">重放</button>
+                        </div>
+                        <p id="replay-status" className="text-xs text-gray-500"></p>
+                        <div className="grid grid-cols-2 gap-3">
+                            <div>
+                                <p className="text-xs text-gray-500 mb-1">原始响应</p>
+                                <pre id="replay-original" className="p-3 bg-gray-50 rounded text-xs text-gray-800 whitespace-pre-wrap break-all max-h-72 overflow-y-auto"></pre>
+                            </div>
+                            <div>
+                                <p className="text-xs text-gray-500 mb-1">重放结果</p>
+                                <pre id="replay-result" className="p-3 bg-gray-50 rounded text-xs text-gray-800 whitespace-pre-wrap break-all max-h-72 overflow-y-auto"></pre>
+                            </div>
+                        </div>
+                        <div>
+                            <p className="text-xs text-gray-500 mb-1">差异（<span className="text-red-600">- 原始</span> / <span className="text-green-600">+ 重放</span>）</p>
+                            <div id="replay-diff" className="p-3 bg-gray-50 rounded text-xs font-mono whitespace-pre-wrap break-all max-h-72 overflow-y-auto"></div>
+                        </div>
+                    </div>
+                </div>
+                <div className="flex justify-end gap-3 p-6 border-t border-gray-100">
+                    <button onClick={() => deleteCurrentCapture()} className="px-4 py-2 border border-red-200 rounded-lg text-sm font-medium text-red-600 hover:bg-red-50 transition">删除抓包</button>
+                    <button onClick={() => hideModal('captureViewerModal')} className="px-4 py-2 border border-gray-200 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition">关闭</button>
+                </div>
+            </div>
+        </div>
+    );
+};
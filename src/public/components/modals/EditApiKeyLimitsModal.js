@@ -0,0 +1,44 @@
+window.EditApiKeyLimitsModal = function EditApiKeyLimitsModal() {
+    return (
+        <div id="editApiKeyLimitsModal" className="hidden fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-md mx-4 animate-scaleIn">
+                <div className="flex items-center justify-between p-6 border-b border-gray-100">
+                    <h3 className="text-lg font-semibold text-gray-900">密钥限额设置</h3>
+                    <button onClick={() => hideModal('editApiKeyLimitsModal')} className="text-gray-400 hover:text-gray-600">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div className="p-6 space-y-4">
+                    <label className="flex items-center gap-2 text-sm font-medium text-gray-700">
+                        <input type="checkbox" id="limit-enabled" className="rounded border-gray-300" />
+                        启用此密钥
+                    </label>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">每分钟请求数 (RPM)</label>
+                        <input type="number" min="0" id="limit-rpm" placeholder="留空表示不限制" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">每日 Token 上限</label>
+                        <input type="number" min="0" id="limit-daily-tokens" placeholder="留空表示不限制" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">每月 Token 预算</label>
+                        <input type="number" min="0" id="limit-monthly-tokens" placeholder="留空表示不限制" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">允许的模型</label>
+                        <input type="text" id="limit-allowed-models" placeholder="逗号分隔，支持 * 通配符，留空表示全部" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">过期时间</label>
+                        <input type="datetime-local" id="limit-expires-at" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    </div>
+                </div>
+                <div className="flex justify-end gap-3 p-6 border-t border-gray-100">
+                    <button onClick={() => hideModal('editApiKeyLimitsModal')} className="px-4 py-2 border border-gray-200 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition">取消</button>
+                    <button onClick={() => confirmEditApiKeyLimits()} className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition">保存</button>
+                </div>
+            </div>
+        </div>
+    );
+};
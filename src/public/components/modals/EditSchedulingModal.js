@@ -0,0 +1,30 @@
+window.EditSchedulingModal = function EditSchedulingModal() {
+    return (
+        <div id="editSchedulingModal" className="hidden fixed inset-0 bg-black/50 flex items-center justify-center z-50">
+            <div className="bg-white rounded-2xl shadow-xl w-full max-w-md mx-4 animate-scaleIn">
+                <div className="flex items-center justify-between p-6 border-b border-gray-100">
+                    <h3 className="text-lg font-semibold text-gray-900">调度参数</h3>
+                    <button onClick={() => hideModal('editSchedulingModal')} className="text-gray-400 hover:text-gray-600">
+                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"/></svg>
+                    </button>
+                </div>
+                <div className="p-6 space-y-4">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">权重</label>
+                        <input type="number" min="0" id="scheduling-weight" placeholder="默认: 1" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                        <p className="text-xs text-gray-400 mt-1">「按权重」策略下被选中的相对概率，0 表示不参与</p>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-1">优先级</label>
+                        <input type="number" id="scheduling-priority" placeholder="默认: 0" className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                        <p className="text-xs text-gray-400 mt-1">「按优先级」与「用尽再切换」策略下数值越大越先使用</p>
+                    </div>
+                </div>
+                <div className="flex justify-end gap-3 p-6 border-t border-gray-100">
+                    <button onClick={() => hideModal('editSchedulingModal')} className="px-4 py-2 border border-gray-200 rounded-lg text-sm font-medium text-gray-600 hover:bg-gray-50 transition">取消</button>
+                    <button onClick={() => confirmEditScheduling()} className="px-4 py-2 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition">保存</button>
+                </div>
+            </div>
+        </div>
+    );
+};
@@ -3,12 +3,15 @@ window.ModalsRoot = function ModalsRoot() {
         <>
             <window.AddAccountModal />
             <window.ImportAccountsModal />
+            <window.EditSchedulingModal />
             <window.CreateApiKeyModal />
             <window.RenameApiKeyModal />
+            <window.EditApiKeyLimitsModal />
             <window.AddModelModal />
             <window.EditModelModal />
             <window.AddMappingModal />
             <window.EditMappingModal />
+            <window.CaptureViewerModal />
         </>
     );
 };
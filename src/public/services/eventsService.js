@@ -0,0 +1,99 @@
+// 实时事件服务层
+// 使用 fetch 读取 /api/events 的 SSE 流（EventSource 无法携带 Authorization 请求头），
+// 断线后自动重连并携带 Last-Event-ID 补发错过的事件。
+// 收到的每个事件都会以 window 上的 'kiro-event' 自定义事件分发，detail 为事件数据。
+window.eventsService = {
+    active: false,
+    controller: null,
+    lastEventId: null,
+    retryDelay: 3000,
+    reconnectTimer: null,
+    watchdog: null,
+
+    // 超过该时间未收到任何数据（包括心跳）视为连接已断开
+    idleTimeout: 45000,
+
+    connect() {
+        this.disconnect();
+        this.active = true;
+        this._open();
+    },
+
+    disconnect() {
+        this.active = false;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.watchdog);
+        if (this.controller) {
+            this.controller.abort();
+            this.controller = null;
+        }
+    },
+
+    async _open() {
+        const controller = new AbortController();
+        this.controller = controller;
+
+        try {
+            const headers = { 'Authorization': 'Bearer ' + window.adminKey };
+            if (this.lastEventId) headers['Last-Event-ID'] = this.lastEventId;
+
+            const res = await fetch('/api/events', { headers, signal: controller.signal });
+            if (res.status === 401) { this.disconnect(); logout(); return; }
+            if (!res.ok || !res.body) throw new Error(res.statusText || String(res.status));
+
+            const reader = res.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            this._resetWatchdog(controller);
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                this._resetWatchdog(controller);
+                buffer += decoder.decode(value, { stream: true });
+
+                let index;
+                while ((index = buffer.indexOf('\n\n')) !== -1) {
+                    const block = buffer.slice(0, index);
+                    buffer = buffer.slice(index + 2);
+                    this._handleBlock(block);
+                }
+            }
+        } catch (e) {
+            if (!controller.signal.aborted) console.warn('实时事件连接断开:', e.message);
+        }
+
+        clearTimeout(this.watchdog);
+        if (this.active && this.controller === controller) {
+            this.reconnectTimer = setTimeout(() => this._open(), this.retryDelay);
+        }
+    },
+
+    _resetWatchdog(controller) {
+        clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(() => controller.abort(), this.idleTimeout);
+    },
+
+    _handleBlock(block) {
+        let id = null;
+        const dataLines = [];
+        for (const line of block.split('\n')) {
+            if (!line || line.startsWith(':')) continue; // 心跳等注释行
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'id') id = value;
+            else if (field === 'data') dataLines.push(value);
+            else if (field === 'retry' && parseInt(value) > 0) this.retryDelay = parseInt(value);
+        }
+        if (dataLines.length === 0) return;
+
+        try {
+            const data = JSON.parse(dataLines.join('\n'));
+            if (id) this.lastEventId = id;
+            window.dispatchEvent(new CustomEvent('kiro-event', { detail: data }));
+        } catch (e) {
+            console.error('解析实时事件失败:', e);
+        }
+    }
+};
@@ -1,10 +1,13 @@
 // 请求记录服务层
 window.logsService = {
-    // 获取请求记录（分页）
-    async fetchLogs({ page = 1, pageSize = 20 } = {}) {
-        const response = await fetchApi(`/api/logs?page=${page}&pageSize=${pageSize}`);
+    // 获取请求记录（分页，filters 为 /api/logs 支持的筛选参数，cursor 为上一页的 nextCursor）
+    async fetchLogs({ page = 1, pageSize = 20, cursor = null, filters = {} } = {}) {
+        const params = new URLSearchParams({ ...filters, page, pageSize });
+        if (cursor) params.set('cursor', cursor);
+        const response = await fetchApi(`/api/logs?${params}`);
         return {
             data: response.data || [],
+            summary: response.summary || null,
             pagination: response.pagination || {
                 page: 1,
                 pageSize: 20,
@@ -14,8 +17,9 @@ window.logsService = {
         };
     },
 
-    // 获取日志统计
-    async fetchLogsStats() {
-        return await fetchApi('/api/logs/stats');
+    // 获取日志统计（可带筛选参数）
+    async fetchLogsStats(filters = {}) {
+        const params = new URLSearchParams(filters);
+        return await fetchApi(`/api/logs/stats${params.toString() ? `?${params}` : ''}`);
     }
 };
@@ -12,10 +12,37 @@ function formatNumber(n) {
 }
 
 function formatStatus(status) {
-    const styles = { active: 'bg-green-100 text-green-700', cooldown: 'bg-yellow-100 text-yellow-700', invalid: 'bg-red-100 text-red-700', disabled: 'bg-gray-100 text-gray-700' };
+    const styles = { active: 'bg-green-100 text-green-700', cooldown: 'bg-yellow-100 text-yellow-700', exhausted: 'bg-orange-100 text-orange-700', invalid: 'bg-red-100 text-red-700', disabled: 'bg-gray-100 text-gray-700' };
     return `<span class="px-2 py-1 rounded-full text-xs font-medium ${styles[status] || styles.disabled}">${status}</span>`;
 }
 
+// 与 src/error-classifier.js 的 ERROR_CATEGORIES 对应
+function formatErrorCategory(category) {
+    const labels = {
+        throttled: '上游限流',
+        quota_exhausted: '额度用尽',
+        account_suspended: '账号被封禁',
+        invalid_token: 'Token 无效',
+        bad_request: '请求错误',
+        cancelled: '客户端断开',
+        upstream_error: '上游错误',
+        network_error: '网络错误',
+        unknown: '未知错误'
+    };
+    return labels[category] || category || '失败';
+}
+
+// 代码引用（JSON 字符串）格式化为悬停提示：每行一个仓库、许可证与地址
+function formatCodeReferences(value) {
+    try {
+        return JSON.parse(value)
+            .map(r => [r.repository, r.licenseName && `(${r.licenseName})`, r.url].filter(Boolean).join(' '))
+            .join('\n');
+    } catch {
+        return '';
+    }
+}
+
 function formatUsage(usage) {
     if (!usage) return '<span class="text-gray-400 text-sm">未知</span>';
     if (usage.error) return `<span class="text-red-500 text-sm" title="${usage.error}">错误</span>`;
@@ -68,3 +95,34 @@ function maskKey(key) {
     if (!key || key.length <= 8) return key;
     return key.substring(0, 4) + '****' + key.substring(key.length - 4);
 }
+
+// 按行对比两段文本（最长公共子序列），返回 { type: 'same' | 'removed' | 'added', text } 列表
+// 行数过多时不做逐行对比，整体视为删除后新增
+function diffLines(a, b) {
+    const left = a.split('\n'), right = b.split('\n');
+    if (left.length * right.length > 4000000) {
+        return [
+            ...left.map(text => ({ type: 'removed', text })),
+            ...right.map(text => ({ type: 'added', text }))
+        ];
+    }
+
+    const n = left.length, m = right.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = left[i] === right[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0, j = 0;
+    while (i < n && j < m) {
+        if (left[i] === right[j]) { result.push({ type: 'same', text: left[i] }); i++; j++; }
+        else if (lcs[i + 1][j] >= lcs[i][j + 1]) { result.push({ type: 'removed', text: left[i++] }); }
+        else { result.push({ type: 'added', text: right[j++] }); }
+    }
+    while (i < n) result.push({ type: 'removed', text: left[i++] });
+    while (j < m) result.push({ type: 'added', text: right[j++] });
+    return result;
+}
@@ -0,0 +1,107 @@
+/**
+ * 抓包请求重放
+ * 用抓包保存的 Anthropic 请求，通过指定账号与模型重新调用 Kiro，供管理面板与原始响应对比
+ * 重放不写入请求日志，也不计入账号的请求数与错误数
+ */
+
+import { KiroClient } from './kiro-client.js';
+import { EventStreamDecoder, parseKiroEvent } from './event-parser.js';
+import { resolveImageUrls } from './image-source.js';
+
+/**
+ * 从抓包数据中取出可重放的 Anthropic 请求
+ * OpenAI 格式请求使用转换后的 anthropicRequest，Anthropic 格式请求使用客户端请求体
+ * @param {object} data - 抓包数据
+ * @param {string} [model] - 覆盖请求中的模型
+ * @returns {{request?: object, error?: string}}
+ */
+export function buildReplayRequest(data, model) {
+  const source = data?.anthropicRequest || data?.request?.body;
+  if (!source || typeof source !== 'object') {
+    return { error: '抓包中没有可重放的请求' };
+  }
+  if (source._truncated) {
+    return { error: '请求体在抓包时超过大小上限被截断，无法重放' };
+  }
+  if (!Array.isArray(source.messages)) {
+    return { error: '抓包中的请求缺少 messages' };
+  }
+  return { request: { ...source, model: model || source.model, stream: true } };
+}
+
+/**
+ * 把 Kiro 事件序列整理为便于阅读和对比的文本
+ * 文本原样拼接，思考内容与工具调用以 [thinking] / [tool_use 名称] 标记分段
+ */
+export class EventTranscript {
+  constructor() {
+    this.text = '';
+    this.block = null;
+  }
+
+  /**
+   * 追加一个事件
+   * @returns {string} 本次新增的文本
+   */
+  push(event) {
+    if (!event) return '';
+    const data = event.data;
+    let piece = '';
+
+    if (event.type === 'assistantResponseEvent' && data?.content) {
+      piece = this._enter('text') + data.content;
+    } else if (event.type === 'thinkingEvent' && data?.thinking) {
+      piece = this._enter('thinking', '[thinking]\n') + data.thinking;
+    } else if (event.type === 'toolUseEvent' && data?.toolUseId) {
+      piece = this._enter(`tool:${data.toolUseId}`, `[tool_use ${data.name || ''}]\n`) + (data.input || '');
+    } else if (event.type === 'exception') {
+      piece = this._enter('error', `[${data.exceptionType}]\n`) + (data.message || '');
+    }
+
+    this.text += piece;
+    return piece;
+  }
+
+  // 切换到新的分段时插入分隔与标记
+  _enter(block, header = '') {
+    if (this.block === block) return '';
+    const separator = this.block === null ? '' : '\n\n';
+    this.block = block;
+    return separator + header;
+  }
+
+  static fromEvents(events = []) {
+    const transcript = new EventTranscript();
+    for (const event of events) transcript.push(event);
+    return transcript.text;
+  }
+}
+
+/**
+ * 用指定账号重放请求，逐个返回上游事件
+ * @param {object} state - 共享状态
+ * @param {{tokenManager: object}} handle - 账号（AccountPool.getAccountHandle 的返回值）
+ * @param {object} anthropicReq - buildReplayRequest 得到的请求
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - 中止后取消上游请求并停止读取
+ * @param {Function} [options.onStart] - 发送前以 { upstreamModel } 回调
+ */
+export async function* replayRequest(state, handle, anthropicReq, { signal, onStart } = {}) {
+  const kiroClient = new KiroClient(state.config, handle.tokenManager, state.dbManager);
+  onStart?.({ upstreamModel: kiroClient.mapModel(anthropicReq.model) });
+
+  const request = await resolveImageUrls(anthropicReq, state.config, { signal });
+  const { response } = await kiroClient.callApiStream(request, { signal });
+  const decoder = new EventStreamDecoder();
+  try {
+    for await (const chunk of response.body) {
+      if (signal?.aborted) break;
+      decoder.feed(chunk);
+      for (const frame of decoder.decode()) {
+        yield parseKiroEvent(frame);
+      }
+    }
+  } finally {
+    response.body.destroy?.();
+  }
+}
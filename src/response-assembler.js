@@ -0,0 +1,557 @@
+/**
+ * 响应组装
+ * ResponseAssembler 消费 parseKiroEvent 的结果，统一处理所有输出格式共用的语义：
+ * 思考内容拆分（ThinkingExtractor）、max_tokens / stop_sequences（OutputLimiter）、工具名还原、
+ * 内容块的开始与结束、stop_reason 与 usage 统计。输出以内容块操作交给 sink：
+ *   start({ inputTokens })         响应开始，inputTokens 为本地估算的输入 token 数
+ *   startBlock(index, block)       block: { type: 'text' | 'thinking' | 'redacted_thinking' | 'tool_use', ... }
+ *   delta(index, delta)            delta: { type: 'text' | 'thinking' | 'signature' | 'input_json', value }
+ *   stopBlock(index)
+ *   finish({ stopReason, stopSequence, usage })
+ *   error({ status, category, message })  仅流式 sink，响应中途失败
+ *   ping()                         仅流式 sink
+ * 每个 sink 对应一种输出格式：Anthropic SSE、Anthropic message、OpenAI chunk、OpenAI completion
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { countTokens, countToolUseTokens } from './tokenizer.js';
+import { toOpenAIFinishReason } from './openai-converter.js';
+import { OutputLimiter } from './output-limiter.js';
+import { ThinkingExtractor } from './thinking.js';
+import { inferAnthropicErrorType, inferOpenAIErrorType } from './error-classifier.js';
+import { KiroStreamError } from './kiro-client.js';
+
+const DEFAULT_CONTEXT_LENGTH = 200000;
+
+// 获取模型上下文长度（MODEL_CONTEXT_LENGTH，当前所有 Claude 模型均为 200k）
+function getModelContextLength(config) {
+  const configured = Number(config?.modelContextLength);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_CONTEXT_LENGTH;
+}
+
+// contextUsagePercentage 为 0-100 的百分比，转换为 0-1 的比例
+function normalizeContextUsagePercentage(value) {
+  const pct = Number(value);
+  if (!Number.isFinite(pct) || pct <= 0) return 0;
+  return Math.min(pct, 100) / 100;
+}
+
+export class ResponseAssembler {
+  /**
+   * @param {object} sink - 输出格式
+   * @param {object} options
+   * @param {object} [options.config] - 服务配置（modelContextLength）
+   * @param {Map} [options.toolNameMap] - 原始工具名 -> Kiro 工具名
+   * @param {OutputLimiter} [options.limiter]
+   * @param {ThinkingExtractor} [options.thinking]
+   * @param {number} [options.estimatedInputTokens] - 调用前用 tokenizer 对完整请求估算的输入 token 数
+   * @param {Function} [options.onFirstContent] - 输出首个内容块（正文、思考或工具调用）时调用
+   */
+  constructor(sink, { config, toolNameMap, limiter = new OutputLimiter(), thinking = new ThinkingExtractor(), estimatedInputTokens = 0, onFirstContent }) {
+    this.sink = sink;
+    this.onFirstContent = onFirstContent;
+    this.limiter = limiter;
+    this.thinking = thinking;
+    this.modelContextLength = getModelContextLength(config);
+    this.recordCodeReferences = config?.citations?.codeReferences === true;
+
+    this.toolNameReverse = new Map();
+    for (const [originalName, kiroName] of toolNameMap || []) {
+      this.toolNameReverse.set(kiroName, originalName);
+    }
+
+    this.blockCount = 0;
+    this.current = null; // 当前打开的内容块 { index, type, id }
+    this.toolUses = new Map(); // toolUseId -> { name, input }，保持出现顺序
+
+    this.text = '';
+    this.thinkingText = '';
+    this.estimatedInputTokens = estimatedInputTokens || 0;
+    this.upstreamInputTokens = null; // 由 contextUsageEvent 百分比换算，未收到时为 null
+    this.credits = null; // meteringEvent 累计的计量，未收到时为 null
+    this.codeReferences = []; // codeReferenceEvent 的许可证引用，只记录到请求日志
+  }
+
+  get stopped() {
+    return this.limiter.stopped;
+  }
+
+  /**
+   * 上报的输入 token 数
+   * 上游百分比包含 Kiro 自身注入的上下文，但只有百分比精度；本地估算覆盖客户端发送的全部内容。
+   * 取两者较大值，避免任一方偏低时少计
+   */
+  get inputTokens() {
+    return Math.max(this.estimatedInputTokens, this.upstreamInputTokens || 0);
+  }
+
+  // 已输出内容的 token 数（响应中途失败时也可读取）
+  get outputTokens() {
+    return countTokens(this.text) + countTokens(this.thinkingText) + countToolUseTokens(this.toolUses);
+  }
+
+  start() {
+    this.sink.start({ inputTokens: this.estimatedInputTokens });
+  }
+
+  /**
+   * 处理一个 Kiro 事件
+   * 异常帧与 invalidStateEvent 抛出 KiroStreamError
+   * @param {{type: string, data: any}} event
+   */
+  push(event) {
+    if (!event || !event.data || this.stopped) return;
+    const data = event.data;
+
+    switch (event.type) {
+      case 'assistantResponseEvent':
+        this._emitParts(this.thinking.pushText(data.content || ''));
+        break;
+      case 'thinkingEvent':
+        this._emitParts(this.thinking.pushEvent(data));
+        break;
+      case 'toolUseEvent':
+        this._pushToolUse(data);
+        break;
+      case 'contextUsageEvent': {
+        const percentage = normalizeContextUsagePercentage(data.contextUsagePercentage);
+        const upstream = Math.round(percentage * this.modelContextLength);
+        if (upstream > (this.upstreamInputTokens || 0)) {
+          this.upstreamInputTokens = upstream;
+        }
+        break;
+      }
+      case 'meteringEvent': {
+        const usage = Number(data.usage);
+        if (Number.isFinite(usage)) {
+          this.credits = (this.credits || 0) + usage;
+        }
+        break;
+      }
+      case 'codeReferenceEvent':
+        if (this.recordCodeReferences) this._pushCodeReferences(data.references);
+        break;
+      case 'followupPromptEvent':
+        // IDE 中的后续提问建议，Anthropic / OpenAI 格式没有对应字段
+        break;
+      case 'invalidStateEvent':
+        throw new KiroStreamError('InvalidStateException', data.message || data.reason || '会话状态无效', { reason: data.reason });
+      case 'exception':
+        throw new KiroStreamError(data.exceptionType, data.message, data);
+    }
+  }
+
+  /**
+   * 输出暂存内容、结束所有内容块并完成响应
+   * @returns {{inputTokens: number, outputTokens: number, stopReason: string}}
+   */
+  finish() {
+    this._emitParts(this.thinking.flush());
+    this._emitText(this.limiter.flushText());
+    this._closeBlock();
+
+    const stopReason = this.limiter.resolveStopReason(this.toolUses.size > 0 ? 'tool_use' : 'end_turn');
+    const usage = { inputTokens: this.inputTokens, outputTokens: this.outputTokens };
+    this.sink.finish({ stopReason, stopSequence: this.limiter.stopSequence, usage });
+    return { ...usage, stopReason };
+  }
+
+  _pushToolUse(data) {
+    const toolUseId = data.toolUseId;
+
+    if (!this.toolUses.has(toolUseId)) {
+      // 工具调用开始前输出暂存的正文
+      this._emitParts(this.thinking.flush());
+      this._emitText(this.limiter.flushText());
+      if (this.stopped) return;
+
+      const name = this.toolNameReverse.get(data.name) || data.name;
+      this.toolUses.set(toolUseId, { name, input: '' });
+      this._openBlock({ type: 'tool_use', id: toolUseId, name });
+    }
+
+    const input = this.limiter.consume(data.input || '');
+    this.toolUses.get(toolUseId).input += input;
+    // Kiro 按顺序发送工具调用，已结束的工具调用不会再收到输入
+    if (input && this.current?.id === toolUseId) {
+      this.sink.delta(this.current.index, { type: 'input_json', value: input });
+    }
+
+    // 被 max_tokens 截断的工具调用不会收到 stop，在 finish 时结束
+    if (data.stop && this.current?.id === toolUseId) {
+      this._closeBlock();
+    }
+  }
+
+  _emitParts(parts) {
+    for (const part of parts) {
+      if (part.type === 'thinking') {
+        const thinking = this.limiter.consume(part.text);
+        if (!thinking) continue;
+        this.thinkingText += thinking;
+        if (this.current?.type !== 'thinking') this._openBlock({ type: 'thinking' });
+        this.sink.delta(this.current.index, { type: 'thinking', value: thinking });
+      } else if (part.type === 'thinking_end') {
+        if (this.current?.type !== 'thinking') continue;
+        this.sink.delta(this.current.index, { type: 'signature', value: part.signature });
+        this._closeBlock();
+      } else if (part.type === 'redacted_thinking') {
+        // 内容不可拆分，开始后立即结束
+        this._openBlock({ type: 'redacted_thinking', data: part.data });
+        this._closeBlock();
+      } else {
+        this._emitText(this.limiter.pushText(part.text));
+      }
+    }
+  }
+
+  _emitText(text) {
+    if (!text) return;
+    this.text += text;
+    if (this.current?.type !== 'text') this._openBlock({ type: 'text' });
+    this.sink.delta(this.current.index, { type: 'text', value: text });
+  }
+
+  /**
+   * 记录生成代码的许可证引用
+   * Anthropic / OpenAI 格式没有对应的引用类型（citations 只能引用请求中的文档或 API 签发的搜索结果），
+   * 因此不写入响应内容，只随请求日志保存。recommendationContentSpan 是引用内容在响应正文中的位置
+   */
+  _pushCodeReferences(references) {
+    for (const ref of Array.isArray(references) ? references : []) {
+      const span = ref?.recommendationContentSpan;
+      this.codeReferences.push({
+        repository: ref?.repository || null,
+        licenseName: ref?.licenseName || null,
+        url: ref?.url || null,
+        span: span && Number.isInteger(span.start) && Number.isInteger(span.end)
+          ? { start: span.start, end: span.end }
+          : null
+      });
+    }
+  }
+
+  // 同一时间只有一个打开的内容块
+  _openBlock(block) {
+    this._closeBlock();
+    if (this.blockCount === 0) this.onFirstContent?.();
+    this.current = { index: this.blockCount++, type: block.type, id: block.id };
+    this.sink.startBlock(this.current.index, block);
+  }
+
+  _closeBlock() {
+    if (!this.current) return;
+    this.sink.stopBlock(this.current.index);
+    this.current = null;
+  }
+}
+
+// ============ Anthropic 格式 ============
+
+const ANTHROPIC_DELTA_TYPES = {
+  text: ['text_delta', 'text'],
+  thinking: ['thinking_delta', 'thinking'],
+  signature: ['signature_delta', 'signature'],
+  input_json: ['input_json_delta', 'partial_json']
+};
+
+function toAnthropicBlock(block) {
+  switch (block.type) {
+    case 'text':
+      return { type: 'text', text: '' };
+    case 'thinking':
+      return { type: 'thinking', thinking: '' };
+    case 'redacted_thinking':
+      return { type: 'redacted_thinking', data: block.data };
+    case 'tool_use':
+      return { type: 'tool_use', id: block.id, name: block.name, input: {} };
+  }
+}
+
+/**
+ * Anthropic SSE 事件
+ */
+export class AnthropicStreamSink {
+  constructor(res, { model }) {
+    this.res = res;
+    this.model = model;
+    this.messageId = 'msg_' + uuidv4().replace(/-/g, '');
+  }
+
+  _write(event, data) {
+    this.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  // 上游的 contextUsageEvent 在响应末尾才到达，message_start 使用本地估算值
+  start({ inputTokens = 0 } = {}) {
+    this.res.setHeader('Content-Type', 'text/event-stream');
+    this.res.setHeader('Cache-Control', 'no-cache');
+    this.res.setHeader('Connection', 'keep-alive');
+    this._write('message_start', {
+      type: 'message_start',
+      message: {
+        id: this.messageId,
+        type: 'message',
+        role: 'assistant',
+        content: [],
+        model: this.model,
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: inputTokens, output_tokens: 0 }
+      }
+    });
+  }
+
+  startBlock(index, block) {
+    this._write('content_block_start', { type: 'content_block_start', index, content_block: toAnthropicBlock(block) });
+  }
+
+  delta(index, { type, value }) {
+    const [deltaType, field] = ANTHROPIC_DELTA_TYPES[type];
+    this._write('content_block_delta', { type: 'content_block_delta', index, delta: { type: deltaType, [field]: value } });
+  }
+
+  stopBlock(index) {
+    this._write('content_block_stop', { type: 'content_block_stop', index });
+  }
+
+  finish({ stopReason, stopSequence, usage }) {
+    this._write('message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: stopReason, stop_sequence: stopSequence },
+      usage: { input_tokens: usage.inputTokens, output_tokens: usage.outputTokens }
+    });
+    this._write('message_stop', { type: 'message_stop' });
+    this.res.end();
+  }
+
+  // 发送 error 事件，让客户端区分截断与正常结束
+  error({ status, message }) {
+    this._write('error', { type: 'error', error: { type: inferAnthropicErrorType(status), message } });
+    this.res.end();
+  }
+
+  ping() {
+    this._write('ping', { type: 'ping' });
+  }
+}
+
+/**
+ * 完整的 Anthropic message
+ */
+export class AnthropicMessageSink {
+  constructor(res, { model }) {
+    this.res = res;
+    this.model = model;
+    this.content = [];
+  }
+
+  start() {}
+
+  startBlock(index, block) {
+    const content = toAnthropicBlock(block);
+    if (block.type === 'tool_use') content.partialJson = '';
+    this.content[index] = content;
+  }
+
+  delta(index, { type, value }) {
+    const block = this.content[index];
+    if (type === 'text') block.text += value;
+    else if (type === 'thinking') block.thinking += value;
+    else if (type === 'signature') block.signature = value;
+    else if (type === 'input_json') block.partialJson += value;
+  }
+
+  stopBlock() {}
+
+  finish({ stopReason, stopSequence, usage }) {
+    const content = this.content.map(block => {
+      if (block.type !== 'tool_use') return block;
+      const { partialJson, ...toolUse } = block;
+      return { ...toolUse, input: parseToolInput(partialJson) };
+    });
+
+    this.res.json({
+      id: 'msg_' + uuidv4().replace(/-/g, ''),
+      type: 'message',
+      role: 'assistant',
+      content,
+      model: this.model,
+      stop_reason: stopReason,
+      stop_sequence: stopSequence,
+      usage: {
+        input_tokens: usage.inputTokens,
+        output_tokens: usage.outputTokens
+      }
+    });
+  }
+}
+
+// 被截断的工具调用参数不是完整 JSON，返回空对象
+function parseToolInput(json) {
+  try {
+    const input = JSON.parse(json || '{}');
+    return input && typeof input === 'object' ? input : {};
+  } catch {
+    return {};
+  }
+}
+
+// ============ OpenAI 格式 ============
+
+/**
+ * chat.completion.chunk
+ * 思考内容作为 reasoning_content 发送，OpenAI 格式没有签名与 redacted_thinking
+ */
+export class OpenAIStreamSink {
+  constructor(res, { model, includeUsage = false }) {
+    this.res = res;
+    this.model = model;
+    this.includeUsage = includeUsage;
+    this.completionId = 'chatcmpl-' + uuidv4().replace(/-/g, '');
+    this.created = Math.floor(Date.now() / 1000);
+    this.toolCallIndexes = new Map(); // 内容块 index -> tool_calls index
+  }
+
+  _chunk(fields) {
+    this.res.write(`data: ${JSON.stringify({
+      id: this.completionId,
+      object: 'chat.completion.chunk',
+      created: this.created,
+      model: this.model,
+      ...fields
+    })}\n\n`);
+  }
+
+  _delta(delta, finishReason = null) {
+    this._chunk({ choices: [{ index: 0, delta, finish_reason: finishReason }] });
+  }
+
+  start() {
+    this.res.setHeader('Content-Type', 'text/event-stream');
+    this.res.setHeader('Cache-Control', 'no-cache');
+    this.res.setHeader('Connection', 'keep-alive');
+    this._delta({ role: 'assistant', content: '' });
+  }
+
+  startBlock(index, block) {
+    if (block.type !== 'tool_use') return;
+    const toolIndex = this.toolCallIndexes.size;
+    this.toolCallIndexes.set(index, toolIndex);
+    this._delta({
+      tool_calls: [{
+        index: toolIndex,
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: '' }
+      }]
+    });
+  }
+
+  delta(index, { type, value }) {
+    if (type === 'text') {
+      this._delta({ content: value });
+    } else if (type === 'thinking') {
+      this._delta({ reasoning_content: value });
+    } else if (type === 'input_json') {
+      this._delta({ tool_calls: [{ index: this.toolCallIndexes.get(index), function: { arguments: value } }] });
+    }
+  }
+
+  stopBlock() {}
+
+  finish({ stopReason, usage }) {
+    this._delta({}, toOpenAIFinishReason(stopReason));
+
+    // 仅在客户端请求 stream_options.include_usage 时发送 usage chunk
+    if (this.includeUsage) {
+      this._chunk({
+        choices: [],
+        usage: {
+          prompt_tokens: usage.inputTokens,
+          completion_tokens: usage.outputTokens,
+          total_tokens: usage.inputTokens + usage.outputTokens
+        }
+      });
+    }
+
+    this.res.write('data: [DONE]\n\n');
+    this.res.end();
+  }
+
+  // 发送 error 数据块（不发送 [DONE]），让客户端区分截断与正常结束
+  error({ status, category, message }) {
+    this.res.write(`data: ${JSON.stringify({
+      error: { message, type: inferOpenAIErrorType(status), code: category }
+    })}\n\n`);
+    this.res.end();
+  }
+
+  // SSE 注释行，客户端会忽略
+  ping() {
+    this.res.write(': ping\n\n');
+  }
+}
+
+/**
+ * chat.completion
+ */
+export class OpenAIMessageSink {
+  constructor(res, { model }) {
+    this.res = res;
+    this.model = model;
+    this.text = '';
+    this.reasoning = '';
+    this.toolCalls = new Map(); // 内容块 index -> { id, name, arguments }
+  }
+
+  start() {}
+
+  startBlock(index, block) {
+    if (block.type === 'tool_use') {
+      this.toolCalls.set(index, { id: block.id, name: block.name, arguments: '' });
+    }
+  }
+
+  delta(index, { type, value }) {
+    if (type === 'text') this.text += value;
+    else if (type === 'thinking') this.reasoning += value;
+    else if (type === 'input_json') this.toolCalls.get(index).arguments += value;
+  }
+
+  stopBlock() {}
+
+  finish({ stopReason, usage }) {
+    const message = {
+      role: 'assistant',
+      content: this.text || null
+    };
+    if (this.reasoning) {
+      message.reasoning_content = this.reasoning;
+    }
+    if (this.toolCalls.size > 0) {
+      message.tool_calls = Array.from(this.toolCalls.values()).map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments || '{}' }
+      }));
+    }
+
+    this.res.json({
+      id: 'chatcmpl-' + uuidv4().replace(/-/g, ''),
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: this.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: toOpenAIFinishReason(stopReason)
+      }],
+      usage: {
+        prompt_tokens: usage.inputTokens,
+        completion_tokens: usage.outputTokens,
+        total_tokens: usage.inputTokens + usage.outputTokens
+      }
+    });
+  }
+}
@@ -1,5 +1,9 @@
 import { Router } from 'express';
 import crypto from 'crypto';
+import { once } from 'events';
+import { ACCOUNT_STRATEGIES } from '../pool.js';
+import { formatSSE } from '../events.js';
+import { buildReplayRequest, replayRequest, EventTranscript } from '../replay.js';
 
 // 生成 API 密钥
 function generateApiKey(prefix = 'sk') {
@@ -12,17 +16,128 @@ function generateApiKey(prefix = 'sk') {
   return `${prefix}-${key}`;
 }
 
-// SSE 客户端连接池
-const sseClients = new Set();
+// 解析请求体中的 API 密钥配额字段，只返回出现的字段
+function parseApiKeyLimits(body) {
+  const limits = {};
 
-// 广播更新给所有连接的客户端
-export function broadcastUpdate(data) {
-  const message = `data: ${JSON.stringify(data)}\n\n`;
-  for (const client of sseClients) {
-    client.write(message);
+  if (body.enabled !== undefined) {
+    limits.enabled = Boolean(body.enabled);
   }
+
+  for (const field of ['rpmLimit', 'dailyTokenLimit', 'monthlyTokenLimit']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '' || body[field] === 0) {
+      limits[field] = null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: `${field} 必须为非负整数` };
+    }
+    limits[field] = value;
+  }
+
+  if (body.allowedModels !== undefined) {
+    let models = body.allowedModels;
+    if (typeof models === 'string') {
+      models = models.split(',');
+    }
+    if (models !== null && !Array.isArray(models)) {
+      return { error: 'allowedModels 必须为数组' };
+    }
+    limits.allowedModels = (models || []).map(m => String(m).trim()).filter(Boolean);
+  }
+
+  if (body.expiresAt !== undefined) {
+    if (!body.expiresAt) {
+      limits.expiresAt = null;
+    } else {
+      const date = new Date(body.expiresAt);
+      if (isNaN(date.getTime())) {
+        return { error: 'expiresAt 不是有效的时间' };
+      }
+      limits.expiresAt = date.toISOString();
+    }
+  }
+
+  return { limits };
+}
+
+// 解析 /api/logs 的筛选参数，只返回出现的字段
+function parseLogFilters(query) {
+  const filters = {};
+
+  for (const field of ['from', 'to']) {
+    if (!query[field]) continue;
+    const date = new Date(query[field]);
+    if (isNaN(date.getTime())) {
+      return { error: `${field} 不是有效的时间` };
+    }
+    filters[field] = date.toISOString();
+  }
+
+  for (const field of ['accountId', 'model', 'upstreamModel', 'apiKey', 'apiKeyName', 'q']) {
+    if (query[field]) {
+      filters[field] = String(query[field]);
+    }
+  }
+
+  for (const field of ['success', 'stream']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    if (['true', '1'].includes(query[field])) {
+      filters[field] = true;
+    } else if (['false', '0'].includes(query[field])) {
+      filters[field] = false;
+    } else {
+      return { error: `${field} 必须为 true 或 false` };
+    }
+  }
+
+  if (query.minDurationMs !== undefined && query.minDurationMs !== '') {
+    const value = Number(query.minDurationMs);
+    if (!Number.isInteger(value) || value < 0) {
+      return { error: 'minDurationMs 必须为非负整数' };
+    }
+    filters.minDurationMs = value;
+  }
+
+  return { filters };
+}
+
+// 日志分页游标：对 { timestamp, id } 做 base64url 编码，对客户端不透明
+function encodeLogCursor(cursor) {
+  return cursor ? Buffer.from(`${cursor.timestamp}|${cursor.id}`).toString('base64url') : null;
+}
+
+function decodeLogCursor(value) {
+  const [timestamp, id] = Buffer.from(String(value), 'base64url').toString().split('|');
+  const parsedId = parseInt(id);
+  if (!timestamp || !Number.isInteger(parsedId)) return null;
+  return { timestamp, id: parsedId };
+}
+
+// 导出日志的字段顺序
+const LOG_EXPORT_COLUMNS = [
+  'id', 'timestamp', 'accountId', 'accountName', 'model', 'upstreamModel', 'apiKeyName',
+  'inputTokens', 'inputTokensEstimated', 'inputTokensUpstream', 'outputTokens', 'durationMs', 'success', 'stream', 'attempt', 'requestId', 'credits', 'codeReferences', 'errorCategory', 'errorMessage'
+];
+
+// CSV 字段转义
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// 事件中展示的密钥（只保留首尾，避免在面板事件流中暴露完整密钥）
+function maskApiKey(key) {
+  if (!key || key.length <= 12) return key;
+  return `${key.slice(0, 7)}...${key.slice(-4)}`;
 }
 
+// /api/logs 单页最大条数
+const MAX_LOG_PAGE_SIZE = 500;
+
 export function createAdminRouter(state) {
   const router = Router();
 
@@ -39,25 +154,49 @@ export function createAdminRouter(state) {
   router.use(authMiddleware);
 
   // SSE 实时更新端点
+  // 重连时携带 Last-Event-ID 请求头（或 lastEventId 查询参数）可补发断线期间的事件，
+  // 无法补发时重新发送 init 全量数据
   router.get('/events', (req, res) => {
+    const { eventBus } = state;
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
     res.flushHeaders();
+    res.write('retry: 3000\n\n');
 
-    sseClients.add(res);
-    
-    // 发送初始数据
-    const initialData = {
-      type: 'init',
-      stats: state.accountPool.getStats(),
-      accounts: state.accountPool.listAccounts(),
-      logStats: state.accountPool.getLogStats()
-    };
-    res.write(`data: ${JSON.stringify(initialData)}\n\n`);
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+    const missed = lastEventId ? eventBus.since(lastEventId) : null;
+
+    if (missed) {
+      for (const event of missed) {
+        res.write(formatSSE(event));
+      }
+    } else {
+      // 发送初始数据，ID 为当前最新事件，之后的事件从这里接续
+      const initialData = {
+        type: 'init',
+        timestamp: new Date().toISOString(),
+        stats: state.accountPool.getStats(),
+        accounts: state.accountPool.listAccounts(),
+        logStats: state.accountPool.getLogStats(),
+        strategy: state.accountPool.getStrategy()
+      };
+      res.write(formatSSE({ id: `${eventBus.bootId}-${eventBus.seq}`, data: initialData }));
+    }
+
+    const onEvent = (event) => res.write(formatSSE(event));
+    eventBus.on('event', onEvent);
+
+    // 心跳（SSE 注释行），防止代理因空闲断开连接，也便于客户端检测断线
+    const heartbeat = setInterval(() => {
+      res.write(`: ping ${Date.now()}\n\n`);
+    }, state.config.events.heartbeatMs);
+    heartbeat.unref();
 
     req.on('close', () => {
-      sseClients.delete(res);
+      clearInterval(heartbeat);
+      eventBus.off('event', onEvent);
     });
   });
 
@@ -160,6 +299,33 @@ export function createAdminRouter(state) {
     res.json({ success });
   });
 
+  // PATCH /api/accounts/:id - 更新调度权重与优先级
+  router.patch('/accounts/:id', async (req, res) => {
+    const { weight, priority } = req.body;
+    const updates = {};
+
+    if (weight !== undefined) {
+      const value = Number(weight);
+      if (!Number.isInteger(value) || value < 0) {
+        return res.status(400).json({ error: '权重必须为非负整数' });
+      }
+      updates.weight = value;
+    }
+    if (priority !== undefined) {
+      const value = Number(priority);
+      if (!Number.isInteger(value)) {
+        return res.status(400).json({ error: '优先级必须为整数' });
+      }
+      updates.priority = value;
+    }
+
+    const success = await state.accountPool.updateScheduling(req.params.id, updates);
+    if (!success) {
+      return res.status(404).json({ error: '账号不存在' });
+    }
+    res.json({ success });
+  });
+
   // POST /api/accounts/:id/refresh-usage - 刷新单个账号额度
   router.post('/accounts/:id/refresh-usage', async (req, res) => {
     try {
@@ -185,47 +351,236 @@ export function createAdminRouter(state) {
 
   // GET /api/strategy
   router.get('/strategy', (req, res) => {
-    res.json({ strategy: state.accountPool.getStrategy() });
+    res.json({ strategy: state.accountPool.getStrategy(), strategies: ACCOUNT_STRATEGIES });
   });
 
   // POST /api/strategy
   router.post('/strategy', (req, res) => {
     const { strategy } = req.body;
-    if (!['round-robin', 'random', 'least-used'].includes(strategy)) {
+    if (!ACCOUNT_STRATEGIES.includes(strategy)) {
       return res.status(400).json({ error: '无效的策略' });
     }
     state.accountPool.setStrategy(strategy);
     res.json({ success: true });
   });
 
-  // GET /api/logs - 分页获取日志
+  // GET /api/logs - 按条件筛选并分页获取日志
+  // 支持 page 分页，或使用上一页返回的 nextCursor 作为 cursor 参数进行游标分页（深分页时更快）
   router.get('/logs', (req, res) => {
-    const page = parseInt(req.query.page) || 1;
-    const pageSize = parseInt(req.query.pageSize) || 20;
-    const offset = (page - 1) * pageSize;
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(Math.max(1, parseInt(req.query.pageSize) || 20), MAX_LOG_PAGE_SIZE);
+    const order = req.query.order === 'asc' ? 'asc' : 'desc';
 
-    // 验证pageSize
-    const validPageSizes = [20, 50, 100];
-    const finalPageSize = validPageSizes.includes(pageSize) ? pageSize : 20;
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeLogCursor(req.query.cursor);
+      if (!cursor) {
+        return res.status(400).json({ error: '无效的 cursor' });
+      }
+    }
 
-    const logs = state.accountPool.getRecentLogs(finalPageSize, offset);
-    const stats = state.accountPool.getLogStats();
-    const totalLogs = stats.totalLogs || 0;
+    const { data, nextCursor } = state.accountPool.queryLogs(filters, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize,
+      cursor,
+      order
+    });
+    const summary = state.accountPool.getLogStats(filters);
+    const totalLogs = summary.totalLogs || 0;
 
     res.json({
-      data: logs,
+      data,
       pagination: {
-        page,
-        pageSize: finalPageSize,
+        page: cursor ? null : page,
+        pageSize,
         total: totalLogs,
-        totalPages: Math.ceil(totalLogs / finalPageSize)
-      }
+        totalPages: Math.ceil(totalLogs / pageSize),
+        nextCursor: encodeLogCursor(nextCursor)
+      },
+      summary
     });
   });
 
-  // GET /api/logs/stats
+  // GET /api/logs/export - 按筛选条件流式导出日志（format=csv|jsonl）
+  router.get('/logs/export', async (req, res) => {
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const format = req.query.format || 'csv';
+    if (!['csv', 'jsonl'].includes(format)) {
+      return res.status(400).json({ error: 'format 必须为 csv 或 jsonl' });
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="request_logs_${stamp}.${format}"`);
+
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    // 写入并在缓冲区满时等待，避免大量日志占满内存
+    const write = async (chunk) => {
+      if (!res.write(chunk) && !closed) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    };
+
+    try {
+      if (format === 'csv') {
+        // BOM 便于 Excel 正确识别 UTF-8
+        await write('\uFEFF' + LOG_EXPORT_COLUMNS.join(',') + '\n');
+      }
+
+      // 按时间正序分批读取，游标保证每批之间不重复、不遗漏
+      let cursor = null;
+      do {
+        const page = state.accountPool.queryLogs(filters, { limit: 1000, cursor, order: 'asc' });
+        const lines = page.data.map(log => format === 'csv'
+          ? LOG_EXPORT_COLUMNS.map(col => toCsvValue(log[col])).join(',')
+          : JSON.stringify(log));
+        if (lines.length > 0) {
+          await write(lines.join('\n') + '\n');
+        }
+        cursor = page.nextCursor;
+      } while (cursor && !closed);
+      res.end();
+    } catch (e) {
+      console.error('导出日志失败:', e);
+      res.destroy(e);
+    }
+  });
+
+  // GET /api/logs/archives - 归档文件列表
+  router.get('/logs/archives', async (req, res) => {
+    try {
+      res.json({ policy: state.config.logRetention, archives: await state.logArchiver.listArchives() });
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  // POST /api/logs/archives/run - 立即执行一次日志保留策略
+  router.post('/logs/archives/run', async (req, res) => {
+    try {
+      res.json(await state.logArchiver.run());
+    } catch (e) {
+      res.status(500).json({ error: `归档失败: ${e.message}` });
+    }
+  });
+
+  // GET /api/logs/archives/:name - 下载归档文件
+  router.get('/logs/archives/:name', (req, res) => {
+    const filePath = state.logArchiver.getArchivePath(req.params.name);
+    if (!filePath) {
+      return res.status(404).json({ error: '归档文件不存在' });
+    }
+    res.download(filePath, req.params.name);
+  });
+
+  // GET /api/logs/stats - 日志统计（支持与 /api/logs 相同的筛选参数）
   router.get('/logs/stats', (req, res) => {
-    res.json(state.accountPool.getLogStats());
+    const { filters, error } = parseLogFilters(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    res.json(state.accountPool.getLogStats(filters));
+  });
+
+  // GET /api/capture - 抓包配置
+  router.get('/capture', (req, res) => {
+    res.json(state.captureManager.getSettings());
+  });
+
+  // PUT /api/capture - 更新抓包配置
+  router.put('/capture', (req, res) => {
+    const { enabled, apiKeys, accountIds, sampleRate, maxBodyBytes, ttlHours } = req.body || {};
+    if (sampleRate !== undefined && !(Number(sampleRate) >= 0 && Number(sampleRate) <= 1)) {
+      return res.status(400).json({ error: '采样率必须在 0 到 1 之间' });
+    }
+    if ((apiKeys !== undefined && !Array.isArray(apiKeys)) || (accountIds !== undefined && !Array.isArray(accountIds))) {
+      return res.status(400).json({ error: 'apiKeys 与 accountIds 必须为数组' });
+    }
+    const partial = {};
+    for (const [key, value] of Object.entries({ enabled, apiKeys, accountIds, sampleRate, maxBodyBytes, ttlHours })) {
+      if (value !== undefined) partial[key] = value;
+    }
+    res.json(state.captureManager.updateSettings(partial));
+  });
+
+  // GET /api/captures/:requestId - 查看抓包数据
+  router.get('/captures/:requestId', (req, res) => {
+    const capture = state.captureManager.getCapture(req.params.requestId);
+    if (!capture) {
+      return res.status(404).json({ error: '抓包数据不存在或已过期' });
+    }
+    res.json(capture);
+  });
+
+  // POST /api/captures/:requestId/replay - 用指定账号与模型重放抓包的请求
+  // 以 SSE 返回：start（含原始响应整理后的文本）、delta（重放的增量文本）、done 或 error
+  router.post('/captures/:requestId/replay', async (req, res) => {
+    const capture = state.captureManager.getCapture(req.params.requestId);
+    if (!capture) {
+      return res.status(404).json({ error: '抓包数据不存在或已过期' });
+    }
+    const { accountId, model } = req.body || {};
+    const { request, error } = buildReplayRequest(capture.data, model);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    const handle = state.accountPool.getAccountHandle(accountId);
+    if (!handle) {
+      return res.status(404).json({ error: '账号不存在' });
+    }
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+    const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+
+    const startTime = Date.now();
+    const transcript = new EventTranscript();
+    try {
+      const events = replayRequest(state, handle, request, {
+        signal: controller.signal,
+        onStart: ({ upstreamModel }) => send({
+          type: 'start',
+          account: handle.account,
+          model: request.model,
+          upstreamModel,
+          original: {
+            text: EventTranscript.fromEvents(capture.data.upstreamEvents),
+            omittedEvents: capture.data.omittedUpstreamEvents || 0
+          }
+        })
+      });
+      for await (const event of events) {
+        const piece = transcript.push(event);
+        if (piece) send({ type: 'delta', text: piece });
+      }
+      send({ type: 'done', durationMs: Date.now() - startTime, text: transcript.text });
+    } catch (e) {
+      send({ type: 'error', message: e.message });
+    }
+    res.end();
+  });
+
+  // DELETE /api/captures/:requestId - 删除抓包数据
+  router.delete('/captures/:requestId', (req, res) => {
+    if (!state.captureManager.deleteCapture(req.params.requestId)) {
+      return res.status(404).json({ error: '抓包数据不存在' });
+    }
+    res.json({ success: true });
   });
 
   // DELETE /api/accounts/batch - 批量删除账号
@@ -259,8 +614,19 @@ export function createAdminRouter(state) {
   // POST /api/settings/api-keys
   router.post('/settings/api-keys', async (req, res) => {
     const { name } = req.body;
+    const { limits, error } = parseApiKeyLimits(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
     const key = generateApiKey();
     const added = await state.settingsManager.addApiKey(key, name || null);
+    if (added && Object.keys(limits).length > 0) {
+      await state.settingsManager.updateApiKeyLimits(key, limits);
+    }
+    if (added) {
+      state.eventBus.publish('apikey.created', { key: maskApiKey(key), name: name || null });
+    }
     res.status(added ? 201 : 409).json({ success: added, key: added ? key : null, name: name || null, error: added ? null : '密钥创建失败' });
   });
 
@@ -268,15 +634,32 @@ export function createAdminRouter(state) {
   router.delete('/settings/api-keys', async (req, res) => {
     const { key } = req.body;
     const removed = await state.settingsManager.removeApiKey(key);
+    if (removed) {
+      state.eventBus.publish('apikey.deleted', { key: maskApiKey(key) });
+    }
     res.json({ success: removed, error: removed ? null : '无法删除，至少保留一个 API 密钥' });
   });
 
-  // PATCH /api/settings/api-keys/:key - 更新密钥名称
+  // PATCH /api/settings/api-keys/:key - 更新密钥名称与配额
   router.patch('/settings/api-keys/:key', async (req, res) => {
     const { key } = req.params;
     const { name } = req.body;
-    const updated = await state.settingsManager.updateApiKeyName(key, name);
-    res.json({ success: updated, error: updated ? null : '密钥不存在' });
+    const { limits, error } = parseApiKeyLimits(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (!state.settingsManager.verifyApiKey(key)) {
+      return res.status(404).json({ success: false, error: '密钥不存在' });
+    }
+
+    if (name !== undefined) {
+      await state.settingsManager.updateApiKeyName(key, name);
+    }
+    if (Object.keys(limits).length > 0) {
+      await state.settingsManager.updateApiKeyLimits(key, limits);
+    }
+    res.json({ success: true, error: null });
   });
 
   // ============ 模型管理 API ============
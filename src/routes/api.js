@@ -1,59 +1,123 @@
 import { Router } from 'express';
 import { KiroClient, KiroApiError } from '../kiro-client.js';
 import { EventStreamDecoder, parseKiroEvent } from '../event-parser.js';
-import { countTokens, countMessagesTokens, countToolUseTokens } from '../tokenizer.js';
+import { countRequestTokens, estimateRequestTokens, getRequestTextLength } from '../tokenizer.js';
+import { convertOpenAIRequest } from '../openai-converter.js';
+import { resolveImageUrls } from '../image-source.js';
+import { OutputLimiter } from '../output-limiter.js';
+import { ThinkingExtractor } from '../thinking.js';
+import {
+  ResponseAssembler,
+  AnthropicStreamSink,
+  AnthropicMessageSink,
+  OpenAIStreamSink,
+  OpenAIMessageSink
+} from '../response-assembler.js';
+import { getAffinityKey } from '../affinity.js';
+import { classifyError, inferAnthropicErrorType, inferOpenAIErrorType } from '../error-classifier.js';
 import { v4 as uuidv4 } from 'uuid';
 import fs from 'fs/promises';
+import { setTimeout as sleep } from 'timers/promises';
 import path from 'path';
 
-// 获取模型上下文长度
-function getModelContextLength(model, config) {
-  const configured = Number(config?.modelContextLength);
-  if (Number.isFinite(configured) && configured > 0) {
-    return configured;
-  }
-  const lower = String(model || '').toLowerCase();
-  if (lower.includes('sonnet')) return 200000;
-  if (lower.includes('opus')) return 200000;
-  if (lower.includes('haiku')) return 200000;
-  return 200000;
-}
-
-// 标准化上下文使用百分比
-function normalizeContextUsagePercentage(value) {
-  let pct = Number(value);
-  if (!Number.isFinite(pct)) return 0;
-  if (pct > 1) pct = pct / 100;
-  if (pct < 0) pct = 0;
-  if (pct > 1) pct = 1;
-  return pct;
-}
-
 export function createApiRouter(state) {
   const router = Router();
 
+  // 按请求格式返回认证/配额错误（/chat/completions 使用 OpenAI 格式）
+  const sendAccessError = (req, res, status, type, message) => {
+    if (req.path === '/chat/completions') {
+      return res.status(status).json({
+        error: { message, type: inferOpenAIErrorType(status), code: null }
+      });
+    }
+    res.status(status).json({
+      type: 'error',
+      error: { type, message }
+    });
+  };
+
   // API Key 认证中间件
   const authMiddleware = (req, res, next) => {
     const apiKey = req.headers['x-api-key'] || 
                    req.headers['authorization']?.replace('Bearer ', '');
     
     if (!apiKey || !state.settingsManager.verifyApiKey(apiKey)) {
-      return res.status(401).json({
-        type: 'error',
-        error: { type: 'authentication_error', message: 'Invalid API key' }
-      });
+      return sendAccessError(req, res, 401, 'authentication_error', 'Invalid API key');
+    }
+
+    // 启用状态与有效期
+    const denied = state.settingsManager.checkApiKeyAccess(apiKey);
+    if (denied) {
+      return sendAccessError(req, res, denied.status, denied.type, denied.message);
     }
     
     // 保存 apiKey 到 req 对象，供日志记录使用
     req.apiKey = apiKey;
+    req.apiKeyName = state.settingsManager.getApiKeyName(apiKey);
+    next();
+  };
+
+  // API Key 配额中间件：模型白名单、RPM、每日/每月 token 限额
+  const quotaMiddleware = (req, res, next) => {
+    const denied = state.settingsManager.checkApiKeyAccess(req.apiKey, {
+      model: req.body?.model,
+      consume: true
+    });
+    if (denied) {
+      if (denied.retryAfter) {
+        res.setHeader('Retry-After', String(denied.retryAfter));
+      }
+      return sendAccessError(req, res, denied.status, denied.type, denied.message);
+    }
+    // 检查与预留在同一同步流程中完成；请求发送到上游时才确认占用 RPM，响应结束后释放
+    const reservation = state.settingsManager.reserveApiKeyUsage(req.apiKey);
+    req.quotaReservation = reservation;
+    res.once('close', () => state.settingsManager.releaseApiKeyUsage(reservation));
+    next();
+  };
+
+  // 抓包中间件：按抓包配置决定是否记录本次请求的完整往返数据
+  const captureMiddleware = (req, res, next) => {
+    if (state.captureManager) {
+      req.requestId = req.requestId || uuidv4();
+      req.capture = state.captureManager.begin(req, res);
+    }
+    next();
+  };
+
+  // 优雅关闭期间拒绝新请求，并统计进行中的请求供关闭时等待
+  const lifecycleMiddleware = (req, res, next) => {
+    if (state.lifecycle) {
+      if (!state.lifecycle.accepting) {
+        res.setHeader('Connection', 'close');
+        res.setHeader('Retry-After', '5');
+        return sendAccessError(req, res, 503, 'overloaded_error', '服务正在关闭，请稍后重试');
+      }
+      state.lifecycle.track(res);
+    }
+    next();
+  };
+
+  // 客户端断开时中止上游请求，不再继续读取 Kiro 响应
+  // 使用 res 的 close 事件：在响应结束前触发即表示客户端已断开
+  const abortMiddleware = (req, res, next) => {
+    const controller = new AbortController();
+    res.once('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+    req.abortSignal = controller.signal;
     next();
   };
 
+  router.use(lifecycleMiddleware);
   router.use(authMiddleware);
 
   // GET /v1/models
   router.get('/models', (req, res) => {
-    const models = state.dbManager.getEnabledModels();
+    const models = state.dbManager.getEnabledModels()
+      .filter(m => state.settingsManager.isModelAllowed(req.apiKey, m.id));
     res.json({
       object: 'list',
       data: models.map(m => ({
@@ -67,78 +131,68 @@ export function createApiRouter(state) {
     });
   });
 
+  // POST /v1/messages/count_tokens (Anthropic 格式，本地计算，不占用账号)
+  router.post('/messages/count_tokens', (req, res) => {
+    const { model, messages } = req.body || {};
+    if (!model || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({
+        type: 'error',
+        error: { type: 'invalid_request_error', message: 'model 和 messages 为必填项' }
+      });
+    }
+
+    // 与 quotaMiddleware 使用同样的模型白名单，但不计入 RPM 与 token 限额
+    const denied = state.settingsManager.checkApiKeyAccess(req.apiKey, { model });
+    if (denied) {
+      return sendAccessError(req, res, denied.status, denied.type, denied.message);
+    }
+
+    try {
+      res.json({ input_tokens: countRequestTokens(req.body) });
+    } catch (error) {
+      res.status(500).json({
+        type: 'error',
+        error: { type: 'api_error', message: error.message }
+      });
+    }
+  });
+
   // POST /v1/messages (Anthropic 格式)
-  router.post('/messages', async (req, res) => {
+  router.post('/messages', quotaMiddleware, captureMiddleware, abortMiddleware, async (req, res) => {
     const startTime = Date.now();
-    let selected = null;
-    let upstreamModel = null;
+    const ctx = { selected: null, upstreamModel: null };
 
     try {
-      // 选择账号
-      selected = await state.accountPool.selectAccount();
-      if (!selected) {
+      const isStream = req.body.stream === true;
+      // URL 图片只下载一次，跨账号重试时复用
+      const anthropicReq = await resolveImageUrls(req.body, state.config, { signal: req.abortSignal });
+      // 调用前对完整请求（system、messages、tools、tool_result）估算输入 token 数，跨账号重试时复用
+      req.estimatedInputTokens = estimateInputTokens(state, anthropicReq);
+
+      // 调用 Kiro API（失败时自动切换账号重试）
+      const result = await callWithFailover(state, req, anthropicReq, ctx);
+      if (!result) {
         return res.status(503).json({
           type: 'error',
           error: { type: 'overloaded_error', message: '没有可用的账号' }
         });
       }
-
-      const isStream = req.body.stream === true;
-      const kiroClient = new KiroClient(state.config, selected.tokenManager, state.dbManager);
-      upstreamModel = kiroClient.mapModel(req.body.model);
-
-      // 调用 Kiro API
-      const { response, toolNameMap } = await kiroClient.callApiStream(req.body);
-
-      if (isStream) {
-        // 流式响应
-        await handleStreamResponse(res, response, toolNameMap, selected, state, startTime, req.body.model, req, upstreamModel);
-      } else {
-        // 非流式响应
-        await handleNonStreamResponse(res, response, toolNameMap, selected, state, startTime, req.body.model, req, upstreamModel);
-      }
+      const { response, toolNameMap, selected, upstreamModel } = result;
+
+      const sink = isStream
+        ? new AnthropicStreamSink(res, { model: req.body.model })
+        : new AnthropicMessageSink(res, { model: req.body.model });
+      await handleResponse(state, req, res, response, sink, {
+        toolNameMap,
+        selected,
+        startTime,
+        upstreamModel,
+        limiter: OutputLimiter.fromRequest(req.body),
+        thinking: ThinkingExtractor.fromRequest(req.body)
+      });
 
     } catch (error) {
-      // 记录错误
-      if (selected) {
-        state.accountPool.addLog({
-          accountId: selected.id,
-          accountName: selected.name,
-          model: req.body.model,
-          inputTokens: 0,
-          outputTokens: 0,
-          durationMs: Date.now() - startTime,
-          success: false,
-          error: error.message,
-          apiKey: req.apiKey,
-          stream: req.body.stream === true,
-          upstreamModel: upstreamModel
-        });
-        
-        // 增加账号错误计数
-        const isRateLimit = error.status === 429 || error.message?.includes('rate') || error.message?.includes('limit');
-        state.accountPool.recordError(selected.id, isRateLimit);
-      }
-
-      if (error instanceof KiroApiError) {
-        try {
-          const debugDir = path.join(state.config.dataDir || './data', 'debug');
-          await fs.mkdir(debugDir, { recursive: true });
-          const stamp = new Date().toISOString().replace(/[:.]/g, '-');
-          const debugPath = path.join(debugDir, `kiro_error_${stamp}.json`);
-          await fs.writeFile(debugPath, JSON.stringify({
-            at: new Date().toISOString(),
-            status: error.status,
-            responseText: error.responseText,
-            requestDebug: error.requestDebug
-          }, null, 2));
-        } catch {
-          // ignore debug write failures
-        }
-      }
-
-      const status = inferHttpStatus(error);
-      const errorType = inferAnthropicErrorType(status);
+      const { status, errorType } = await handleRequestError(error, req, state, ctx.selected, startTime, ctx.upstreamModel);
 
       res.status(status).json({
         type: 'error',
@@ -147,539 +201,345 @@ export function createApiRouter(state) {
     }
   });
 
-  return router;
-}
-
-function inferHttpStatus(error) {
-  const msg = String(error?.message || '');
+  // POST /v1/chat/completions (OpenAI 格式)
+  router.post('/chat/completions', quotaMiddleware, captureMiddleware, abortMiddleware, async (req, res) => {
+    const startTime = Date.now();
+    const ctx = { selected: null, upstreamModel: null };
 
-  const kiroStatusMatch = msg.match(/Kiro API 错误:\s*(\d{3})\b/);
-  if (kiroStatusMatch) {
-    const code = parseInt(kiroStatusMatch[1], 10);
-    if (Number.isFinite(code)) return code;
-  }
+    try {
+      const isStream = req.body.stream === true;
+      const includeUsage = req.body.stream_options?.include_usage === true;
+      const anthropicReq = await resolveImageUrls(convertOpenAIRequest(req.body), state.config, { signal: req.abortSignal });
+      req.estimatedInputTokens = estimateInputTokens(state, anthropicReq);
 
-  if (msg.includes('不支持的模型') || msg.includes('消息数组不能为空')) {
-    return 400;
-  }
+      // 调用 Kiro API（失败时自动切换账号重试）
+      const result = await callWithFailover(state, req, anthropicReq, ctx);
+      if (!result) {
+        return res.status(503).json({
+          error: { message: '没有可用的账号', type: 'server_error', code: 'no_available_account' }
+        });
+      }
+      const { response, toolNameMap, selected, upstreamModel } = result;
+
+      const sink = isStream
+        ? new OpenAIStreamSink(res, { model: req.body.model, includeUsage })
+        : new OpenAIMessageSink(res, { model: req.body.model });
+      await handleResponse(state, req, res, response, sink, {
+        toolNameMap,
+        selected,
+        startTime,
+        upstreamModel,
+        limiter: OutputLimiter.fromRequest(anthropicReq),
+        thinking: ThinkingExtractor.fromRequest(anthropicReq)
+      });
 
-  // 网络/上游异常：偏向 502
-  if (msg.includes('FetchError') || msg.includes('ECONN') || msg.includes('ETIMEDOUT')) {
-    return 502;
-  }
+    } catch (error) {
+      const { status } = await handleRequestError(error, req, state, ctx.selected, startTime, ctx.upstreamModel);
 
-  return 500;
-}
+      res.status(status).json({
+        error: {
+          message: error.message,
+          type: inferOpenAIErrorType(status),
+          code: null
+        }
+      });
+    }
+  });
 
-function inferAnthropicErrorType(status) {
-  if (status === 401) return 'authentication_error';
-  if (status === 429) return 'rate_limit_error';
-  if (status === 503) return 'overloaded_error';
-  if (status >= 400 && status < 500) return 'invalid_request_error';
-  return 'api_error';
+  return router;
 }
 
 /**
- * 处理流式响应 (Anthropic 格式)
+ * 本地估算请求的输入 token 数
+ * tokenizer 同步执行，文本超过 tokenEstimateMaxChars 时改用按字符数的粗略估算，避免长时间阻塞事件循环
+ * @returns {number}
  */
-async function handleStreamResponse(res, response, toolNameMap, selected, state, startTime, model, req, upstreamModel) {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-
-  const messageId = 'msg_' + uuidv4().replace(/-/g, '');
-  const decoder = new EventStreamDecoder();
-  const toolNameReverse = new Map();
-  for (const [originalName, kiroName] of toolNameMap || []) {
-    toolNameReverse.set(kiroName, originalName);
+function estimateInputTokens(state, anthropicReq) {
+  const maxChars = state.config.tokenEstimateMaxChars;
+  if (maxChars > 0 && getRequestTextLength(anthropicReq) > maxChars) {
+    return estimateRequestTokens(anthropicReq);
   }
-  let inputTokens = 0;
-  const modelContextLength = getModelContextLength(model, state.config);
-  let outputTokens = 0;
-  let contentBlockIndex = 0;
-  let thinkingBlockIndex = -1;
-  let textBlockIndex = -1;
-  let hasToolUse = false;
-  let eventCount = 0;
-  let outputTextBuffer = '';
-  let outputThinkingBuffer = '';
-  const toolUseBuffers = new Map(); // toolUseId -> { name, input }
-
-  // thinking 处理状态
-  let thinkingBuffer = '';
-  let inThinkingBlock = false;
-  let thinkingExtracted = false;
-
-  // 工具调用状态跟踪
-  const toolBlocks = new Map(); // toolUseId -> blockIndex
-
-  // 发送初始事件
-  const messageStart = {
-    type: 'message_start',
-    message: {
-      id: messageId,
-      type: 'message',
-      role: 'assistant',
-      content: [],
-      model: model,
-      stop_reason: null,
-      stop_sequence: null,
-      usage: { input_tokens: 0, output_tokens: 0 }
-    }
-  };
-  res.write(`event: message_start\ndata: ${JSON.stringify(messageStart)}\n\n`);
-
-  // 辅助函数：发送 text_delta
-  function sendTextDelta(text) {
-    if (!text) return;
-
-    outputTextBuffer += text;
-
-    if (textBlockIndex === -1) {
-      // 如果有 thinking 块，先结束它
-      if (thinkingBlockIndex !== -1) {
-        res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-          type: 'content_block_stop',
-          index: thinkingBlockIndex
-        })}\n\n`);
-        thinkingBlockIndex = -1;
-      }
+  return countRequestTokens(anthropicReq);
+}
 
-      textBlockIndex = contentBlockIndex++;
-      res.write(`event: content_block_start\ndata: ${JSON.stringify({
-        type: 'content_block_start',
-        index: textBlockIndex,
-        content_block: { type: 'text', text: '' }
-      })}\n\n`);
-    }
+/**
+ * 判断错误是否可以切换账号重试
+ * 账号自身的问题（限流、额度用尽、封禁、Token 无效）与网络异常总是换账号重试，
+ * 其他上游错误按 RETRY_ON_STATUS 判断，客户端请求错误不重试
+ * @param {ReturnType<typeof classifyError>} classified
+ */
+function isRetryableError(classified, retryConfig) {
+  if (classified.action === 'none') return false;
+  if (['cooldown', 'exhaust', 'invalidate', 'refresh'].includes(classified.action)) return true;
+  if (classified.category === 'network_error') return true;
+  return classified.upstreamStatus !== null && retryConfig.retryableStatuses.includes(classified.upstreamStatus);
+}
 
-    res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-      type: 'content_block_delta',
-      index: textBlockIndex,
-      delta: { type: 'text_delta', text: text }
-    })}\n\n`);
-  }
+/**
+ * 选择账号并调用 Kiro API，可重试错误时排除已尝试账号后重新选择
+ * 只在上游返回响应体之前重试，因此不会向客户端写出重复内容
+ * ctx 会被更新为最后一次尝试的账号与上游模型，供错误处理记录最终失败
+ * @returns {Promise<object|null>} 无可用账号时返回 null
+ */
+async function callWithFailover(state, req, anthropicReq, ctx) {
+  const retryConfig = state.config.retry;
+  const maxAttempts = Math.max(1, retryConfig.maxAttempts);
+  const tried = new Set();
+  const affinityKey = state.config.affinity?.enabled ? getAffinityKey(req, anthropicReq, state.config.affinity) : null;
+  req.requestId = req.requestId || uuidv4();
+
+  let selected = await state.accountPool.selectAccount({ exclude: tried, affinityKey });
+  if (!selected) return null;
+
+  for (let attempt = 1; ; attempt++) {
+    selected.attempt = attempt;
+    tried.add(selected.id);
+    ctx.selected = selected;
+
+    const attemptStartTime = Date.now();
+    const kiroClient = new KiroClient(state.config, selected.tokenManager, state.dbManager);
+    ctx.upstreamModel = kiroClient.mapModel(anthropicReq.model);
+
+    state.accountPool.publishEvent('request.started', {
+      requestId: req.requestId,
+      attempt,
+      model: anthropicReq.model,
+      upstreamModel: ctx.upstreamModel,
+      stream: req.body.stream === true,
+      account: selected.account
+    });
 
-  // 辅助函数：发送 thinking_delta
-  function sendThinkingDelta(thinking) {
-    if (!thinking) return;
+    // 请求转换通过、即将发送到上游时计入密钥的 RPM 并预留估算的输入 token
+    const onRequest = ({ kiroRequest, headers }) => {
+      state.settingsManager.commitApiKeyUsage(req.quotaReservation, req.estimatedInputTokens);
+      req.capture?.recordAttempt({
+        attempt,
+        account: selected,
+        upstreamModel: ctx.upstreamModel,
+        anthropicRequest: anthropicReq,
+        kiroRequest,
+        headers
+      });
+    };
 
-    outputThinkingBuffer += thinking;
-    
-    if (thinkingBlockIndex === -1) {
-      thinkingBlockIndex = contentBlockIndex++;
-      res.write(`event: content_block_start\ndata: ${JSON.stringify({
-        type: 'content_block_start',
-        index: thinkingBlockIndex,
-        content_block: { type: 'thinking', thinking: '' }
-      })}\n\n`);
-    }
-    
-    res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-      type: 'content_block_delta',
-      index: thinkingBlockIndex,
-      delta: { type: 'thinking_delta', thinking: thinking }
-    })}\n\n`);
-  }
-  
-  // 辅助函数：处理包含 thinking 标签的内容
-  function processContentWithThinking(content) {
-    thinkingBuffer += content;
-    
-    while (true) {
-      if (!inThinkingBlock && !thinkingExtracted) {
-        // 查找 <thinking> 开始标签
-        const startPos = thinkingBuffer.indexOf('<thinking>');
-        if (startPos !== -1) {
-          // 发送 <thinking> 之前的内容
-          const beforeThinking = thinkingBuffer.substring(0, startPos);
-          if (beforeThinking) {
-            sendTextDelta(beforeThinking);
-          }
-          
-          // 进入 thinking 块
-          inThinkingBlock = true;
-          thinkingBuffer = thinkingBuffer.substring(startPos + '<thinking>'.length);
-        } else {
-          // 没有找到 <thinking>，保留可能是部分标签的内容
-          const safeLen = Math.max(0, thinkingBuffer.length - '<thinking>'.length);
-          if (safeLen > 0) {
-            const safeContent = thinkingBuffer.substring(0, safeLen);
-            sendTextDelta(safeContent);
-            thinkingBuffer = thinkingBuffer.substring(safeLen);
-          }
-          break;
-        }
-      } else if (inThinkingBlock) {
-        // 在 thinking 块内，查找 </thinking> 结束标签
-        const endPos = thinkingBuffer.indexOf('</thinking>');
-        if (endPos !== -1) {
-          // 检查后面是否有双换行符（真正的结束标签）
-          const afterTag = thinkingBuffer.substring(endPos + '</thinking>'.length);
-          if (afterTag.length >= 2 && afterTag.startsWith('\n\n')) {
-            // 提取 thinking 内容
-            const thinkingContent = thinkingBuffer.substring(0, endPos);
-            if (thinkingContent) {
-              sendThinkingDelta(thinkingContent);
-            }
-            
-            // 结束 thinking 块
-            inThinkingBlock = false;
-            thinkingExtracted = true;
-            
-            // 关闭 thinking 块
-            if (thinkingBlockIndex !== -1) {
-              res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-                type: 'content_block_stop',
-                index: thinkingBlockIndex
-              })}\n\n`);
-            }
-            
-            thinkingBuffer = afterTag.substring(2); // 跳过 \n\n
-          } else if (afterTag.length < 2) {
-            // 等待更多内容
-            break;
-          } else {
-            // 不是真正的结束标签，继续搜索
-            const thinkingContent = thinkingBuffer.substring(0, endPos + '</thinking>'.length);
-            sendThinkingDelta(thinkingContent);
-            thinkingBuffer = afterTag;
-          }
-        } else {
-          // 没有找到结束标签，发送当前内容
-          const safeLen = Math.max(0, thinkingBuffer.length - '</thinking>'.length);
-          if (safeLen > 0) {
-            const safeContent = thinkingBuffer.substring(0, safeLen);
-            sendThinkingDelta(safeContent);
-            thinkingBuffer = thinkingBuffer.substring(safeLen);
-          }
-          break;
-        }
-      } else {
-        // thinking 已提取完成，剩余内容作为 text_delta
-        if (thinkingBuffer) {
-          sendTextDelta(thinkingBuffer);
-          thinkingBuffer = '';
-        }
-        break;
+    try {
+      let { response, toolNameMap } = await kiroClient.callApiStream(anthropicReq, { onRequest, signal: req.abortSignal });
+      if (req.capture) {
+        response = req.capture.tapUpstream(response);
       }
-    }
-  }
-
-  try {
-    for await (const chunk of response.body) {
-      decoder.feed(chunk);
-      
-      for (const frame of decoder.decode()) {
-        const event = parseKiroEvent(frame);
-        if (!event || !event.data) continue;
-        
-        eventCount++;
-        const eventType = event.type;
-        const data = event.data;
-
-        if (eventType === 'assistantResponseEvent') {
-          const content = data.content || '';
-          if (!content) continue;
-          
-          // 处理内容（可能包含 thinking 标签）
-          processContentWithThinking(content);
-
-        } else if (eventType === 'toolUseEvent') {
-          // 工具调用事件
-          hasToolUse = true;
-          const toolUseId = data.toolUseId;
-          const toolName = toolNameReverse.get(data.name) || data.name;
-          const toolInput = data.input || '';
-          const isStop = data.stop || false;
-
-          // 累积工具调用到 buffer
-          if (!toolUseBuffers.has(toolUseId)) {
-            toolUseBuffers.set(toolUseId, { name: toolName, input: '' });
-          }
-          toolUseBuffers.get(toolUseId).input += toolInput;
-
-          // 如果是新的工具调用，先结束文本块
-          if (!toolBlocks.has(toolUseId)) {
-            // flush thinking buffer
-            if (thinkingBuffer) {
-              if (inThinkingBlock) {
-                sendThinkingDelta(thinkingBuffer);
-              } else {
-                sendTextDelta(thinkingBuffer);
-              }
-              thinkingBuffer = '';
-            }
-
-            if (textBlockIndex !== -1) {
-              res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-                type: 'content_block_stop',
-                index: textBlockIndex
-              })}\n\n`);
-              textBlockIndex = -1;
-            }
-
-            const toolBlockIndex = contentBlockIndex++;
-            toolBlocks.set(toolUseId, toolBlockIndex);
-
-            res.write(`event: content_block_start\ndata: ${JSON.stringify({
-              type: 'content_block_start',
-              index: toolBlockIndex,
-              content_block: {
-                type: 'tool_use',
-                id: toolUseId,
-                name: toolName,
-                input: {}
-              }
-            })}\n\n`);
-          }
-
-          const toolBlockIndex = toolBlocks.get(toolUseId);
-
-          if (toolInput) {
-            res.write(`event: content_block_delta\ndata: ${JSON.stringify({
-              type: 'content_block_delta',
-              index: toolBlockIndex,
-              delta: { type: 'input_json_delta', partial_json: toolInput }
-            })}\n\n`);
-          }
-
-          if (isStop) {
-            res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-              type: 'content_block_stop',
-              index: toolBlockIndex
-            })}\n\n`);
-          }
-
-        } else if (eventType === 'contextUsageEvent') {
-          const percentage = normalizeContextUsagePercentage(data.contextUsagePercentage || 0);
-          const estimated = Math.round(percentage * modelContextLength);
-          if (estimated > inputTokens) {
-            inputTokens = estimated;
-          }
-        }
+      if (state.metrics) {
+        response = state.metrics.trackStream(response, {
+          model: anthropicReq.model,
+          upstream_model: ctx.upstreamModel,
+          account: selected.name
+        }, attemptStartTime);
       }
-    }
-
-    // flush 剩余的 thinking buffer
-    if (thinkingBuffer) {
-      if (inThinkingBlock) {
-        sendThinkingDelta(thinkingBuffer);
-        if (thinkingBlockIndex !== -1) {
-          res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-            type: 'content_block_stop',
-            index: thinkingBlockIndex
-          })}\n\n`);
-        }
-      } else {
-        sendTextDelta(thinkingBuffer);
+      return {
+        response,
+        toolNameMap,
+        selected,
+        upstreamModel: ctx.upstreamModel
+      };
+    } catch (error) {
+      req.capture?.recordAttemptError(error);
+      const classified = classifyError(error);
+      if (attempt >= maxAttempts || !isRetryableError(classified, retryConfig)) {
+        throw error;
       }
-      thinkingBuffer = '';
-    }
 
-    // 结束最后的 content block
-    if (textBlockIndex !== -1) {
-      res.write(`event: content_block_stop\ndata: ${JSON.stringify({
-        type: 'content_block_stop',
-        index: textBlockIndex
-      })}\n\n`);
-    }
-
-    // 确定 stop_reason
-    const stopReason = hasToolUse ? 'tool_use' : 'end_turn';
-
-    // 使用 tiktoken 计算输出 token
-    outputTokens = countTokens(outputTextBuffer) + countTokens(outputThinkingBuffer) + countToolUseTokens(toolUseBuffers);
-
-    // 发送最终事件
-    res.write(`event: message_delta\ndata: ${JSON.stringify({
-      type: 'message_delta',
-      delta: { stop_reason: stopReason, stop_sequence: null },
-      usage: { input_tokens: inputTokens, output_tokens: outputTokens }
-    })}\n\n`);
+      // 没有其他可用账号时直接返回本次错误
+      const next = await state.accountPool.selectAccount({ exclude: tried, affinityKey });
+      if (!next) {
+        throw error;
+      }
 
-    res.write(`event: message_stop\ndata: ${JSON.stringify({ type: 'message_stop' })}\n\n`);
+      // 记录本次失败的尝试，再切换账号
+      console.warn(`账号 ${selected.name} 第 ${attempt} 次尝试失败，切换到 ${next.name} 重试: ${error.message}`);
+      state.accountPool.addLog({
+        accountId: selected.id,
+        accountName: selected.name,
+        model: anthropicReq.model,
+        inputTokens: 0,
+        inputTokensEstimated: req.estimatedInputTokens,
+        outputTokens: 0,
+        durationMs: Date.now() - attemptStartTime,
+        success: false,
+        errorMessage: `[已切换账号重试] ${error.message}`,
+        errorCategory: classified.category,
+        apiKey: req.apiKey,
+        apiKeyName: req.apiKeyName,
+        requestId: req.requestId,
+        stream: req.body.stream === true,
+        upstreamModel: ctx.upstreamModel,
+        attempt
+      });
+      state.accountPool.recordError(selected.id, classified, error.message);
 
-    res.end();
+      // 客户端在等待期间断开时抛出 AbortError，按 cancelled 结束
+      if (retryConfig.backoffMs > 0) {
+        await sleep(retryConfig.backoffMs * attempt, undefined, { signal: req.abortSignal });
+      }
+      selected = next;
+    }
+  }
+}
 
-    // 记录成功
-    state.accountPool.addLog({
-      accountId: selected.id,
-      accountName: selected.name,
-      model: model,
-      inputTokens: inputTokens || 0,
-      outputTokens: outputTokens,
-      durationMs: Date.now() - startTime,
-      success: true,
-      apiKey: req.apiKey,
-      stream: true,
-      upstreamModel: upstreamModel
-    });
+/**
+ * 处理请求失败：记录日志、累计账号错误并保存调试信息
+ * @returns {Promise<{status: number, errorType: string}>}
+ */
+async function handleRequestError(error, req, state, selected, startTime, upstreamModel) {
+  const classified = classifyError(error);
 
-  } catch (error) {
-    // 记录流式响应处理失败
+  // 记录错误
+  if (selected) {
     state.accountPool.addLog({
       accountId: selected.id,
       accountName: selected.name,
-      model: model,
+      model: req.body.model,
       inputTokens: 0,
+      inputTokensEstimated: req.estimatedInputTokens,
       outputTokens: 0,
       durationMs: Date.now() - startTime,
       success: false,
       errorMessage: error.message,
+      errorCategory: classified.category,
       apiKey: req.apiKey,
-      stream: true,
-      upstreamModel: upstreamModel
+      apiKeyName: req.apiKeyName,
+      requestId: req.requestId,
+      stream: req.body.stream === true,
+      upstreamModel: upstreamModel,
+      attempt: selected.attempt
     });
-    res.end();
+
+    // 按错误分类处理账号（客户端请求错误不计入账号）
+    state.accountPool.recordError(selected.id, classified, error.message);
   }
+
+  if (error instanceof KiroApiError) {
+    try {
+      const debugDir = path.join(state.config.dataDir || './data', 'debug');
+      await fs.mkdir(debugDir, { recursive: true });
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const debugPath = path.join(debugDir, `kiro_error_${stamp}.json`);
+      await fs.writeFile(debugPath, JSON.stringify({
+        at: new Date().toISOString(),
+        status: error.status,
+        responseText: error.responseText,
+        requestDebug: error.requestDebug
+      }, null, 2));
+    } catch {
+      // ignore debug write failures
+    }
+  }
+
+  return { status: classified.status, errorType: inferAnthropicErrorType(classified.status) };
 }
 
 /**
- * 处理非流式响应 (Anthropic 格式)
+ * 定期向客户端写入 ping，避免上游长时间没有输出（例如长时间思考）时被代理按空闲超时断开
+ * @returns {Function} 停止发送
  */
-async function handleNonStreamResponse(res, response, toolNameMap, selected, state, startTime, model, req, upstreamModel) {
-  const decoder = new EventStreamDecoder();
-  let textContent = '';
-  let thinkingContent = '';
-  const toolUses = [];
-  let inputTokens = 0;
-  const modelContextLength = getModelContextLength(model, state.config);
-  let outputTokens = 0;
-  const toolNameReverse = new Map();
-  for (const [originalName, kiroName] of toolNameMap || []) {
-    toolNameReverse.set(kiroName, originalName);
-  }
+function startPing(res, intervalMs, sink) {
+  if (!intervalMs) return () => {};
+  const timer = setInterval(() => {
+    if (!res.writableEnded) sink.ping();
+  }, intervalMs);
+  return () => clearInterval(timer);
+}
+
+/**
+ * 读取 Kiro 响应，经 ResponseAssembler 按 sink 的格式输出并记录日志
+ * 流式响应中途失败时发送错误事件并在此记录；非流式响应失败时抛出，由路由返回错误响应
+ */
+async function handleResponse(state, req, res, response, sink, { toolNameMap, selected, startTime, upstreamModel, limiter, thinking }) {
+  const stream = req.body.stream === true;
+  const model = req.body.model;
+  const assembler = new ResponseAssembler(sink, {
+    config: state.config,
+    toolNameMap,
+    limiter,
+    thinking,
+    estimatedInputTokens: req.estimatedInputTokens,
+    onFirstContent: response.onFirstContent
+  });
+  const decoder = new EventStreamDecoder({ onError: () => state.metrics?.recordDecodeError() });
 
-  // 工具调用 JSON 缓冲区
-  const toolJsonBuffers = new Map();
+  assembler.start();
+  const stopPing = stream ? startPing(res, state.config.stream?.pingIntervalMs, sink) : () => {};
 
   try {
     // node-fetch v3 的 body 是一个 ReadableStream
     for await (const chunk of response.body) {
       decoder.feed(chunk);
-      
+
       for (const frame of decoder.decode()) {
-        const event = parseKiroEvent(frame);
-        if (!event || !event.data) continue;
-
-        const eventType = event.type;
-        const data = event.data;
-
-        if (eventType === 'thinkingEvent') {
-          thinkingContent += data.thinking || '';
-        } else if (eventType === 'assistantResponseEvent') {
-          textContent += data.content || '';
-        } else if (eventType === 'toolUseEvent') {
-          const toolUseId = data.toolUseId;
-          const toolName = toolNameReverse.get(data.name) || data.name;
-          const toolInput = data.input || '';
-          const isStop = data.stop || false;
-
-          // 累积工具的 JSON 输入
-          if (!toolJsonBuffers.has(toolUseId)) {
-            toolJsonBuffers.set(toolUseId, { name: toolName, input: '' });
-          }
-          toolJsonBuffers.get(toolUseId).input += toolInput;
-
-          // 如果是完整的工具调用，添加到列表
-          if (isStop) {
-            const buffer = toolJsonBuffers.get(toolUseId);
-            try {
-              const input = JSON.parse(buffer.input);
-              toolUses.push({
-                type: 'tool_use',
-                id: toolUseId,
-                name: buffer.name,
-                input: input
-              });
-            } catch (e) {
-              toolUses.push({
-                type: 'tool_use',
-                id: toolUseId,
-                name: buffer.name,
-                input: {}
-              });
-            }
-          }
-        } else if (eventType === 'contextUsageEvent') {
-          const percentage = normalizeContextUsagePercentage(data.contextUsagePercentage || 0);
-          const estimated = Math.round(percentage * modelContextLength);
-          if (estimated > inputTokens) {
-            inputTokens = estimated;
-          }
-        }
+        assembler.push(parseKiroEvent(frame));
+        if (assembler.stopped) break;
       }
-    }
 
-    // 构建响应内容
-    const content = [];
-
-    if (thinkingContent) {
-      content.push({
-        type: 'thinking',
-        thinking: thinkingContent
-      });
+      // 达到 max_tokens 或命中 stop_sequence，停止读取上游
+      if (assembler.stopped) break;
     }
 
-    if (textContent) {
-      content.push({
-        type: 'text',
-        text: textContent
-      });
-    }
-
-    content.push(...toolUses);
-
-    // 使用 tiktoken 计算输出 tokens
-    outputTokens = countTokens(textContent) + countTokens(thinkingContent) + countToolUseTokens(toolJsonBuffers);
-
-    const messageId = 'msg_' + uuidv4().replace(/-/g, '');
-    const stopReason = toolUses.length > 0 ? 'tool_use' : 'end_turn';
-
-    res.json({
-      id: messageId,
-      type: 'message',
-      role: 'assistant',
-      content: content,
-      model: model,
-      stop_reason: stopReason,
-      stop_sequence: null,
-      usage: {
-        input_tokens: inputTokens || 0,
-        output_tokens: outputTokens
-      }
-    });
+    const { inputTokens, outputTokens } = assembler.finish();
 
     // 记录成功
     state.accountPool.addLog({
       accountId: selected.id,
       accountName: selected.name,
       model: model,
-      inputTokens: inputTokens || 0,
+      inputTokens,
+      inputTokensEstimated: req.estimatedInputTokens,
+      inputTokensUpstream: assembler.upstreamInputTokens,
       outputTokens: outputTokens,
+      credits: assembler.credits,
+      codeReferences: assembler.codeReferences,
       durationMs: Date.now() - startTime,
       success: true,
       apiKey: req.apiKey,
-      stream: false,
-      upstreamModel: upstreamModel
+      apiKeyName: req.apiKeyName,
+      requestId: req.requestId,
+      stream,
+      upstreamModel: upstreamModel,
+      attempt: selected.attempt
     });
 
   } catch (error) {
-    // 记录非流式响应处理失败
+    if (!stream) throw error;
+
+    const classified = classifyError(error);
+    const cancelled = classified.category === 'cancelled';
+    if (!cancelled) {
+      sink.error({ status: classified.status, category: classified.category, message: error.message });
+      state.accountPool.recordError(selected.id, classified, error.message);
+    } else {
+      res.end();
+    }
+
+    // token 数只统计已经发送给客户端的部分
     state.accountPool.addLog({
       accountId: selected.id,
       accountName: selected.name,
       model: model,
-      inputTokens: 0,
-      outputTokens: 0,
+      inputTokens: assembler.inputTokens,
+      inputTokensEstimated: req.estimatedInputTokens,
+      inputTokensUpstream: assembler.upstreamInputTokens,
+      outputTokens: assembler.outputTokens,
+      credits: assembler.credits,
+      codeReferences: assembler.codeReferences,
       durationMs: Date.now() - startTime,
       success: false,
-      errorMessage: error.message,
+      errorMessage: cancelled ? '客户端断开连接，已中止上游请求' : error.message,
+      errorCategory: classified.category,
       apiKey: req.apiKey,
-      stream: false,
-      upstreamModel: upstreamModel
+      apiKeyName: req.apiKeyName,
+      requestId: req.requestId,
+      stream: true,
+      upstreamModel: upstreamModel,
+      attempt: selected.attempt
     });
-    throw error;
+  } finally {
+    stopPing();
   }
 }
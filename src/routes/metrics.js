@@ -0,0 +1,20 @@
+import { Router } from 'express';
+
+export function createMetricsRouter(state) {
+  const router = Router();
+
+  // GET /metrics - Prometheus 文本格式
+  // 配置了 METRICS_TOKEN 时需要 Authorization: Bearer <token>
+  router.get('/', (req, res) => {
+    const token = state.config.metrics?.token;
+    if (token && req.headers['authorization'] !== `Bearer ${token}`) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return res.status(401).type('text/plain').send('Unauthorized\n');
+    }
+
+    res.type('text/plain; version=0.0.4; charset=utf-8');
+    res.send(state.metrics.render(state.accountPool));
+  });
+
+  return router;
+}
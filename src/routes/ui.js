@@ -1,6 +1,7 @@
 import { Router } from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { checkReadiness } from '../health.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -17,9 +18,20 @@ export function createUiRouter(state) {
     res.sendFile(path.join(__dirname, '../public/services', req.params.file));
   });
 
-  // 健康检查端点
-  router.get('/health', (req, res) => {
+  // 存活检查：进程在运行即返回 ok（/health 保留为兼容路径）
+  const liveness = (req, res) => {
     res.json({ status: 'ok', uptime: Date.now() - state.startTime });
+  };
+  router.get('/health', liveness);
+  router.get('/health/live', liveness);
+
+  // 就绪检查：数据库、账号、上游成功率、tokenizer 任一项不满足时返回 503
+  router.get('/health/ready', (req, res) => {
+    const result = checkReadiness(state);
+    res.status(result.status === 'ok' ? 200 : 503).json({
+      ...result,
+      uptime: Date.now() - state.startTime
+    });
   });
 
   return router;
@@ -3,6 +3,27 @@ import path from 'path';
 
 const SETTINGS_FILE = 'settings.json';
 
+// RPM 统计窗口
+const RPM_WINDOW_MS = 60 * 1000;
+
+// 未配置任何限制时的默认值
+const DEFAULT_KEY_LIMITS = {
+  enabled: true,
+  rpmLimit: null,
+  dailyTokenLimit: null,
+  monthlyTokenLimit: null,
+  allowedModels: [],
+  expiresAt: null
+};
+
+// 模型白名单匹配，支持 * 通配符
+function matchModelPattern(pattern, model) {
+  if (pattern === '*' || pattern === model) return true;
+  if (!pattern.includes('*')) return false;
+  const regex = new RegExp('^' + pattern.split('*').map(p => p.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(model);
+}
+
 export class SettingsManager {
   constructor(dataDir, db = null) {
     this.dataDir = dataDir;
@@ -11,6 +32,14 @@ export class SettingsManager {
       adminKey: '',
       apiKeys: new Set()
     };
+    // 每个 API 密钥的配额配置
+    this.apiKeyLimits = new Map();
+    // 每个 API 密钥的名称（写日志时使用，不必查询数据库）
+    this.apiKeyNames = new Map();
+    // 每个 API 密钥最近一分钟内的请求时间戳
+    this.requestWindows = new Map();
+    // 每个 API 密钥进行中请求的预留（reserveApiKeyUsage），请求结束时释放
+    this.reservations = new Map();
   }
 
   async init(defaultAdminKey, defaultApiKey) {
@@ -32,6 +61,7 @@ export class SettingsManager {
           this.db.addApiKey(defaultApiKey);
           console.log('✓ 使用默认值初始化系统设置');
         }
+        this.loadApiKeyLimits();
       }
     } catch (e) {
       console.error('初始化设置失败:', e);
@@ -50,6 +80,180 @@ export class SettingsManager {
     return this.settings.apiKeys.has(key);
   }
 
+  // 从数据库加载密钥配额配置
+  loadApiKeyLimits() {
+    if (!this.db) return;
+    this.apiKeyLimits.clear();
+    this.apiKeyNames.clear();
+    for (const row of this.db.listApiKeysWithDetails()) {
+      if (row.name) this.apiKeyNames.set(row.key, row.name);
+      this.apiKeyLimits.set(row.key, {
+        enabled: row.enabled,
+        rpmLimit: row.rpmLimit ?? null,
+        dailyTokenLimit: row.dailyTokenLimit ?? null,
+        monthlyTokenLimit: row.monthlyTokenLimit ?? null,
+        allowedModels: row.allowedModels || [],
+        expiresAt: row.expiresAt || null
+      });
+    }
+  }
+
+  getApiKeyName(key) {
+    return this.apiKeyNames.get(key) || null;
+  }
+
+  getApiKeyLimits(key) {
+    return this.apiKeyLimits.get(key) || DEFAULT_KEY_LIMITS;
+  }
+
+  // 检查密钥是否可以使用指定模型
+  isModelAllowed(key, model) {
+    const { allowedModels } = this.getApiKeyLimits(key);
+    if (!allowedModels || allowedModels.length === 0) return true;
+    if (!model) return false;
+    return allowedModels.some(pattern => matchModelPattern(pattern, model));
+  }
+
+  // 最近一分钟内的请求数
+  _countRecentRequests(key, now = Date.now()) {
+    const window = this.requestWindows.get(key);
+    if (!window) return 0;
+    while (window.length > 0 && now - window[0] >= RPM_WINDOW_MS) {
+      window.shift();
+    }
+    return window.length;
+  }
+
+  // 进行中请求预留的输入 token 数（尚未写入用量）
+  _reservedTokens(key) {
+    let total = 0;
+    for (const reservation of this.reservations.get(key) || []) {
+      total += reservation.tokens;
+    }
+    return total;
+  }
+
+  /**
+   * 检查 API 密钥的启用状态、有效期、模型白名单和配额
+   * token 限额按已记录的用量加上进行中请求预留的输入 token 判断（调用前检查，
+   * 进行中的请求的输出 token 结束后才计入，因此最后一批请求仍可能超出限额）
+   * @param {string} key
+   * @param {object} options - { model: 请求的模型, consume: 是否检查 RPM 与 token 限额 }
+   * @returns {object|null} 拒绝原因 { status, type, message, retryAfter }，允许时返回 null
+   */
+  checkApiKeyAccess(key, options = {}) {
+    const limits = this.getApiKeyLimits(key);
+    const now = Date.now();
+
+    if (!limits.enabled) {
+      return { status: 403, type: 'permission_error', message: 'API key is disabled' };
+    }
+    if (limits.expiresAt && new Date(limits.expiresAt).getTime() <= now) {
+      return { status: 403, type: 'permission_error', message: 'API key has expired' };
+    }
+    if (options.model !== undefined && !this.isModelAllowed(key, options.model)) {
+      return { status: 403, type: 'permission_error', message: `API key is not allowed to use model: ${options.model}` };
+    }
+
+    if (!options.consume) return null;
+
+    if (limits.rpmLimit) {
+      const count = this._countRecentRequests(key, now);
+      if (count >= limits.rpmLimit) {
+        const oldest = this.requestWindows.get(key)[0];
+        return {
+          status: 429,
+          type: 'rate_limit_error',
+          message: `Rate limit exceeded: ${limits.rpmLimit} requests per minute`,
+          retryAfter: Math.max(1, Math.ceil((oldest + RPM_WINDOW_MS - now) / 1000))
+        };
+      }
+    }
+
+    const reserved = this._reservedTokens(key);
+
+    if (this.db && limits.dailyTokenLimit) {
+      const used = this.db.getApiKeyTokenUsage(key, 'day') + reserved;
+      if (used >= limits.dailyTokenLimit) {
+        return { status: 429, type: 'rate_limit_error', message: `Daily token limit exceeded: ${used}/${limits.dailyTokenLimit}` };
+      }
+    }
+
+    if (this.db && limits.monthlyTokenLimit) {
+      const used = this.db.getApiKeyTokenUsage(key, 'month') + reserved;
+      if (used >= limits.monthlyTokenLimit) {
+        return { status: 429, type: 'rate_limit_error', message: `Monthly token budget exceeded: ${used}/${limits.monthlyTokenLimit}` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 为通过检查的请求预留一个 RPM 名额，与 checkApiKeyAccess 在同一同步流程中调用，
+   * 避免并发请求同时通过检查。请求结束时必须调用 releaseApiKeyUsage
+   * @param {string} key
+   * @returns {{key: string, time: number, tokens: number, committed: boolean}}
+   */
+  reserveApiKeyUsage(key) {
+    const reservation = { key, time: Date.now(), tokens: 0, committed: false };
+    if (!this.requestWindows.has(key)) {
+      this.requestWindows.set(key, []);
+    }
+    this.requestWindows.get(key).push(reservation.time);
+    if (!this.reservations.has(key)) {
+      this.reservations.set(key, new Set());
+    }
+    this.reservations.get(key).add(reservation);
+    return reservation;
+  }
+
+  /**
+   * 请求即将发送到上游：确认占用 RPM 名额，并预留估算的输入 token 直到请求结束
+   * @param {object} reservation - reserveApiKeyUsage 的返回值
+   * @param {number} [estimatedTokens]
+   */
+  commitApiKeyUsage(reservation, estimatedTokens = 0) {
+    if (!reservation || reservation.committed) return;
+    reservation.committed = true;
+    reservation.tokens = estimatedTokens || 0;
+  }
+
+  /**
+   * 请求结束时释放预留：token 用量此时已写入数据库；未发送到上游的请求（参数错误、没有可用账号等）退还 RPM 名额
+   * @param {object} reservation - reserveApiKeyUsage 的返回值
+   */
+  releaseApiKeyUsage(reservation) {
+    if (!reservation) return;
+    const reservations = this.reservations.get(reservation.key);
+    if (!reservations?.delete(reservation)) return;
+    if (reservations.size === 0) this.reservations.delete(reservation.key);
+
+    if (!reservation.committed) {
+      const window = this.requestWindows.get(reservation.key);
+      const index = window ? window.indexOf(reservation.time) : -1;
+      if (index >= 0) window.splice(index, 1);
+    }
+  }
+
+  // 获取密钥当前用量
+  getApiKeyUsage(key) {
+    return {
+      requestsLastMinute: this._countRecentRequests(key),
+      tokensToday: this.db ? this.db.getApiKeyTokenUsage(key, 'day') : 0,
+      tokensThisMonth: this.db ? this.db.getApiKeyTokenUsage(key, 'month') : 0
+    };
+  }
+
+  async updateApiKeyLimits(key, limits) {
+    if (!this.settings.apiKeys.has(key)) return false;
+    if (this.db) {
+      this.db.updateApiKeyLimits(key, limits);
+    }
+    this.apiKeyLimits.set(key, { ...this.getApiKeyLimits(key), ...limits });
+    return true;
+  }
+
   async changeAdminKey(newKey) {
     this.settings.adminKey = newKey;
     if (this.db) {
@@ -60,6 +264,7 @@ export class SettingsManager {
   async addApiKey(key, name = null) {
     if (this.settings.apiKeys.has(key)) return false;
     this.settings.apiKeys.add(key);
+    if (name) this.apiKeyNames.set(key, name);
     if (this.db) {
       return this.db.addApiKey(key, name) > 0;
     }
@@ -68,6 +273,8 @@ export class SettingsManager {
 
   async updateApiKeyName(key, name) {
     if (!this.settings.apiKeys.has(key)) return false;
+    if (name) this.apiKeyNames.set(key, name);
+    else this.apiKeyNames.delete(key);
     if (this.db) {
       return this.db.updateApiKeyName(key, name);
     }
@@ -77,6 +284,10 @@ export class SettingsManager {
   async removeApiKey(key) {
     if (this.settings.apiKeys.size <= 1) return false;
     const removed = this.settings.apiKeys.delete(key);
+    this.apiKeyLimits.delete(key);
+    this.apiKeyNames.delete(key);
+    this.requestWindows.delete(key);
+    this.reservations.delete(key);
     if (removed && this.db) {
       return this.db.removeApiKey(key);
     }
@@ -88,9 +299,9 @@ export class SettingsManager {
   }
 
   listApiKeysWithDetails() {
-    if (this.db) {
-      return this.db.listApiKeysWithDetails();
-    }
-    return Array.from(this.settings.apiKeys).map(key => ({ key, name: null, createdAt: null }));
+    const keys = this.db
+      ? this.db.listApiKeysWithDetails()
+      : Array.from(this.settings.apiKeys).map(key => ({ key, name: null, createdAt: null, ...this.getApiKeyLimits(key) }));
+    return keys.map(item => ({ ...item, usage: this.getApiKeyUsage(item.key) }));
   }
 }
@@ -0,0 +1,229 @@
+/**
+ * Thinking 处理
+ * Kiro 的思考内容有两种来源：原生 thinkingEvent，以及启用 thinking 模式后模型在正文开头输出的
+ * <thinking>...</thinking> 标签。ThinkingExtractor 将两者统一拆分为有序片段，流式与非流式响应共用：
+ *   { type: 'thinking', text }            思考内容增量
+ *   { type: 'thinking_end', signature }   当前 thinking 块结束
+ *   { type: 'redacted_thinking', data }   上游返回的加密思考内容
+ *   { type: 'text', text }                正文增量
+ */
+
+import crypto from 'crypto';
+import { countTokens, truncateToTokens } from './tokenizer.js';
+
+export const DEFAULT_THINKING_BUDGET = 10000;
+
+const OPEN_TAG = '<thinking>';
+const CLOSE_TAG = '</thinking>';
+// 真正的结束标签后紧跟空行，思考内容中提到 </thinking> 时不会误判
+const CLOSE_SEPARATOR = '\n\n';
+
+/**
+ * 请求的 thinking 预算，未启用 thinking 时为 null
+ * @param {object} anthropicReq
+ * @returns {number|null}
+ */
+export function getThinkingBudget(anthropicReq) {
+  const thinking = anthropicReq?.thinking;
+  if (!thinking || thinking.type !== 'enabled') return null;
+  return Number.isInteger(thinking.budget_tokens) && thinking.budget_tokens > 0
+    ? thinking.budget_tokens
+    : DEFAULT_THINKING_BUDGET;
+}
+
+/**
+ * 启用 thinking 模式的指令前缀（放在 system prompt 之前），未启用时为 null
+ * @param {object} anthropicReq
+ * @returns {string|null}
+ */
+export function buildThinkingPrefix(anthropicReq) {
+  const budget = getThinkingBudget(anthropicReq);
+  if (budget === null) return null;
+  return `<thinking_mode>enabled</thinking_mode><max_thinking_length>${budget}</max_thinking_length>`;
+}
+
+/**
+ * 为 thinking 块生成签名
+ * Kiro 不返回签名，但客户端要求 thinking 块带 signature 并在后续轮次原样带回；
+ * 代理不校验签名，使用内容摘要保证同一内容得到同一签名
+ * @param {string} thinking
+ * @returns {string}
+ */
+export function signThinking(thinking) {
+  return crypto.createHash('sha256').update(thinking || '').digest('base64');
+}
+
+/**
+ * 把历史中的 thinking / redacted_thinking 块还原为 Kiro 可接受的文本
+ * 与模型输出 thinking 标签的格式一致，便于下一轮继续推理
+ * @param {object[]} blocks
+ * @returns {string}
+ */
+export function formatHistoryThinking(blocks) {
+  return blocks.map(block => block.type === 'redacted_thinking'
+    ? `<redacted_thinking>${block.data || ''}</redacted_thinking>`
+    : `${OPEN_TAG}${block.thinking || ''}${CLOSE_TAG}`
+  ).join(CLOSE_SEPARATOR);
+}
+
+export class ThinkingExtractor {
+  /**
+   * @param {object} [options]
+   * @param {number|null} [options.budgetTokens] - 思考内容的 token 上限，超出部分被丢弃
+   */
+  constructor({ budgetTokens = null } = {}) {
+    this.budgetTokens = budgetTokens;
+    this.usedTokens = 0;
+
+    // 标签解析状态：detect 等待判断正文是否以 <thinking> 开头，inTag 在标签内，done 之后均为正文
+    this.mode = 'detect';
+    this.buffer = '';
+
+    // 当前打开的 thinking 块
+    this.blockOpen = false;
+    this.blockText = '';
+    this.blockSignature = null;
+  }
+
+  /**
+   * 从 Anthropic 请求创建
+   */
+  static fromRequest(anthropicReq) {
+    return new ThinkingExtractor({ budgetTokens: getThinkingBudget(anthropicReq) });
+  }
+
+  /**
+   * 原生 thinkingEvent
+   * @param {object} data - { thinking | text, signature, redactedContent }
+   * @returns {object[]} 片段
+   */
+  pushEvent(data) {
+    const parts = [];
+    // 收到原生思考内容后不再从正文中解析标签
+    if (this.mode === 'detect' && !this.buffer) this.mode = 'done';
+
+    if (data?.redactedContent) {
+      this._closeBlock(parts);
+      parts.push({ type: 'redacted_thinking', data: data.redactedContent });
+    }
+    this._thinking(data?.thinking ?? data?.text ?? '', parts);
+    if (data?.signature && this.blockOpen) {
+      this.blockSignature = data.signature;
+    }
+    return parts;
+  }
+
+  /**
+   * assistantResponseEvent 的正文，开头的 <thinking> 标签内容拆分为思考片段
+   * @param {string} content
+   * @returns {object[]} 片段
+   */
+  pushText(content) {
+    const parts = [];
+    if (!content) return parts;
+    if (this.mode === 'done') {
+      this._text(content, parts);
+      return parts;
+    }
+
+    this.buffer += content;
+    while (this.buffer) {
+      if (this.mode === 'detect') {
+        const trimmed = this.buffer.trimStart();
+        if (!trimmed || OPEN_TAG.startsWith(trimmed)) break; // 可能是标签的前缀，等待更多内容
+        if (trimmed.startsWith(OPEN_TAG)) {
+          this.mode = 'inTag';
+          this.buffer = trimmed.substring(OPEN_TAG.length);
+        } else {
+          this.mode = 'done';
+          this._text(this.buffer, parts);
+          this.buffer = '';
+        }
+      } else if (this.mode === 'inTag') {
+        const endPos = this.buffer.indexOf(CLOSE_TAG);
+        if (endPos === -1) {
+          // 保留可能是结束标签前缀的部分
+          const safeLen = this.buffer.length - CLOSE_TAG.length;
+          if (safeLen > 0) {
+            this._thinking(this.buffer.substring(0, safeLen), parts);
+            this.buffer = this.buffer.substring(safeLen);
+          }
+          break;
+        }
+
+        const afterTag = this.buffer.substring(endPos + CLOSE_TAG.length);
+        if (afterTag.length < CLOSE_SEPARATOR.length) break; // 等待确认是否为真正的结束标签
+        if (afterTag.startsWith(CLOSE_SEPARATOR)) {
+          this._thinking(this.buffer.substring(0, endPos), parts);
+          this._closeBlock(parts);
+          this.mode = 'done';
+          this.buffer = '';
+          this._text(afterTag.substring(CLOSE_SEPARATOR.length), parts);
+        } else {
+          // 思考内容中提到的标签，原样作为思考内容
+          this._thinking(this.buffer.substring(0, endPos + CLOSE_TAG.length), parts);
+          this.buffer = afterTag;
+        }
+      } else {
+        this._text(this.buffer, parts);
+        this.buffer = '';
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * 输出暂存内容并结束 thinking 块（工具调用开始或响应结束时调用）
+   * @returns {object[]} 片段
+   */
+  flush() {
+    const parts = [];
+    const pending = this.buffer;
+    this.buffer = '';
+
+    if (this.mode === 'inTag') {
+      // 上游在结束标签后直接结束，没有后续空行
+      this._thinking(pending.replace(/<\/thinking>\s*$/, ''), parts);
+    } else if (pending) {
+      this._text(pending, parts);
+    }
+    this.mode = 'done';
+    this._closeBlock(parts);
+    return parts;
+  }
+
+  _thinking(text, parts) {
+    if (!text) return;
+
+    if (this.budgetTokens) {
+      const remaining = this.budgetTokens - this.usedTokens;
+      if (remaining <= 0) return;
+      const tokens = countTokens(text);
+      if (tokens > remaining) {
+        text = truncateToTokens(text, remaining);
+        this.usedTokens = this.budgetTokens;
+      } else {
+        this.usedTokens += tokens;
+      }
+      if (!text) return;
+    }
+
+    this.blockOpen = true;
+    this.blockText += text;
+    parts.push({ type: 'thinking', text });
+  }
+
+  _text(text, parts) {
+    if (!text) return;
+    this._closeBlock(parts);
+    parts.push({ type: 'text', text });
+  }
+
+  _closeBlock(parts) {
+    if (!this.blockOpen) return;
+    parts.push({ type: 'thinking_end', signature: this.blockSignature || signThinking(this.blockText) });
+    this.blockOpen = false;
+    this.blockText = '';
+    this.blockSignature = null;
+  }
+}
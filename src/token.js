@@ -1,12 +1,37 @@
 import fetch from 'node-fetch';
 import crypto from 'crypto';
 
+// 刷新失败时判定为永久性认证错误的响应特征（refresh token 失效、被吊销、客户端无效等）
+const PERMANENT_AUTH_ERROR_PATTERN = /invalid_grant|InvalidGrantException|invalid_client|InvalidClientException|UnauthorizedClientException|AccessDeniedException|invalid.?refresh.?token|revoked|expired/i;
+
+export class TokenRefreshError extends Error {
+  constructor(authLabel, status, responseText) {
+    super(`${authLabel} Token 刷新失败: ${status} - ${responseText}`);
+    this.name = 'TokenRefreshError';
+    this.status = status;
+    this.responseText = responseText;
+    // 401 或带有明确失效特征的 400/403 视为永久错误，重试无意义
+    this.permanent = status === 401 ||
+      ((status === 400 || status === 403) && PERMANENT_AUTH_ERROR_PATTERN.test(responseText || ''));
+  }
+}
+
 export class TokenManager {
-  constructor(config, credentials) {
+  /**
+   * @param {object} config - 全局配置
+   * @param {object} credentials - 账号凭证（刷新后会原地更新）
+   * @param {object} [hooks]
+   * @param {(credentials: object) => void} [hooks.onCredentialsUpdate] - 刷新成功后持久化凭证
+   * @param {(error: Error) => void} [hooks.onRefreshError] - 刷新失败时回调
+   */
+  constructor(config, credentials, hooks = {}) {
     this.config = config;
     this.credentials = credentials;
     this.accessToken = credentials.accessToken || null;
     this.expiresAt = credentials.expiresAt ? new Date(credentials.expiresAt) : new Date(0);
+    this.onCredentialsUpdate = hooks.onCredentialsUpdate || null;
+    this.onRefreshError = hooks.onRefreshError || null;
+    this.refreshPromise = null;
   }
 
   async ensureValidToken() {
@@ -19,19 +44,72 @@ export class TokenManager {
     return await this.refreshToken();
   }
 
+  /**
+   * 丢弃当前 access token（被上游拒绝时调用），下次 ensureValidToken 会重新刷新
+   */
+  invalidateAccessToken() {
+    this.accessToken = null;
+    this.expiresAt = new Date(0);
+  }
+
   async refreshToken() {
-    const authMethod = this.credentials.authMethod || 'social';
-    
-    if (authMethod === 'idc') {
-      return await this.refreshIdcToken();
-    } else {
-      return await this.refreshSocialToken();
+    // 并发请求共享同一次刷新，避免 refresh token 轮换时互相覆盖
+    if (this.refreshPromise) return this.refreshPromise;
+
+    this.refreshPromise = (async () => {
+      const authMethod = this.credentials.authMethod || 'social';
+      try {
+        if (authMethod === 'idc') {
+          return await this.refreshIdcToken();
+        } else {
+          return await this.refreshSocialToken();
+        }
+      } catch (e) {
+        if (this.onRefreshError) {
+          try {
+            this.onRefreshError(e);
+          } catch (hookError) {
+            console.error('处理 Token 刷新失败回调出错:', hookError.message);
+          }
+        }
+        throw e;
+      }
+    })();
+
+    try {
+      return await this.refreshPromise;
+    } finally {
+      this.refreshPromise = null;
+    }
+  }
+
+  /**
+   * 刷新成功后更新内存中的凭证并回写
+   */
+  applyRefreshResult(accessToken, expiresInSecs, newRefreshToken) {
+    this.accessToken = accessToken;
+    this.expiresAt = new Date(Date.now() + (expiresInSecs || 3600) * 1000);
+
+    this.credentials.accessToken = this.accessToken;
+    this.credentials.expiresAt = this.expiresAt.toISOString();
+    // 如果返回了新的 refresh_token，更新它
+    if (newRefreshToken) {
+      this.credentials.refreshToken = newRefreshToken;
+    }
+
+    if (this.onCredentialsUpdate) {
+      try {
+        this.onCredentialsUpdate(this.credentials);
+      } catch (e) {
+        console.error('保存刷新后的凭证失败:', e.message);
+      }
     }
   }
 
   async refreshSocialToken() {
     const region = this.config.region || 'us-east-1';
-    const tokenUrl = `https://prod.${region}.auth.desktop.kiro.dev/refreshToken`;
+    const baseUrl = this.config.upstream?.socialAuthBaseUrl || `https://prod.${region}.auth.desktop.kiro.dev`;
+    const tokenUrl = `${baseUrl}/refreshToken`;
     const machineId = this.credentials.machineId || TokenManager.generateMachineId();
     const kiroVersion = this.config.kiroVersion || '1.6.0';
 
@@ -61,19 +139,23 @@ export class TokenManager {
     
     if (!response.ok) {
       const error = await response.text();
-      throw new Error(`Social Token 刷新失败: ${response.status} - ${error}`);
+      throw new TokenRefreshError('Social', response.status, error);
     }
 
     const data = await response.json();
-    this.accessToken = data.access_token;
-    this.expiresAt = new Date(Date.now() + (data.expires_in || 3600) * 1000);
+    this.applyRefreshResult(
+      data.accessToken || data.access_token,
+      data.expiresIn || data.expires_in,
+      data.refreshToken || data.refresh_token
+    );
     
     return this.accessToken;
   }
 
   async refreshIdcToken() {
     const region = this.credentials.region || this.config.region || 'us-east-1';
-    const tokenUrl = `https://oidc.${region}.amazonaws.com/token`;
+    const baseUrl = this.config.upstream?.idcAuthBaseUrl || `https://oidc.${region}.amazonaws.com`;
+    const tokenUrl = `${baseUrl}/token`;
 
     // 使用 camelCase 格式（AWS SSO OIDC 要求）
     const body = {
@@ -109,17 +191,15 @@ export class TokenManager {
     
     if (!response.ok) {
       const error = await response.text();
-      throw new Error(`IdC Token 刷新失败: ${response.status} - ${error}`);
+      throw new TokenRefreshError('IdC', response.status, error);
     }
 
     const data = await response.json();
-    this.accessToken = data.accessToken || data.access_token;
-    this.expiresAt = new Date(Date.now() + (data.expiresIn || data.expires_in || 3600) * 1000);
-    
-    // 如果返回了新的 refresh_token，更新它
-    if (data.refreshToken || data.refresh_token) {
-      this.credentials.refreshToken = data.refreshToken || data.refresh_token;
-    }
+    this.applyRefreshResult(
+      data.accessToken || data.access_token,
+      data.expiresIn || data.expires_in,
+      data.refreshToken || data.refresh_token
+    );
     
     return this.accessToken;
   }
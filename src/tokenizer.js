@@ -10,6 +10,18 @@ function getEncoder() {
   return encoder;
 }
 
+/**
+ * tokenizer 是否可用（countTokens 在不可用时会静默降级为估算，健康检查需要单独判断）
+ * @returns {boolean}
+ */
+export function isTokenizerAvailable() {
+  try {
+    return getEncoder().encode('ok').length > 0;
+  } catch (e) {
+    return false;
+  }
+}
+
 /**
  * 计算文本的 token 数量
  * @param {string} text - 要计算的文本
@@ -26,6 +38,138 @@ export function countTokens(text) {
   }
 }
 
+/**
+ * 将文本截断到指定 token 数量以内
+ * @param {string} text - 原始文本
+ * @param {number} maxTokens - 最大 token 数
+ * @returns {string} 截断后的文本
+ */
+export function truncateToTokens(text, maxTokens) {
+  if (!text || maxTokens <= 0) return '';
+  try {
+    const enc = getEncoder();
+    const tokens = enc.encode(text);
+    if (tokens.length <= maxTokens) return text;
+    const bytes = enc.decode(tokens.slice(0, maxTokens));
+    // 去掉截断在多字节字符中间产生的替换字符
+    return new TextDecoder().decode(bytes).replace(/\uFFFD+$/, '');
+  } catch (e) {
+    // 降级到估算
+    return text.slice(0, maxTokens * 2);
+  }
+}
+
+// 无法解析尺寸时的图片 token 估算值（约等于 1.15MP 图片）
+const DEFAULT_IMAGE_TOKENS = 1600;
+
+/**
+ * 从图片二进制头部读取宽高（支持 png / jpeg / gif / webp）
+ * @param {Buffer} buf
+ * @returns {{width: number, height: number}|null}
+ */
+function getImageDimensions(buf) {
+  try {
+    // PNG: IHDR 紧跟在 8 字节签名之后
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+      return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+    // GIF: 逻辑屏幕描述符
+    if (buf.length >= 10 && buf.toString('ascii', 0, 3) === 'GIF') {
+      return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+    // WEBP: VP8 / VP8L / VP8X
+    if (buf.length >= 30 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+      const chunk = buf.toString('ascii', 12, 16);
+      if (chunk === 'VP8 ') {
+        return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+      }
+      if (chunk === 'VP8L') {
+        const bits = buf.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      if (chunk === 'VP8X') {
+        return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+      }
+    }
+    // JPEG: 查找 SOF 段
+    if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buf.length) {
+        if (buf[offset] !== 0xff) return null;
+        const marker = buf[offset + 1];
+        const length = buf.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+      }
+    }
+  } catch (e) {
+    // 头部损坏，使用默认估算
+  }
+  return null;
+}
+
+/**
+ * 估算图片 token 数量（Anthropic 公式：width * height / 750，长边超过 1568 时等比缩放）
+ * @param {object} block - Anthropic image block
+ * @returns {number} token 数量
+ */
+export function countImageTokens(block) {
+  const source = block?.source;
+  if (!source || source.type !== 'base64' || !source.data) return DEFAULT_IMAGE_TOKENS;
+
+  // 只需头部即可解析尺寸
+  const head = Buffer.from(String(source.data).slice(0, 64 * 1024), 'base64');
+  const dims = getImageDimensions(head);
+  if (!dims || !dims.width || !dims.height) return DEFAULT_IMAGE_TOKENS;
+
+  let { width, height } = dims;
+  const longEdge = Math.max(width, height);
+  if (longEdge > 1568) {
+    const scale = 1568 / longEdge;
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
+  }
+  return Math.max(1, Math.ceil((width * height) / 750));
+}
+
+/**
+ * 计算单个 content block 的 token 数量
+ * @param {object} block - Anthropic content block
+ * @returns {number} token 数量
+ */
+function countContentBlockTokens(block) {
+  if (!block) return 0;
+  if (typeof block === 'string') return countTokens(block);
+
+  switch (block.type) {
+    case 'text':
+      return countTokens(block.text);
+    case 'image':
+      return countImageTokens(block);
+    case 'thinking':
+      return countTokens(block.thinking);
+    case 'redacted_thinking':
+      return countTokens(block.data);
+    case 'tool_use':
+      return countTokens(block.name || '') +
+        countTokens(typeof block.input === 'string' ? block.input : JSON.stringify(block.input || {}));
+    case 'tool_result':
+      if (typeof block.content === 'string') return countTokens(block.content);
+      if (Array.isArray(block.content)) {
+        return block.content.reduce((sum, c) => sum + countContentBlockTokens(c), 0);
+      }
+      return 0;
+    case 'document':
+      return countTokens(typeof block.source?.data === 'string' && block.source.type === 'text'
+        ? block.source.data
+        : JSON.stringify(block.source || {}));
+    default:
+      return countTokens(JSON.stringify(block));
+  }
+}
+
 /**
  * 计算消息数组的 token 数量
  * @param {Array} messages - Anthropic 格式的消息数组
@@ -40,11 +184,7 @@ export function countMessagesTokens(messages) {
       total += countTokens(msg.content);
     } else if (Array.isArray(msg.content)) {
       for (const block of msg.content) {
-        if (block.type === 'text') {
-          total += countTokens(block.text);
-        } else if (block.type === 'tool_result') {
-          total += countTokens(typeof block.content === 'string' ? block.content : JSON.stringify(block.content));
-        }
+        total += countContentBlockTokens(block);
       }
     }
     // 每条消息额外开销约 4 tokens
@@ -53,6 +193,108 @@ export function countMessagesTokens(messages) {
   return total;
 }
 
+/**
+ * 计算 system prompt 的 token 数量
+ * @param {string|Array} system - 字符串或 text block 数组
+ * @returns {number} token 数量
+ */
+export function countSystemTokens(system) {
+  if (!system) return 0;
+  if (typeof system === 'string') return countTokens(system);
+  if (Array.isArray(system)) {
+    return system.reduce((sum, s) => sum + countTokens(typeof s === 'string' ? s : s?.text), 0);
+  }
+  return 0;
+}
+
+/**
+ * 计算工具定义的 token 数量
+ * @param {Array} tools - Anthropic 格式的工具定义
+ * @returns {number} token 数量
+ */
+export function countToolDefinitionsTokens(tools) {
+  if (!tools || !Array.isArray(tools)) return 0;
+  let total = 0;
+  for (const tool of tools) {
+    total += countTokens(tool.name || '');
+    total += countTokens(tool.description || '');
+    total += countTokens(JSON.stringify(tool.input_schema || {}));
+  }
+  return total;
+}
+
+/**
+ * 计算完整请求的输入 token 数量（system + messages + tools）
+ * @param {object} anthropicReq - Anthropic Messages 请求体
+ * @returns {number} token 数量
+ */
+export function countRequestTokens(anthropicReq) {
+  if (!anthropicReq) return 0;
+  return countSystemTokens(anthropicReq.system) +
+    countMessagesTokens(anthropicReq.messages) +
+    countToolDefinitionsTokens(anthropicReq.tools);
+}
+
+// 需要编码的文本长度（图片按尺寸估算，不计入）
+function contentTextLength(content) {
+  if (typeof content === 'string') return content.length;
+  if (!Array.isArray(content)) return 0;
+  let total = 0;
+  for (const block of content) {
+    if (typeof block === 'string') {
+      total += block.length;
+    } else if (block?.type === 'text') {
+      total += block.text?.length || 0;
+    } else if (block?.type === 'tool_result') {
+      total += contentTextLength(block.content);
+    } else if (block && block.type !== 'image') {
+      total += JSON.stringify(block).length;
+    }
+  }
+  return total;
+}
+
+/**
+ * 统计请求中需要 tokenizer 编码的文本字符数（不编码，用于在估算前判断请求大小）
+ * @param {object} anthropicReq - Anthropic Messages 请求体
+ * @returns {number} 字符数
+ */
+export function getRequestTextLength(anthropicReq) {
+  if (!anthropicReq) return 0;
+  let total = contentTextLength(anthropicReq.system);
+  for (const msg of Array.isArray(anthropicReq.messages) ? anthropicReq.messages : []) {
+    total += contentTextLength(msg?.content);
+  }
+  if (Array.isArray(anthropicReq.tools)) {
+    total += JSON.stringify(anthropicReq.tools).length;
+  }
+  return total;
+}
+
+/**
+ * 不经过 tokenizer 粗略估算请求的输入 token 数量（约 4 个字符一个 token，图片按尺寸估算）
+ * 用于文本过长、完整编码耗时过多的请求
+ * @param {object} anthropicReq - Anthropic Messages 请求体
+ * @returns {number} token 数量
+ */
+export function estimateRequestTokens(anthropicReq) {
+  if (!anthropicReq) return 0;
+  let total = Math.ceil(getRequestTextLength(anthropicReq) / 4);
+  const countImages = (blocks) => {
+    if (!Array.isArray(blocks)) return;
+    for (const block of blocks) {
+      if (block?.type === 'image') total += countImageTokens(block);
+      else if (block?.type === 'tool_result') countImages(block.content);
+    }
+  };
+  for (const msg of Array.isArray(anthropicReq.messages) ? anthropicReq.messages : []) {
+    countImages(msg?.content);
+    // 每条消息额外开销约 4 tokens
+    total += 4;
+  }
+  return total;
+}
+
 /**
  * 计算工具调用的 token 数量
  * @param {Map} toolUseBuffers - Map of toolUseId -> { name, input }
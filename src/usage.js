@@ -7,7 +7,8 @@ import fetch from 'node-fetch';
  * @returns {Promise<object>} 使用限制信息
  */
 export async function checkUsageLimits(accessToken, config = {}) {
-  const url = 'https://codewhisperer.us-east-1.amazonaws.com/getUsageLimits?isEmailRequired=true&origin=AI_EDITOR&resourceType=AGENTIC_REQUEST';
+  const baseUrl = config.upstream?.usageBaseUrl || 'https://codewhisperer.us-east-1.amazonaws.com';
+  const url = `${baseUrl}/getUsageLimits?isEmailRequired=true&origin=AI_EDITOR&resourceType=AGENTIC_REQUEST`;
 
   const fetchOptions = {
     method: 'GET',
@@ -83,9 +84,12 @@ function parseUsageLimits(data) {
     }
   }
 
-  // 重置日期
+  // 重置日期（上游通常返回秒级时间戳，也兼容毫秒时间戳与日期字符串）
   if (data.nextDateReset) {
-    result.nextReset = new Date(data.nextDateReset);
+    const value = Number(data.nextDateReset);
+    result.nextReset = Number.isFinite(value)
+      ? new Date(value < 1e12 ? value * 1000 : value)
+      : new Date(data.nextDateReset);
   }
 
   return result;
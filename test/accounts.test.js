@@ -0,0 +1,97 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { textEvent } from './mock-upstream.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer({ accounts: 2 });
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+test('添加账号时刷新 token，并将轮换后的凭证持久化', () => {
+  for (const id of ctx.accountIds) {
+    const credentials = JSON.parse(ctx.state.dbManager.getAccount(id).credentials);
+    assert.match(credentials.accessToken, /^access-\d+$/);
+    assert.match(credentials.refreshToken, /^refresh-\d+$/);
+  }
+});
+
+test('刷新额度时解析 getUsageLimits 响应', async () => {
+  const res = await ctx.admin(`/api/accounts/${ctx.accountIds[0]}/refresh-usage`, { method: 'POST' });
+  assert.equal(res.status, 200);
+
+  const account = ctx.state.accountPool.listAccounts().find(a => a.id === ctx.accountIds[0]);
+  assert.equal(account.usage.usageLimit, 500);
+  assert.equal(account.usage.currentUsage, 120);
+  assert.equal(account.usage.available, 380);
+  assert.equal(account.usage.userEmail, 'mock@example.com');
+});
+
+test('上游 429 时切换到其他账号重试成功', async () => {
+  ctx.mock.enqueue(
+    { status: 429, body: { message: 'Too many requests' } },
+    { events: [textEvent('from second account')] }
+  );
+
+  const res = await ctx.postMessages({ model: MODEL, max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.content[0].text, 'from second account');
+
+  const calls = ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse');
+  assert.equal(calls.length, 2);
+  assert.notEqual(calls[0].headers.authorization, calls[1].headers.authorization);
+
+  const [success, failed] = ctx.state.dbManager.getRecentLogs(2, 0);
+  assert.equal(success.success, 1);
+  assert.equal(success.attempt, 2);
+  assert.equal(failed.success, 0);
+  assert.ok(ctx.state.accountPool.listAccounts().some(a => a.status === 'cooldown'));
+});
+
+test('所有账号都不可用时返回 503', async () => {
+  for (const id of ctx.accountIds) {
+    await ctx.state.accountPool.disableAccount(id);
+  }
+  const res = await ctx.postMessages({ model: MODEL, max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] });
+  assert.equal(res.status, 503);
+  assert.equal((await res.json()).error.type, 'overloaded_error');
+});
+
+test('客户端在重试等待期间断开时停止重试，不再调用其他账号', async () => {
+  const local = await startTestServer({ accounts: 2, env: { RETRY_BACKOFF_MS: '500' } });
+  try {
+    local.mock.enqueue({ status: 429, body: { message: 'Too many requests' } });
+    const controller = new AbortController();
+    const request = local.postMessages(
+      { model: MODEL, max_tokens: 100, messages: [{ role: 'user', content: 'hi' }] },
+      {},
+      { signal: controller.signal }
+    ).catch(error => error);
+
+    // 第一次尝试失败后进入等待，此时断开
+    while (local.state.dbManager.getRecentLogs(1, 0).length === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    controller.abort();
+    assert.equal((await request).name, 'AbortError');
+    await new Promise(resolve => setTimeout(resolve, 700));
+
+    assert.equal(local.mock.requests.filter(r => r.path === '/generateAssistantResponse').length, 1);
+    const [cancelled] = local.state.dbManager.getRecentLogs(1, 0);
+    assert.equal(cancelled.errorCategory, 'cancelled');
+  } finally {
+    await local.close();
+  }
+});
@@ -0,0 +1,141 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { textEvent } from './mock-upstream.js';
+
+const SONNET = 'claude-sonnet-4-5-20250929';
+const HAIKU = 'claude-haiku-4-5-20251001';
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+async function createKey(limits) {
+  const res = await ctx.admin('/api/settings/api-keys', { method: 'POST', body: JSON.stringify({ name: 'test', ...limits }) });
+  assert.equal(res.status, 201);
+  return (await res.json()).key;
+}
+
+// 以两种格式发送同样的请求，返回 { status, errorType, retryAfter }
+const ENDPOINTS = {
+  anthropic: (key, model) => ctx.postMessages(
+    { model, max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] },
+    { 'x-api-key': key }
+  ),
+  openai: (key, model) => ctx.postChatCompletions(
+    { model, messages: [{ role: 'user', content: 'hi' }] },
+    { 'Authorization': `Bearer ${key}` }
+  )
+};
+
+async function send(format, key, model = SONNET) {
+  const res = await ENDPOINTS[format](key, model);
+  const body = await res.json();
+  return {
+    status: res.status,
+    // Anthropic 格式为 { type: 'error', error: { type } }，OpenAI 格式为 { error: { type } }
+    errorType: body.error?.type ?? null,
+    retryAfter: res.headers.get('retry-after')
+  };
+}
+
+for (const format of Object.keys(ENDPOINTS)) {
+  test(`API 密钥（${format}）：超过 RPM 返回 429 rate_limit_error 与 Retry-After`, async () => {
+    const key = await createKey({ rpmLimit: 2 });
+    assert.equal((await send(format, key)).status, 200);
+    assert.equal((await send(format, key)).status, 200);
+
+    const limited = await send(format, key);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.errorType, 'rate_limit_error');
+    assert.ok(Number(limited.retryAfter) >= 1 && Number(limited.retryAfter) <= 60);
+    // 被拒绝的请求不调用上游
+    assert.equal(ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse').length, 2);
+  });
+
+  test(`API 密钥（${format}）：超过每日与每月 token 限额返回 429，日志被清理后用量仍然保留`, async () => {
+    for (const field of ['dailyTokenLimit', 'monthlyTokenLimit']) {
+      const key = await createKey({ [field]: 1 });
+      assert.equal((await send(format, key)).status, 200);
+
+      // 模拟日志保留策略删除请求日志
+      ctx.state.dbManager.db.exec('DELETE FROM request_logs');
+
+      const limited = await send(format, key);
+      assert.equal(limited.status, 429, field);
+      assert.equal(limited.errorType, 'rate_limit_error');
+      assert.ok(ctx.state.settingsManager.getApiKeyUsage(key).tokensToday > 0);
+    }
+  });
+
+  test(`API 密钥（${format}）：模型白名单支持 * 通配符，不在白名单中的模型返回 403 permission_error`, async () => {
+    const key = await createKey({ allowedModels: ['claude-haiku-*'] });
+    const denied = await send(format, key, SONNET);
+    assert.equal(denied.status, 403);
+    assert.equal(denied.errorType, 'permission_error');
+    assert.equal((await send(format, key, HAIKU)).status, 200);
+
+    const any = await createKey({ allowedModels: ['*'] });
+    assert.equal((await send(format, any, SONNET)).status, 200);
+  });
+
+  test(`API 密钥（${format}）：已过期或已禁用的密钥返回 403 permission_error`, async () => {
+    const expired = await createKey({ expiresAt: new Date(Date.now() - 1000).toISOString() });
+    const disabled = await createKey({ enabled: false });
+
+    for (const key of [expired, disabled]) {
+      const denied = await send(format, key);
+      assert.equal(denied.status, 403);
+      assert.equal(denied.errorType, 'permission_error');
+    }
+    assert.equal(ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse').length, 0);
+  });
+}
+
+test('API 密钥：未发送到上游的请求不占用 RPM', async () => {
+  const key = await createKey({ rpmLimit: 1 });
+  const invalid = {
+    model: SONNET,
+    max_tokens: 16,
+    messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'http://127.0.0.1/a.png' } }] }]
+  };
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await ctx.postMessages(invalid, { 'x-api-key': key })).status, 400);
+  }
+  assert.equal((await send('anthropic', key)).status, 200);
+  assert.equal((await send('anthropic', key)).status, 429);
+});
+
+test('API 密钥：进行中请求预留估算的输入 token，并发请求不能同时通过 token 限额检查', async () => {
+  const key = await createKey({ dailyTokenLimit: 50 });
+  ctx.mock.enqueue({ events: [textEvent('slow'), textEvent(' answer')], delayMs: 200 });
+  const pending = ctx.postMessages(
+    { model: SONNET, max_tokens: 16, stream: true, messages: [{ role: 'user', content: 'word '.repeat(100) }] },
+    { 'x-api-key': key }
+  ).then(res => res.text());
+
+  for (let i = 0; i < 100 && !ctx.mock.requests.some(r => r.path === '/generateAssistantResponse'); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  const concurrent = await send('anthropic', key);
+  assert.equal(concurrent.status, 429);
+  assert.equal(concurrent.errorType, 'rate_limit_error');
+
+  await pending;
+  // 响应结束后释放预留
+  for (let i = 0; i < 100 && ctx.state.settingsManager.reservations.has(key); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(ctx.state.settingsManager.reservations.has(key), false);
+  assert.ok(ctx.state.settingsManager.getApiKeyUsage(key).tokensToday > 50);
+});
@@ -0,0 +1,185 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, parseSSE } from './helpers.js';
+import { textEvent, thinkingEvent, toolUseEvent, contextUsageEvent } from './mock-upstream.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+function userMessage(text, extra = {}) {
+  return { model: MODEL, max_tokens: 1024, messages: [{ role: 'user', content: text }], ...extra };
+}
+
+// 抓包在响应连接关闭后保存，轮询等待最新一条日志的抓包状态
+async function latestLog(ctx, { hasCapture = true } = {}) {
+  for (let i = 0; i < 50; i++) {
+    const log = ctx.state.dbManager.getRecentLogs(1, 0)[0];
+    if (log && Boolean(log.hasCapture) === hasCapture) return log;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return ctx.state.dbManager.getRecentLogs(1, 0)[0];
+}
+
+test('抓包：记录客户端请求、Kiro 请求、上游事件与响应，并脱敏认证头', async () => {
+  const ctx = await startTestServer({ env: { CAPTURE_ENABLED: 'true' } });
+  try {
+    ctx.mock.enqueue({ events: [textEvent('Hello'), textEvent(' there'), contextUsageEvent(2)] });
+    const res = await ctx.postMessages(userMessage('hi', { stream: true }));
+    assert.equal(res.status, 200);
+    await res.text();
+
+    const log = await latestLog(ctx);
+    assert.ok(log.requestId);
+    assert.equal(log.hasCapture, 1);
+
+    const listed = await (await ctx.admin('/api/logs')).json();
+    assert.equal(listed.data[0].requestId, log.requestId);
+    assert.equal(listed.data[0].hasCapture, 1);
+
+    const capture = await (await ctx.admin(`/api/captures/${log.requestId}`)).json();
+    const { data } = capture;
+    assert.equal(data.request.headers['x-api-key'], '[REDACTED]');
+    assert.equal(data.request.body.messages[0].content, 'hi');
+    assert.equal(data.kiroRequest.headers.Authorization, '[REDACTED]');
+    assert.equal(data.kiroRequest.body.conversationState.currentMessage.userInputMessage.content, 'hi');
+    assert.equal(data.attempts.length, 1);
+    assert.equal(data.attempts[0].accountId, ctx.accountIds[0]);
+    assert.deepEqual(
+      data.upstreamEvents.filter(e => e.type === 'assistantResponseEvent').map(e => e.data.content),
+      ['Hello', ' there']
+    );
+    assert.equal(data.response.status, 200);
+    assert.match(data.response.body, /event: message_stop/);
+    assert.ok(!JSON.stringify(data).includes('sk-test-key'));
+
+    let deleteRes = await ctx.admin(`/api/captures/${log.requestId}`, { method: 'DELETE' });
+    assert.equal(deleteRes.status, 200);
+    assert.equal((await ctx.admin(`/api/captures/${log.requestId}`)).status, 404);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('抓包：按 API 密钥、账号与采样率限定范围，超出大小的内容被截断，过期数据被清理', async () => {
+  const ctx = await startTestServer();
+  try {
+    // 默认关闭
+    ctx.mock.enqueue({ events: [textEvent('a')] });
+    await (await ctx.postMessages(userMessage('one'))).json();
+    assert.equal((await latestLog(ctx, { hasCapture: false })).hasCapture, 0);
+
+    // 只抓其他密钥的请求
+    let res = await ctx.admin('/api/capture', {
+      method: 'PUT',
+      body: JSON.stringify({ enabled: true, apiKeys: ['sk-other'] })
+    });
+    assert.equal((await res.json()).enabled, true);
+    ctx.mock.enqueue({ events: [textEvent('b')] });
+    await (await ctx.postMessages(userMessage('two'))).json();
+    assert.equal((await latestLog(ctx, { hasCapture: false })).hasCapture, 0);
+
+    // 命中账号范围即抓取；响应体按 maxBodyBytes 截断
+    await ctx.admin('/api/capture', {
+      method: 'PUT',
+      body: JSON.stringify({ accountIds: [ctx.accountIds[0]], maxBodyBytes: 1024 })
+    });
+    ctx.mock.enqueue({ events: [textEvent('x'.repeat(3000))] });
+    await (await ctx.postMessages(userMessage('three'))).json();
+    const log = await latestLog(ctx);
+    assert.equal(log.hasCapture, 1);
+    const { data } = ctx.state.captureManager.getCapture(log.requestId);
+    assert.equal(data.response.truncated, true);
+    assert.equal(Buffer.byteLength(data.response.body), 1024);
+    assert.equal(data.omittedUpstreamEvents, 1);
+
+    // 采样率为 0 时不抓取
+    res = await ctx.admin('/api/capture', { method: 'PUT', body: JSON.stringify({ sampleRate: 0 }) });
+    assert.equal((await res.json()).sampleRate, 0);
+    ctx.mock.enqueue({ events: [textEvent('c')] });
+    await (await ctx.postMessages(userMessage('four'))).json();
+    assert.equal((await latestLog(ctx, { hasCapture: false })).hasCapture, 0);
+
+    res = await ctx.admin('/api/capture', { method: 'PUT', body: JSON.stringify({ sampleRate: 2 }) });
+    assert.equal(res.status, 400);
+
+    // 配置持久化到数据库
+    assert.deepEqual(ctx.state.dbManager.getCaptureConfig().accountIds, [ctx.accountIds[0]]);
+
+    // 过期的抓包不再返回，并在清理时删除
+    ctx.state.dbManager.insertCapture({
+      requestId: 'expired-1',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      expiresAt: '2026-01-02T00:00:00.000Z',
+      data: {}
+    });
+    assert.equal((await ctx.admin('/api/captures/expired-1')).status, 404);
+    assert.equal(ctx.state.captureManager.cleanupExpired(true), 1);
+    assert.ok(ctx.state.captureManager.getCapture(log.requestId));
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('重放：用指定账号与模型重新调用上游，流式返回结果与原始响应文本', async () => {
+  const ctx = await startTestServer({ accounts: 2, env: { CAPTURE_ENABLED: 'true' } });
+  try {
+    ctx.mock.enqueue({ events: [textEvent('Paris is'), textEvent(' the capital.')] });
+    await (await ctx.postMessages(userMessage('capital of France?'))).json();
+    const log = await latestLog(ctx);
+    const { data } = ctx.state.captureManager.getCapture(log.requestId);
+    const otherAccount = ctx.accountIds.find(id => id !== data.attempts[0].accountId);
+
+    ctx.mock.reset();
+    ctx.mock.enqueue({
+      events: [
+        thinkingEvent('Recall.'),
+        textEvent('Lyon.'),
+        toolUseEvent('tool-1', 'lookup', '{"q":"France"}', true)
+      ]
+    });
+    const res = await ctx.admin(`/api/captures/${log.requestId}/replay`, {
+      method: 'POST',
+      body: JSON.stringify({ accountId: otherAccount, model: 'claude-haiku-4-5-20251001' })
+    });
+    assert.equal(res.status, 200);
+    const events = parseSSE(await res.text()).map(e => e.data);
+
+    const start = events[0];
+    assert.equal(start.type, 'start');
+    assert.equal(start.account.id, otherAccount);
+    assert.equal(start.upstreamModel, 'claude-haiku-4.5');
+    assert.equal(start.original.text, 'Paris is the capital.');
+
+    const done = events[events.length - 1];
+    assert.equal(done.type, 'done');
+    assert.equal(done.text, '[thinking]\nRecall.\n\nLyon.\n\n[tool_use lookup]\n{"q":"France"}');
+    assert.equal(events.filter(e => e.type === 'delta').map(e => e.text).join(''), done.text);
+
+    const upstream = ctx.mock.requests.find(r => r.path === '/generateAssistantResponse');
+    const userInput = upstream.body.conversationState.currentMessage.userInputMessage;
+    assert.equal(userInput.content, 'capital of France?');
+    assert.equal(userInput.modelId, 'claude-haiku-4.5');
+
+    // 重放不写入请求日志
+    assert.equal(ctx.state.dbManager.getRecentLogs(1, 0)[0].id, log.id);
+
+    let bad = await ctx.admin(`/api/captures/${log.requestId}/replay`, {
+      method: 'POST',
+      body: JSON.stringify({ accountId: 'missing' })
+    });
+    assert.equal(bad.status, 404);
+
+    ctx.state.dbManager.insertCapture({
+      requestId: 'truncated-1',
+      createdAt: new Date().toISOString(),
+      expiresAt: new Date(Date.now() + 60000).toISOString(),
+      data: { request: { body: { _truncated: true, preview: '{' } } }
+    });
+    bad = await ctx.admin('/api/captures/truncated-1/replay', {
+      method: 'POST',
+      body: JSON.stringify({ accountId: otherAccount })
+    });
+    assert.equal(bad.status, 400);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,79 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, API_KEY } from './helpers.js';
+import { countRequestTokens } from '../src/tokenizer.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+function countTokens(body, headers) {
+  return fetch(`${ctx.baseUrl}/v1/messages/count_tokens`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': API_KEY, ...headers },
+    body: JSON.stringify(body)
+  });
+}
+
+async function createKey(limits) {
+  const res = await ctx.admin('/api/settings/api-keys', { method: 'POST', body: JSON.stringify({ name: 'limited', ...limits }) });
+  return (await res.json()).key;
+}
+
+test('count_tokens：本地计算 system、messages、tools 与工具结果，不调用上游', async () => {
+  const base = { model: MODEL, messages: [{ role: 'user', content: 'hello there' }] };
+  const full = {
+    ...base,
+    system: 'You are helpful.',
+    tools: [{ name: 'lookup', description: 'Look up a term', input_schema: { type: 'object', properties: { q: { type: 'string' } } } }],
+    messages: [
+      { role: 'user', content: 'find kiro' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'lookup', input: { q: 'kiro' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: 'Kiro is an IDE.' }] }
+    ]
+  };
+
+  const small = await (await countTokens(base)).json();
+  const large = await (await countTokens(full)).json();
+  assert.equal(small.input_tokens, countRequestTokens(base));
+  assert.equal(large.input_tokens, countRequestTokens(full));
+  assert.ok(large.input_tokens > small.input_tokens);
+
+  assert.equal(ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse').length, 0);
+});
+
+test('count_tokens：缺少 model 或 messages 返回 400，缺少密钥返回 401', async () => {
+  let res = await countTokens({ model: MODEL, messages: [] });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).error.type, 'invalid_request_error');
+
+  res = await countTokens({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] }, { 'x-api-key': 'sk-unknown' });
+  assert.equal(res.status, 401);
+});
+
+test('count_tokens：与 /v1/messages 使用同样的模型白名单，但不计入 RPM', async () => {
+  const key = await createKey({ allowedModels: ['claude-haiku-*'], rpmLimit: 1 });
+  const headers = { 'x-api-key': key };
+
+  const denied = await countTokens({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] }, headers);
+  assert.equal(denied.status, 403);
+  assert.equal((await denied.json()).error.type, 'permission_error');
+
+  const haiku = { model: 'claude-haiku-4-5-20251001', messages: [{ role: 'user', content: 'hi' }] };
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await countTokens(haiku, headers)).status, 200);
+  }
+  assert.equal((await ctx.postMessages({ ...haiku, max_tokens: 16 }, headers)).status, 200);
+});
@@ -0,0 +1,208 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, parseSSE } from './helpers.js';
+import { textEvent, exceptionEvent, contextUsageEvent } from './mock-upstream.js';
+import { classifyError, classifyKiroResponse } from '../src/error-classifier.js';
+import { KiroApiError, InvalidRequestError } from '../src/kiro-client.js';
+import { TokenRefreshError } from '../src/token.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+function userMessage(text) {
+  return { model: MODEL, max_tokens: 64, messages: [{ role: 'user', content: text }] };
+}
+
+test('错误分类：按响应体特征与状态码区分', () => {
+  const cases = [
+    [429, '{"message":"Too many requests"}', 'throttled'],
+    [400, '{"__type":"com.amazon#ThrottlingException","message":"Rate exceeded"}', 'throttled'],
+    [429, '{"message":"You have reached the limit.","reason":"MONTHLY_REQUEST_COUNT"}', 'quota_exhausted'],
+    [429, '{"__type":"ThrottlingException","message":"Rate exceeded. You have reached the limit for requests per minute."}', 'throttled'],
+    [400, '{"message":"Input exceeds the usage limit for a single request."}', 'bad_request'],
+    [402, 'Payment required', 'quota_exhausted'],
+    [403, '{"message":"Your account is TEMPORARILY_SUSPENDED"}', 'account_suspended'],
+    [403, '{"message":"The bearer token included in the request is invalid."}', 'invalid_token'],
+    [403, '{"__type":"AccessDeniedException"}', 'invalid_token'],
+    [401, '', 'invalid_token'],
+    [400, '{"message":"Improperly formed request."}', 'bad_request'],
+    [500, 'Internal error', 'upstream_error'],
+    [418, 'teapot', 'unknown']
+  ];
+  for (const [status, body, expected] of cases) {
+    assert.equal(classifyKiroResponse(status, body), expected, `${status} ${body}`);
+  }
+
+  const throttled = classifyError(new KiroApiError(429, 'Too many requests', null, 30000));
+  assert.deepEqual(throttled, { category: 'throttled', action: 'cooldown', status: 429, retryAfterMs: 30000, upstreamStatus: 429 });
+  // 账号侧错误不透传上游的 401/403，请求错误与上游错误透传状态码
+  assert.equal(classifyError(new KiroApiError(401, '')).status, 502);
+  assert.equal(classifyError(new KiroApiError(403, '{"__type":"AccessDeniedException"}')).status, 502);
+  assert.equal(classifyError(new KiroApiError(403, '{"reason":"TEMPORARILY_SUSPENDED"}')).status, 502);
+  assert.equal(classifyError(new KiroApiError(400, '{"__type":"ThrottlingException"}')).status, 429);
+  assert.equal(classifyError(new KiroApiError(413, 'too large')).status, 413);
+  assert.equal(classifyError(new KiroApiError(503, 'unavailable')).status, 503);
+
+  assert.equal(classifyError(new InvalidRequestError('bad')).action, 'none');
+  assert.equal(classifyError(new Error('不支持的模型: x')).status, 400);
+  assert.equal(classifyError(new TokenRefreshError('Social', 500, 'oops')).category, 'invalid_token');
+  const network = classifyError(Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:1'), { code: 'ECONNREFUSED' }));
+  assert.deepEqual([network.category, network.status], ['network_error', 502]);
+  assert.equal(classifyError(new Error('boom')).status, 500);
+  const aborted = classifyError(Object.assign(new Error('This operation was aborted'), { name: 'AbortError' }));
+  assert.deepEqual([aborted.category, aborted.action], ['cancelled', 'none']);
+});
+
+test('额度重置时间：兼容秒级、毫秒级时间戳与日期字符串', async () => {
+  const ctx = await startTestServer();
+  try {
+    const resetAt = new Date('2027-01-01T00:00:00.000Z');
+    for (const nextDateReset of [resetAt.getTime() / 1000, resetAt.getTime(), resetAt.toISOString()]) {
+      ctx.mock.setUsageResponse({ body: { usageBreakdownList: [], nextDateReset } });
+      await ctx.state.accountPool.refreshAllUsage();
+      const account = ctx.state.accountPool.accounts.get(ctx.accountIds[0]);
+      assert.equal(new Date(account.usage.nextReset).toISOString(), resetAt.toISOString(), String(nextDateReset));
+    }
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('额度用尽：标记 exhausted 至额度重置时间，切换账号重试并记录错误分类', async () => {
+  const ctx = await startTestServer({ accounts: 2 });
+  try {
+    const resetAt = new Date(Date.now() + 3 * 86400000);
+    ctx.mock.setUsageResponse({ body: { usageBreakdownList: [], nextDateReset: Math.floor(resetAt.getTime() / 1000) } });
+    await ctx.state.accountPool.refreshAllUsage();
+
+    ctx.mock.enqueue(
+      { status: 429, body: { message: 'You have reached the limit.', reason: 'MONTHLY_REQUEST_COUNT' } },
+      { events: [textEvent('ok')] }
+    );
+    const res = await ctx.postMessages(userMessage('hi'));
+    assert.equal(res.status, 200);
+
+    const exhausted = ctx.state.accountPool.listAccounts().find(a => a.status === 'exhausted');
+    assert.ok(exhausted);
+    assert.equal(exhausted.cooldownUntil, new Date(Math.floor(resetAt.getTime() / 1000) * 1000).toISOString());
+    assert.equal(exhausted.lastError.category, 'quota_exhausted');
+    assert.ok(exhausted.lastErrorAt);
+    assert.equal(ctx.state.accountPool.getStats().exhausted, 1);
+
+    const stored = ctx.state.dbManager.getAccount(exhausted.id);
+    assert.equal(stored.status, 'exhausted');
+    assert.equal(JSON.parse(stored.lastError).category, 'quota_exhausted');
+
+    const [, failed] = ctx.state.dbManager.getRecentLogs(2, 0);
+    assert.equal(failed.errorCategory, 'quota_exhausted');
+
+    // 到达重置时间后恢复
+    const pool = ctx.state.accountPool;
+    pool.accounts.get(exhausted.id).cooldownUntil = new Date(Date.now() - 1000).toISOString();
+    pool.scheduleCooldownExit(pool.accounts.get(exhausted.id));
+    assert.equal(pool.listAccounts().find(a => a.id === exhausted.id).status, 'active');
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('账号封禁标记失效，Token 被拒绝时重新刷新，客户端请求错误不计入账号', async () => {
+  const ctx = await startTestServer({ accounts: 1, env: { RETRY_MAX_ATTEMPTS: '1' } });
+  const [id] = ctx.accountIds;
+  const pool = ctx.state.accountPool;
+  const refreshCalls = () => ctx.mock.requests.filter(r => r.path === '/refreshToken').length;
+  try {
+    // 400：不计入账号
+    ctx.mock.enqueue({ status: 400, body: { message: 'Improperly formed request.' } });
+    await (await ctx.postMessages(userMessage('bad'))).text();
+    let account = pool.listAccounts()[0];
+    assert.equal(account.errorCount, 0);
+    assert.equal(account.lastError, null);
+    assert.equal(ctx.state.dbManager.getRecentLogs(1, 0)[0].errorCategory, 'bad_request');
+
+    // 403 bearer token 无效：下次请求前重新刷新 Token
+    ctx.mock.enqueue({ status: 403, body: { message: 'The bearer token included in the request is invalid.' } });
+    await (await ctx.postMessages(userMessage('one'))).text();
+    account = pool.listAccounts()[0];
+    assert.equal(account.status, 'active');
+    assert.equal(account.lastError.category, 'invalid_token');
+    const before = refreshCalls();
+    ctx.mock.enqueue({ events: [textEvent('ok')] });
+    assert.equal((await ctx.postMessages(userMessage('two'))).status, 200);
+    assert.equal(refreshCalls(), before + 1);
+
+    // 封禁：标记失效
+    ctx.mock.enqueue({ status: 403, body: { message: 'Account suspended', reason: 'TEMPORARILY_SUSPENDED' } });
+    const res = await ctx.postMessages(userMessage('three'));
+    assert.equal(res.status, 502);
+    assert.equal((await res.json()).error.type, 'api_error');
+    account = pool.listAccounts()[0];
+    assert.equal(account.status, 'invalid');
+    assert.equal(account.lastError.category, 'account_suspended');
+    assert.equal(ctx.state.dbManager.getAccount(id).status, 'invalid');
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('响应流中的异常帧：流式返回 error 事件并按分类处理账号，计量写入日志', async () => {
+  const ctx = await startTestServer({ accounts: 1 });
+  try {
+    ctx.mock.enqueue({
+      events: [
+        textEvent('partial answer, '),
+        { type: 'meteringEvent', data: { unit: 'credit', usage: 0.3 } },
+        exceptionEvent('ThrottlingException', 'Rate exceeded')
+      ]
+    });
+    const res = await ctx.postMessages({ ...userMessage('hi'), stream: true });
+    const events = parseSSE(await res.text());
+    const last = events[events.length - 1];
+    assert.equal(last.event, 'error');
+    assert.equal(last.data.error.type, 'rate_limit_error');
+    assert.match(last.data.error.message, /Rate exceeded/);
+
+    const account = ctx.state.accountPool.listAccounts()[0];
+    assert.equal(account.status, 'cooldown');
+    assert.equal(account.lastError.category, 'throttled');
+
+    const [log] = ctx.state.dbManager.getRecentLogs(1, 0);
+    assert.equal(log.success, 0);
+    assert.equal(log.errorCategory, 'throttled');
+    assert.equal(log.credits, 0.3);
+
+    // 非流式：同样按异常类型返回状态码
+    ctx.state.accountPool.exitCooldown(account.id);
+    ctx.mock.enqueue({ events: [{ type: 'invalidStateEvent', data: { reason: 'INVALID_TASK_ASSIST_PLAN', message: 'Invalid conversation state' } }] });
+    const bad = await ctx.postMessages(userMessage('again'));
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).error.type, 'invalid_request_error');
+    assert.equal(ctx.state.accountPool.listAccounts()[0].status, 'active');
+
+    ctx.mock.enqueue({ events: [textEvent('ok'), { type: 'meteringEvent', data: { unit: 'credit', usage: 0.05 } }, contextUsageEvent(1)] });
+    assert.equal((await ctx.postMessages(userMessage('ok'))).status, 200);
+    assert.equal(ctx.state.dbManager.getRecentLogs(1, 0)[0].credits, 0.05);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('代码引用：开启后记录到请求日志，响应内容不包含 citations', async () => {
+  const ctx = await startTestServer({ env: { CODE_REFERENCE_CITATIONS: 'true' } });
+  try {
+    const reference = { licenseName: 'MIT', repository: 'kiro/sample', url: 'https://example.com/kiro/sample', recommendationContentSpan: { start: 0, end: 4 } };
+    ctx.mock.enqueue({ events: [textEvent('code here'), { type: 'codeReferenceEvent', data: { references: [reference] } }] });
+    const body = await (await ctx.postMessages(userMessage('code'))).json();
+    assert.deepEqual(body.content, [{ type: 'text', text: 'code here' }]);
+
+    const [log] = ctx.state.dbManager.getRecentLogs(1, 0);
+    assert.deepEqual(JSON.parse(log.codeReferences), [
+      { repository: 'kiro/sample', licenseName: 'MIT', url: 'https://example.com/kiro/sample', span: { start: 0, end: 4 } }
+    ]);
+
+    ctx.mock.enqueue({ events: [textEvent('plain')] });
+    await (await ctx.postMessages(userMessage('plain'))).json();
+    assert.equal(ctx.state.dbManager.getRecentLogs(1, 0)[0].codeReferences, null);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/events.js';
+import { startTestServer, parseSSE, ADMIN_KEY } from './helpers.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+/**
+ * 连接 /api/events，按需读取事件直到满足条件
+ */
+async function openEventStream(ctx, headers = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${ctx.baseUrl}/api/events`, {
+    headers: { 'Authorization': `Bearer ${ADMIN_KEY}`, ...headers },
+    signal: controller.signal
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const received = [];
+
+  return {
+    res,
+    received,
+    async waitFor(predicate) {
+      for (;;) {
+        const found = received.find(predicate);
+        if (found) return found;
+        const { done, value } = await reader.read();
+        if (done) throw new Error('事件流已结束');
+        buffer += decoder.decode(value, { stream: true });
+        const end = buffer.lastIndexOf('\n\n');
+        if (end !== -1) {
+          received.push(...parseSSE(buffer.slice(0, end + 2)));
+          buffer = buffer.slice(end + 2);
+        }
+      }
+    },
+    close() {
+      controller.abort();
+    }
+  };
+}
+
+test('EventBus：按 Last-Event-ID 补发，跨启动或超出缓冲区时返回 null', () => {
+  const bus = new EventBus({ bufferSize: 3 });
+  const first = bus.publish('a');
+  bus.publish('b');
+  const third = bus.publish('c');
+
+  assert.deepEqual(bus.since(first.id).map(e => e.data.type), ['b', 'c']);
+  assert.deepEqual(bus.since(third.id), []);
+  assert.equal(bus.since('otherboot-1'), null);
+  assert.equal(bus.since('garbage'), null);
+
+  bus.publish('d');
+  bus.publish('e');
+  // first 之后的 b 已被挤出缓冲区
+  assert.equal(bus.since(first.id), null);
+  assert.deepEqual(bus.since(third.id).map(e => e.data.type), ['d', 'e']);
+});
+
+test('/api/events：推送请求开始/结束与账号状态变化，重连时补发错过的事件', async () => {
+  const ctx = await startTestServer({ accounts: 1 });
+  try {
+    const stream = await openEventStream(ctx);
+    assert.equal(stream.res.status, 200);
+    const init = await stream.waitFor(e => e.data.type === 'init');
+    assert.equal(init.data.accounts.length, 1);
+
+    ctx.mock.enqueue({ events: [] });
+    const res = await ctx.postMessages({ model: MODEL, max_tokens: 64, messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(res.status, 200);
+    await res.json();
+
+    const started = await stream.waitFor(e => e.data.type === 'request.started');
+    const finished = await stream.waitFor(e => e.data.type === 'request.finished');
+    assert.equal(started.data.requestId, finished.data.requestId);
+    assert.equal(started.data.account.id, ctx.accountIds[0]);
+    assert.equal(finished.data.log.success, 1);
+    assert.equal(finished.data.log.accountId, ctx.accountIds[0]);
+    assert.ok(typeof finished.data.log.durationMs === 'number');
+    // 事件中的日志由写入的字段构造，与数据库中的行一致
+    assert.deepEqual(finished.data.log, ctx.state.dbManager.getLogById(finished.data.log.id));
+    assert.equal(finished.data.stats.totalRequests, 1);
+
+    stream.close();
+
+    // 断线期间发生的变化在重连后补发，不再发送 init
+    await ctx.admin(`/api/accounts/${ctx.accountIds[0]}/disable`, { method: 'POST' });
+    await ctx.admin('/api/settings/api-keys', { method: 'POST', body: JSON.stringify({ name: 'ci' }) });
+
+    const resumed = await openEventStream(ctx, { 'Last-Event-ID': finished.id });
+    const created = await resumed.waitFor(e => e.data.type === 'apikey.created');
+    assert.equal(created.data.name, 'ci');
+    assert.match(created.data.key, /^sk-[A-Za-z0-9]{4}\.\.\.[A-Za-z0-9]{4}$/);
+    const types = resumed.received.map(e => e.data.type);
+    assert.ok(!types.includes('init'));
+    const status = resumed.received.find(e => e.data.type === 'account.status');
+    assert.equal(status.data.account.status, 'disabled');
+    assert.equal(status.data.previousStatus, 'active');
+    resumed.close();
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('/api/events：限流错误推送冷却事件', async () => {
+  const ctx = await startTestServer({ accounts: 1, env: { RETRY_MAX_ATTEMPTS: '1' } });
+  try {
+    const stream = await openEventStream(ctx);
+    await stream.waitFor(e => e.data.type === 'init');
+
+    ctx.mock.enqueue({ status: 429, body: { message: 'Too many requests' } });
+    const res = await ctx.postMessages({ model: MODEL, max_tokens: 64, messages: [{ role: 'user', content: 'hi' }] });
+    assert.equal(res.status, 429);
+    await res.text();
+
+    const cooldown = await stream.waitFor(e => e.data.type === 'account.cooldown.entered');
+    assert.equal(cooldown.data.account.status, 'cooldown');
+    assert.ok(cooldown.data.account.cooldownUntil);
+    assert.equal(cooldown.data.stats.cooldown, 1);
+    stream.close();
+  } finally {
+    await ctx.close();
+  }
+});
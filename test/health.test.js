@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { startTestServer } from './helpers.js';
+
+test('/health/ready：没有可用账号时返回 503，存活检查仍为 ok', async () => {
+  const ctx = await startTestServer({ accounts: 0 });
+  try {
+    assert.equal((await fetch(`${ctx.baseUrl}/health/live`)).status, 200);
+    assert.equal((await fetch(`${ctx.baseUrl}/health`)).status, 200);
+
+    let res = await fetch(`${ctx.baseUrl}/health/ready`);
+    assert.equal(res.status, 503);
+    let body = await res.json();
+    assert.equal(body.status, 'degraded');
+    assert.deepEqual(
+      Object.fromEntries(Object.entries(body.checks).map(([name, c]) => [name, c.ok])),
+      { database: true, accounts: false, upstream: true, tokenizer: true }
+    );
+    assert.equal(body.checks.accounts.required, 1);
+
+    await ctx.state.accountPool.addAccount({
+      name: 'late',
+      credentials: { refreshToken: 'late-refresh', authMethod: 'social' }
+    });
+    res = await fetch(`${ctx.baseUrl}/health/ready`);
+    assert.equal(res.status, 200);
+    assert.equal((await res.json()).status, 'ok');
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('/health/ready：最近成功率过低或数据库被锁时返回 503', async () => {
+  const ctx = await startTestServer({ env: { HEALTH_MIN_SAMPLES: '4' } });
+  try {
+    const now = Date.now();
+    for (let i = 0; i < 4; i++) {
+      ctx.state.dbManager.insertLog({
+        timestamp: new Date(now - i * 1000).toISOString(),
+        accountId: ctx.accountIds[0],
+        accountName: 'mock-1',
+        model: 'claude-sonnet-4-5',
+        success: i === 0,
+        errorMessage: i === 0 ? null : 'upstream 500',
+        errorCategory: i === 0 ? null : 'upstream_error',
+        requestId: `req-${i}`,
+        attempt: 2
+      });
+    }
+    // 客户端请求错误、客户端断开与已切换账号重试的中间尝试不计入上游成功率
+    const excluded = [
+      { success: false, errorCategory: 'bad_request' },
+      { success: false, errorCategory: 'cancelled' },
+      { success: false, errorCategory: 'throttled', requestId: 'req-0', attempt: 1 }
+    ];
+    for (const log of excluded) {
+      ctx.state.dbManager.insertLog({
+        timestamp: new Date(now).toISOString(),
+        accountId: ctx.accountIds[0],
+        accountName: 'mock-1',
+        model: 'claude-sonnet-4-5',
+        errorMessage: 'excluded',
+        ...log
+      });
+    }
+    let body = await (await fetch(`${ctx.baseUrl}/health/ready`)).json();
+    assert.equal(body.status, 'degraded');
+    assert.equal(body.checks.upstream.ok, false);
+    assert.equal(body.checks.upstream.successRatio, 0.25);
+    assert.equal(body.checks.upstream.samples, 4);
+
+    // 另一个连接持有写锁
+    const other = new Database(path.join(ctx.state.config.dataDir, 'kiro.db'));
+    other.exec('BEGIN IMMEDIATE');
+    try {
+      const res = await fetch(`${ctx.baseUrl}/health/ready`);
+      assert.equal(res.status, 503);
+      body = await res.json();
+      assert.equal(body.checks.database.ok, false);
+      assert.match(body.checks.database.error, /locked|busy/i);
+    } finally {
+      other.exec('ROLLBACK');
+      other.close();
+    }
+    assert.equal(ctx.state.dbManager.checkWritable().ok, true);
+  } finally {
+    await ctx.close();
+  }
+});
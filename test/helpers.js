@@ -0,0 +1,166 @@
+/**
+ * 集成测试辅助：启动模拟上游与代理服务
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig } from '../src/config.js';
+import { createApp } from '../src/app.js';
+import { startMockUpstream } from './mock-upstream.js';
+
+// 测试服务运行期间关闭 console.log 信息输出（warn/error 保留）：
+// 大量输出与 node --test 子进程的结果数据交错时，Node 20 的测试运行器偶尔会解析失败
+// 需要排查时设置 TEST_VERBOSE=1。同时运行多个测试服务时，最后一个关闭后才恢复
+let silencedServers = 0;
+let originalLog = null;
+
+function silenceLog() {
+  if (process.env.TEST_VERBOSE) return () => {};
+  if (silencedServers++ === 0) {
+    originalLog = console.log;
+    console.log = () => {};
+  }
+  let restored = false;
+  return () => {
+    if (restored) return;
+    restored = true;
+    if (--silencedServers === 0) console.log = originalLog;
+  };
+}
+
+export const API_KEY = 'sk-test-key';
+export const ADMIN_KEY = 'admin-test-key';
+
+/**
+ * 启动一套隔离的测试环境（临时数据目录 + 模拟上游 + 代理服务）
+ * @param {object} [options]
+ * @param {number} [options.accounts=1] - 预先添加的账号数量
+ * @param {object} [options.env] - 额外的环境变量
+ */
+export async function startTestServer(options = {}) {
+  const restoreLog = silenceLog();
+  const mock = await startMockUpstream();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kiro-test-'));
+
+  const config = loadConfig({
+    DATA_DIR: dataDir,
+    API_KEY,
+    ADMIN_KEY,
+    KIRO_API_BASE_URL: mock.url,
+    KIRO_AUTH_BASE_URL: mock.url,
+    KIRO_OIDC_BASE_URL: mock.url,
+    KIRO_USAGE_BASE_URL: mock.url,
+    // 关闭时不等待负载均衡器摘除实例
+    SHUTDOWN_DRAIN_DELAY_SECS: '0',
+    ...options.env
+  });
+
+  const { app, state } = await createApp(config);
+  const server = await new Promise(resolve => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const accountIds = [];
+  for (let i = 0; i < (options.accounts ?? 1); i++) {
+    accountIds.push(await state.accountPool.addAccount({
+      name: `mock-${i + 1}`,
+      credentials: { refreshToken: `initial-refresh-${i + 1}`, authMethod: 'social' }
+    }));
+  }
+  // 添加账号时的 Token 刷新请求不计入测试断言
+  mock.requests.length = 0;
+
+  return {
+    mock,
+    state,
+    server,
+    baseUrl,
+    accountIds,
+
+    // 发送 /v1/messages 请求
+    postMessages(body, headers = {}, init = {}) {
+      return fetch(`${baseUrl}/v1/messages`, {
+        ...init,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-api-key': API_KEY, ...headers },
+        body: JSON.stringify(body)
+      });
+    },
+
+    // 发送 /v1/chat/completions 请求
+    postChatCompletions(body, headers = {}) {
+      return fetch(`${baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${API_KEY}`, ...headers },
+        body: JSON.stringify(body)
+      });
+    },
+
+    // 发送管理接口请求
+    admin(pathname, init = {}) {
+      return fetch(`${baseUrl}${pathname}`, {
+        ...init,
+        headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${ADMIN_KEY}`, ...init.headers }
+      });
+    },
+
+    async close() {
+      server.closeAllConnections?.();
+      await new Promise(resolve => server.close(resolve));
+      await mock.close();
+      state.dbManager.close();
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      restoreLog();
+    }
+  };
+}
+
+/**
+ * 解析 SSE 响应文本为 [{ event, id, data }]
+ */
+export function parseSSE(text) {
+  const events = [];
+  for (const block of text.split('\n\n')) {
+    if (!block.trim()) continue;
+    let event = null;
+    let id = null;
+    const dataLines = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event: ')) event = line.slice(7);
+      else if (line.startsWith('id: ')) id = line.slice(4);
+      else if (line.startsWith('data: ')) dataLines.push(line.slice(6));
+    }
+    if (dataLines.length === 0) continue; // 心跳、retry 等不含数据的块
+    const raw = dataLines.join('\n');
+    let data = raw;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      // 非 JSON（如 [DONE]）
+    }
+    events.push({ event, id, data });
+  }
+  return events;
+}
+
+/**
+ * 按 Anthropic SSE 事件重建 content 数组
+ */
+export function assembleContent(events) {
+  const content = [];
+  for (const { data } of events) {
+    if (data?.type === 'content_block_start') {
+      content[data.index] = { ...data.content_block };
+      if (content[data.index].type === 'tool_use') content[data.index].partialJson = '';
+    } else if (data?.type === 'content_block_delta') {
+      const block = content[data.index];
+      if (data.delta.type === 'text_delta') block.text += data.delta.text;
+      else if (data.delta.type === 'thinking_delta') block.thinking += data.delta.thinking;
+      else if (data.delta.type === 'input_json_delta') block.partialJson += data.delta.partial_json;
+      else if (data.delta.type === 'signature_delta') block.signature = (block.signature || '') + data.delta.signature;
+    }
+  }
+  return content;
+}
@@ -0,0 +1,147 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { startTestServer } from './helpers.js';
+import { isPrivateAddress } from '../src/image-source.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer({ env: { MAX_IMAGE_BYTES: '64' } });
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+function imageMessage(source) {
+  return {
+    model: MODEL,
+    max_tokens: 64,
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'describe' }, { type: 'image', source }] }]
+  };
+}
+
+function upstreamCalls() {
+  return ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse');
+}
+
+test('isPrivateAddress：拒绝回环、内网、链路本地与 IPv4 映射地址', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', 'not-an-ip']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('图片：base64 图片转换为 Kiro images，无效数据、超出大小与不支持的格式返回 400', async () => {
+  const data = PNG.toString('base64');
+  let res = await ctx.postMessages(imageMessage({ type: 'base64', media_type: 'image/png', data }));
+  assert.equal(res.status, 200);
+  const input = upstreamCalls()[0].body.conversationState.currentMessage.userInputMessage;
+  assert.deepEqual(input.images, [{ format: 'png', source: { bytes: data } }]);
+
+  const invalid = [
+    [{ type: 'base64', media_type: 'image/png', data: 'not base64!' }, /有效的 base64/],
+    [{ type: 'base64', media_type: 'image/png', data: Buffer.alloc(65).toString('base64') }, /超过上限 64 字节/],
+    [{ type: 'base64', media_type: 'image/bmp', data }, /不支持的图片格式/],
+    [{ type: 'base64', media_type: 'image/png', data: '' }, /不能为空/]
+  ];
+  for (const [source, message] of invalid) {
+    res = await ctx.postMessages(imageMessage(source));
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.error.type, 'invalid_request_error');
+    assert.match(body.error.message, message);
+  }
+  // 请求错误不计入账号，也不换账号重试
+  assert.equal(upstreamCalls().length, 1);
+  assert.equal(ctx.state.dbManager.getRecentLogs(1, 0)[0].errorCategory, 'bad_request');
+});
+
+test('图片：指向本机或内网地址的 URL 被拒绝，不发起下载', async () => {
+  let hits = 0;
+  const imageServer = http.createServer((req, res) => {
+    hits++;
+    res.end(PNG);
+  });
+  await new Promise(resolve => imageServer.listen(0, '127.0.0.1', resolve));
+  try {
+    const { port } = imageServer.address();
+    for (const url of [`http://127.0.0.1:${port}/a.png`, `http://localhost:${port}/a.png`, 'http://169.254.169.254/latest/meta-data/', 'http://[::ffff:127.0.0.1]/']) {
+      const res = await ctx.postMessages(imageMessage({ type: 'url', url }));
+      assert.equal(res.status, 400, url);
+      assert.match((await res.json()).error.message, /内网地址/);
+    }
+
+    const res = await ctx.postChatCompletions({
+      model: MODEL,
+      messages: [{ role: 'user', content: [{ type: 'image_url', image_url: { url: 'http://10.0.0.1/a.png' } }] }]
+    });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).error.type, 'invalid_request_error');
+
+    const invalid = await ctx.postMessages(imageMessage({ type: 'url', url: 'file:///etc/passwd' }));
+    assert.equal(invalid.status, 400);
+
+    assert.equal(hits, 0);
+    assert.equal(upstreamCalls().length, 0);
+  } finally {
+    imageServer.close();
+  }
+});
+
+test('图片：URL 图片跟随重定向下载一次，跨账号重试时复用', async () => {
+  const hits = [];
+  const imageServer = http.createServer((req, res) => {
+    hits.push(req.url);
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/a.png' });
+      return res.end();
+    }
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(PNG);
+  });
+  await new Promise(resolve => imageServer.listen(0, '127.0.0.1', resolve));
+  const local = await startTestServer({ accounts: 2, env: { IMAGE_URL_ALLOW_PRIVATE: 'true' } });
+  try {
+    local.mock.enqueue({ status: 429, body: { message: 'Too many requests' } });
+    const url = `http://127.0.0.1:${imageServer.address().port}/redirect`;
+
+    const res = await local.postMessages(imageMessage({ type: 'url', url }));
+    assert.equal(res.status, 200);
+
+    assert.deepEqual(hits, ['/redirect', '/a.png']);
+    const calls = local.mock.requests.filter(r => r.path === '/generateAssistantResponse');
+    assert.equal(calls.length, 2);
+    for (const call of calls) {
+      assert.deepEqual(call.body.conversationState.currentMessage.userInputMessage.images, [
+        { format: 'png', source: { bytes: PNG.toString('base64') } }
+      ]);
+    }
+  } finally {
+    await local.close();
+    imageServer.close();
+  }
+});
+
+test('图片：messages 不是数组时返回 400 invalid_request_error，而不是 500', async () => {
+  for (const messages of ['hello', { role: 'user', content: 'hi' }]) {
+    const res = await ctx.postMessages({ model: MODEL, max_tokens: 16, messages });
+    assert.equal(res.status, 400, JSON.stringify(messages));
+    assert.equal((await res.json()).error.type, 'invalid_request_error');
+
+    const openai = await ctx.postChatCompletions({ model: MODEL, messages });
+    assert.equal(openai.status, 400, JSON.stringify(messages));
+    assert.equal((await openai.json()).error.type, 'invalid_request_error');
+  }
+  assert.equal(upstreamCalls().length, 0);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { startTestServer, parseSSE, API_KEY } from './helpers.js';
+import { textEvent, contextUsageEvent } from './mock-upstream.js';
+import { gracefulShutdown } from '../src/lifecycle.js';
+import { checkReadiness } from '../src/health.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+function userMessage(text, extra = {}) {
+  return { model: MODEL, max_tokens: 1024, messages: [{ role: 'user', content: text }], ...extra };
+}
+
+async function waitFor(predicate) {
+  for (let i = 0; i < 100 && !predicate(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('优雅关闭：停止接受新请求后返回 503（按请求格式）', async () => {
+  const ctx = await startTestServer();
+  try {
+    ctx.state.lifecycle.accepting = false;
+
+    let res = await ctx.postMessages(userMessage('hi'));
+    assert.equal(res.status, 503);
+    assert.equal(res.headers.get('retry-after'), '5');
+    assert.equal((await res.json()).error.type, 'overloaded_error');
+
+    res = await fetch(`${ctx.baseUrl}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${API_KEY}` },
+      body: JSON.stringify({ model: MODEL, messages: [{ role: 'user', content: 'hi' }] })
+    });
+    assert.equal(res.status, 503);
+    assert.ok((await res.json()).error.message);
+
+    assert.equal(ctx.mock.requests.length, 0);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('优雅关闭：就绪检查先失败，进行中的流正常结束，账号计数写入后关闭数据库', async () => {
+  const ctx = await startTestServer();
+  try {
+    ctx.mock.enqueue({ events: [textEvent('Hello'), textEvent(' world'), contextUsageEvent(1)], chunkSize: 64, delayMs: 30 });
+    const pending = ctx.postMessages(userMessage('hi', { stream: true })).then(res => res.text());
+    await waitFor(() => ctx.state.lifecycle.inFlight === 1);
+    assert.equal(ctx.state.lifecycle.inFlight, 1);
+
+    const shutdown = gracefulShutdown(ctx.server, ctx.state, { reason: 'test' });
+    const readiness = checkReadiness(ctx.state);
+    assert.equal(readiness.status, 'degraded');
+    assert.equal(readiness.checks.shutdown.ok, false);
+
+    const events = parseSSE(await pending);
+    assert.equal(events[events.length - 1].event, 'message_stop');
+    const text = events
+      .filter(e => e.data?.delta?.type === 'text_delta')
+      .map(e => e.data.delta.text)
+      .join('');
+    assert.equal(text, 'Hello world');
+
+    assert.deepEqual(await shutdown, { drained: true, aborted: 0 });
+    assert.equal(ctx.state.dbManager.db.open, false);
+
+    // 请求计数在关闭前已写入
+    const db = new Database(path.join(ctx.state.config.dataDir, 'kiro.db'), { readonly: true });
+    const row = db.prepare('SELECT request_count FROM accounts WHERE id = ?').get(ctx.accountIds[0]);
+    db.close();
+    assert.equal(row.request_count, 1);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('优雅关闭：超过等待时间后强制断开进行中的请求', async () => {
+  const ctx = await startTestServer();
+  try {
+    ctx.state.config.shutdown.timeoutMs = 100;
+    ctx.mock.enqueue({ events: [textEvent('slow')], delayMs: 1000 });
+    const pending = ctx.postMessages(userMessage('hi', { stream: true }))
+      .then(res => res.text())
+      .catch(() => null);
+    await waitFor(() => ctx.state.lifecycle.inFlight === 1);
+
+    const result = await gracefulShutdown(ctx.server, ctx.state, { reason: 'test' });
+    assert.deepEqual(result, { drained: false, aborted: 1 });
+    await pending;
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gunzipSync } from 'zlib';
+import { startTestServer } from './helpers.js';
+
+// 写入 n 条测试日志，时间从 2026-01-01T00:00:00Z 起每分钟一条
+function seedLogs(ctx, n, build = () => ({})) {
+  for (let i = 0; i < n; i++) {
+    ctx.state.dbManager.insertLog({
+      timestamp: new Date(Date.UTC(2026, 0, 1, 0, i)).toISOString(),
+      accountId: i % 2 === 0 ? 'acc-a' : 'acc-b',
+      accountName: i % 2 === 0 ? 'A' : 'B',
+      model: 'claude-sonnet-4-5',
+      upstreamModel: 'CLAUDE_SONNET_4_5_20250929_V1_0',
+      inputTokens: 10,
+      outputTokens: 5,
+      durationMs: i * 100,
+      success: true,
+      stream: i % 3 === 0,
+      ...build(i)
+    });
+  }
+}
+
+test('/api/logs：按条件筛选，总数与统计只计算筛选结果', async () => {
+  const ctx = await startTestServer({ accounts: 0 });
+  try {
+    seedLogs(ctx, 12, i => (i >= 10 ? { success: false, errorMessage: `upstream 50${i - 10}% overloaded_error` } : {}));
+
+    let res = await ctx.admin('/api/logs?accountId=acc-a');
+    let body = await res.json();
+    assert.equal(body.pagination.total, 6);
+    assert.ok(body.data.every(l => l.accountId === 'acc-a'));
+
+    res = await ctx.admin('/api/logs?success=false&minDurationMs=1050');
+    body = await res.json();
+    assert.equal(body.pagination.total, 1);
+    assert.equal(body.data[0].durationMs, 1100);
+    assert.equal(body.summary.failureCount, 1);
+    assert.equal(body.summary.totalInputTokens, 10);
+
+    // 错误信息搜索按字面匹配 % 与 _
+    res = await ctx.admin(`/api/logs?q=${encodeURIComponent('501%')}`);
+    body = await res.json();
+    assert.equal(body.pagination.total, 1);
+    res = await ctx.admin(`/api/logs?q=${encodeURIComponent('overloaded_error')}`);
+    assert.equal((await res.json()).pagination.total, 2);
+
+    res = await ctx.admin(`/api/logs?stream=true&from=${encodeURIComponent('2026-01-01T00:03:00Z')}&to=${encodeURIComponent('2026-01-01T00:09:00Z')}`);
+    body = await res.json();
+    assert.deepEqual(body.data.map(l => l.durationMs), [600, 300]);
+
+    res = await ctx.admin('/api/logs/stats?accountId=acc-b');
+    assert.equal((await res.json()).totalLogs, 6);
+
+    res = await ctx.admin('/api/logs?success=maybe');
+    assert.equal(res.status, 400);
+    res = await ctx.admin('/api/logs?from=not-a-date');
+    assert.equal(res.status, 400);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('/api/logs：游标分页遍历全部结果且不重复', async () => {
+  const ctx = await startTestServer({ accounts: 0 });
+  try {
+    // 同一时间戳的多条日志也能稳定分页
+    seedLogs(ctx, 7, i => (i < 3 ? { timestamp: '2026-01-01T00:00:00.000Z' } : {}));
+
+    const seen = [];
+    let cursor = null;
+    for (let pages = 0; pages < 10; pages++) {
+      const query = new URLSearchParams({ pageSize: '3' });
+      if (cursor) query.set('cursor', cursor);
+      const res = await ctx.admin(`/api/logs?${query}`);
+      const body = await res.json();
+      seen.push(...body.data.map(l => l.id));
+      cursor = body.pagination.nextCursor;
+      if (!cursor) break;
+    }
+    assert.equal(seen.length, 7);
+    assert.equal(new Set(seen).size, 7);
+
+    const res = await ctx.admin('/api/logs?order=asc&pageSize=2');
+    const body = await res.json();
+    assert.deepEqual(body.data.map(l => l.timestamp), ['2026-01-01T00:00:00.000Z', '2026-01-01T00:00:00.000Z']);
+    assert.equal(body.pagination.totalPages, 4);
+
+    assert.equal((await ctx.admin('/api/logs?cursor=bad')).status, 400);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('/api/logs/export：按筛选条件导出 CSV 与 JSONL', async () => {
+  const ctx = await startTestServer({ accounts: 0 });
+  try {
+    seedLogs(ctx, 3, i => (i === 1 ? { success: false, errorMessage: 'bad "quote", comma' } : {}));
+
+    let res = await ctx.admin('/api/logs/export?format=csv');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="request_logs_.+\.csv"/);
+    const lines = (await res.text()).replace(/^\uFEFF/, '').trim().split('\n');
+    assert.equal(lines.length, 4);
+    assert.ok(lines[0].startsWith('id,timestamp,accountId'));
+    assert.ok(lines[2].endsWith('"bad ""quote"", comma"'));
+
+    res = await ctx.admin('/api/logs/export?format=jsonl&success=false');
+    const rows = (await res.text()).trim().split('\n').map(line => JSON.parse(line));
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].errorMessage, 'bad "quote", comma');
+
+    assert.equal((await ctx.admin('/api/logs/export?format=xml')).status, 400);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('日志保留策略：先归档为 gzip JSONL 再删除，可列出与下载归档', async () => {
+  const ctx = await startTestServer({ accounts: 0, env: { LOG_RETENTION_MAX_ROWS: '5', LOG_RETENTION_DAYS: '0' } });
+  try {
+    seedLogs(ctx, 8);
+
+    let res = await ctx.admin('/api/logs/archives/run', { method: 'POST' });
+    const result = await res.json();
+    assert.equal(result.archived, 3);
+    assert.equal(result.deleted, 3);
+
+    // 保留最新的 5 条
+    const remaining = ctx.state.dbManager.queryLogs({}, { limit: 100, order: 'asc' }).data;
+    assert.deepEqual(remaining.map(l => l.durationMs), [300, 400, 500, 600, 700]);
+
+    res = await ctx.admin('/api/logs/archives');
+    const { archives } = await res.json();
+    assert.equal(archives.length, 1);
+    assert.equal(archives[0].name, result.file);
+
+    res = await ctx.admin(`/api/logs/archives/${archives[0].name}`);
+    assert.equal(res.status, 200);
+    const archivedRows = gunzipSync(Buffer.from(await res.arrayBuffer()))
+      .toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(archivedRows.map(r => r.duration_ms), [0, 100, 200]);
+    assert.equal(archivedRows[0].account_id, 'acc-a');
+
+    // 再次执行没有需要清理的日志
+    res = await ctx.admin('/api/logs/archives/run', { method: 'POST' });
+    assert.deepEqual(await res.json(), { archived: 0, deleted: 0, file: null });
+
+    assert.equal((await ctx.admin('/api/logs/archives/..%2Fkiro.db')).status, 404);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('日志保留策略：按天数清理', async () => {
+  const ctx = await startTestServer({ accounts: 0, env: { LOG_RETENTION_MAX_ROWS: '0', LOG_RETENTION_DAYS: '30' } });
+  try {
+    seedLogs(ctx, 2);
+    ctx.state.dbManager.insertLog({ timestamp: new Date().toISOString(), accountId: 'acc-a', accountName: 'A', success: true });
+
+    const result = await ctx.state.logArchiver.run();
+    assert.equal(result.deleted, 2);
+    assert.equal(ctx.state.dbManager.getLogStats().totalLogs, 1);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,318 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, parseSSE, assembleContent, API_KEY } from './helpers.js';
+import {
+  textEvent,
+  thinkingEvent,
+  toolUseEvent,
+  contextUsageEvent
+} from './mock-upstream.js';
+import { signThinking } from '../src/thinking.js';
+import { countRequestTokens, estimateRequestTokens } from '../src/tokenizer.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+function userMessage(text, extra = {}) {
+  return { model: MODEL, max_tokens: 1024, messages: [{ role: 'user', content: text }], ...extra };
+}
+
+function lastLog() {
+  return ctx.state.dbManager.getRecentLogs(1, 0)[0];
+}
+
+test('非流式：返回文本内容与 usage，并以刷新得到的 token 调用上游', async () => {
+  ctx.mock.enqueue({ events: [textEvent('Hello'), textEvent(', world'), contextUsageEvent(2)] });
+
+  const res = await ctx.postMessages(userMessage('hi'));
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.type, 'message');
+  assert.equal(body.role, 'assistant');
+  assert.deepEqual(body.content, [{ type: 'text', text: 'Hello, world' }]);
+  assert.equal(body.stop_reason, 'end_turn');
+  assert.ok(body.usage.input_tokens > 0);
+  assert.ok(body.usage.output_tokens > 0);
+
+  const upstream = ctx.mock.requests.find(r => r.path === '/generateAssistantResponse');
+  assert.match(upstream.headers.authorization, /^Bearer access-\d+$/);
+  const userInput = upstream.body.conversationState.currentMessage.userInputMessage;
+  assert.equal(userInput.content, 'hi');
+  assert.ok(userInput.modelId);
+
+  const log = lastLog();
+  assert.equal(log.success, 1);
+  assert.equal(log.outputTokens, body.usage.output_tokens);
+});
+
+test('非流式：thinkingEvent 与 toolUseEvent 组装为 thinking / tool_use 块', async () => {
+  ctx.mock.enqueue({
+    events: [
+      thinkingEvent('Let me check.'),
+      textEvent('Checking weather'),
+      toolUseEvent('tool-1', 'get_weather', '{"city":'),
+      toolUseEvent('tool-1', 'get_weather', '"Paris"}', true)
+    ]
+  });
+
+  const res = await ctx.postMessages(userMessage('weather?', {
+    tools: [{ name: 'get_weather', description: 'Get weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }]
+  }));
+  const body = await res.json();
+
+  assert.deepEqual(body.content, [
+    { type: 'thinking', thinking: 'Let me check.', signature: signThinking('Let me check.') },
+    { type: 'text', text: 'Checking weather' },
+    { type: 'tool_use', id: 'tool-1', name: 'get_weather', input: { city: 'Paris' } }
+  ]);
+  assert.equal(body.stop_reason, 'tool_use');
+
+  const upstream = ctx.mock.requests.find(r => r.path === '/generateAssistantResponse');
+  const tools = upstream.body.conversationState.currentMessage.userInputMessage.userInputMessageContext.tools;
+  assert.equal(tools[0].toolSpecification.name, 'get_weather');
+});
+
+test('流式：事件帧被切碎时仍能完整解码并输出标准 SSE 序列', async () => {
+  ctx.mock.enqueue({
+    events: [textEvent('The quick brown fox '), textEvent('jumps over the lazy dog'), contextUsageEvent(1)],
+    chunkSize: 7
+  });
+
+  const res = await ctx.postMessages(userMessage('hi', { stream: true }));
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  const events = parseSSE(await res.text());
+
+  // 相邻的 content_block_delta 数量取决于分片方式，合并后比较
+  const sequence = events.map(e => e.event).filter((name, i, all) => name !== 'content_block_delta' || all[i - 1] !== name);
+  assert.deepEqual(sequence, [
+    'message_start',
+    'content_block_start',
+    'content_block_delta',
+    'content_block_stop',
+    'message_delta',
+    'message_stop'
+  ]);
+  assert.deepEqual(assembleContent(events), [{ type: 'text', text: 'The quick brown fox jumps over the lazy dog' }]);
+
+  const delta = events.find(e => e.event === 'message_delta').data;
+  assert.equal(delta.delta.stop_reason, 'end_turn');
+  assert.ok(delta.usage.input_tokens > 0);
+});
+
+test('输入 token：message_start 返回本地估算值，收到上游百分比后取较大值，日志保存两者', async () => {
+  const body = {
+    model: MODEL,
+    max_tokens: 1024,
+    stream: true,
+    system: 'You are a careful assistant. '.repeat(20),
+    tools: [{ name: 'lookup', description: 'Look up a term', input_schema: { type: 'object', properties: { q: { type: 'string' } } } }],
+    messages: [
+      { role: 'user', content: 'find kiro' },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'tool-1', name: 'lookup', input: { q: 'kiro' } }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tool-1', content: 'Kiro is an IDE. '.repeat(30) }] }
+    ]
+  };
+  const estimated = countRequestTokens(body);
+
+  // 上游未返回 contextUsageEvent：使用本地估算值
+  ctx.mock.enqueue({ events: [textEvent('Done.')] });
+  let events = parseSSE(await (await ctx.postMessages(body)).text());
+  assert.ok(estimated > 200);
+  assert.equal(events.find(e => e.event === 'message_start').data.message.usage.input_tokens, estimated);
+  assert.equal(events.find(e => e.event === 'message_delta').data.usage.input_tokens, estimated);
+  let log = lastLog();
+  assert.deepEqual([log.inputTokens, log.inputTokensEstimated, log.inputTokensUpstream], [estimated, estimated, null]);
+
+  // 上游换算值（5% x 200k）包含 Kiro 注入的上下文，大于本地估算
+  ctx.mock.enqueue({ events: [textEvent('Done.'), contextUsageEvent(5)] });
+  events = parseSSE(await (await ctx.postMessages(body)).text());
+  assert.equal(events.find(e => e.event === 'message_start').data.message.usage.input_tokens, estimated);
+  assert.equal(events.find(e => e.event === 'message_delta').data.usage.input_tokens, 10000);
+  log = lastLog();
+  assert.deepEqual([log.inputTokens, log.inputTokensEstimated, log.inputTokensUpstream], [10000, estimated, 10000]);
+});
+
+test('输入 token：请求文本超过 TOKEN_ESTIMATE_MAX_CHARS 时按字符数粗略估算，message_start 与日志仍有估算值', async () => {
+  const previous = ctx.state.config.tokenEstimateMaxChars;
+  ctx.state.config.tokenEstimateMaxChars = 1000;
+  try {
+    const body = userMessage('word '.repeat(2000), { stream: true });
+    const estimated = estimateRequestTokens(body);
+    assert.ok(estimated > 2000);
+
+    ctx.mock.enqueue({ events: [textEvent('Done.')] });
+    let events = parseSSE(await (await ctx.postMessages(body)).text());
+    assert.equal(events.find(e => e.event === 'message_start').data.message.usage.input_tokens, estimated);
+    assert.equal(events.find(e => e.event === 'message_delta').data.usage.input_tokens, estimated);
+    let log = lastLog();
+    assert.deepEqual([log.inputTokens, log.inputTokensEstimated, log.inputTokensUpstream], [estimated, estimated, null]);
+
+    // 上游返回值更大时取上游值，日志同时保存估算值
+    ctx.mock.enqueue({ events: [textEvent('Done.'), contextUsageEvent(2)] });
+    events = parseSSE(await (await ctx.postMessages(body)).text());
+    assert.equal(events.find(e => e.event === 'message_start').data.message.usage.input_tokens, estimated);
+    log = lastLog();
+    assert.deepEqual([log.inputTokens, log.inputTokensEstimated, log.inputTokensUpstream], [4000, estimated, 4000]);
+
+    // 未超过上限的请求仍用 tokenizer 完整编码
+    await (await ctx.postMessages(userMessage('short'))).json();
+    assert.equal(lastLog().inputTokensEstimated, countRequestTokens(userMessage('short')));
+  } finally {
+    ctx.state.config.tokenEstimateMaxChars = previous;
+  }
+});
+
+test('流式：<thinking> 标签拆分为 thinking 块，工具调用以 input_json_delta 输出', async () => {
+  ctx.mock.enqueue({
+    events: [
+      textEvent('<thinking>plan the call'),
+      textEvent('</thinking>\n\nCalling tool.'),
+      toolUseEvent('tool-9', 'lookup', '{"q":'),
+      toolUseEvent('tool-9', 'lookup', '"kiro"}', true)
+    ]
+  });
+
+  const res = await ctx.postMessages(userMessage('go', {
+    stream: true,
+    tools: [{ name: 'lookup', description: 'Lookup', input_schema: { type: 'object' } }]
+  }));
+  const events = parseSSE(await res.text());
+  const content = assembleContent(events);
+
+  assert.equal(content.length, 3);
+  assert.deepEqual(content[0], { type: 'thinking', thinking: 'plan the call', signature: signThinking('plan the call') });
+  assert.deepEqual(content[1], { type: 'text', text: 'Calling tool.' });
+  assert.equal(content[2].type, 'tool_use');
+  assert.equal(content[2].id, 'tool-9');
+  assert.deepEqual(JSON.parse(content[2].partialJson), { q: 'kiro' });
+
+  // 每个块恰好 start / stop 各一次
+  for (let i = 0; i < 3; i++) {
+    assert.equal(events.filter(e => e.event === 'content_block_start' && e.data.index === i).length, 1);
+    assert.equal(events.filter(e => e.event === 'content_block_stop' && e.data.index === i).length, 1);
+  }
+  assert.equal(events.find(e => e.event === 'message_delta').data.delta.stop_reason, 'tool_use');
+});
+
+test('流式：跨 chunk 的 stop_sequences 被识别并返回 stop_sequence', async () => {
+  ctx.mock.enqueue({ events: [textEvent('one two ST'), textEvent('OP three')] });
+
+  const res = await ctx.postMessages(userMessage('count', { stream: true, stop_sequences: ['STOP'] }));
+  const events = parseSSE(await res.text());
+
+  assert.deepEqual(assembleContent(events), [{ type: 'text', text: 'one two ' }]);
+  const delta = events.find(e => e.event === 'message_delta').data.delta;
+  assert.equal(delta.stop_reason, 'stop_sequence');
+  assert.equal(delta.stop_sequence, 'STOP');
+});
+
+test('非流式：超过 max_tokens 时截断并返回 max_tokens', async () => {
+  ctx.mock.enqueue({ events: [textEvent('alpha beta gamma delta epsilon zeta eta theta')] });
+
+  const res = await ctx.postMessages(userMessage('words', { max_tokens: 3 }));
+  const body = await res.json();
+
+  assert.equal(body.stop_reason, 'max_tokens');
+  assert.equal(body.content[0].text, 'alpha beta gamma');
+});
+
+test('流式：上游中途断开时发送 error 事件、记录失败日志且不发送 message_stop', async () => {
+  ctx.mock.enqueue({
+    events: [textEvent('partial answer, '), textEvent('more'), textEvent(' never arrives')],
+    disconnectAfter: 1
+  });
+
+  const res = await ctx.postMessages(userMessage('hi', { stream: true }));
+  const events = parseSSE(await res.text());
+
+  assert.equal(events[0].event, 'message_start');
+  assert.ok(!events.some(e => e.event === 'message_stop'));
+  const last = events[events.length - 1];
+  assert.equal(last.event, 'error');
+  assert.equal(last.data.type, 'error');
+  assert.ok(last.data.error.type);
+  assert.ok(last.data.error.message);
+
+  const log = lastLog();
+  assert.equal(log.success, 0);
+  assert.ok(log.errorMessage);
+  assert.equal(log.errorCategory, 'network_error');
+  assert.ok(log.outputTokens > 0);
+});
+
+test('流式：客户端断开后中止上游请求，记录为 cancelled 且不计入账号错误', async () => {
+  ctx.mock.enqueue({
+    events: [textEvent('first '), textEvent('second '), textEvent('third')],
+    chunkSize: 16,
+    delayMs: 100
+  });
+
+  const previous = lastLog()?.id;
+  const controller = new AbortController();
+  const res = await fetch(`${ctx.baseUrl}/v1/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-api-key': API_KEY },
+    body: JSON.stringify(userMessage('hi', { stream: true })),
+    signal: controller.signal
+  });
+  const reader = res.body.getReader();
+  await reader.read();
+  controller.abort();
+
+  let log;
+  for (let i = 0; i < 100 && (log = lastLog()).id === previous; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.equal(log.success, 0);
+  assert.equal(log.errorCategory, 'cancelled');
+  assert.ok(log.durationMs < 1000);
+  assert.notEqual(ctx.state.accountPool.listAccounts()[0].lastError?.category, 'cancelled');
+});
+
+test('流式：上游长时间无输出时定期发送 ping', async () => {
+  const { stream } = ctx.state.config;
+  const original = stream.pingIntervalMs;
+  stream.pingIntervalMs = 20;
+  try {
+    ctx.mock.enqueue({ events: [textEvent('slow'), contextUsageEvent(1)], chunkSize: 64, delayMs: 80 });
+
+    const res = await ctx.postMessages(userMessage('hi', { stream: true }));
+    const events = parseSSE(await res.text());
+    assert.ok(events.some(e => e.event === 'ping' && e.data.type === 'ping'));
+    assert.equal(events[events.length - 1].event, 'message_stop');
+  } finally {
+    stream.pingIntervalMs = original;
+  }
+});
+
+test('上游返回 400 时透传为 invalid_request_error 且不切换账号', async () => {
+  ctx.mock.enqueue({ status: 400, body: { message: 'Improperly formed request.' } });
+
+  const res = await ctx.postMessages(userMessage('bad'));
+  assert.equal(res.status, 400);
+  const body = await res.json();
+  assert.equal(body.type, 'error');
+  assert.equal(body.error.type, 'invalid_request_error');
+  assert.equal(ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse').length, 1);
+});
+
+test('请求不支持的模型时返回 400，不调用上游', async () => {
+  const res = await ctx.postMessages({ ...userMessage('hi'), model: 'gpt-unknown' });
+  assert.equal(res.status, 400);
+  assert.equal(ctx.mock.requests.filter(r => r.path === '/generateAssistantResponse').length, 0);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { textEvent, contextUsageEvent } from './mock-upstream.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+// 取出指定指标（含标签）的值
+function metricValue(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(series + ' '));
+  return line ? Number(line.slice(series.length + 1)) : undefined;
+}
+
+test('/metrics：请求、Token、首 Token 延迟、账号池与额度指标，支持 Bearer 认证', async () => {
+  const ctx = await startTestServer({ env: { METRICS_TOKEN: 'metrics-secret' } });
+  const scrape = () => fetch(`${ctx.baseUrl}/metrics`, { headers: { Authorization: 'Bearer metrics-secret' } });
+  try {
+    assert.equal((await fetch(`${ctx.baseUrl}/metrics`)).status, 401);
+
+    ctx.mock.enqueue({ events: [textEvent('Hello'), contextUsageEvent(2)] });
+    const res = await ctx.postMessages({ model: MODEL, max_tokens: 64, messages: [{ role: 'user', content: 'hi' }] });
+    const body = await res.json();
+
+    await ctx.admin(`/api/accounts/${ctx.accountIds[0]}/refresh-usage`, { method: 'POST' });
+    await ctx.state.accountPool.tokenManagers.get(ctx.accountIds[0]).refreshToken();
+
+    const metricsRes = await scrape();
+    assert.equal(metricsRes.status, 200);
+    assert.match(metricsRes.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = await metricsRes.text();
+
+    const labels = `model="${MODEL}",upstream_model="claude-sonnet-4.5",account="mock-1",api_key="sk-test...",status="success"`;
+    assert.equal(metricValue(text, `kiro_requests_total{${labels}}`), 1);
+    assert.equal(metricValue(text, `kiro_request_duration_seconds_count{${labels}}`), 1);
+    assert.equal(metricValue(text, `kiro_request_duration_seconds_bucket{${labels},le="+Inf"}`), 1);
+    assert.equal(
+      metricValue(text, `kiro_tokens_total{type="output",model="${MODEL}",upstream_model="claude-sonnet-4.5",account="mock-1",api_key="sk-test..."}`),
+      body.usage.output_tokens
+    );
+    assert.equal(metricValue(text, `kiro_time_to_first_token_seconds_count{model="${MODEL}",upstream_model="claude-sonnet-4.5",account="mock-1"}`), 1);
+    assert.equal(metricValue(text, 'kiro_streams_in_flight'), 0);
+    assert.equal(metricValue(text, 'kiro_accounts{status="active"}'), 1);
+    assert.equal(metricValue(text, 'kiro_accounts{status="invalid"}'), 0);
+    assert.ok(metricValue(text, `kiro_account_quota_remaining{account_id="${ctx.accountIds[0]}",account="mock-1"}`) >= 0);
+    assert.equal(metricValue(text, 'kiro_token_refresh_total{account="mock-1",result="success"}'), 1);
+    assert.equal(metricValue(text, 'kiro_event_stream_decode_errors_total'), 0);
+    assert.ok(!text.includes('sk-test-key'));
+
+    // 首 Token 延迟只在输出内容时记录；解码失败在重新同步时计数
+    const ttft = `kiro_time_to_first_token_seconds_count{model="${MODEL}",upstream_model="claude-sonnet-4.5",account="mock-1"}`;
+    ctx.mock.enqueue(
+      { events: [contextUsageEvent(1)] },
+      { events: [{ raw: Buffer.alloc(64, 0xff) }, textEvent('after garbage')] }
+    );
+    await (await ctx.postMessages({ model: MODEL, max_tokens: 64, messages: [{ role: 'user', content: 'empty' }] })).json();
+    assert.equal(metricValue(await (await scrape()).text(), ttft), 1);
+
+    const recovered = await (await ctx.postMessages({ model: MODEL, max_tokens: 64, messages: [{ role: 'user', content: 'garbage' }] })).json();
+    assert.deepEqual(recovered.content, [{ type: 'text', text: 'after garbage' }]);
+    const after = await (await scrape()).text();
+    assert.equal(metricValue(after, ttft), 2);
+    assert.equal(metricValue(after, 'kiro_event_stream_decode_errors_total'), 1);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,260 @@
+/**
+ * Kiro 上游模拟服务
+ * 模拟 generateAssistantResponse（AWS event-stream 二进制帧）、Token 刷新与 getUsageLimits
+ */
+
+import http from 'http';
+
+let crc32Table = null;
+function getCrc32Table() {
+  if (crc32Table) return crc32Table;
+  crc32Table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i;
+    for (let j = 0; j < 8; j++) {
+      crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+    }
+    crc32Table[i] = crc;
+  }
+  return crc32Table;
+}
+
+// AWS event-stream 使用 CRC32 (IEEE)
+function crc32(data) {
+  const table = getCrc32Table();
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < data.length; i++) {
+    crc = (crc >>> 8) ^ table[(crc ^ data[i]) & 0xFF];
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function encodeHeaders(headers) {
+  const parts = [];
+  for (const [name, value] of Object.entries(headers)) {
+    const nameBuf = Buffer.from(name, 'utf8');
+    const valueBuf = Buffer.from(String(value), 'utf8');
+    const header = Buffer.alloc(1 + nameBuf.length + 1 + 2 + valueBuf.length);
+    let offset = header.writeUInt8(nameBuf.length, 0);
+    offset += nameBuf.copy(header, offset);
+    offset = header.writeUInt8(7, offset); // string
+    offset = header.writeUInt16BE(valueBuf.length, offset);
+    valueBuf.copy(header, offset);
+    parts.push(header);
+  }
+  return Buffer.concat(parts);
+}
+
+/**
+ * 编码一个 AWS event-stream 帧
+ * @param {object} headers - 字符串类型的 header
+ * @param {Buffer|string|object} payload
+ * @returns {Buffer}
+ */
+export function encodeFrame(headers, payload) {
+  const headersBuf = encodeHeaders(headers);
+  const payloadBuf = Buffer.isBuffer(payload)
+    ? payload
+    : Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload), 'utf8');
+  const totalLength = 12 + headersBuf.length + payloadBuf.length + 4;
+
+  const frame = Buffer.alloc(totalLength);
+  frame.writeUInt32BE(totalLength, 0);
+  frame.writeUInt32BE(headersBuf.length, 4);
+  frame.writeUInt32BE(crc32(frame.subarray(0, 8)), 8);
+  headersBuf.copy(frame, 12);
+  payloadBuf.copy(frame, 12 + headersBuf.length);
+  frame.writeUInt32BE(crc32(frame.subarray(0, totalLength - 4)), totalLength - 4);
+  return frame;
+}
+
+// ============ 事件构造函数 ============
+
+export function textEvent(content) {
+  return { type: 'assistantResponseEvent', data: { content } };
+}
+
+export function thinkingEvent(thinking) {
+  return { type: 'thinkingEvent', data: { thinking } };
+}
+
+export function toolUseEvent(toolUseId, name, input = '', stop = false) {
+  const data = { toolUseId, name, input };
+  if (stop) data.stop = true;
+  return { type: 'toolUseEvent', data };
+}
+
+export function contextUsageEvent(contextUsagePercentage) {
+  return { type: 'contextUsageEvent', data: { contextUsagePercentage } };
+}
+
+// :message-type 为 exception 的帧
+export function exceptionEvent(exceptionType, message) {
+  return { exception: exceptionType, data: { message } };
+}
+
+// :message-type 为 error 的帧
+export function errorEvent(errorCode, message) {
+  return { error: errorCode, message };
+}
+
+function encodeEvent(event) {
+  // 原样发送的字节（模拟损坏的数据）
+  if (event.raw) return event.raw;
+  if (event.exception) {
+    return encodeFrame({
+      ':message-type': 'exception',
+      ':exception-type': event.exception,
+      ':content-type': 'application/json'
+    }, event.data);
+  }
+  if (event.error) {
+    return encodeFrame({
+      ':message-type': 'error',
+      ':error-code': event.error,
+      ':error-message': event.message || ''
+    }, '');
+  }
+  return encodeFrame({
+    ':message-type': 'event',
+    ':event-type': event.type,
+    ':content-type': 'application/json'
+  }, event.data);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      try {
+        resolve(raw ? JSON.parse(raw) : null);
+      } catch {
+        resolve(raw);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const DEFAULT_SCENARIO = {
+  events: [textEvent('Hello from mock'), contextUsageEvent(1)]
+};
+
+/**
+ * 启动模拟服务
+ *
+ * generateAssistantResponse 的场景（按顺序消费，用完后使用默认场景）：
+ *   { status, body, headers }             直接返回 HTTP 错误
+ *   { events, chunkSize, disconnectAfter } 返回事件流；chunkSize 将二进制切成小块发送，
+ *                                          disconnectAfter 在发送 N 个事件后断开连接
+ *   { events, delayMs }                    每个 chunk 发送前等待 delayMs，模拟慢速流
+ *   events 中的 { raw: Buffer } 原样发送，用于模拟损坏的帧
+ */
+export async function startMockUpstream() {
+  const scenarios = [];
+  const requests = [];
+  let tokenCounter = 0;
+  let refreshResponse = null;
+  let usageResponse = null;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = await readBody(req);
+    requests.push({ method: req.method, path: url.pathname, headers: req.headers, body });
+
+    if (req.method === 'POST' && (url.pathname === '/refreshToken' || url.pathname === '/token')) {
+      if (refreshResponse) {
+        res.writeHead(refreshResponse.status, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify(refreshResponse.body));
+      }
+      tokenCounter++;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({
+        accessToken: `access-${tokenCounter}`,
+        expiresIn: 3600,
+        refreshToken: `refresh-${tokenCounter}`
+      }));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/getUsageLimits') {
+      res.writeHead(usageResponse?.status || 200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify(usageResponse?.body || {
+        usageBreakdownList: [{
+          resourceType: 'CREDIT',
+          usageLimitWithPrecision: 500,
+          currentUsageWithPrecision: 120,
+          nextDateReset: 1767225600
+        }],
+        userInfo: { email: 'mock@example.com' },
+        subscriptionInfo: { type: 'Q_DEVELOPER_STANDALONE_PRO' }
+      }));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/generateAssistantResponse') {
+      const scenario = scenarios.shift() || DEFAULT_SCENARIO;
+
+      if (scenario.status) {
+        res.writeHead(scenario.status, { 'Content-Type': 'application/json', ...scenario.headers });
+        return res.end(typeof scenario.body === 'string' ? scenario.body : JSON.stringify(scenario.body || {}));
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/vnd.amazon.eventstream' });
+      const events = scenario.disconnectAfter !== undefined
+        ? scenario.events.slice(0, scenario.disconnectAfter)
+        : scenario.events;
+      const data = Buffer.concat(events.map(encodeEvent));
+      const chunkSize = scenario.chunkSize || data.length || 1;
+
+      for (let offset = 0; offset < data.length; offset += chunkSize) {
+        if (scenario.delayMs) {
+          await new Promise(resolve => setTimeout(resolve, scenario.delayMs));
+          if (res.destroyed) return;
+        }
+        res.write(data.subarray(offset, offset + chunkSize));
+        // 让每个 chunk 单独到达客户端
+        await new Promise(resolve => setImmediate(resolve));
+      }
+
+      if (scenario.disconnectAfter !== undefined) {
+        res.socket.destroy();
+        return;
+      }
+      return res.end();
+    }
+
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ message: 'not found' }));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    // 追加 generateAssistantResponse 场景
+    enqueue(...items) {
+      scenarios.push(...items);
+    },
+    // 设置 Token 刷新响应（null 恢复默认）
+    setRefreshResponse(response) {
+      refreshResponse = response;
+    },
+    // 设置 getUsageLimits 响应（null 恢复默认）
+    setUsageResponse(response) {
+      usageResponse = response;
+    },
+    reset() {
+      scenarios.length = 0;
+      requests.length = 0;
+      refreshResponse = null;
+      usageResponse = null;
+    },
+    close() {
+      server.closeAllConnections?.();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
@@ -0,0 +1,163 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers.js';
+import { textEvent, thinkingEvent, toolUseEvent, contextUsageEvent } from './mock-upstream.js';
+import { convertOpenAIRequest, toOpenAIFinishReason } from '../src/openai-converter.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+let ctx;
+
+before(async () => {
+  ctx = await startTestServer();
+});
+
+after(async () => {
+  await ctx.close();
+});
+
+beforeEach(() => {
+  ctx.mock.reset();
+});
+
+// 解析 chat.completion.chunk 流
+function parseChunks(text) {
+  return text.split('\n\n')
+    .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+    .map(line => JSON.parse(line.slice(6)));
+}
+
+test('convertOpenAIRequest：system / tool 消息与 tool_calls 转换为 Anthropic 请求', () => {
+  const req = convertOpenAIRequest({
+    model: MODEL,
+    max_tokens: 256,
+    stop: 'END',
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'developer', content: [{ type: 'text', text: 'Use tools.' }] },
+      { role: 'user', content: 'weather?' },
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'call_1', content: 'sunny' },
+      { role: 'user', content: [{ type: 'text', text: 'and tomorrow?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }] }
+    ],
+    tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } }],
+    tool_choice: 'required'
+  });
+
+  assert.equal(req.system, 'Be brief.\nUse tools.');
+  assert.equal(req.max_tokens, 256);
+  assert.deepEqual(req.stop_sequences, ['END']);
+  assert.deepEqual(req.tool_choice, { type: 'any' });
+  assert.deepEqual(req.tools.map(t => t.name), ['get_weather']);
+  assert.deepEqual(req.messages, [
+    { role: 'user', content: [{ type: 'text', text: 'weather?' }] },
+    { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }] },
+    {
+      // tool 消息与其后的 user 消息合并为一条
+      role: 'user',
+      content: [
+        { type: 'tool_result', tool_use_id: 'call_1', content: 'sunny' },
+        { type: 'text', text: 'and tomorrow?' },
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }
+      ]
+    }
+  ]);
+
+  // tool_choice 为 none 时不传递工具定义
+  assert.equal(convertOpenAIRequest({ model: MODEL, messages: [], tools: req.tools, tool_choice: 'none' }).tools, undefined);
+});
+
+test('toOpenAIFinishReason：stop_reason 映射为 finish_reason', () => {
+  assert.equal(toOpenAIFinishReason('tool_use'), 'tool_calls');
+  assert.equal(toOpenAIFinishReason('max_tokens'), 'length');
+  assert.equal(toOpenAIFinishReason('end_turn'), 'stop');
+  assert.equal(toOpenAIFinishReason('stop_sequence'), 'stop');
+});
+
+test('chat/completions 非流式：返回 chat.completion，tool 消息作为 toolResults 发送到上游', async () => {
+  ctx.mock.enqueue({ events: [textEvent('It is sunny.'), contextUsageEvent(2)] });
+
+  const res = await ctx.postChatCompletions({
+    model: MODEL,
+    messages: [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'weather?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'sunny' }
+    ],
+    tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } }]
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.object, 'chat.completion');
+  assert.equal(body.model, MODEL);
+  assert.deepEqual(body.choices[0].message, { role: 'assistant', content: 'It is sunny.' });
+  assert.equal(body.choices[0].finish_reason, 'stop');
+  assert.equal(body.usage.prompt_tokens, 4000);
+  assert.equal(body.usage.total_tokens, body.usage.prompt_tokens + body.usage.completion_tokens);
+
+  const upstream = ctx.mock.requests.find(r => r.path === '/generateAssistantResponse');
+  const context = upstream.body.conversationState.currentMessage.userInputMessage.userInputMessageContext;
+  assert.equal(context.toolResults[0].toolUseId, 'call_1');
+  assert.deepEqual(context.tools.map(t => t.toolSpecification.name), ['get_weather']);
+});
+
+test('chat/completions 流式：输出 reasoning_content、tool_calls 与 usage chunk，以 [DONE] 结束', async () => {
+  ctx.mock.enqueue({
+    events: [
+      thinkingEvent('Need weather.'),
+      toolUseEvent('tool-1', 'get_weather', '{"city":'),
+      toolUseEvent('tool-1', 'get_weather', '"Paris"}', true),
+      contextUsageEvent(2)
+    ],
+    chunkSize: 16
+  });
+
+  const res = await ctx.postChatCompletions({
+    model: MODEL,
+    stream: true,
+    stream_options: { include_usage: true },
+    messages: [{ role: 'user', content: 'weather in Paris?' }],
+    tools: [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: {} } } }]
+  });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /text\/event-stream/);
+  const text = await res.text();
+  assert.ok(text.endsWith('data: [DONE]\n\n'));
+
+  const chunks = parseChunks(text);
+  assert.ok(chunks.every(c => c.object === 'chat.completion.chunk' && c.id === chunks[0].id));
+  const deltas = chunks.filter(c => c.choices.length > 0).map(c => c.choices[0].delta);
+  assert.equal(deltas[0].role, 'assistant');
+  assert.equal(deltas.map(d => d.reasoning_content || '').join(''), 'Need weather.');
+
+  const calls = deltas.flatMap(d => d.tool_calls || []);
+  assert.equal(calls[0].id, 'tool-1');
+  assert.equal(calls[0].function.name, 'get_weather');
+  assert.equal(calls.map(c => c.function.arguments).join(''), '{"city":"Paris"}');
+
+  assert.equal(chunks.find(c => c.choices[0]?.finish_reason).choices[0].finish_reason, 'tool_calls');
+  const usage = chunks[chunks.length - 1];
+  assert.deepEqual(usage.choices, []);
+  assert.equal(usage.usage.prompt_tokens, 4000);
+});
+
+test('chat/completions 流式：未请求 include_usage 时不发送 usage chunk，max_tokens 截断返回 length', async () => {
+  ctx.mock.enqueue({ events: [textEvent('one two three four five six seven eight nine ten')] });
+
+  const res = await ctx.postChatCompletions({
+    model: MODEL,
+    stream: true,
+    max_tokens: 3,
+    messages: [{ role: 'user', content: 'count' }]
+  });
+  const chunks = parseChunks(await res.text());
+
+  assert.ok(chunks.every(c => c.usage === undefined));
+  assert.equal(chunks[chunks.length - 1].choices[0].finish_reason, 'length');
+});
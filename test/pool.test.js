@@ -0,0 +1,252 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AccountPool } from '../src/pool.js';
+import { getAffinityKey } from '../src/affinity.js';
+import { parseRetryAfter, computeCooldownMs } from '../src/cooldown.js';
+import { startTestServer } from './helpers.js';
+
+function createPool(strategy, accounts, config = {}) {
+  const pool = new AccountPool({ dataDir: '.', ...config });
+  pool.strategy = strategy;
+  for (const account of accounts) {
+    pool.accounts.set(account.id, {
+      status: 'active',
+      requestCount: 0,
+      lastUsedAt: null,
+      weight: 1,
+      priority: 0,
+      usage: null,
+      ...account
+    });
+  }
+  return pool;
+}
+
+async function pickIds(pool, times) {
+  const ids = [];
+  for (let i = 0; i < times; i++) {
+    ids.push((await pool.selectAccount()).id);
+  }
+  return ids;
+}
+
+test('least-recently-used：优先选择从未使用或最早使用的账号', async () => {
+  const pool = createPool('least-recently-used', [
+    { id: 'a', lastUsedAt: '2026-01-02T00:00:00.000Z' },
+    { id: 'b', lastUsedAt: '2026-01-01T00:00:00.000Z' },
+    { id: 'c', lastUsedAt: null }
+  ]);
+  assert.deepEqual(await pickIds(pool, 3), ['c', 'b', 'a']);
+});
+
+test('most-remaining-quota：按缓存的 usage.available 选择，未知额度排在最后', async () => {
+  const pool = createPool('most-remaining-quota', [
+    { id: 'unknown' },
+    { id: 'low', usage: { available: 10 } },
+    { id: 'high', usage: { available: 300 } }
+  ]);
+  assert.equal((await pool.selectAccount()).id, 'high');
+  pool.accounts.get('high').usage.available = 0;
+  assert.equal((await pool.selectAccount()).id, 'low');
+});
+
+test('weighted：权重为 0 的账号不会被选中', async () => {
+  const pool = createPool('weighted', [
+    { id: 'zero', weight: 0 },
+    { id: 'one', weight: 1 }
+  ]);
+  assert.deepEqual(new Set(await pickIds(pool, 20)), new Set(['one']));
+});
+
+test('priority：只在最高优先级的账号之间轮询', async () => {
+  const pool = createPool('priority', [
+    { id: 'low', priority: 0 },
+    { id: 'high-1', priority: 5 },
+    { id: 'high-2', priority: 5 }
+  ]);
+  const ids = await pickIds(pool, 4);
+  assert.ok(!ids.includes('low'));
+  assert.deepEqual(new Set(ids), new Set(['high-1', 'high-2']));
+});
+
+test('fill-first：持续使用同一账号，直到其不可用或额度耗尽', async () => {
+  const pool = createPool('fill-first', [
+    { id: 'a', priority: 1 },
+    { id: 'b', priority: 0 }
+  ]);
+  assert.deepEqual(await pickIds(pool, 3), ['a', 'a', 'a']);
+
+  pool.accounts.get('a').usage = { available: 0 };
+  assert.equal((await pool.selectAccount()).id, 'b');
+
+  pool.accounts.get('a').usage = { available: 100 };
+  assert.equal((await pool.selectAccount()).id, 'b');
+
+  pool.accounts.get('b').status = 'cooldown';
+  assert.equal((await pool.selectAccount()).id, 'a');
+});
+
+test('策略与调度参数持久化到数据库', async () => {
+  const ctx = await startTestServer({ accounts: 1 });
+  try {
+    let res = await ctx.admin('/api/strategy', { method: 'POST', body: JSON.stringify({ strategy: 'fill-first' }) });
+    assert.equal(res.status, 200);
+    res = await ctx.admin('/api/strategy', { method: 'POST', body: JSON.stringify({ strategy: 'bogus' }) });
+    assert.equal(res.status, 400);
+
+    res = await ctx.admin(`/api/accounts/${ctx.accountIds[0]}`, { method: 'PATCH', body: JSON.stringify({ weight: 3, priority: 2 }) });
+    assert.equal(res.status, 200);
+
+    // 模拟重启：从同一数据库重新加载账号池
+    const reloaded = new AccountPool(ctx.state.config, ctx.state.dbManager);
+    await reloaded.load();
+    assert.equal(reloaded.getStrategy(), 'fill-first');
+    const [account] = reloaded.listAccounts();
+    assert.equal(account.weight, 3);
+    assert.equal(account.priority, 2);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('会话亲和性：同一会话固定到同一账号，账号冷却后迁移', async () => {
+  const pool = createPool('round-robin', [{ id: 'a' }, { id: 'b' }, { id: 'c' }], {
+    affinity: { enabled: true, ttlMs: 60000 }
+  });
+  const first = (await pool.selectAccount({ affinityKey: 's1' })).id;
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await pool.selectAccount({ affinityKey: 's1' })).id, first);
+  }
+
+  pool.accounts.get(first).status = 'cooldown';
+  const moved = (await pool.selectAccount({ affinityKey: 's1' })).id;
+  assert.notEqual(moved, first);
+
+  // 原账号恢复后会话仍停留在新账号上
+  pool.accounts.get(first).status = 'active';
+  assert.equal((await pool.selectAccount({ affinityKey: 's1' })).id, moved);
+
+  // 故障转移时排除当前账号会重新绑定
+  const failover = (await pool.selectAccount({ affinityKey: 's1', exclude: new Set([moved]) })).id;
+  assert.notEqual(failover, moved);
+  assert.equal((await pool.selectAccount({ affinityKey: 's1' })).id, failover);
+});
+
+test('会话亲和性：绑定过期后按策略重新选择', async () => {
+  const pool = createPool('round-robin', [{ id: 'a' }, { id: 'b' }], {
+    affinity: { enabled: true, ttlMs: 0 }
+  });
+  const ids = [];
+  for (let i = 0; i < 2; i++) {
+    ids.push((await pool.selectAccount({ affinityKey: 's1' })).id);
+  }
+  assert.deepEqual(new Set(ids), new Set(['a', 'b']));
+});
+
+test('getAffinityKey：请求头优先，其次 metadata.user_id，最后按首条消息哈希', () => {
+  const config = { header: 'X-Session-Id' };
+  const body = {
+    system: 'You are helpful',
+    metadata: { user_id: 'u-1' },
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'hi' }] }]
+  };
+  assert.equal(getAffinityKey({ headers: { 'x-session-id': 'abc' } }, body, config), 'header:abc');
+  assert.equal(getAffinityKey({ headers: {} }, body, config), 'user:u-1');
+
+  const { metadata, ...noUser } = body;
+  const hashed = getAffinityKey({ headers: {} }, noUser, config);
+  assert.match(hashed, /^hash:[0-9a-f]{32}$/);
+  // 后续轮次追加消息不影响会话键
+  const later = { ...noUser, messages: [...noUser.messages, { role: 'assistant', content: 'hello' }, { role: 'user', content: 'more' }] };
+  assert.equal(getAffinityKey({ headers: {} }, later, config), hashed);
+  assert.notEqual(getAffinityKey({ headers: {} }, { ...noUser, system: 'other' }, config), hashed);
+});
+
+test('会话亲和性：同一会话的多轮请求发送到同一账号', async () => {
+  const ctx = await startTestServer({ accounts: 3, env: { SESSION_AFFINITY: 'true' } });
+  try {
+    const accessTokens = [];
+    for (let i = 0; i < 3; i++) {
+      ctx.mock.enqueue({ events: [] });
+      const res = await ctx.postMessages({
+        model: 'claude-sonnet-4-5-20250929',
+        max_tokens: 64,
+        metadata: { user_id: 'conversation-1' },
+        messages: [{ role: 'user', content: 'hello' }]
+      });
+      assert.equal(res.status, 200);
+      await res.text();
+      accessTokens.push(ctx.mock.requests.at(-1).headers.authorization);
+    }
+    assert.equal(new Set(accessTokens).size, 1);
+    assert.equal(ctx.state.accountPool.getStats().affinitySessions, 1);
+  } finally {
+    await ctx.close();
+  }
+});
+
+test('冷却时长：指数退避、上限与 Retry-After', () => {
+  const policy = { baseMs: 1000, maxMs: 5000, multiplier: 2 };
+  assert.deepEqual([0, 1, 2, 3].map(level => computeCooldownMs(level, null, policy)), [1000, 2000, 4000, 5000]);
+  assert.equal(computeCooldownMs(3, 1500, policy), 1500);
+  assert.equal(computeCooldownMs(0, 60000, policy), 5000);
+
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Thu, 01 Jan 2026 00:00:30 GMT', now), 30000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+test('限流冷却：按 Retry-After 与退避持久化，重启后恢复调度，成功请求后重置退避', async () => {
+  const ctx = await startTestServer({
+    accounts: 1,
+    env: { RETRY_MAX_ATTEMPTS: '1', COOLDOWN_BASE_SECS: '60', COOLDOWN_MAX_SECS: '600' }
+  });
+  const body = { model: 'claude-sonnet-4-5-20250929', max_tokens: 64, messages: [{ role: 'user', content: 'hi' }] };
+  const [id] = ctx.accountIds;
+  const pool = ctx.state.accountPool;
+  try {
+    // 上游 Retry-After 优先
+    ctx.mock.enqueue({ status: 429, body: { message: 'Too many requests' }, headers: { 'Retry-After': '120' } });
+    await (await ctx.postMessages(body)).text();
+    let account = pool.listAccounts()[0];
+    assert.equal(account.status, 'cooldown');
+    assert.equal(account.cooldownLevel, 1);
+    const remaining = Date.parse(account.cooldownUntil) - Date.now();
+    assert.ok(remaining > 115000 && remaining <= 120000, String(remaining));
+    assert.equal(ctx.state.dbManager.getAccount(id).cooldownUntil, account.cooldownUntil);
+
+    // 重启：仍在冷却中的账号保持冷却并重新调度
+    const reloaded = new AccountPool(ctx.state.config, ctx.state.dbManager);
+    await reloaded.load();
+    assert.equal(reloaded.listAccounts()[0].status, 'cooldown');
+    assert.ok(reloaded.cooldownTimers.has(id));
+    reloaded.clearCooldownTimer(id);
+
+    // 重启：已到期的冷却立即恢复
+    ctx.state.dbManager.updateAccount(id, { cooldownUntil: new Date(Date.now() - 1000).toISOString() });
+    const expired = new AccountPool(ctx.state.config, ctx.state.dbManager);
+    await expired.load();
+    assert.equal(expired.listAccounts()[0].status, 'active');
+    assert.equal(ctx.state.dbManager.getAccount(id).status, 'active');
+
+    // 连续限流：没有 Retry-After 时按 base * 2^level 退避
+    pool.exitCooldown(id);
+    ctx.mock.enqueue({ status: 429, body: { message: 'Too many requests' } });
+    await (await ctx.postMessages(body)).text();
+    account = pool.listAccounts()[0];
+    assert.equal(account.cooldownLevel, 2);
+    const backoff = Date.parse(account.cooldownUntil) - Date.now();
+    assert.ok(backoff > 115000 && backoff <= 120000, String(backoff));
+
+    // 成功请求后重置退避
+    pool.exitCooldown(id);
+    ctx.mock.enqueue({ events: [] });
+    await (await ctx.postMessages(body)).text();
+    assert.equal(pool.listAccounts()[0].cooldownLevel, 0);
+    assert.equal(ctx.state.dbManager.getAccount(id).cooldownLevel, 0);
+  } finally {
+    await ctx.close();
+  }
+});
@@ -0,0 +1,158 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSSE, assembleContent } from './helpers.js';
+import { textEvent, thinkingEvent, toolUseEvent, contextUsageEvent } from './mock-upstream.js';
+import {
+  ResponseAssembler,
+  AnthropicStreamSink,
+  AnthropicMessageSink,
+  OpenAIStreamSink,
+  OpenAIMessageSink
+} from '../src/response-assembler.js';
+import { OutputLimiter } from '../src/output-limiter.js';
+import { signThinking } from '../src/thinking.js';
+import { KiroStreamError } from '../src/kiro-client.js';
+import { classifyError } from '../src/error-classifier.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+// 记录写出内容的最小 Response
+function fakeResponse() {
+  return {
+    body: '',
+    payload: null,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    write(chunk) { this.body += chunk; },
+    end() { this.ended = true; },
+    json(data) { this.payload = data; }
+  };
+}
+
+function assemble(SinkClass, events, { limiter, sinkOptions = {} } = {}) {
+  const res = fakeResponse();
+  const assembler = new ResponseAssembler(new SinkClass(res, { model: MODEL, ...sinkOptions }), {
+    toolNameMap: new Map([['lookup_tool', 'lookup']]),
+    limiter
+  });
+  assembler.start();
+  for (const event of events) {
+    assembler.push(event);
+    if (assembler.stopped) break;
+  }
+  assembler.finish();
+  return res;
+}
+
+const EVENTS = [
+  textEvent('<thinking>plan'),
+  textEvent('</thinking>\n\nCalling.'),
+  toolUseEvent('tool-1', 'lookup', '{"q":'),
+  toolUseEvent('tool-1', 'lookup', '"kiro"}', true),
+  contextUsageEvent(2)
+];
+
+test('响应组装：流式与非流式 Anthropic 输出相同的内容块', () => {
+  const stream = assemble(AnthropicStreamSink, EVENTS);
+  const events = parseSSE(stream.body);
+  const message = assemble(AnthropicMessageSink, EVENTS).payload;
+
+  const streamed = assembleContent(events).map(({ partialJson, ...block }) =>
+    block.type === 'tool_use' ? { ...block, input: JSON.parse(partialJson) } : block);
+  const expected = [
+    { type: 'thinking', thinking: 'plan', signature: signThinking('plan') },
+    { type: 'text', text: 'Calling.' },
+    { type: 'tool_use', id: 'tool-1', name: 'lookup_tool', input: { q: 'kiro' } }
+  ];
+  assert.deepEqual(streamed, expected);
+  assert.deepEqual(message.content, expected);
+
+  const delta = events.find(e => e.event === 'message_delta').data;
+  assert.equal(delta.delta.stop_reason, 'tool_use');
+  assert.equal(message.stop_reason, 'tool_use');
+  assert.deepEqual(
+    [delta.usage.input_tokens, delta.usage.output_tokens],
+    [message.usage.input_tokens, message.usage.output_tokens]
+  );
+  assert.equal(message.usage.input_tokens, 4000);
+});
+
+test('响应组装：max_tokens 截断的工具调用在非流式响应中同样保留', () => {
+  const events = [toolUseEvent('tool-2', 'lookup', '{"q": "a long query string that will not fit"}'), toolUseEvent('tool-2', 'lookup', '', true)];
+  const message = assemble(AnthropicMessageSink, events, { limiter: new OutputLimiter({ maxTokens: 3 }) }).payload;
+
+  assert.equal(message.stop_reason, 'max_tokens');
+  assert.deepEqual(message.content, [{ type: 'tool_use', id: 'tool-2', name: 'lookup_tool', input: {} }]);
+});
+
+test('响应组装：OpenAI 流式与非流式输出 reasoning_content 与 tool_calls', () => {
+  const events = [thinkingEvent('Think.'), textEvent('Calling.'), ...EVENTS.slice(2)];
+  const stream = assemble(OpenAIStreamSink, events, { sinkOptions: { includeUsage: true } });
+  const chunks = stream.body.split('\n\n')
+    .filter(line => line.startsWith('data: ') && line !== 'data: [DONE]')
+    .map(line => JSON.parse(line.slice(6)));
+  assert.ok(stream.body.endsWith('data: [DONE]\n\n'));
+
+  const deltas = chunks.filter(c => c.choices.length > 0).map(c => c.choices[0].delta);
+  assert.equal(deltas.map(d => d.reasoning_content || '').join(''), 'Think.');
+  assert.equal(deltas.map(d => d.content || '').join(''), 'Calling.');
+  assert.equal(deltas.flatMap(d => d.tool_calls || []).map(c => c.function.arguments).join(''), '{"q":"kiro"}');
+  assert.equal(chunks.find(c => c.choices[0]?.finish_reason).choices[0].finish_reason, 'tool_calls');
+  assert.equal(chunks[chunks.length - 1].usage.prompt_tokens, 4000);
+
+  const { message, finish_reason } = assemble(OpenAIMessageSink, events).payload.choices[0];
+  assert.equal(finish_reason, 'tool_calls');
+  assert.deepEqual(message, {
+    role: 'assistant',
+    content: 'Calling.',
+    reasoning_content: 'Think.',
+    tool_calls: [{ id: 'tool-1', type: 'function', function: { name: 'lookup_tool', arguments: '{"q":"kiro"}' } }]
+  });
+});
+
+test('响应组装：累计计量，代码引用按配置记录但不写入响应内容，异常帧与 invalidStateEvent 抛出 KiroStreamError', () => {
+  const reference = {
+    type: 'codeReferenceEvent',
+    data: { references: [{ licenseName: 'MIT', repository: 'kiro/sample', url: 'https://example.com/kiro/sample', recommendationContentSpan: { start: 0, end: 4 } }] }
+  };
+  const events = [
+    textEvent('code here'),
+    reference,
+    { type: 'followupPromptEvent', data: { followupPrompt: { content: 'More?' } } },
+    { type: 'meteringEvent', data: { unit: 'credit', usage: 0.25 } },
+    { type: 'meteringEvent', data: { unit: 'credit', usage: 0.5 } }
+  ];
+
+  const res = fakeResponse();
+  const assembler = new ResponseAssembler(new AnthropicMessageSink(res, { model: MODEL }), {
+    config: { citations: { codeReferences: true } }
+  });
+  assembler.start();
+  events.forEach(event => assembler.push(event));
+  assembler.finish();
+  assert.equal(assembler.credits, 0.75);
+  assert.deepEqual(res.payload.content, [{ type: 'text', text: 'code here' }]);
+  assert.deepEqual(assembler.codeReferences, [{
+    repository: 'kiro/sample',
+    licenseName: 'MIT',
+    url: 'https://example.com/kiro/sample',
+    span: { start: 0, end: 4 }
+  }]);
+
+  // 未启用时不记录引用
+  const disabled = new ResponseAssembler(new AnthropicMessageSink(fakeResponse(), { model: MODEL }), {});
+  disabled.start();
+  events.forEach(event => disabled.push(event));
+  disabled.finish();
+  assert.deepEqual(disabled.codeReferences, []);
+
+  const throwing = new ResponseAssembler(new AnthropicMessageSink(fakeResponse(), { model: MODEL }), {});
+  assert.throws(
+    () => throwing.push({ type: 'exception', data: { exceptionType: 'ThrottlingException', message: 'slow down' } }),
+    error => error instanceof KiroStreamError && error.status === 429 && classifyError(error).category === 'throttled'
+  );
+  assert.throws(
+    () => throwing.push({ type: 'invalidStateEvent', data: { reason: 'INVALID_TASK_ASSIST_PLAN', message: 'bad state' } }),
+    error => error instanceof KiroStreamError && classifyError(error).category === 'bad_request'
+  );
+});
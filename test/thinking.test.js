@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer, parseSSE, assembleContent } from './helpers.js';
+import { textEvent, thinkingEvent } from './mock-upstream.js';
+import { ThinkingExtractor, signThinking } from '../src/thinking.js';
+import { countTokens } from '../src/tokenizer.js';
+
+const MODEL = 'claude-sonnet-4-5-20250929';
+
+// 合并相邻的同类片段，便于比较
+function collect(extractor, pushes) {
+  const parts = [];
+  for (const push of pushes) {
+    const next = typeof push === 'string' ? extractor.pushText(push) : extractor.pushEvent(push);
+    parts.push(...next);
+  }
+  parts.push(...extractor.flush());
+  return parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === part.type && part.text !== undefined) last.text += part.text;
+    else merged.push({ ...part });
+    return merged;
+  }, []);
+}
+
+test('ThinkingExtractor：标签被切碎时仍正确拆分，思考内容中提到的结束标签不会提前结束', () => {
+  const parts = collect(new ThinkingExtractor(), [
+    '\n<thin', 'king>use </thinking> tags', ' carefully</thi', 'nking>\n', '\nAnswer'
+  ]);
+  const thinking = 'use </thinking> tags carefully';
+  assert.deepEqual(parts, [
+    { type: 'thinking', text: thinking },
+    { type: 'thinking_end', signature: signThinking(thinking) },
+    { type: 'text', text: 'Answer' }
+  ]);
+
+  // 不以 <thinking> 开头的正文原样输出，之后出现的标签不再解析
+  assert.deepEqual(collect(new ThinkingExtractor(), ['Hi <thinking>x</thinking>\n\n']), [
+    { type: 'text', text: 'Hi <thinking>x</thinking>\n\n' }
+  ]);
+});
+
+test('ThinkingExtractor：原生事件沿用上游签名与 redacted_thinking，超出 budget_tokens 的思考内容被丢弃', () => {
+  assert.deepEqual(collect(new ThinkingExtractor(), [
+    { redactedContent: 'opaque' },
+    { thinking: 'Step one. ' },
+    { thinking: 'Step two.', signature: 'upstream-sig' },
+    'Done'
+  ]), [
+    { type: 'redacted_thinking', data: 'opaque' },
+    { type: 'thinking', text: 'Step one. Step two.' },
+    { type: 'thinking_end', signature: 'upstream-sig' },
+    { type: 'text', text: 'Done' }
+  ]);
+
+  const long = 'word '.repeat(50);
+  const parts = collect(new ThinkingExtractor({ budgetTokens: 10 }), [{ thinking: long }, { thinking: long }, 'ok']);
+  assert.equal(countTokens(parts[0].text), 10);
+  assert.deepEqual(parts.slice(1).map(p => p.type), ['thinking_end', 'text']);
+});
+
+test('thinking：流式输出 signature_delta 并执行 budget_tokens，历史中的 thinking / redacted_thinking 块带回上游', async () => {
+  const ctx = await startTestServer();
+  try {
+    ctx.mock.enqueue({ events: [thinkingEvent('alpha beta gamma delta epsilon zeta'), textEvent('Result')] });
+
+    const res = await ctx.postMessages({
+      model: MODEL,
+      max_tokens: 1024,
+      stream: true,
+      thinking: { type: 'enabled', budget_tokens: 3 },
+      messages: [
+        { role: 'user', content: 'first' },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'redacted_thinking', data: 'opaque' },
+            { type: 'thinking', thinking: 'Earlier plan.', signature: 'sig' },
+            { type: 'text', text: 'Earlier answer.' }
+          ]
+        },
+        { role: 'user', content: 'second' }
+      ]
+    });
+    const events = parseSSE(await res.text());
+    const content = assembleContent(events);
+
+    assert.deepEqual(content, [
+      { type: 'thinking', thinking: 'alpha beta gamma', signature: signThinking('alpha beta gamma') },
+      { type: 'text', text: 'Result' }
+    ]);
+    const signatureIndex = events.findIndex(e => e.data?.delta?.type === 'signature_delta');
+    assert.equal(events[signatureIndex + 1].event, 'content_block_stop');
+
+    const upstream = ctx.mock.requests.find(r => r.path === '/generateAssistantResponse');
+    const history = upstream.body.conversationState.history;
+    assert.match(history[0].userInputMessage.content, /<max_thinking_length>3<\/max_thinking_length>/);
+    assert.equal(
+      history[history.length - 1].assistantResponseMessage.content,
+      '<redacted_thinking>opaque</redacted_thinking>\n\n<thinking>Earlier plan.</thinking>\n\nEarlier answer.'
+    );
+  } finally {
+    await ctx.close();
+  }
+});